@@ -0,0 +1,402 @@
+/**
+ * Animation graph: a declarative state machine over a THREE.AnimationMixer, shared by the player, enemies and NPCs.
+ * createAnimGraph({ mixer, states, transitions, oneShots?, params?, initial, upperBody? }) → { params, state, mixer,
+ *   action(name), setTimeScale(name, s), play(state, blend?), fire(oneShot, opts?), stop(oneShot, blend?),
+ *   isPlaying(oneShot), update(dt), debugInfo() }.
+ * createAnimDebugOverlay({ getGraphs }) → { element, visible, update(), dispose } lists each graph's state, params
+ *   and the weight of everything playing.
+ *
+ * states: { name: { clip, loop = true, startTime = 0 } } are the base poses (idle, walk, climb…), one current at a
+ * time. transitions: [{ from: "*" | name | name[], to, when(params, graph) → boolean, blend = 0.2 }] are checked in
+ * order by update() from the current state; the first that passes cross-fades to `to`. States that no transition
+ * leads into (climb, swim…) are entered and left with play().
+ * oneShots: { name: { clip, mask = "full", hold = false, loop = false } } play over the state. fire(name, { blend,
+ * blendOut, timeScale, duration, mask, onEnd }) fades one in (duration stretches the clip to that many seconds); it
+ * blends out by itself at its last frame (onEnd fires then) unless `hold`, which stays — clamped on the last frame, or
+ * looping — until stop(). Firing a one-shot while another of the same mask plays cross-fades between them.
+ * Masks: given upperBody(boneName), every clip is split into upper and lower halves; an "upper" one-shot replaces
+ * only the upper half of the state (swing while running), a "full" one all of it. Without upperBody every one-shot
+ * is full body.
+ * The graph sets the weights itself each update() (not crossFadeFrom), normalised so they always add up to 1: a
+ * finished one-shot never leaves the rig half in bind pose.
+ */
+import * as THREE from "three";
+
+const DEFAULT_BLEND = 0.2;
+const MIN_BLEND = 1e-3;
+
+/**
+ * @typedef {object} AnimTransition
+ * @property {"*" | string | string[]} from
+ * @property {string} to
+ * @property {(params: object, graph: object) => boolean} when
+ * @property {number} [blend] - cross-fade seconds
+ */
+
+/**
+ * @param {object} opts
+ * @param {THREE.AnimationMixer} opts.mixer
+ * @param {Record<string, { clip: THREE.AnimationClip, loop?: boolean, startTime?: number }>} opts.states
+ * @param {AnimTransition[]} [opts.transitions]
+ * @param {Record<string, { clip: THREE.AnimationClip, mask?: "full" | "upper", hold?: boolean, loop?: boolean }>} [opts.oneShots]
+ * @param {object} [opts.params] - initial parameters; set fields on graph.params, transitions read them
+ * @param {string} opts.initial - starting state
+ * @param {(boneName: string) => boolean} [opts.upperBody] - bones an "upper" one-shot takes over
+ */
+export function createAnimGraph({
+  mixer,
+  states,
+  transitions = [],
+  oneShots = {},
+  params = {},
+  initial,
+  upperBody,
+}) {
+  const usedClips = new Set();
+
+  // Two actions per node (upper / lower half) when masking, else the same action twice
+  function makeNode(name, kind, def) {
+    let clip = def.clip;
+    // One mixer action per clip: a clip reused as a fallback (idle standing in for a missing pose) needs its own copy
+    if (usedClips.has(clip)) clip = clip.clone();
+    usedClips.add(clip);
+    const loop = def.loop ?? kind === "state";
+    const halves = upperBody ? splitClip(clip, upperBody) : [clip, clip];
+    const [upper, lower] = halves.map((c) => {
+      const action = mixer.clipAction(c);
+      action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+      action.clampWhenFinished = true;
+      action.enabled = false;
+      return action;
+    });
+    return {
+      name,
+      kind,
+      def,
+      duration: clip.duration,
+      upper,
+      lower,
+      weight: 0,
+      target: 0,
+      rate: 1 / DEFAULT_BLEND,
+      mask: def.mask ?? "full",
+      blendOut: DEFAULT_BLEND,
+      onEnd: null,
+    };
+  }
+
+  const stateNodes = new Map();
+  for (const [name, def] of Object.entries(states))
+    if (def?.clip) stateNodes.set(name, makeNode(name, "state", def));
+  const shotNodes = new Map();
+  for (const [name, def] of Object.entries(oneShots))
+    if (def?.clip) shotNodes.set(name, makeNode(name, "oneShot", def));
+
+  let state = null;
+
+  function eachAction(node, fn) {
+    fn(node.lower);
+    if (node.upper !== node.lower) fn(node.upper);
+  }
+
+  function start(node) {
+    eachAction(node, (a) => {
+      a.enabled = true;
+      a.paused = false;
+      if (!a.isScheduled()) a.play();
+    });
+  }
+
+  // Cross-fade the base pose to `name`; every state fades at the new blend so the sum stays 1
+  function go(name, blend = DEFAULT_BLEND) {
+    const node = stateNodes.get(name);
+    if (!node || state === name) return;
+    state = name;
+    const rate = 1 / Math.max(MIN_BLEND, blend);
+    for (const n of stateNodes.values()) {
+      n.target = n === node ? 1 : 0;
+      n.rate = rate;
+    }
+    if (node.weight === 0) {
+      const t0 = node.def.startTime ?? 0;
+      eachAction(node, (a) => {
+        if (a.time < t0) a.time = t0;
+      });
+    }
+    start(node);
+  }
+
+  /**
+   * Jump to a state no transition leads into (climb, swim…), from its start.
+   * @param {string} name
+   * @param {number} [blend]
+   */
+  function play(name, blend = DEFAULT_BLEND) {
+    const node = stateNodes.get(name);
+    if (!node || state === name) return;
+    eachAction(node, (a) => (a.time = node.def.startTime ?? 0));
+    go(name, blend);
+  }
+
+  /**
+   * Play a one-shot over the current state.
+   * @param {string} name
+   * @param {{ blend?: number, blendOut?: number, timeScale?: number, duration?: number, mask?: "full" | "upper", onEnd?: () => void }} [opts]
+   * @returns {THREE.AnimationAction | null} its (lower-half) action, null when the clip is missing
+   */
+  function fire(name, opts = {}) {
+    const node = shotNodes.get(name);
+    if (!node) return null;
+    node.mask = upperBody ? (opts.mask ?? node.def.mask ?? "full") : "full";
+    const timeScale = opts.duration
+      ? node.duration / Math.max(MIN_BLEND, opts.duration)
+      : (opts.timeScale ?? 1);
+    eachAction(node, (a) => {
+      a.reset();
+      a.timeScale = timeScale;
+    });
+    start(node);
+    const rate = 1 / Math.max(MIN_BLEND, opts.blend ?? DEFAULT_BLEND);
+    // The one it replaces on this layer fades out as fast as this fades in
+    for (const other of shotNodes.values()) {
+      if (other === node || other.target === 0 || other.mask !== node.mask)
+        continue;
+      other.target = 0;
+      other.rate = rate;
+    }
+    node.target = 1;
+    node.rate = rate;
+    node.blendOut = opts.blendOut ?? DEFAULT_BLEND;
+    node.onEnd = opts.onEnd ?? null;
+    return node.lower;
+  }
+
+  /**
+   * Blend a one-shot out (a held stance lowered, an attack cut short).
+   * @param {string} name
+   * @param {number} [blend]
+   */
+  function stop(name, blend) {
+    const node = shotNodes.get(name);
+    if (!node || node.target === 0) return;
+    node.target = 0;
+    node.rate = 1 / Math.max(MIN_BLEND, blend ?? node.blendOut);
+    node.onEnd = null;
+  }
+
+  const isPlaying = (name) => (shotNodes.get(name)?.target ?? 0) > 0;
+
+  function setTimeScale(name, s) {
+    const node = stateNodes.get(name) ?? shotNodes.get(name);
+    if (node) eachAction(node, (a) => (a.timeScale = s));
+  }
+
+  function fade(node, dt) {
+    const step = node.rate * dt;
+    node.weight =
+      node.target > node.weight
+        ? Math.min(node.target, node.weight + step)
+        : Math.max(node.target, node.weight - step);
+  }
+
+  function layerSum(mask) {
+    let sum = 0;
+    for (const n of shotNodes.values()) if (n.mask === mask) sum += n.weight;
+    return sum;
+  }
+
+  /**
+   * Take one transition if any passes, fade the weights, advance the mixer.
+   * @param {number} dt
+   */
+  function update(dt) {
+    for (const t of transitions) {
+      if (t.to === state || !matches(t.from, state)) continue;
+      if (!t.when(params, api)) continue;
+      go(t.to, t.blend);
+      break;
+    }
+
+    // One-shots reaching their last frame start blending out
+    for (const node of shotNodes.values()) {
+      if (node.target === 0 || node.def.hold || node.def.loop) continue;
+      const a = node.lower;
+      const left = (node.duration - a.time) / Math.max(MIN_BLEND, a.timeScale);
+      if (left > node.blendOut) continue;
+      node.target = 0;
+      node.rate = 1 / Math.max(MIN_BLEND, left, node.blendOut * 0.5);
+      const onEnd = node.onEnd;
+      node.onEnd = null;
+      onEnd?.();
+    }
+
+    let stateSum = 0;
+    for (const node of stateNodes.values()) {
+      fade(node, dt);
+      stateSum += node.weight;
+    }
+    for (const node of shotNodes.values()) fade(node, dt);
+    const fullSum = layerSum("full");
+    const upperSum = layerSum("upper");
+    const full = Math.min(1, fullSum);
+    const upper = Math.min(1, upperSum) * (1 - full);
+
+    for (const node of stateNodes.values()) {
+      const w = stateSum > 0 ? node.weight / stateSum : 0;
+      setWeights(node, w * (1 - full - upper), w * (1 - full));
+    }
+    for (const node of shotNodes.values()) {
+      if (node.mask === "full") {
+        const w = fullSum > 0 ? (node.weight / fullSum) * full : 0;
+        setWeights(node, w, w);
+      } else {
+        const w = upperSum > 0 ? (node.weight / upperSum) * upper : 0;
+        setWeights(node, w, 0);
+      }
+    }
+    mixer.update(dt);
+  }
+
+  // Faded-out actions stop costing anything; their time is kept for the next entry
+  function setWeights(node, upperW, lowerW) {
+    const idle = node.weight === 0 && node.target === 0;
+    if (node.upper === node.lower) {
+      node.lower.enabled = !idle;
+      node.lower.setEffectiveWeight(Math.max(upperW, lowerW));
+      return;
+    }
+    node.upper.enabled = !idle;
+    node.lower.enabled = !idle;
+    node.upper.setEffectiveWeight(upperW);
+    node.lower.setEffectiveWeight(lowerW);
+  }
+
+  /** State, params and non-zero weights, for createAnimDebugOverlay. */
+  function debugInfo() {
+    const weights = [];
+    for (const node of [...stateNodes.values(), ...shotNodes.values()]) {
+      const w = Math.max(
+        node.upper.getEffectiveWeight(),
+        node.lower.getEffectiveWeight(),
+      );
+      if (!node.lower.enabled || w < 0.005) continue;
+      weights.push({
+        name: node.name,
+        layer: node.kind === "state" ? "base" : node.mask,
+        weight: w,
+      });
+    }
+    return { state, params, weights };
+  }
+
+  const api = {
+    params,
+    get state() {
+      return state;
+    },
+    mixer,
+    /** The (lower-half) action behind a state or one-shot, for reading its time. */
+    action: (name) =>
+      (stateNodes.get(name) ?? shotNodes.get(name))?.lower ?? null,
+    setTimeScale,
+    play,
+    fire,
+    stop,
+    isPlaying,
+    update,
+    debugInfo,
+  };
+  go(initial, 0);
+  if (stateNodes.has(initial)) stateNodes.get(initial).weight = 1;
+  return api;
+}
+
+function matches(from, state) {
+  if (from === "*") return true;
+  return Array.isArray(from) ? from.includes(state) : from === state;
+}
+
+// Upper / lower halves of a clip by the bone each track drives
+function splitClip(clip, upperBody) {
+  const upper = [];
+  const lower = [];
+  for (const track of clip.tracks) {
+    const { nodeName } = THREE.PropertyBinding.parseTrackName(track.name);
+    (upperBody(nodeName) ? upper : lower).push(track);
+  }
+  return [
+    new THREE.AnimationClip(`${clip.name}:upper`, clip.duration, upper),
+    new THREE.AnimationClip(`${clip.name}:lower`, clip.duration, lower),
+  ];
+}
+
+// ── DEBUG OVERLAY ──
+
+/**
+ * @param {object} opts
+ * @param {() => Array<[string, ReturnType<typeof createAnimGraph> | null]>} opts.getGraphs - label + graph pairs
+ */
+export function createAnimDebugOverlay({ getGraphs }) {
+  const element = document.createElement("div");
+  Object.assign(element.style, {
+    position: "fixed",
+    left: "8px",
+    bottom: "8px",
+    zIndex: "20",
+    padding: "6px 8px",
+    background: "rgba(0, 0, 0, 0.6)",
+    color: "#f4f1e8",
+    font: "11px/1.35 monospace",
+    pointerEvents: "none",
+    whiteSpace: "pre",
+    display: "none",
+  });
+  document.body.appendChild(element);
+  let visible = false;
+
+  const bar = (w) => "█".repeat(Math.round(w * 10)).padEnd(10, "·");
+  const fmt = (v) =>
+    typeof v === "number"
+      ? v.toFixed(2)
+      : typeof v === "boolean"
+        ? v
+          ? "y"
+          : "n"
+        : String(v);
+
+  /** Redraw; once per frame while visible. */
+  function update() {
+    if (!visible) return;
+    const lines = [];
+    for (const [label, graph] of getGraphs()) {
+      if (!graph) continue;
+      const { state, params, weights } = graph.debugInfo();
+      lines.push(`${label}: ${state}`);
+      const p = Object.entries(params)
+        .map(([k, v]) => `${k}=${fmt(v)}`)
+        .join(" ");
+      if (p) lines.push(`  ${p}`);
+      for (const { name, layer, weight } of weights)
+        lines.push(
+          `  ${bar(weight)} ${weight.toFixed(2)} ${layer.padEnd(5)} ${name}`,
+        );
+    }
+    element.textContent = lines.join("\n");
+  }
+
+  return {
+    element,
+    get visible() {
+      return visible;
+    },
+    set visible(on) {
+      visible = on;
+      element.style.display = on ? "" : "none";
+      update();
+    },
+    update,
+    dispose() {
+      element.remove();
+    },
+  };
+}
@@ -0,0 +1,347 @@
+/**
+ * Arrows: ray-stepped projectiles with gravity that stick where they land and can be picked up again.
+ * createArrows({ scene, PARAMS, RAPIER?, physicsWorld?, sampleHeight?, resolveTarget?, raycastTargets? }) →
+ *   { quiver, quiverMax, fire(origin, dir, speed, power, excludeCollider?) → boolean, raycast(origin, dir, maxDist,
+ *   excludeCollider?) → distance | null, update(dt, collectorPos?), clear() }.
+ * Each frame a flying arrow falls (arrowGravityScale × g) and casts a ray over the distance it travels: Rapier
+ * colliders (sensors skipped), the heightmap when sampleHeight is given (terrain mode), and raycastTargets for
+ * things without colliders (deer). The nearest hit wins; the head sinks in and the arrow stays put.
+ * A target (resolveTarget(collider), or raycastTargets' { toi, target }) is shaped like melee.js targets:
+ * { takeDamage(n), knockback?(dirX, dirZ, strength), isDead?(), group?: THREE.Object3D, onArrowHit?(dirX, dirZ) }.
+ * It takes arrowDamage × draw power and the arrow rides on target.group. Arrows in moving bodies follow them;
+ * dynamic bodies get the arrow's momentum.
+ * Stuck arrows within arrowPickupRadius of collectorPos go back into the quiver, except ones in a living target.
+ * The oldest stuck arrow is recycled when all MAX_ARROWS are out.
+ */
+import * as THREE from "three";
+
+const MAX_ARROWS = 40;
+const ARROW_LENGTH = 0.75;
+const TIP_DEPTH = 0.12; // how far the head sinks into what it hits
+const ARROW_MASS = 0.06; // kg, for the impulse on loose bodies
+const FLIGHT_LIFETIME = 8; // s; misses into the sky are dropped
+const GRAVITY = 9.81;
+const TERRAIN_STEP = 0.5;
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+// Shared arrow parts: along +z, the tip at the origin, the shaft trailing back along −z
+function createArrowParts() {
+  const shaftGeo = new THREE.CylinderGeometry(0.008, 0.008, ARROW_LENGTH, 5);
+  shaftGeo.rotateX(Math.PI / 2);
+  shaftGeo.translate(0, 0, -ARROW_LENGTH / 2);
+  const headGeo = new THREE.ConeGeometry(0.018, 0.07, 6);
+  headGeo.rotateX(Math.PI / 2);
+  headGeo.translate(0, 0, -0.035);
+  const vaneGeo = new THREE.PlaneGeometry(0.04, 0.12);
+  vaneGeo.rotateX(Math.PI / 2);
+  vaneGeo.translate(0, 0, -ARROW_LENGTH + 0.08);
+  return {
+    shaftGeo,
+    headGeo,
+    vaneGeo,
+    shaftMat: new THREE.MeshStandardNodeMaterial({
+      color: 0x8a6a45,
+      roughness: 0.8,
+    }),
+    headMat: new THREE.MeshStandardNodeMaterial({
+      color: 0x9aa2aa,
+      roughness: 0.35,
+      metalness: 0.8,
+    }),
+    vaneMat: new THREE.MeshStandardNodeMaterial({
+      color: 0xe8e2d0,
+      roughness: 0.9,
+      side: THREE.DoubleSide,
+    }),
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {THREE.Scene} opts.scene
+ * @param {object} opts.PARAMS
+ * @param {typeof import("@dimforge/rapier3d")} [opts.RAPIER] - With physicsWorld: arrows hit colliders
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @param {(x: number, z: number) => number} [opts.sampleHeight] - Optional. Arrows also land on the heightmap (terrain mode).
+ * @param {(collider: import("@dimforge/rapier3d").Collider) => object | null} [opts.resolveTarget]
+ * @param {(origin: THREE.Vector3, dir: THREE.Vector3, maxDist: number) => { toi: number, target: object } | null} [opts.raycastTargets] - Optional. Targets without colliders.
+ */
+export function createArrows({
+  scene,
+  PARAMS,
+  RAPIER = null,
+  physicsWorld = null,
+  sampleHeight = null,
+  resolveTarget = () => null,
+  raycastTargets = null,
+}) {
+  const parts = createArrowParts();
+  const quiverMax = () => PARAMS.arrowQuiverSize ?? 20;
+  let quiver = quiverMax();
+
+  /** @type {Array<object>} arrows in flight or stuck, oldest first */
+  const live = [];
+  const pool = [];
+
+  const _dir = new THREE.Vector3();
+  const _pos = new THREE.Vector3();
+  const _q = new THREE.Quaternion();
+
+  function makeArrow() {
+    const mesh = new THREE.Group();
+    const shaft = new THREE.Mesh(parts.shaftGeo, parts.shaftMat);
+    const head = new THREE.Mesh(parts.headGeo, parts.headMat);
+    const vaneA = new THREE.Mesh(parts.vaneGeo, parts.vaneMat);
+    const vaneB = new THREE.Mesh(parts.vaneGeo, parts.vaneMat);
+    vaneB.rotation.z = Math.PI / 2;
+    shaft.castShadow = true;
+    mesh.add(shaft, head, vaneA, vaneB);
+    return {
+      mesh,
+      vel: new THREE.Vector3(),
+      flying: false,
+      age: 0,
+      power: 1,
+      exclude: null,
+      target: null,
+      body: null,
+      localPos: new THREE.Vector3(),
+      localQuat: new THREE.Quaternion(),
+    };
+  }
+
+  function release(arrow) {
+    const i = live.indexOf(arrow);
+    if (i >= 0) live.splice(i, 1);
+    arrow.mesh.removeFromParent();
+    arrow.target = null;
+    arrow.body = null;
+    arrow.exclude = null;
+    pool.push(arrow);
+  }
+
+  function acquire() {
+    if (pool.length) return pool.pop();
+    if (live.length < MAX_ARROWS) return makeArrow();
+    const oldest = live.find((a) => !a.flying);
+    if (!oldest) return null;
+    release(oldest);
+    return pool.pop();
+  }
+
+  // ── RAY QUERIES ──
+  function castColliders(origin, dir, maxDist, exclude) {
+    if (!RAPIER || !physicsWorld) return null;
+    const hit = physicsWorld.castRay(
+      new RAPIER.Ray(origin, dir),
+      maxDist,
+      true,
+      RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+      undefined,
+      exclude ?? undefined,
+    );
+    if (!hit) return null;
+    return { toi: hit.timeOfImpact ?? hit.toi, collider: hit.collider };
+  }
+
+  // March along the ray until it goes below the heightmap, then bisect.
+  function castTerrain(origin, dir, maxDist) {
+    if (!sampleHeight) return null;
+    const below = (d) =>
+      origin.y + dir.y * d <=
+      sampleHeight(origin.x + dir.x * d, origin.z + dir.z * d);
+    if (below(0)) return { toi: 0 };
+    for (let prev = 0; prev < maxDist; prev += TERRAIN_STEP) {
+      const d = Math.min(maxDist, prev + TERRAIN_STEP);
+      if (!below(d)) continue;
+      let lo = prev,
+        hi = d;
+      for (let i = 0; i < 6; i++) {
+        const mid = (lo + hi) * 0.5;
+        if (below(mid)) hi = mid;
+        else lo = mid;
+      }
+      return { toi: hi };
+    }
+    return null;
+  }
+
+  // Nearest of colliders, heightmap and collider-less targets
+  function cast(origin, dir, maxDist, exclude) {
+    let best = null;
+    for (const hit of [
+      castColliders(origin, dir, maxDist, exclude),
+      castTerrain(origin, dir, maxDist),
+      raycastTargets?.(origin, dir, maxDist) ?? null,
+    ]) {
+      if (hit && (!best || hit.toi < best.toi)) best = hit;
+    }
+    return best;
+  }
+
+  /**
+   * First thing along a ray (what the reticle points at).
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} dir - unit
+   * @param {number} maxDist
+   * @param {import("@dimforge/rapier3d").Collider} [excludeCollider]
+   * @returns {number | null} distance to the hit
+   */
+  function raycast(origin, dir, maxDist, excludeCollider) {
+    return cast(origin, dir, maxDist, excludeCollider)?.toi ?? null;
+  }
+
+  // ── FLIGHT ──
+  /**
+   * Loose an arrow from the quiver.
+   * @param {THREE.Vector3} origin - where the tip starts
+   * @param {THREE.Vector3} dir - unit launch direction
+   * @param {number} speed - m/s
+   * @param {number} power - draw 0–1, scales damage and knockback
+   * @param {import("@dimforge/rapier3d").Collider} [excludeCollider] - the shooter's own collider
+   * @returns {boolean} false when the quiver is empty
+   */
+  function fire(origin, dir, speed, power, excludeCollider) {
+    if (quiver <= 0) return false;
+    const arrow = acquire();
+    if (!arrow) return false;
+    quiver--;
+    arrow.flying = true;
+    arrow.age = 0;
+    arrow.power = power;
+    arrow.exclude = excludeCollider ?? null;
+    arrow.vel.copy(dir).multiplyScalar(speed);
+    arrow.mesh.position.copy(origin);
+    arrow.mesh.quaternion.setFromUnitVectors(FORWARD, dir);
+    scene.add(arrow.mesh);
+    live.push(arrow);
+    return true;
+  }
+
+  function strike(arrow, hit) {
+    const target =
+      hit.target ?? (hit.collider ? resolveTarget(hit.collider) : null);
+    const vx = arrow.vel.x;
+    const vz = arrow.vel.z;
+    const len = Math.hypot(vx, vz) || 1;
+    if (target && !target.isDead?.()) {
+      target.takeDamage?.(
+        (PARAMS.arrowDamage ?? 25) * (0.3 + 0.7 * arrow.power),
+      );
+      target.knockback?.(
+        vx / len,
+        vz / len,
+        (PARAMS.arrowKnockback ?? 1.5) * arrow.power,
+      );
+      target.onArrowHit?.(vx / len, vz / len);
+    }
+    if (target?.group) {
+      target.group.attach(arrow.mesh);
+      arrow.target = target;
+      return;
+    }
+    const body = hit.collider?.parent();
+    if (!body || body.isFixed()) return;
+    if (body.isDynamic()) {
+      body.applyImpulseAtPoint(
+        {
+          x: arrow.vel.x * ARROW_MASS,
+          y: arrow.vel.y * ARROW_MASS,
+          z: arrow.vel.z * ARROW_MASS,
+        },
+        arrow.mesh.position,
+        true,
+      );
+    }
+    // Ride along in the body's frame
+    const t = body.translation();
+    const r = body.rotation();
+    _q.set(r.x, r.y, r.z, r.w).invert();
+    arrow.localPos
+      .copy(arrow.mesh.position)
+      .sub(_pos.set(t.x, t.y, t.z))
+      .applyQuaternion(_q);
+    arrow.localQuat.copy(_q).multiply(arrow.mesh.quaternion);
+    arrow.body = body;
+  }
+
+  function fly(arrow, dt) {
+    arrow.age += dt;
+    if (arrow.age > FLIGHT_LIFETIME) {
+      release(arrow);
+      return;
+    }
+    arrow.vel.y -= GRAVITY * (PARAMS.arrowGravityScale ?? 1) * dt;
+    const dist = arrow.vel.length() * dt;
+    if (dist < 1e-6) return;
+    _dir.copy(arrow.vel).divideScalar(arrow.vel.length());
+    const pos = arrow.mesh.position;
+    const hit = cast(pos, _dir, dist, arrow.exclude);
+    arrow.mesh.quaternion.setFromUnitVectors(FORWARD, _dir);
+    if (!hit) {
+      pos.addScaledVector(_dir, dist);
+      return;
+    }
+    pos.addScaledVector(_dir, hit.toi + TIP_DEPTH);
+    arrow.flying = false;
+    strike(arrow, hit);
+  }
+
+  function follow(arrow) {
+    const body = arrow.body;
+    if (!body.isValid()) {
+      arrow.body = null; // body removed: stay where it was
+      return;
+    }
+    const t = body.translation();
+    const r = body.rotation();
+    _q.set(r.x, r.y, r.z, r.w);
+    arrow.mesh.position
+      .copy(arrow.localPos)
+      .applyQuaternion(_q)
+      .add(_pos.set(t.x, t.y, t.z));
+    arrow.mesh.quaternion.copy(_q).multiply(arrow.localQuat);
+  }
+
+  /**
+   * Fly, follow and collect. Once per frame.
+   * @param {number} dt
+   * @param {THREE.Vector3} [collectorPos] - the player: picks up stuck arrows in reach
+   */
+  function update(dt, collectorPos) {
+    const reach = PARAMS.arrowPickupRadius ?? 1.2;
+    for (let i = live.length - 1; i >= 0; i--) {
+      const arrow = live[i];
+      if (arrow.flying) {
+        fly(arrow, dt);
+        continue;
+      }
+      if (arrow.body) follow(arrow);
+      if (!collectorPos || quiver >= quiverMax()) continue;
+      if (arrow.target && !arrow.target.isDead?.()) continue;
+      if (arrow.mesh.getWorldPosition(_pos).distanceTo(collectorPos) > reach)
+        continue;
+      release(arrow);
+      quiver++;
+    }
+  }
+
+  /** Drop every arrow and refill the quiver (scene reset). */
+  function clear() {
+    for (let i = live.length - 1; i >= 0; i--) release(live[i]);
+    quiver = quiverMax();
+  }
+
+  return {
+    get quiver() {
+      return quiver;
+    },
+    get quiverMax() {
+      return quiverMax();
+    },
+    fire,
+    raycast,
+    update,
+    clear,
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Bow: hold "aim" for an over-the-shoulder aim with a centre reticle, hold "attack" to draw, release to shoot.
+ * createBow({ PARAMS, input, camera, arrows }) → { aiming, draw, update(dt, canAim, origin, excludeCollider) →
+ *   null | "raise" | "lower" | "fire", framing(playerPos, camYaw, outPivot) → extra camera distance, cancel(), dispose }.
+ * Draw power climbs to 1 over bowDrawTime; a release under MIN_DRAW puts the arrow back. The shot leaves from
+ * origin (the player's shoulder) toward whatever is under the reticle (arrows.raycast from the camera), at
+ * bowMinSpeed…bowMaxSpeed by draw, and flies as an arrows.js projectile.
+ * framing() shifts the camera pivot right of the player and pulls the camera in (bowAimCamDist) while aiming,
+ * eased in and out; the page camera orbits the pivot instead of the player.
+ * player.js runs update() (the aim stance, slow walk, no melee or shield meanwhile).
+ */
+import * as THREE from "three";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const RETICLE_SIZE = 64;
+const RETICLE_COLOR = "#f4f1e8";
+const FULL_DRAW_COLOR = "#ffcf4a";
+const MIN_DRAW = 0.15;
+const AIM_RANGE = 200; // m; past this the reticle points at the horizon
+const AIM_BLEND_SPEED = 10;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {ReturnType<import("./input.js").createInput>} opts.input
+ * @param {THREE.Camera} opts.camera
+ * @param {ReturnType<import("./arrows.js").createArrows>} opts.arrows
+ */
+export function createBow({ PARAMS, input, camera, arrows }) {
+  let aiming = false;
+  let drawing = false;
+  let drawT = 0;
+  let blend = 0; // 0 = normal camera, 1 = over the shoulder
+
+  // ── RETICLE ──
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", RETICLE_SIZE);
+  svg.setAttribute("height", RETICLE_SIZE);
+  svg.setAttribute("viewBox", "-32 -32 64 64");
+  Object.assign(svg.style, {
+    position: "fixed",
+    left: `calc(50% - ${RETICLE_SIZE / 2}px)`,
+    top: `calc(50% - ${RETICLE_SIZE / 2}px)`,
+    zIndex: "15",
+    pointerEvents: "none",
+    display: "none",
+    filter: "drop-shadow(0 0 2px rgba(0, 0, 0, 0.7))",
+  });
+  const dot = document.createElementNS(SVG_NS, "circle");
+  dot.setAttribute("r", "1.5");
+  dot.setAttribute("fill", RETICLE_COLOR);
+  // Closes in on the dot as the string is drawn
+  const ring = document.createElementNS(SVG_NS, "circle");
+  ring.setAttribute("fill", "none");
+  ring.setAttribute("stroke-width", "1.5");
+  const count = document.createElementNS(SVG_NS, "text");
+  count.setAttribute("x", "12");
+  count.setAttribute("y", "28");
+  count.setAttribute("fill", RETICLE_COLOR);
+  count.setAttribute("font-size", "10");
+  count.setAttribute("font-family", "sans-serif");
+  svg.append(ring, dot, count);
+  document.body.appendChild(svg);
+
+  const draw = () =>
+    Math.min(1, drawT / Math.max(0.05, PARAMS.bowDrawTime ?? 0.8));
+
+  function updateReticle() {
+    svg.style.display = aiming ? "" : "none";
+    if (!aiming) return;
+    const d = draw();
+    ring.setAttribute("r", String(22 - 16 * d));
+    ring.setAttribute("stroke", d >= 1 ? FULL_DRAW_COLOR : RETICLE_COLOR);
+    ring.setAttribute("opacity", drawing ? "1" : "0.5");
+    count.textContent = `${arrows.quiver}/${arrows.quiverMax}`;
+  }
+
+  // ── SHOT ──
+  const _camDir = new THREE.Vector3();
+  const _from = new THREE.Vector3();
+  const _aimPoint = new THREE.Vector3();
+  const _dir = new THREE.Vector3();
+
+  // Aim at what's under the reticle, starting the ray level with the shooter (skip what's behind them)
+  function shoot(origin, excludeCollider) {
+    camera.getWorldDirection(_camDir);
+    const skip = Math.max(
+      0,
+      _from.subVectors(origin, camera.position).dot(_camDir),
+    );
+    _from.copy(camera.position).addScaledVector(_camDir, skip);
+    const dist =
+      arrows.raycast(_from, _camDir, AIM_RANGE, excludeCollider) ?? AIM_RANGE;
+    _aimPoint.copy(_from).addScaledVector(_camDir, dist);
+    _dir.subVectors(_aimPoint, origin);
+    // Target right at the shoulder (or behind it): shoot straight down the view instead
+    if (_dir.dot(_camDir) < 0.5) _dir.copy(_camDir);
+    _dir.normalize();
+    const power = draw();
+    const minSpeed = PARAMS.bowMinSpeed ?? 18;
+    const maxSpeed = PARAMS.bowMaxSpeed ?? 45;
+    return arrows.fire(
+      origin,
+      _dir,
+      minSpeed + (maxSpeed - minSpeed) * power,
+      power,
+      excludeCollider,
+    );
+  }
+
+  function lower() {
+    aiming = false;
+    drawing = false;
+    drawT = 0;
+    return "lower";
+  }
+
+  /**
+   * Read the aim / draw buttons. Once per frame, before the player animates.
+   * @param {number} dt
+   * @param {boolean} canAim - false while attacking, blocking, rolling…
+   * @param {THREE.Vector3} origin - where arrows leave (the player's shoulder)
+   * @param {import("@dimforge/rapier3d").Collider} [excludeCollider] - the shooter's own collider
+   * @returns {null | "raise" | "lower" | "fire"} stance change or shot this frame
+   */
+  function update(dt, canAim, origin, excludeCollider) {
+    const want = (PARAMS.bowEnabled ?? true) && canAim && input.isDown("aim");
+    blend += ((want ? 1 : 0) - blend) * Math.min(1, AIM_BLEND_SPEED * dt);
+    let event = null;
+    if (!want) {
+      if (aiming) event = lower();
+    } else if (!aiming) {
+      aiming = true;
+      event = "raise";
+    } else if (input.isDown("attack") && (drawing || arrows.quiver > 0)) {
+      drawing = true;
+      drawT += dt;
+    } else if (drawing) {
+      const shot = draw() >= MIN_DRAW && shoot(origin, excludeCollider);
+      drawing = false;
+      drawT = 0;
+      if (shot) event = "fire";
+    }
+    updateReticle();
+    return event;
+  }
+
+  /**
+   * Over-the-shoulder camera: the pivot to orbit and look at, and how much closer to sit.
+   * @param {THREE.Vector3} playerPos
+   * @param {number} camYaw - forward = (sin, cos); the shoulder is to the camera's right
+   * @param {THREE.Vector3} outPivot - written
+   * @returns {number} extra camera distance (negative while aiming, 0 when not)
+   */
+  function framing(playerPos, camYaw, outPivot) {
+    outPivot.copy(playerPos);
+    if (blend < 1e-3) return 0;
+    const side = (PARAMS.bowShoulderOffset ?? 0.6) * blend;
+    outPivot.x -= Math.cos(camYaw) * side;
+    outPivot.z += Math.sin(camYaw) * side;
+    outPivot.y += (PARAMS.bowShoulderHeight ?? 0.3) * blend;
+    return ((PARAMS.bowAimCamDist ?? 2.2) - PARAMS.camDist) * blend;
+  }
+
+  /** Lower the bow without an event, camera straight back (teleport, climbing, swimming…). */
+  function cancel() {
+    lower();
+    blend = 0;
+    updateReticle();
+  }
+
+  function dispose() {
+    svg.remove();
+  }
+
+  return {
+    get aiming() {
+      return aiming;
+    },
+    get draw() {
+      return draw();
+    },
+    update,
+    framing,
+    cancel,
+    dispose,
+  };
+}
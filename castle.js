@@ -1,5 +1,7 @@
 /**
  * Castle overworld ↔ interior transition: door trigger, overlay, spawn positions.
+ * Entering autosaves through opts.onEnter (save-system.js) before leaving the page; the "castle" save section
+ * (saveState / loadState) remembers that, so the next overworld load puts the player back outside the door.
  */
 import * as THREE from "three";
 
@@ -9,15 +11,19 @@ export const DOOR_TRIGGER_RADIUS = 3.0;
 
 /**
  * @param {object} PARAMS
+ * @param {{ onEnter?: () => Promise<unknown>, teleport?: (x: number, y: number, z: number) => void, sampleHeight?: (x: number, z: number) => number }} [opts]
  * @returns {{
  *   getDoorTriggerPos: (sampleHeight: (x: number, z: number) => number) => THREE.Vector3,
  *   getOverworldSpawn: (sampleHeight: (x: number, z: number) => number) => THREE.Vector3,
- *   checkCastleDoor: (playerPos: THREE.Vector3, keys: object, castleExteriorGroup: THREE.Group | null, PARAMS: object, sampleHeight: (x: number, z: number) => number) => void
+ *   checkCastleDoor: (playerPos: THREE.Vector3, input: { consume: (action: string) => boolean, getBindings: (action: string) => string[], describeBinding: (binding: string) => string }, castleExteriorGroup: THREE.Group | null, PARAMS: object, sampleHeight: (x: number, z: number) => number) => void,
+ *   saveState: () => { inside: boolean },
+ *   loadState: (data: { inside: boolean }) => void
  * }}
  */
-export function createCastleSystem(PARAMS) {
+export function createCastleSystem(PARAMS, opts = {}) {
   const overlay = document.getElementById("transition-overlay");
   const prompt = document.getElementById("castle-prompt");
+  let entering = false;
 
   function getDoorTriggerPos(sampleHeight) {
     return new THREE.Vector3(
@@ -35,30 +41,52 @@ export function createCastleSystem(PARAMS) {
     );
   }
 
-  function checkCastleDoor(playerPos, keys, castleExteriorGroup, PARAMS, sampleHeight) {
+  function checkCastleDoor(playerPos, input, castleExteriorGroup, PARAMS, sampleHeight) {
     if (!castleExteriorGroup || !PARAMS.showCastle) return;
     const doorPos = getDoorTriggerPos(sampleHeight);
     const dist = playerPos.distanceTo(doorPos);
     if (overlay && prompt) {
       if (dist < DOOR_TRIGGER_RADIUS) {
-        prompt.innerHTML = `Press <span style="background: rgba(255,200,80,0.2); border: 1px solid rgba(255,200,80,0.4); border-radius: 3px; padding: 1px 6px; font-weight: bold;">E</span> to enter`;
+        const key = input.getBindings("interact").map(input.describeBinding).join(" / ");
+        prompt.innerHTML = `Press <span style="background: rgba(255,200,80,0.2); border: 1px solid rgba(255,200,80,0.4); border-radius: 3px; padding: 1px 6px; font-weight: bold;">${key}</span> to enter`;
         prompt.style.opacity = "1";
-        if (keys.e) {
-          keys.e = false;
-          overlay.style.opacity = "1";
-          setTimeout(() => {
-            window.location.href = "castle-interior.html";
-          }, 500);
-        }
+        if (input.consume("interact") && !entering) enterInterior();
       } else {
         prompt.style.opacity = "0";
       }
     }
   }
 
+  function enterInterior() {
+    entering = true;
+    overlay.style.opacity = "1";
+    const fade = new Promise((resolve) => setTimeout(resolve, 500));
+    // Don't hang on a stuck save: leave after at most 2 s either way.
+    const saved = Promise.race([
+      Promise.resolve(opts.onEnter?.()),
+      new Promise((resolve) => setTimeout(resolve, 2000)),
+    ]);
+    Promise.all([fade, saved]).finally(() => {
+      window.location.href = "castle-interior.html";
+    });
+  }
+
+  // Save-game section: true while the player is inside (set just before the autosave on entering)
+  function saveState() {
+    return { inside: entering };
+  }
+
+  function loadState(data) {
+    if (!data.inside || !opts.teleport || !opts.sampleHeight) return;
+    const spawn = getOverworldSpawn(opts.sampleHeight);
+    opts.teleport(spawn.x, spawn.y, spawn.z);
+  }
+
   return {
     getDoorTriggerPos,
     getOverworldSpawn,
     checkCastleDoor,
+    saveState,
+    loadState,
   };
 }
@@ -0,0 +1,128 @@
+/**
+ * Shared character assets: each character GLB is fetched and parsed once, and every character gets its own
+ * skeleton clone of it (SkeletonUtils) sharing the geometry, materials and animation clips.
+ * loadCharacter(url, opts?) → Promise<{ scene, animations }> (gltf-shaped: scene is this character's clone);
+ * compileCharacters(renderer, scene, camera, model) → Promise; gltfLoader (shared, Draco-enabled); CHARACTER_GLB.
+ * Materials are converted to MeshStandardNodeMaterial once per GLB. opts.tint { color, amount } swaps in a tinted
+ * variant (amount 0…1 toward color, texture kept), made once per GLB and tint and shared by everyone wearing it.
+ * compileCharacters() runs one renderer.compileAsync for all the characters that load in a frame, deferred to the
+ * next frame (compiling from a load callback can run mid-render and trip WebGPU), and skips characters whose
+ * materials were compiled successfully before.
+ */
+import * as THREE from "three";
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
+import * as SkeletonUtils from "three/addons/utils/SkeletonUtils.js";
+
+export const CHARACTER_GLB =
+  "models/AnimationLibrary_Godot_Standard-transformed.glb";
+const DRACO_URL = "https://www.gstatic.com/draco/versioned/decoders/1.5.6/";
+
+const draco = new DRACOLoader();
+draco.setDecoderPath(DRACO_URL);
+export const gltfLoader = new GLTFLoader();
+gltfLoader.setDRACOLoader(draco);
+
+const sources = new Map(); // url → Promise<{ scene, animations, variants }>
+const compiled = new WeakSet(); // materials already through compileAsync
+let compileQueued = null; // next frame's compileAsync, until it starts
+
+function toNodeMaterial(m) {
+  if (m.isNodeMaterial) return m;
+  return new THREE.MeshStandardNodeMaterial({
+    color: m.color?.getHex?.() ?? 0x888888,
+    roughness: m.roughness ?? 0.5,
+    metalness: m.metalness ?? 0,
+    map: m.map || null,
+  });
+}
+
+// The parsed GLB, made ready to clone: shadows on, node materials
+function loadSource(url) {
+  let source = sources.get(url);
+  if (source) return source;
+  source = gltfLoader.loadAsync(url).then((gltf) => {
+    gltf.scene.traverse((o) => {
+      if (!o.isMesh) return;
+      o.castShadow = true;
+      o.receiveShadow = true;
+      if (o.material) o.material = toNodeMaterial(o.material);
+    });
+    return {
+      scene: gltf.scene,
+      animations: gltf.animations ?? [],
+      variants: new Map(), // tint key → Map(material → tinted material)
+    };
+  });
+  // A failed download may be retried by the next character
+  source.catch(() => sources.delete(url));
+  sources.set(url, source);
+  return source;
+}
+
+function tinted(source, { color, amount = 0.5 }) {
+  const key = `${color}:${amount}`;
+  let variant = source.variants.get(key);
+  if (!variant) {
+    variant = new Map();
+    source.variants.set(key, variant);
+  }
+  // Mixed in sRGB, like the hex colours it comes from
+  const tint = new THREE.Color(color).convertLinearToSRGB();
+  return (m) => {
+    let t = variant.get(m);
+    if (!t) {
+      t = m.clone();
+      t.color.convertLinearToSRGB().lerp(tint, amount).convertSRGBToLinear();
+      variant.set(m, t);
+    }
+    return t;
+  };
+}
+
+/**
+ * A character of its own from a (once-loaded) GLB.
+ * @param {string} [url] - defaults to CHARACTER_GLB
+ * @param {{ tint?: { color: number, amount?: number } }} [opts]
+ * @returns {Promise<{ scene: THREE.Object3D, animations: THREE.AnimationClip[] }>} scene = a skeleton clone; the clips are shared
+ */
+export async function loadCharacter(url = CHARACTER_GLB, opts = {}) {
+  const source = await loadSource(url);
+  const scene = SkeletonUtils.clone(source.scene);
+  if (opts.tint) {
+    const tint = tinted(source, opts.tint);
+    scene.traverse((o) => {
+      if (o.isMesh && o.material) o.material = tint(o.material);
+    });
+  }
+  return { scene, animations: source.animations };
+}
+
+/**
+ * Build the GPU pipelines for a character that was just added to the scene; characters arriving in the same frame
+ * share one compileAsync.
+ * @param {THREE.WebGPURenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {THREE.Object3D} model
+ * @returns {Promise<void>}
+ */
+export function compileCharacters(renderer, scene, camera, model) {
+  const fresh = [];
+  model.traverse((o) => {
+    if (o.isMesh && o.material && !compiled.has(o.material)) fresh.push(o.material);
+  });
+  if (!fresh.length) return Promise.resolve();
+  // Characters that arrive once it has started queue the next one
+  if (!compileQueued) {
+    const nextFrame = new Promise((resolve) => requestAnimationFrame(resolve));
+    compileQueued = nextFrame.then(() => {
+      compileQueued = null;
+      return renderer.compileAsync(scene, camera);
+    });
+  }
+  // Only a compile that went through counts; after a failure the next character retries them
+  return compileQueued.then(() => {
+    for (const m of fresh) compiled.add(m);
+  });
+}
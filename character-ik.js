@@ -0,0 +1,377 @@
+/**
+ * Foot and hand IK for the shared character rig (player, NPCs, enemies): feet stand on the ground under them instead
+ * of the height under the capsule's centre, hands grip a ledge.
+ * createCharacterIK({ model, PARAMS?, probe?, RAPIER?, physicsWorld?, getExcludeCollider?, bones? }) →
+ *   { update(dt, { grounded, hands? }), reset() }.
+ * solveTwoBone(upper, mid, end, target, bend?, weight?) is the analytic two-bone solver underneath.
+ * update() runs after the mixer, on the pose it just wrote. On foot (grounded) it probes the ground below the hips
+ * and below each foot: the hips drop by the lower foot's step down (at most footIkMaxDrop), both legs bend so each
+ * foot lands that far above its own ground as the animation had it above the centre's, and planted feet tilt to
+ * the surface normal (up to footIkMaxAngle degrees). hands: { left, right } world wrist targets (a ledge edge) pull
+ * the arms there. Everything fades in and out (footIkSpeed), so leaving the ground or letting go never pops.
+ * probe(origin, dir, maxDist) → { point, normal } | null is climbing.js's surface ray; without one, RAPIER +
+ * physicsWorld rays are cast (sensors and getExcludeCollider() skipped). With neither the feet stay as animated.
+ * The mixer only writes a bone whose animated value changed, so a held pose would keep last frame's IK and bend
+ * further each frame: update() puts the animated value back first wherever the mixer left its result alone.
+ */
+import * as THREE from "three";
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+const PROBE_BELOW = 1.2; // m under the hips' ground searched for a foot's ground
+const PLANT_LIFT = [0.12, 0.3]; // ankle height over the ground: fully planted → fully lifted (no tilt)
+
+// Sanitised GLTF names of the UAL rig (GLTFLoader drops the dots)
+const DEFAULT_BONES = {
+  hips: "DEF-hips",
+  thighL: "DEF-thighL",
+  shinL: "DEF-shinL",
+  footL: "DEF-footL",
+  thighR: "DEF-thighR",
+  shinR: "DEF-shinR",
+  footR: "DEF-footR",
+  upperArmL: "DEF-upper_armL",
+  forearmL: "DEF-forearmL",
+  handL: "DEF-handL",
+  upperArmR: "DEF-upper_armR",
+  forearmR: "DEF-forearmR",
+  handR: "DEF-handR",
+};
+
+const _pa = new THREE.Vector3();
+const _pb = new THREE.Vector3();
+const _pc = new THREE.Vector3();
+const _t = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+const _ab = new THREE.Vector3();
+const _ba = new THREE.Vector3();
+const _bc = new THREE.Vector3();
+const _at = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _qa = new THREE.Quaternion();
+const _qb = new THREE.Quaternion();
+const _qr = new THREE.Quaternion();
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Turn a bone by `angle` about a world-space axis, whatever its parents' rotation (worldQ = its world rotation)
+function rotateWorld(bone, worldQ, axis, angle) {
+  _local.copy(axis).applyQuaternion(_qr.copy(worldQ).invert());
+  bone.quaternion.multiply(_qr.setFromAxisAngle(_local, angle));
+}
+
+/**
+ * Bend upper → mid → end so end reaches target (analytic, keeps the current bend plane).
+ * @param {THREE.Object3D} upper - thigh / upper arm
+ * @param {THREE.Object3D} mid - shin / forearm
+ * @param {THREE.Object3D} end - foot / hand (only moved, not turned)
+ * @param {THREE.Vector3} target - world position for end
+ * @param {THREE.Vector3} [bend] - world direction the joint bends toward when the limb is straight (knees forward)
+ * @param {number} [weight] - 0 = as animated, 1 = on target
+ */
+export function solveTwoBone(upper, mid, end, target, bend, weight = 1) {
+  if (weight <= 0) return;
+  upper.updateWorldMatrix(true, true);
+  upper.getWorldPosition(_pa);
+  mid.getWorldPosition(_pb);
+  end.getWorldPosition(_pc);
+  _t.copy(_pc).lerp(target, clamp(weight, 0, 1));
+
+  const l1 = _pa.distanceTo(_pb);
+  const l2 = _pb.distanceTo(_pc);
+  const eps = 1e-3;
+  const d = clamp(_pa.distanceTo(_t), Math.abs(l1 - l2) + eps, l1 + l2 - eps);
+
+  _ac.subVectors(_pc, _pa).normalize();
+  _ab.subVectors(_pb, _pa).normalize();
+  _ba.copy(_ab).negate();
+  _bc.subVectors(_pc, _pb).normalize();
+  const a0 = Math.acos(clamp(_ac.dot(_ab), -1, 1));
+  const b0 = Math.acos(clamp(_ba.dot(_bc), -1, 1));
+  const a1 = Math.acos(
+    clamp((l1 * l1 + d * d - l2 * l2) / (2 * l1 * d), -1, 1),
+  );
+  const b1 = Math.acos(
+    clamp((l1 * l1 + l2 * l2 - d * d) / (2 * l1 * l2), -1, 1),
+  );
+
+  _axis.crossVectors(_ac, _ab);
+  if (_axis.lengthSq() < 1e-8 && bend) _axis.crossVectors(_ac, bend);
+  if (_axis.lengthSq() < 1e-8) return;
+  _axis.normalize();
+
+  // Open / close the joint to length d (both world rotations from before either turn)
+  upper.getWorldQuaternion(_qa);
+  mid.getWorldQuaternion(_qb);
+  rotateWorld(upper, _qa, _axis, a1 - a0);
+  rotateWorld(mid, _qb, _axis, b1 - b0);
+
+  // Then swing the whole limb from upper so end points at the target
+  upper.updateWorldMatrix(false, true);
+  end.getWorldPosition(_pc);
+  _ac.subVectors(_pc, _pa).normalize();
+  _at.subVectors(_t, _pa).normalize();
+  _axis.crossVectors(_ac, _at);
+  const len = _axis.length();
+  if (len < 1e-6) return;
+  _axis.divideScalar(len);
+  upper.getWorldQuaternion(_qa);
+  rotateWorld(upper, _qa, _axis, Math.acos(clamp(_ac.dot(_at), -1, 1)));
+  upper.updateWorldMatrix(false, true);
+}
+
+/**
+ * @param {object} opts
+ * @param {THREE.Object3D} opts.model - the loaded character (gltf.scene)
+ * @param {object} [opts.PARAMS] - footIkEnabled, footIkMaxDrop, footIkMaxAngle, footIkSpeed, handIkEnabled
+ * @param {(origin: THREE.Vector3, dir: THREE.Vector3, maxDist: number) => ({ point: THREE.Vector3, normal: THREE.Vector3 } | null)} [opts.probe]
+ * @param {typeof import("@dimforge/rapier3d")} [opts.RAPIER]
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @param {() => import("@dimforge/rapier3d").Collider | undefined} [opts.getExcludeCollider] - the character's own collider
+ * @param {Partial<typeof DEFAULT_BONES>} [opts.bones] - bone names for another rig
+ */
+export function createCharacterIK(opts) {
+  const { model, RAPIER, physicsWorld } = opts;
+  const PARAMS = opts.PARAMS ?? {};
+  const getExclude = opts.getExcludeCollider ?? (() => undefined);
+  const names = { ...DEFAULT_BONES, ...opts.bones };
+  const bone = {};
+  for (const [key, name] of Object.entries(names))
+    bone[key] = model.getObjectByName(name) ?? null;
+  const hasLegs = [
+    "hips",
+    "thighL",
+    "shinL",
+    "footL",
+    "thighR",
+    "shinR",
+    "footR",
+  ].every((k) => bone[k]);
+  const hasArms = [
+    "upperArmL",
+    "forearmL",
+    "handL",
+    "upperArmR",
+    "forearmR",
+    "handR",
+  ].every((k) => bone[k]);
+  if (!hasLegs)
+    console.warn("Character IK: leg bones not found, feet stay as animated");
+
+  // ── GROUND ──
+  const _origin = new THREE.Vector3();
+  const _hit = { point: new THREE.Vector3(), normal: new THREE.Vector3() };
+  const probe =
+    opts.probe ??
+    (RAPIER && physicsWorld
+      ? (origin, dir, maxDist) => {
+          const hit = physicsWorld.castRayAndGetNormal(
+            new RAPIER.Ray(origin, dir),
+            maxDist,
+            true,
+            RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+            undefined,
+            getExclude(),
+          );
+          if (!hit) return null;
+          const toi = hit.timeOfImpact ?? hit.toi;
+          _hit.point.copy(origin).addScaledVector(dir, toi);
+          _hit.normal.set(hit.normal.x, hit.normal.y, hit.normal.z);
+          return _hit;
+        }
+      : null);
+
+  // Ground straight below x, z from height y; null when nothing is within maxDist
+  function groundBelow(x, y, z, maxDist, outNormal) {
+    if (!probe) return null;
+    const hit = probe(_origin.set(x, y, z), DOWN, maxDist);
+    if (!hit) return null;
+    outNormal?.copy(hit.normal);
+    return hit.point.y;
+  }
+
+  // ── RESTORE ──
+  // Animated value + what IK left, per bone touched; see the header on why
+  const touched = new Map();
+  function remember(b) {
+    if (!touched.has(b))
+      touched.set(b, {
+        pose: new THREE.Quaternion(),
+        ik: new THREE.Quaternion(),
+        posePos: new THREE.Vector3(),
+        ikPos: new THREE.Vector3(),
+        active: false,
+      });
+    const s = touched.get(b);
+    s.pose.copy(b.quaternion);
+    s.posePos.copy(b.position);
+    s.active = true;
+  }
+  function restoreUntouchedByMixer() {
+    for (const [b, s] of touched) {
+      if (!s.active) continue;
+      if (b.quaternion.equals(s.ik)) b.quaternion.copy(s.pose);
+      if (b.position.equals(s.ikPos)) b.position.copy(s.posePos);
+      s.active = false;
+    }
+  }
+  function noteResults() {
+    for (const [b, s] of touched) {
+      if (!s.active) continue;
+      s.ik.copy(b.quaternion);
+      s.ikPos.copy(b.position);
+    }
+  }
+
+  // ── FEET ──
+  let footW = 0;
+  let handW = 0;
+  let pelvis = 0; // m the hips are lowered (≤ 0)
+  const legs = [
+    { thigh: bone.thighL, shin: bone.shinL, foot: bone.footL, lift: 0 },
+    { thigh: bone.thighR, shin: bone.shinR, foot: bone.footR, lift: 0 },
+  ].map((leg) => ({
+    ...leg,
+    pos: new THREE.Vector3(),
+    target: new THREE.Vector3(),
+    normal: new THREE.Vector3(0, 1, 0),
+    animQ: new THREE.Quaternion(), // foot's animated world rotation
+    ground: null,
+    step: 0, // smoothed ground height under the foot relative to the hips' ground
+  }));
+  const _hipsPos = new THREE.Vector3();
+  const _forward = new THREE.Vector3();
+  const _tilt = new THREE.Quaternion();
+  const _parentQ = new THREE.Quaternion();
+  const _normal = new THREE.Vector3();
+
+  function solveFeet(dt) {
+    const k = Math.min(1, (PARAMS.footIkSpeed ?? 12) * dt);
+    const maxDrop = PARAMS.footIkMaxDrop ?? 0.45;
+    bone.hips.getWorldPosition(_hipsPos);
+    const hipsH = _hipsPos.y - model.getWorldPosition(_origin).y;
+    const centre = groundBelow(
+      _hipsPos.x,
+      _hipsPos.y,
+      _hipsPos.z,
+      hipsH + PROBE_BELOW,
+    );
+    let drop = 0;
+    for (const leg of legs) {
+      leg.foot.getWorldPosition(leg.pos);
+      leg.foot.getWorldQuaternion(leg.animQ);
+      const g =
+        centre == null
+          ? null
+          : groundBelow(
+              leg.pos.x,
+              _hipsPos.y,
+              leg.pos.z,
+              hipsH + PROBE_BELOW,
+              _normal,
+            );
+      // A foot's ground above the hips' (a step up) or below it (down a slope), within reach
+      let step = g == null ? 0 : g - centre;
+      if (step > hipsH * 0.5 || step < -maxDrop) step = 0;
+      leg.step += (step - leg.step) * k;
+      leg.normal.lerp(g == null ? UP : _normal, k).normalize();
+      leg.lift = centre == null ? Infinity : leg.pos.y - centre;
+      drop = Math.min(drop, leg.step);
+    }
+    pelvis += (Math.max(-maxDrop, drop) - pelvis) * k;
+
+    const w = footW;
+    remember(bone.hips);
+    _origin.copy(_hipsPos).setY(_hipsPos.y + pelvis * w);
+    bone.hips.parent.updateWorldMatrix(true, false);
+    bone.hips.position.copy(bone.hips.parent.worldToLocal(_origin));
+    bone.hips.updateWorldMatrix(false, true);
+
+    model.getWorldDirection(_forward);
+    const maxAngle = THREE.MathUtils.degToRad(PARAMS.footIkMaxAngle ?? 30);
+    for (const leg of legs) {
+      remember(leg.thigh);
+      remember(leg.shin);
+      remember(leg.foot);
+      // Same XZ as animated; as high over its own ground as it was over the centre's
+      leg.target.copy(leg.pos).setY(leg.pos.y + leg.step * w);
+      solveTwoBone(leg.thigh, leg.shin, leg.foot, leg.target, _forward, 1);
+
+      // The foot keeps its animated world rotation (bending the knee must not turn it); planted, it tilts onto
+      // the surface
+      const plant =
+        1 - THREE.MathUtils.smoothstep(leg.lift, PLANT_LIFT[0], PLANT_LIFT[1]);
+      _tilt.setFromUnitVectors(UP, leg.normal);
+      const angle = 2 * Math.acos(clamp(_tilt.w, -1, 1));
+      const keep = angle > maxAngle ? maxAngle / angle : 1;
+      _tilt.slerp(_qr.identity(), 1 - keep * plant * w);
+      leg.foot.parent.getWorldQuaternion(_parentQ);
+      leg.foot.quaternion.copy(
+        _parentQ.invert().multiply(_tilt.multiply(leg.animQ)),
+      );
+      leg.foot.updateWorldMatrix(false, true);
+    }
+  }
+
+  // ── HANDS ──
+  const arms = [
+    { upper: bone.upperArmL, fore: bone.forearmL, hand: bone.handL },
+    { upper: bone.upperArmR, fore: bone.forearmR, hand: bone.handR },
+  ].map((arm) => ({ ...arm, target: new THREE.Vector3() }));
+  let handsSet = false;
+
+  function solveHands(hands) {
+    if (hands) {
+      arms[0].target.copy(hands.left);
+      arms[1].target.copy(hands.right);
+      handsSet = true;
+    }
+    if (!handsSet) return;
+    for (const arm of arms) {
+      remember(arm.upper);
+      remember(arm.fore);
+      solveTwoBone(arm.upper, arm.fore, arm.hand, arm.target, DOWN, handW);
+    }
+  }
+
+  /**
+   * Bend the pose the mixer just wrote. Once per frame, right after the animation update.
+   * @param {number} dt
+   * @param {{ grounded?: boolean, hands?: { left: THREE.Vector3, right: THREE.Vector3 } | null }} [state]
+   *   grounded: on foot (not jumping, climbing, swimming…); hands: wrist targets while gripping
+   */
+  function update(dt, state = {}) {
+    restoreUntouchedByMixer();
+    const k = Math.min(1, (PARAMS.footIkSpeed ?? 12) * dt);
+    const feetOn =
+      hasLegs && !!probe && !!state.grounded && (PARAMS.footIkEnabled ?? true);
+    const handsOn = hasArms && !!state.hands && (PARAMS.handIkEnabled ?? true);
+    footW += ((feetOn ? 1 : 0) - footW) * k;
+    handW += ((handsOn ? 1 : 0) - handW) * k;
+    if (footW < 1e-3 && !feetOn) {
+      footW = 0;
+      pelvis = 0;
+      for (const leg of legs) leg.step = 0;
+    }
+    if (handW < 1e-3 && !handsOn) handW = 0;
+    if (footW === 0 && handW === 0) return;
+
+    model.updateWorldMatrix(true, true);
+    if (footW > 0) solveFeet(dt);
+    if (handW > 0) solveHands(handsOn ? state.hands : null);
+    noteResults();
+  }
+
+  /** Drop all IK at once (teleport, respawn): the next update starts from the plain animation. */
+  function reset() {
+    restoreUntouchedByMixer();
+    footW = 0;
+    handW = 0;
+    pelvis = 0;
+    handsSet = false;
+    for (const leg of legs) leg.step = 0;
+  }
+
+  return { update, reset };
+}
@@ -0,0 +1,367 @@
+/**
+ * Free climbing (BotW-style) on steep heightmap terrain and on Rapier colliders marked climbable.
+ * Exports markClimbable(collider), isMarkedClimbable(collider), createClimbing(opts) → climbing.
+ * A surface is climbable when it is steeper than PARAMS.climbSlideAngle (degrees from horizontal) and is either
+ * the heightmap (opts.sampleHeight), a Rapier heightfield, or a collider passed to markClimbable.
+ * climbing = { active, mode, position, normal, tryAttach(forward), tryLedgeMantle(forward, maxRise),
+ *   update(dt, controls) → event, cancel(), probe }. Call update() every frame (it ticks the regrab cooldown).
+ * Modes: "hang" (moving along the surface), "jump" (climb jump), "mantle" (pulling over the top edge).
+ * update() returns null or an event: "jump" | "mantle" | "top" (mantle done, standing) | "fall" (let go / lost grip).
+ * Climb movement and climb jumps cost stamina (stamina.js "climb" drain, "climbJump" cost); running dry = fall.
+ * The caller owns the body: it copies climbing.position into the kinematic body each frame; during "jump" and
+ * "mantle" it should move there through the character controller and write the reached point back into position.
+ */
+import * as THREE from "three";
+
+const climbableHandles = new Set();
+
+/** Mark a Rapier collider's steep faces as climbable (walls, towers, cliffs built from trimeshes / boxes). */
+export function markClimbable(collider) {
+  if (collider) climbableHandles.add(collider.handle);
+  return collider;
+}
+
+export function isMarkedClimbable(collider) {
+  return !!collider && climbableHandles.has(collider.handle);
+}
+
+const UP = new THREE.Vector3(0, 1, 0);
+const DOWN = new THREE.Vector3(0, -1, 0);
+const TERRAIN_STEP = 0.05;
+const NORMAL_EPS = 0.25;
+const SKIN = 0.04;
+const REGRAB_COOLDOWN = 0.35;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {THREE.Vector3} opts.charPos - capsule centre (read; climbing writes its own copy in .position)
+ * @param {number} opts.capR
+ * @param {number} opts.capHalfH
+ * @param {(x: number, z: number) => number} [opts.sampleHeight] - heightmap (terrain mode)
+ * @param {object} [opts.RAPIER]
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @param {() => import("@dimforge/rapier3d").Collider} [opts.getExcludeCollider] - the player's collider
+ * @param {ReturnType<import("./stamina.js").createStamina>} [opts.stamina]
+ */
+export function createClimbing(opts) {
+  const { PARAMS, charPos, capR, capHalfH, sampleHeight, RAPIER, physicsWorld } = opts;
+  const getExclude = opts.getExcludeCollider ?? (() => undefined);
+  const stamina = opts.stamina;
+
+  const position = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const _up = new THREE.Vector3();
+  const _right = new THREE.Vector3();
+  const _next = new THREE.Vector3();
+  const _into = new THREE.Vector3();
+  const _origin = new THREE.Vector3();
+  const _smoothed = new THREE.Vector3();
+
+  let mode = null; // null | "hang" | "jump" | "mantle"
+  let t = 0;
+  let duration = 0;
+  const from = new THREE.Vector3();
+  const to = new THREE.Vector3();
+  let cooldown = 0;
+
+  const slideCos = () => Math.cos(((PARAMS.climbSlideAngle ?? 50) * Math.PI) / 180);
+  const isSteep = (n) => n.y < slideCos() && n.y > -0.5;
+  const isWalkable = (n) => n.y >= slideCos();
+
+  // ── SURFACE PROBES ──
+  function terrainNormal(x, z, out) {
+    const hL = sampleHeight(x - NORMAL_EPS, z);
+    const hR = sampleHeight(x + NORMAL_EPS, z);
+    const hD = sampleHeight(x, z - NORMAL_EPS);
+    const hU = sampleHeight(x, z + NORMAL_EPS);
+    return out.set(hL - hR, 2 * NORMAL_EPS, hD - hU).normalize();
+  }
+
+  // March along the ray until it goes below the heightmap, then bisect.
+  function probeTerrain(origin, dir, maxDist) {
+    const below = (d) =>
+      origin.y + dir.y * d <= sampleHeight(origin.x + dir.x * d, origin.z + dir.z * d);
+    if (below(0)) return null;
+    let prev = 0;
+    for (let d = TERRAIN_STEP; d <= maxDist + 1e-6; d += TERRAIN_STEP) {
+      if (!below(d)) {
+        prev = d;
+        continue;
+      }
+      let lo = prev,
+        hi = d;
+      for (let i = 0; i < 5; i++) {
+        const mid = (lo + hi) * 0.5;
+        if (below(mid)) hi = mid;
+        else lo = mid;
+      }
+      const x = origin.x + dir.x * hi;
+      const z = origin.z + dir.z * hi;
+      const n = terrainNormal(x, z, new THREE.Vector3());
+      return {
+        point: new THREE.Vector3(x, sampleHeight(x, z), z),
+        normal: n,
+        distance: hi,
+        climbable: isSteep(n),
+      };
+    }
+    return null;
+  }
+
+  function probeColliders(origin, dir, maxDist) {
+    if (!RAPIER || !physicsWorld) return null;
+    const ray = new RAPIER.Ray(origin, dir);
+    const hit = physicsWorld.castRayAndGetNormal(
+      ray,
+      maxDist,
+      true,
+      undefined,
+      undefined,
+      getExclude(),
+    );
+    if (!hit) return null;
+    const collider = hit.collider;
+    const n = new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z);
+    const toi = hit.timeOfImpact ?? hit.toi;
+    const heightfield =
+      RAPIER.ShapeType && collider?.shapeType?.() === RAPIER.ShapeType.HeightField;
+    return {
+      point: origin.clone().addScaledVector(dir, toi),
+      normal: n,
+      distance: toi,
+      climbable: (heightfield || isMarkedClimbable(collider)) && isSteep(n),
+    };
+  }
+
+  /**
+   * Nearest surface along a ray (heightmap or colliders).
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} dir - unit
+   * @param {number} maxDist
+   * @returns {{ point: THREE.Vector3, normal: THREE.Vector3, distance: number, climbable: boolean } | null}
+   */
+  function probe(origin, dir, maxDist) {
+    const h = sampleHeight ? probeTerrain(origin, dir, maxDist) : null;
+    const c = probeColliders(origin, dir, h ? h.distance : maxDist);
+    return c && (!h || c.distance < h.distance) ? c : h;
+  }
+
+  function snapToSurface(point, n) {
+    normal.copy(n);
+    position.copy(point).addScaledVector(n, capR + SKIN);
+  }
+
+  /**
+   * Grab a steep surface in front of the player (walking or falling into it).
+   * @param {THREE.Vector3} forward - horizontal facing direction (unit)
+   * @returns {boolean} attached
+   */
+  function tryAttach(forward) {
+    if (mode || cooldown > 0 || !(PARAMS.climbEnabled ?? true)) return false;
+    if (stamina?.isExhausted()) return false;
+    const reach = capR + (PARAMS.climbReach ?? 0.35);
+    // Low (lower sphere) and chest probes: either grabbing a steep face is enough.
+    for (const dy of [-capHalfH, capHalfH * 0.5]) {
+      _origin.set(charPos.x, charPos.y + dy, charPos.z);
+      const hit = probe(_origin, forward, reach);
+      if (!hit?.climbable || hit.normal.dot(forward) > -0.3) continue;
+      // Hang at charPos height, off the face by the capsule radius; update() settles onto the surface
+      _next.copy(charPos).addScaledVector(forward, hit.distance);
+      snapToSurface(_next, hit.normal);
+      mode = "hang";
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Pull straight up onto a low edge in front (pool coping, a bank lip out of the water) — any face, climbable
+   * or not, as long as walkable ground sits on top within maxRise of the capsule centre.
+   * @param {THREE.Vector3} forward - horizontal facing direction (unit)
+   * @param {number} maxRise
+   * @returns {boolean} mantling
+   */
+  function tryLedgeMantle(forward, maxRise) {
+    if (mode || cooldown > 0) return false;
+    const hit = probe(charPos, forward, capR + (PARAMS.climbReach ?? 0.35));
+    if (!hit || isWalkable(hit.normal)) return false;
+    const standH = capHalfH + capR;
+    _next.copy(hit.point).addScaledVector(forward, capR + 0.2);
+    _next.y = charPos.y + maxRise + 0.05;
+    const top = probe(_next, DOWN, maxRise + standH);
+    // distance 0: started inside something — the edge is higher than maxRise
+    if (!top || top.distance < 0.01 || !isWalkable(top.normal)) return false;
+    normal.copy(hit.normal);
+    position.copy(charPos);
+    startMantle(top.point.setY(top.point.y + standH + 0.02));
+    return true;
+  }
+
+  // Unit vectors along the face: up (world up projected onto it) and right (as seen facing the wall).
+  function tangentFrame() {
+    _up.copy(UP).addScaledVector(normal, -normal.y);
+    if (_up.lengthSq() < 1e-6) return false;
+    _up.normalize();
+    _right.copy(normal).negate().cross(_up).normalize();
+    return true;
+  }
+
+  // Walkable ground just beyond the top edge → mantle target (capsule centre standing there).
+  function findLedge() {
+    _into.copy(normal).negate();
+    _into.y = 0;
+    _into.normalize();
+    const standH = capHalfH + capR;
+    _next
+      .copy(position)
+      .addScaledVector(_into, capR + (PARAMS.climbReach ?? 0.35) + 0.2);
+    _next.y += capHalfH + standH;
+    const hit = probe(_next, DOWN, standH * 2 + capHalfH);
+    if (!hit || !isWalkable(hit.normal)) return null;
+    return hit.point.setY(hit.point.y + standH + 0.02);
+  }
+
+  function startMantle(target) {
+    mode = "mantle";
+    from.copy(position);
+    to.copy(target);
+    t = 0;
+    duration = PARAMS.climbMantleTime ?? 0.45;
+  }
+
+  function release() {
+    mode = null;
+    cooldown = REGRAB_COOLDOWN;
+  }
+
+  /**
+   * Advance one frame.
+   * @param {number} dt
+   * @param {{ move: { x: number, y: number }, jump: boolean, letGo: boolean }} controls - move.x right, move.y up
+   * @returns {null | "jump" | "mantle" | "top" | "fall"}
+   */
+  function update(dt, controls) {
+    cooldown = Math.max(0, cooldown - dt);
+    if (!mode) return null;
+
+    if (mode === "mantle") {
+      t += dt;
+      const k = Math.min(1, t / duration);
+      // Up first, then over: y leads, xz follows
+      const ky = Math.min(1, k * 1.6);
+      const kxz = Math.max(0, (k - 0.35) / 0.65);
+      position.set(
+        from.x + (to.x - from.x) * kxz,
+        from.y + (to.y - from.y) * ky,
+        from.z + (to.z - from.z) * kxz,
+      );
+      if (k >= 1) {
+        mode = null;
+        return "top";
+      }
+      return null;
+    }
+
+    if (mode === "jump") {
+      t += dt;
+      const k = Math.min(1, t / duration);
+      const ease = 1 - (1 - k) * (1 - k);
+      position.lerpVectors(from, to, ease);
+      if (k < 1) return null;
+      mode = "hang";
+      // fall through: re-grip at the landing point
+    }
+
+    if (controls.letGo) {
+      release();
+      return "fall";
+    }
+    if (!tangentFrame()) {
+      release();
+      return "fall";
+    }
+
+    const mx = controls.move.x;
+    const my = controls.move.y;
+    const moving = Math.abs(mx) + Math.abs(my) > 0.05;
+
+    if (controls.jump) {
+      if (stamina && !stamina.spend("climbJump")) {
+        release();
+        return "fall";
+      }
+      const len = Math.hypot(mx, my);
+      const jx = len > 0.3 ? mx / len : 0;
+      const jy = len > 0.3 ? my / len : 1;
+      mode = "jump";
+      t = 0;
+      duration = PARAMS.climbJumpTime ?? 0.35;
+      from.copy(position);
+      to.copy(position)
+        .addScaledVector(_right, jx * (PARAMS.climbJumpDistance ?? 2))
+        .addScaledVector(_up, jy * (PARAMS.climbJumpDistance ?? 2));
+      return "jump";
+    }
+
+    if (moving && stamina && !stamina.drain("climb", dt)) {
+      release();
+      return "fall";
+    }
+
+    const speed = (PARAMS.climbSpeed ?? 1.6) * dt;
+    _next.copy(position).addScaledVector(_right, mx * speed).addScaledVector(_up, my * speed);
+
+    // Probe back into the face from slightly outside it (the next point may already be inside a concave bend)
+    const reach = capR + SKIN + (PARAMS.climbReach ?? 0.35);
+    _into.copy(normal).negate();
+    _origin.copy(_next).addScaledVector(normal, capR);
+    const hit = probe(_origin, _into, reach + 2 * capR);
+    if (hit?.climbable) {
+      // Smooth the normal so bumpy faces don't jitter the body
+      _smoothed.copy(normal).lerp(hit.normal, 0.35).normalize();
+      snapToSurface(hit.point, _smoothed);
+      return null;
+    }
+    if (hit && isWalkable(hit.normal) && my >= 0) {
+      const target = findLedge();
+      if (target) {
+        startMantle(target);
+        return "mantle";
+      }
+    }
+    if (!hit && my > 0) {
+      const target = findLedge();
+      if (target) {
+        startMantle(target);
+        return "mantle";
+      }
+    }
+    if (!moving) return null;
+    // Lost the surface sideways / downwards (convex edge, overhang): let go
+    release();
+    return "fall";
+  }
+
+  /** Drop the climb without an event (teleport, load). */
+  function cancel() {
+    mode = null;
+    cooldown = 0;
+  }
+
+  return {
+    get active() {
+      return mode !== null;
+    },
+    get mode() {
+      return mode;
+    },
+    position,
+    normal,
+    tryAttach,
+    tryLedgeMantle,
+    update,
+    cancel,
+    probe,
+  };
+}
@@ -10,3 +10,6 @@ export const TRAIL_SIZE = 60;
 export const TERRAIN_SIZE = 800;
 export const TERRAIN_RES = 512;
 export const NPC_COUNT = 6;
+// Streaming terrain tiles (terrain-chunks.js). TERRAIN_SIZE should be a multiple of the chunk size.
+export const TERRAIN_CHUNK_SIZE = 100;
+export const TERRAIN_CHUNK_RES = 65;
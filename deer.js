@@ -1,6 +1,10 @@
 /**
  * Deer AI: 5 deer that follow terrain and alternate between Idle, Eating, Walk, Gallop.
- * createDeer(opts) → { deerGroup, update(dt) }
+ * createDeer(opts) → { deerGroup, update(dt), raycast(origin, dir, maxDist), saveState, loadState }
+ * raycast() tests a ray against each deer's body sphere (they have no colliders) and returns { toi, target } for
+ * arrows.js: a hit deer gallops off along the arrow's flight and startles the herd within STARTLE_RADIUS.
+ * saveState() / loadState(data) are the "deer" save-game section (position, heading, behaviour per deer);
+ * a load that arrives before the GLTF is applied once the deer exist.
  *
  * Usage:
  *   import { createDeer } from './deer.js';
@@ -18,6 +22,10 @@ const WALK_SPEED = 1.8;
 const GALLOP_SPEED = 5.5;
 const DEER_SCALE = 0.6;
 const DEER_GROUND_OFFSET = 0.15; // offset above terrain (hooves)
+const HIT_RADIUS = 0.6; // body sphere for arrows
+const HIT_HEIGHT = 0.8; // sphere centre above the hooves
+const FLEE_DURATION = 6; // s of gallop before the usual wander resumes (+ up to 2 s)
+const STARTLE_RADIUS = 25;
 
 // Animation names from Deer.gltf
 const ANIM_IDLE = "Idle";
@@ -164,38 +172,139 @@ export function createDeer({ scene, sampleHeight, TERRAIN_SIZE, gltfLoader, PARA
           actions[stateData.state].play();
         }
 
-        deerInstances.push({
+        const instance = {
           group: clone,
           mixer,
           actions,
           stateData,
-        });
+        };
+        // What an arrow hits: it sticks in the deer, which bolts
+        instance.target = {
+          group: clone,
+          onArrowHit: (dirX, dirZ) => startle(instance, dirX, dirZ),
+        };
+        deerInstances.push(instance);
         deerState.push(stateData);
       }
+      if (pendingLoad) {
+        loadState(pendingLoad);
+        pendingLoad = null;
+      }
     },
     undefined,
     (err) => console.error("Deer load error:", err)
   );
 
+  // ── SAVE STATE ──
+  let pendingLoad = null;
+
+  function saveState() {
+    return deerInstances.map(({ group, stateData }) => ({
+      x: group.position.x,
+      z: group.position.z,
+      rotY: group.rotation.y,
+      state: stateData.state,
+      dirX: stateData.dirX,
+      dirZ: stateData.dirZ,
+      timer: stateData.timer,
+    }));
+  }
+
+  function loadState(data) {
+    if (deerInstances.length === 0) {
+      pendingLoad = data;
+      return;
+    }
+    const n = Math.min(data.length, deerInstances.length);
+    for (let i = 0; i < n; i++) {
+      const d = data[i];
+      const { group, actions, stateData } = deerInstances[i];
+      group.position.set(d.x, sampleHeight(d.x, d.z) + DEER_GROUND_OFFSET, d.z);
+      group.rotation.y = d.rotY;
+      if (d.state !== stateData.state && actions[d.state]) {
+        actions[stateData.state]?.stop();
+        actions[d.state].reset().play();
+      }
+      stateData.state = d.state;
+      stateData.dirX = d.dirX;
+      stateData.dirZ = d.dirZ;
+      stateData.timer = d.timer;
+    }
+  }
+
+  // ── FLEEING ──
+  function setState(instance, nextState) {
+    const { actions, stateData } = instance;
+    const prevState = stateData.state;
+    stateData.state = nextState;
+    if (prevState !== nextState) {
+      if (actions[prevState]) actions[prevState].fadeOut(0.25);
+      if (actions[nextState]) actions[nextState].reset().fadeIn(0.25).play();
+    }
+  }
+
+  function flee(instance, dirX, dirZ) {
+    const { stateData } = instance;
+    const angle = Math.atan2(dirZ, dirX) + (Math.random() - 0.5) * 0.8;
+    setState(instance, STATES.GALLOP);
+    stateData.dirX = Math.cos(angle);
+    stateData.dirZ = Math.sin(angle);
+    stateData.duration = FLEE_DURATION + Math.random() * 2;
+    stateData.timer = stateData.duration;
+  }
+
+  // The hit deer runs on along the arrow's path; the herd around it scatters away from it
+  function startle(hit, dirX, dirZ) {
+    flee(hit, dirX, dirZ);
+    const { x, z } = hit.group.position;
+    for (const other of deerInstances) {
+      if (other === hit) continue;
+      const dx = other.group.position.x - x;
+      const dz = other.group.position.z - z;
+      const d = Math.hypot(dx, dz);
+      if (d < STARTLE_RADIUS) flee(other, dx / (d || 1), dz / (d || 1));
+    }
+  }
+
+  /**
+   * Nearest deer body along a ray (arrows.js raycastTargets).
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} dir - unit
+   * @param {number} maxDist
+   * @returns {{ toi: number, target: object } | null}
+   */
+  function raycast(origin, dir, maxDist) {
+    if (PARAMS.deerEnabled === false) return null;
+    let best = null;
+    for (const instance of deerInstances) {
+      const p = instance.group.position;
+      const ox = origin.x - p.x;
+      const oy = origin.y - (p.y + HIT_HEIGHT);
+      const oz = origin.z - p.z;
+      const b = ox * dir.x + oy * dir.y + oz * dir.z;
+      const c = ox * ox + oy * oy + oz * oz - HIT_RADIUS * HIT_RADIUS;
+      const disc = b * b - c;
+      if (disc < 0) continue;
+      const toi = c < 0 ? 0 : -b - Math.sqrt(disc);
+      if (toi < 0 || toi > maxDist || (best && toi >= best.toi)) continue;
+      best = { toi, target: instance.target };
+    }
+    return best;
+  }
+
   function update(dt) {
     if (PARAMS.deerEnabled === false) return;
     for (let i = 0; i < deerInstances.length; i++) {
-      const { group, mixer, actions, stateData } = deerInstances[i];
+      const { group, mixer, stateData } = deerInstances[i];
       mixer.update(dt);
 
       stateData.timer -= dt;
       if (stateData.timer <= 0) {
         const nextState = pickNextState(stateData.state);
-        const prevState = stateData.state;
-        stateData.state = nextState;
+        setState(deerInstances[i], nextState);
         stateData.duration = getStateDuration(nextState);
         stateData.timer = stateData.duration;
 
-        if (prevState !== nextState) {
-          if (actions[prevState]) actions[prevState].fadeOut(0.25);
-          if (actions[nextState]) actions[nextState].reset().fadeIn(0.25).play();
-        }
-
         if (nextState === STATES.WALK || nextState === STATES.GALLOP) {
           const angle = Math.random() * Math.PI * 2;
           stateData.dirX = Math.cos(angle);
@@ -221,5 +330,8 @@ export function createDeer({ scene, sampleHeight, TERRAIN_SIZE, gltfLoader, PARA
   return {
     deerGroup,
     update,
+    raycast,
+    saveState,
+    loadState,
   };
 }
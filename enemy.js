@@ -1,31 +1,55 @@
 /**
  * Enemy: same GLB as player/NPC, walks on flat floor, has health and life bar.
- * Different color (dark red), Hit_Chest/Hit_Head on damage, Death01 when dead.
- * createEnemy(opts) returns { group, capsule, pos, hp, maxHp, takeDamage, isDead, update(dt) }.
+ * Different color (dark red: a tint variant of the shared character, character-assets.js), Hit_Chest/Hit_Head on
+ * damage, Death01 when dead.
+ * createEnemy(opts) returns { group, capsule, pos, collider, hp, maxHp, takeDamage, knockback, stagger, isDead, anim, update(dt), saveState, loadState }.
+ * With opts.RAPIER + opts.physicsWorld the enemy gets a kinematic capsule collider (a hurtbox for melee.js sword
+ * sweeps; the player bumps into it too) that follows pos and switches off on death.
+ * knockback(dirX, dirZ, strength) shoves the enemy along the floor (m/s, decays quickly).
+ * With opts.onAttack the enemy fights back: a player within enemyParams.attackRange gets a Sword_Attack swing every
+ * attackInterval seconds; the blow calls onAttack({ attacker, damage, dirX, dirZ }) (player.takeHit). stagger(seconds)
+ * interrupts the swing with a long hit stun (a parried blow, shield.js). opts.canAttack() false holds new swings
+ * (the player is down).
+ * saveState() / loadState(data) hold position and hp for a save-game section (save-system.js); a dead enemy
+ * loads already fallen.
+ * Animation runs through an anim-graph.js graph: walk / idle by its `walking` param, hits, the swing and death as
+ * one-shots over them. With a physics world, character-ik.js stands the living enemy's feet on the colliders under
+ * them.
  */
 import * as THREE from "three";
-import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
-import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
-
-const CHAR_GLB = "models/AnimationLibrary_Godot_Standard-transformed.glb";
-const DRACO_URL = "https://www.gstatic.com/draco/versioned/decoders/1.5.6/";
+import { createAnimGraph } from "./anim-graph.js";
+import { createCharacterIK } from "./character-ik.js";
+import {
+  CHARACTER_GLB,
+  loadCharacter,
+  compileCharacters,
+} from "./character-assets.js";
 
 // Enemy tint color (dark red/maroon) - applied to model materials
 const ENEMY_COLOR = 0x8b2549;
+const ENEMY_TINT = { color: ENEMY_COLOR, amount: 0.5 }; // 50% original, 50% tint
+
+// Sword_Attack swing: the blow lands mid-strike (clip seconds), the rest is recovery
+const ATTACK_STRIKE_T = 0.44;
+const ATTACK_END_T = 1.1;
 
 /**
  * @param {object} opts
  * @param {THREE.Scene} opts.scene
  * @param {THREE.WebGPURenderer} opts.renderer
  * @param {THREE.Camera} opts.camera
- * @param {object} opts.enemyParams - { enabled, speed, walkRadius, directionChangeInterval, maxHp }
+ * @param {object} opts.enemyParams - { enabled, speed, walkRadius, directionChangeInterval, maxHp, attackEnabled, attackRange, attackInterval, attackDamage }
  * @param {number} opts.FLOOR_Y
  * @param {number} opts.PARKOUR_SIZE
  * @param {number} opts.characterHeight
  * @param {number} [opts.capsuleRadius]
  * @param {THREE.Vector3} [opts.spawnPos] - World position to spawn at
  * @param {THREE.Vector3} [opts.playerPos] - Player position for proximity checks (idle when near)
- * @returns {{ group: THREE.Group, capsule: THREE.Mesh, pos: THREE.Vector3, hp: number, maxHp: number, takeDamage: (amount: number) => boolean, isDead: () => boolean, update: (dt: number) => void }}
+ * @param {typeof import("@dimforge/rapier3d")} [opts.RAPIER] - Optional. With physicsWorld: capsule collider
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @param {(hit: { attacker: object, damage: number, dirX: number, dirZ: number }) => string} [opts.onAttack] - Optional. The enemy's blow reached the player; no attacks when absent.
+ * @param {() => boolean} [opts.canAttack] - Optional. False: no new swings for now (e.g. the player is dead).
+ * @returns {{ group: THREE.Group, capsule: THREE.Mesh, pos: THREE.Vector3, collider: import("@dimforge/rapier3d").Collider | null, hp: number, maxHp: number, takeDamage: (amount: number) => boolean, knockback: (dirX: number, dirZ: number, strength: number) => void, stagger: (duration: number) => void, isDead: () => boolean, anim: ReturnType<typeof createAnimGraph> | null, update: (dt: number) => void, saveState: () => object, loadState: (data: object) => void }}
  */
 export function createEnemy(opts) {
   const {
@@ -39,6 +63,10 @@ export function createEnemy(opts) {
     capsuleRadius = 0.35,
     spawnPos = null,
     playerPos = null,
+    RAPIER = null,
+    physicsWorld = null,
+    onAttack = null,
+    canAttack = null,
   } = opts;
 
   const capR = capsuleRadius;
@@ -68,17 +96,9 @@ export function createEnemy(opts) {
     hitCount++;
     hp = Math.max(0, hp - amount);
     updateLifeBar();
-    // Debug: cycle Hit_Chest → Hit_Head → Death01 (3 hits = dead)
-    if (hitCount >= 3) {
-      hp = 0;
-      playDeath();
-    } else if (hitCount === 1) {
-      playHitReaction("chest");
-    } else if (hitCount === 2) {
-      playHitReaction("head");
-    } else if (hp <= 0) {
-      playDeath();
-    }
+    // Alternate Hit_Chest / Hit_Head so combo hits read as separate blows
+    if (hp <= 0) playDeath();
+    else playHitReaction(hitCount % 2 === 1 ? "chest" : "head");
     return hp > 0;
   }
 
@@ -122,12 +142,9 @@ export function createEnemy(opts) {
     fillMesh.position.x = -((barWidth - 0.04) / 2) * (1 - t); // keep left edge fixed when scaling
   }
 
-  let mixer = null;
-  let walkAction = null;
-  let idleAction = null;
-  let hitChestAction = null;
-  let hitHeadAction = null;
-  let deathAction = null;
+  let anim = null; // anim-graph.js, once the model loads
+  let ik = null; // character-ik.js, likewise
+  const animParams = { walking: true };
   let hitCount = 0;
   let baseScale = 1;
   group.userData.modelBaseY = 0;
@@ -145,46 +162,46 @@ export function createEnemy(opts) {
   let deathStarted = false;
   let deathTime = 0;
   const DEATH_FALL_DURATION = 1.5;
-  let wasNearPlayer = false;
+  const knockVel = new THREE.Vector3();
+  let attackT = -1; // < 0 = not swinging
+  let attackCooldown = 0;
+  let struck = false;
 
   const _toPlayer = new THREE.Vector3();
 
-  const draco = new DRACOLoader();
-  draco.setDecoderPath(DRACO_URL);
-  const loader = new GLTFLoader();
-  loader.setDRACOLoader(draco);
-  loader.load(
-    CHAR_GLB,
-    (gltf) => {
+  // ── Hurtbox (kinematic capsule following pos) ──
+  let body = null;
+  let collider = null;
+  if (RAPIER && physicsWorld) {
+    body = physicsWorld.createRigidBody(
+      RAPIER.RigidBodyDesc.kinematicPositionBased().setTranslation(
+        pos.x,
+        pos.y,
+        pos.z,
+      ),
+    );
+    collider = physicsWorld.createCollider(
+      RAPIER.ColliderDesc.capsule(capHalfH, capR),
+      body,
+    );
+  }
+
+  function syncCollider(enabled) {
+    if (!collider) return;
+    const on = enabled && hp > 0;
+    if (collider.isEnabled() !== on) collider.setEnabled(on);
+    if (on) body.setNextKinematicTranslation(pos);
+  }
+
+  /** Shove along the floor, away from the attacker (unit direction, speed in m/s). */
+  function knockback(dirX, dirZ, strength) {
+    if (hp <= 0) return;
+    knockVel.set(dirX * strength, 0, dirZ * strength);
+  }
+
+  loadCharacter(CHARACTER_GLB, { tint: ENEMY_TINT })
+    .then((gltf) => {
       const model = gltf.scene;
-      model.traverse((o) => {
-        if (o.isMesh) {
-          o.castShadow = true;
-          o.receiveShadow = true;
-          if (o.material && !o.material.isNodeMaterial) {
-            const m = o.material;
-            const baseColor = m.color?.getHex?.() ?? 0x888888;
-            // Tint toward enemy color (dark red)
-            const r = ((baseColor >> 16) & 0xff) / 255;
-            const g = ((baseColor >> 8) & 0xff) / 255;
-            const b = (baseColor & 0xff) / 255;
-            const tintR = (ENEMY_COLOR >> 16) & 0xff;
-            const tintG = (ENEMY_COLOR >> 8) & 0xff;
-            const tintB = ENEMY_COLOR & 0xff;
-            const blend = 0.5; // 50% original, 50% tint
-            const finalR = Math.floor(r * 255 * (1 - blend) + tintR * blend);
-            const finalG = Math.floor(g * 255 * (1 - blend) + tintG * blend);
-            const finalB = Math.floor(b * 255 * (1 - blend) + tintB * blend);
-            const finalColor = (finalR << 16) | (finalG << 8) | finalB;
-            o.material = new THREE.MeshStandardNodeMaterial({
-              color: finalColor,
-              roughness: m.roughness ?? 0.5,
-              metalness: m.metalness ?? 0,
-              map: m.map || null,
-            });
-          }
-        }
-      });
       const box = new THREE.Box3().setFromObject(model);
       const size = new THREE.Vector3();
       const center = new THREE.Vector3();
@@ -197,6 +214,12 @@ export function createEnemy(opts) {
       group.userData.modelBaseY = model.position.y;
       group.userData.model = model;
       group.add(model);
+      ik = createCharacterIK({
+        model,
+        RAPIER,
+        physicsWorld,
+        getExcludeCollider: () => collider ?? undefined,
+      });
 
       const rightHand = model.getObjectByName("DEF-handR") || null;
       if (rightHand) {
@@ -228,7 +251,6 @@ export function createEnemy(opts) {
       }
 
       if (gltf.animations && gltf.animations.length) {
-        mixer = new THREE.AnimationMixer(model);
         const idleClip =
           gltf.animations.find((a) => a.name === "Idle_Loop") ||
           gltf.animations[0];
@@ -242,101 +264,163 @@ export function createEnemy(opts) {
           gltf.animations.find((a) => a.name === "Hit_Head") || null;
         const deathClip =
           gltf.animations.find((a) => a.name === "Death01") || null;
-
-        idleAction = mixer.clipAction(idleClip).setLoop(2201);
-        walkAction = mixer.clipAction(walkClip).setLoop(2201);
-        if (hitChestClip) {
-          hitChestAction = mixer.clipAction(hitChestClip).setLoop(2200);
-          if (hitChestAction.clampWhenFinished !== undefined)
-            hitChestAction.clampWhenFinished = true;
-        }
-        if (hitHeadClip) {
-          hitHeadAction = mixer.clipAction(hitHeadClip).setLoop(2200);
-          if (hitHeadAction.clampWhenFinished !== undefined)
-            hitHeadAction.clampWhenFinished = true;
-        }
-        if (deathClip) {
-          deathAction = mixer.clipAction(deathClip).setLoop(2200);
-          if (deathAction.clampWhenFinished !== undefined)
-            deathAction.clampWhenFinished = true;
-        }
-        walkAction.play();
+        const attackClip =
+          gltf.animations.find((a) => a.name === "Sword_Attack") || null;
+
+        anim = createAnimGraph({
+          mixer: new THREE.AnimationMixer(model),
+          initial: "walk",
+          params: animParams,
+          states: {
+            idle: { clip: idleClip },
+            walk: { clip: walkClip, startTime: 0.1 },
+          },
+          transitions: [
+            { from: "walk", to: "idle", when: (p) => !p.walking, blend: 0.35 },
+            { from: "idle", to: "walk", when: (p) => p.walking, blend: 0.35 },
+          ],
+          oneShots: {
+            hit_chest: { clip: hitChestClip },
+            hit_head: { clip: hitHeadClip },
+            death: { clip: deathClip, hold: true },
+            attack: { clip: attackClip, hold: true },
+          },
+        });
       }
-      renderer
-        .compileAsync(scene, camera)
-        .catch((e) => console.warn("Recompile after Enemy load:", e));
-    },
-    undefined,
-    (err) => console.error("Enemy GLB load failed:", err),
-  );
-
-  function playHitReaction(which) {
-    const hitAction = which === "chest" ? hitChestAction : hitHeadAction;
-    if (!hitAction || deathStarted) return;
-    if (walkAction?.isRunning()) {
-      hitAction.enabled = true;
-      hitAction.time = 0;
-      hitAction.crossFadeFrom(walkAction, 0.1).play();
-    } else if (idleAction?.isRunning()) {
-      hitAction.enabled = true;
-      hitAction.time = 0;
-      hitAction.crossFadeFrom(idleAction, 0.1).play();
-    } else if (hitChestAction?.isRunning?.() && hitAction !== hitChestAction) {
-      hitAction.enabled = true;
-      hitAction.time = 0;
-      hitAction.crossFadeFrom(hitChestAction, 0.1).play();
-    } else if (hitHeadAction?.isRunning?.() && hitAction !== hitHeadAction) {
-      hitAction.enabled = true;
-      hitAction.time = 0;
-      hitAction.crossFadeFrom(hitHeadAction, 0.1).play();
-    } else {
-      hitAction.enabled = true;
-      hitAction.time = 0;
-      hitAction.play();
-    }
-    const clip = hitAction.getClip();
-    hitStunUntil = (clip?.duration ?? 0.3) + 0.05;
+      compileCharacters(renderer, scene, camera, model).catch((e) =>
+        console.warn("Recompile after Enemy load:", e),
+      );
+    })
+    .catch((err) => console.error("Enemy GLB load failed:", err));
+
+  /** Flinch one-shot; with `duration` it's stretched over that long (a stagger), else the clip sets the stun. */
+  function playHitReaction(which, duration) {
+    const shot = which === "chest" ? "hit_chest" : "hit_head";
+    const action = anim?.action(shot);
+    if (!action || deathStarted) return;
+    cancelAttack();
+    anim.fire(shot, { blend: 0.1, blendOut: 0.25, duration });
+    hitStunUntil = duration ?? (action.getClip()?.duration ?? 0.3) + 0.05;
   }
 
   function playDeath() {
-    if (!deathAction || deathStarted) return;
+    if (!anim?.action("death") || deathStarted) return;
     deathStarted = true;
-    if (walkAction?.isRunning()) {
-      deathAction.enabled = true;
-      deathAction.time = 0;
-      deathAction.crossFadeFrom(walkAction, 0.2).play();
-    } else if (idleAction?.isRunning()) {
-      deathAction.enabled = true;
-      deathAction.time = 0;
-      deathAction.crossFadeFrom(idleAction, 0.2).play();
-    } else if (hitChestAction?.isRunning?.()) {
-      deathAction.enabled = true;
-      deathAction.time = 0;
-      deathAction.crossFadeFrom(hitChestAction, 0.2).play();
-    } else if (hitHeadAction?.isRunning?.()) {
-      deathAction.enabled = true;
-      deathAction.time = 0;
-      deathAction.crossFadeFrom(hitHeadAction, 0.2).play();
-    } else {
-      deathAction.enabled = true;
-      deathAction.time = 0;
-      deathAction.play();
-    }
+    cancelAttack();
+    anim.fire("death", { blend: 0.2 });
     lifeBarGroup.visible = false;
   }
 
+  // ── Attack (swing at the player when in reach) ──
+  function cancelAttack() {
+    if (attackT < 0) return;
+    attackT = -1;
+    attackCooldown = enemyParams?.attackInterval ?? 2.5;
+  }
+
+  function canStartAttack(params) {
+    if (!anim?.action("attack") || !playerPos || !onAttack) return false;
+    if (!(params.attackEnabled ?? true) || attackCooldown > 0) return false;
+    if (canAttack && !canAttack()) return false;
+    const reach = params.attackRange ?? 1.8;
+    return Math.hypot(playerPos.x - pos.x, playerPos.z - pos.z) <= reach;
+  }
+
+  function startAttack() {
+    attackT = 0;
+    struck = false;
+    anim.fire("attack", { blend: 0.15 });
+  }
+
+  function updateAttack(dt, params) {
+    attackT += dt;
+    _toPlayer.set(playerPos.x - pos.x, 0, playerPos.z - pos.z);
+    const dist = _toPlayer.length();
+    // Track the player through the wind-up; the swing itself is committed
+    if (!struck && dist > 1e-4)
+      turnToward(Math.atan2(_toPlayer.x, _toPlayer.z), dt, params);
+    if (!struck && attackT >= ATTACK_STRIKE_T) {
+      struck = true;
+      const facing =
+        dist > 1e-4
+          ? (Math.sin(currentYaw) * _toPlayer.x +
+              Math.cos(currentYaw) * _toPlayer.z) /
+            dist
+          : 1;
+      if (dist <= (params.attackRange ?? 1.8) + 0.4 && facing > 0.5) {
+        onAttack({
+          attacker: api,
+          damage: params.attackDamage ?? 15,
+          dirX: dist > 1e-4 ? _toPlayer.x / dist : 0,
+          dirZ: dist > 1e-4 ? _toPlayer.z / dist : 1,
+        });
+      }
+    }
+    if (attackT >= ATTACK_END_T) {
+      cancelAttack();
+      anim.stop("attack", 0.25);
+    }
+  }
+
+  /** Knocked off balance (a parried blow): interrupts the swing, long hit stun. */
+  function stagger(duration) {
+    if (hp <= 0) return;
+    playHitReaction("head", duration);
+    hitStunUntil = Math.max(hitStunUntil, duration);
+  }
+
+  function turnToward(targetYaw, dt, params) {
+    let diff = targetYaw - currentYaw;
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    const turnSpeed = params.turnSpeed ?? 5;
+    const turnAlpha = 1 - Math.exp(-turnSpeed * dt);
+    currentYaw += diff * turnAlpha;
+    group.rotation.y = currentYaw;
+    capsule.rotation.y = currentYaw;
+  }
+
+  /** Stand in place on the floor (hit stun, swinging). */
+  function placeStanding(params) {
+    pos.y = FLOOR_Y + heightOffset + (params.floorOffset ?? 0);
+    group.position.copy(pos);
+    capsule.position.copy(pos);
+    const modelChild = group.userData.model;
+    if (modelChild) {
+      modelChild.scale.setScalar(baseScale * (params.scale ?? 1));
+      if (group.userData.modelBaseY != null) {
+        modelChild.position.y = group.userData.modelBaseY;
+      }
+    }
+  }
+
   function update(dt) {
     const params = enemyParams ?? {};
     const enabled = !!params.enabled;
     group.visible = enabled;
     capsule.visible = enabled && !group.userData.model && !deathStarted;
 
-    if (!enabled) return;
+    if (!enabled) {
+      syncCollider(false);
+      return;
+    }
+    step(dt, params);
+    ik?.update(dt, { grounded: hp > 0 });
+    syncCollider(true);
+  }
 
-    if (mixer) mixer.update(dt);
+  function step(dt, params) {
+    anim?.update(dt);
 
     hitStunUntil -= dt;
 
+    // Knockback slides the enemy (also during hit stun), decaying in ~0.3 s
+    if (knockVel.lengthSq() > 1e-4 && hp > 0) {
+      pos.x = Math.max(-half, Math.min(half, pos.x + knockVel.x * dt));
+      pos.z = Math.max(-half, Math.min(half, pos.z + knockVel.z * dt));
+      knockVel.multiplyScalar(Math.exp(-10 * dt));
+    }
+
     if (hp <= 0) {
       if (!deathStarted) playDeath();
       deathTime += dt;
@@ -350,16 +434,15 @@ export function createEnemy(opts) {
 
     // Hit stun: stay in place, no movement
     if (hitStunUntil > 0) {
-      pos.y = FLOOR_Y + heightOffset + (params.floorOffset ?? 0);
-      group.position.copy(pos);
-      capsule.position.copy(pos);
-      const modelChild = group.userData.model;
-      if (modelChild) {
-        modelChild.scale.setScalar(baseScale * (params.scale ?? 1));
-        if (group.userData.modelBaseY != null) {
-          modelChild.position.y = group.userData.modelBaseY;
-        }
-      }
+      placeStanding(params);
+      return;
+    }
+
+    attackCooldown -= dt;
+    if (attackT < 0 && canStartAttack(params)) startAttack();
+    if (attackT >= 0) {
+      updateAttack(dt, params);
+      placeStanding(params);
       return;
     }
 
@@ -371,59 +454,14 @@ export function createEnemy(opts) {
       isNearPlayer = _toPlayer.length() < nearDist;
     }
 
-    // Blend back from hit to walk or idle (depending on proximity)
-    const currentHitAction = hitChestAction?.isRunning?.()
-      ? hitChestAction
-      : hitHeadAction?.isRunning?.()
-        ? hitHeadAction
-        : null;
-    if (currentHitAction) {
-      const clip = currentHitAction.getClip();
-      const dur = clip?.duration ?? 0.3;
-      if (currentHitAction.time >= dur - 0.02) {
-        currentHitAction.enabled = false;
-        currentHitAction.time = 0;
-        if (isNearPlayer && idleAction) {
-          idleAction.enabled = true;
-          idleAction.crossFadeFrom(currentHitAction, 0.25).play();
-        } else if (walkAction) {
-          walkAction.enabled = true;
-          walkAction.time = 0.1;
-          walkAction.crossFadeFrom(currentHitAction, 0.25).play();
-        }
-      }
-    }
+    // Hits blend back out by themselves, to idle near the player, else walking
+    animParams.walking = !isNearPlayer;
 
-    if (isNearPlayer) {
-      if (!wasNearPlayer) {
-        wasNearPlayer = true;
-        if (walkAction?.isRunning()) {
-          if (idleAction) {
-            idleAction.enabled = true;
-            idleAction.crossFadeFrom(walkAction, 0.35).play();
-          }
-        } else {
-          idleAction?.play();
-        }
-      }
-    } else {
+    if (!isNearPlayer) {
       const speed = params.speed ?? 2;
       const walkRadius = params.walkRadius ?? 80;
       const interval = params.directionChangeInterval ?? 3;
 
-      if (wasNearPlayer) {
-        wasNearPlayer = false;
-        if (walkAction) {
-          walkAction.enabled = true;
-          if (idleAction?.isRunning()) {
-            walkAction.time = 0.1;
-            walkAction.crossFadeFrom(idleAction, 0.35).play();
-          } else {
-            walkAction.play();
-          }
-        }
-      }
-
       dirChangeTimer -= dt;
       if (dirChangeTimer <= 0) {
         dirChangeTimer = interval;
@@ -469,14 +507,7 @@ export function createEnemy(opts) {
     } else {
       targetYaw = Math.atan2(dir.x, dir.z);
     }
-    let diff = targetYaw - currentYaw;
-    while (diff > Math.PI) diff -= 2 * Math.PI;
-    while (diff < -Math.PI) diff += 2 * Math.PI;
-    const turnSpeed = params.turnSpeed ?? 5;
-    const turnAlpha = 1 - Math.exp(-turnSpeed * dt);
-    currentYaw += diff * turnAlpha;
-    group.rotation.y = currentYaw;
-    capsule.rotation.y = currentYaw;
+    turnToward(targetYaw, dt, params);
 
     // Life bar faces camera (billboard)
     if (camera) {
@@ -486,14 +517,35 @@ export function createEnemy(opts) {
     }
   }
 
-  return {
+  function saveState() {
+    return { x: pos.x, z: pos.z, hp };
+  }
+
+  function loadState(data) {
+    pos.x = data.x;
+    pos.z = data.z;
+    hp = Math.max(0, Math.min(maxHp, data.hp));
+    updateLifeBar();
+    if (hp <= 0) deathTime = DEATH_FALL_DURATION;
+  }
+
+  const api = {
     group,
     capsule,
     pos,
+    collider,
     hp: () => hp,
     maxHp,
     takeDamage,
+    knockback,
+    stagger,
     isDead,
+    get anim() {
+      return anim;
+    },
     update,
+    saveState,
+    loadState,
   };
+  return api;
 }
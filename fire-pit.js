@@ -0,0 +1,100 @@
+/**
+ * Fire pit: embers in a ring of stones with flickering flames and a warm point light — a fire hazard for the player.
+ * createFirePit({ scene, x, y, z, radius? }) → { group, fireAt(x, y, z), update(elapsed) }.
+ * fireAt is the burning volume (over the embers, up to FLAME_HEIGHT above y); pass it to createPlayer as fireAt.
+ * Stepping in sets the player burning (health.js): fireDamage a tick until fireBurnTime after they step out.
+ */
+import * as THREE from "three";
+
+const STONES = 12;
+const FLAMES = 5;
+const FLAME_HEIGHT = 0.8; // m above the embers that still burns the feet
+
+/**
+ * @param {object} opts
+ * @param {THREE.Scene} opts.scene
+ * @param {number} opts.x
+ * @param {number} opts.y - ground height at the pit
+ * @param {number} opts.z
+ * @param {number} [opts.radius] - embers radius (default 1.1)
+ */
+export function createFirePit({ scene, x, y, z, radius = 1.1 }) {
+  const group = new THREE.Group();
+  group.position.set(x, y, z);
+
+  const stoneGeo = new THREE.DodecahedronGeometry(0.22);
+  const stoneMat = new THREE.MeshStandardMaterial({
+    color: 0x6b6560,
+    roughness: 0.9,
+  });
+  for (let i = 0; i < STONES; i++) {
+    const a = (i / STONES) * Math.PI * 2;
+    const stone = new THREE.Mesh(stoneGeo, stoneMat);
+    stone.position.set(
+      Math.cos(a) * (radius + 0.15),
+      0.1,
+      Math.sin(a) * (radius + 0.15),
+    );
+    stone.rotation.set(a, a * 2, 0);
+    stone.castShadow = true;
+    stone.receiveShadow = true;
+    group.add(stone);
+  }
+
+  const embers = new THREE.Mesh(
+    new THREE.CircleGeometry(radius, 24),
+    new THREE.MeshStandardMaterial({
+      color: 0x2a1008,
+      emissive: 0xff4a10,
+      emissiveIntensity: 1.5,
+      roughness: 1,
+    }),
+  );
+  embers.rotation.x = -Math.PI / 2;
+  embers.position.y = 0.02;
+  group.add(embers);
+
+  const flameGeo = new THREE.ConeGeometry(0.3, 1.1, 8, 1, true);
+  flameGeo.translate(0, 0.55, 0); // base on the embers, so flicker stretches upward
+  const flameMat = new THREE.MeshBasicMaterial({
+    color: 0xffa030,
+    transparent: true,
+    opacity: 0.8,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  const flames = [];
+  for (let i = 0; i < FLAMES; i++) {
+    const a = (i / (FLAMES - 1)) * Math.PI * 2;
+    const r = i === 0 ? 0 : 0.5;
+    const flame = new THREE.Mesh(flameGeo, flameMat);
+    flame.position.set(Math.cos(a) * r, 0, Math.sin(a) * r);
+    flame.scale.setScalar(i === 0 ? 1 : 0.7);
+    flame.userData.base = flame.scale.x;
+    group.add(flame);
+    flames.push(flame);
+  }
+
+  const light = new THREE.PointLight(0xff7a2a, 6, 10);
+  light.position.y = 1.2;
+  group.add(light);
+
+  scene.add(group);
+
+  /** True where the fire burns (feet position). */
+  function fireAt(px, py, pz) {
+    return Math.hypot(px - x, pz - z) < radius && py < y + FLAME_HEIGHT;
+  }
+
+  /** @param {number} elapsed - seconds */
+  function update(elapsed) {
+    flames.forEach((flame, i) => {
+      const base = flame.userData.base;
+      const f = 0.8 + 0.25 * Math.sin(elapsed * 11 + i * 1.7);
+      flame.scale.set(base, base * f, base);
+    });
+    light.intensity = 6 + 1.5 * Math.sin(elapsed * 13) + Math.sin(elapsed * 7.3);
+  }
+
+  return { group, fireAt, update };
+}
@@ -0,0 +1,179 @@
+/**
+ * Generation jobs shared by generation.worker.js and the inline fallback of worker-pool.js.
+ * Exports runGenerationJob(type, payload, report) → { result, transfer } and composeInstanceMatrix(out, offset, x, y, z, rotY, scale).
+ * Jobs:
+ *  - "heightmap": a res² window of terrainHeightAt (or an imported record) with rivers carved in and the sculpt
+ *    layer payload.delta (if any) added, row-major, texel (x, y) at origin + ((x / res − 0.5)·size, (y / res − 0.5)·size).
+ *    Reports finished row bands. payload.mesh also returns the heights (vertexHeights) and normals of a res² vertex
+ *    grid spanning size (terrain.js's window mesh), so the main thread only copies them in. Streamed terrain tiles
+ *    are the same job with size = res · cell, which puts the samples on the tile's cell grid.
+ *  - "placement": scattered instances (trees, scatter slots) on a height snapshot, as 4×4 column-major
+ *    matrices (rotation Y, uniform scale), drawn from rng.js stream payload.stream / payload.worldSeed —
+ *    the same sequence as the caller's main-thread fallback. Reports finished batches.
+ * report(fraction, partial?) — partial is { offset, data } (rows of heights / instance matrices).
+ * No three.js dependency.
+ */
+import { terrainHeightAt, sampleDeltaLayer } from "./terrain-height.js";
+import { sampleHeightmapRecord } from "./heightmap-io.js";
+import { riverDefsFromParams, buildRivers, carveRivers } from "./rivers.js";
+import { createRng } from "./rng.js";
+
+const HEIGHTMAP_BAND_ROWS = 32;
+const PLACEMENT_BATCH = 2000;
+
+/** Write rotationY(rotY)·scale(scale) with translation (x, y, z) — Matrix4 element order. */
+export function composeInstanceMatrix(out, offset, x, y, z, rotY, scale) {
+  const c = Math.cos(rotY) * scale,
+    s = Math.sin(rotY) * scale;
+  out[offset] = c;
+  out[offset + 1] = 0;
+  out[offset + 2] = -s;
+  out[offset + 3] = 0;
+  out[offset + 4] = 0;
+  out[offset + 5] = scale;
+  out[offset + 6] = 0;
+  out[offset + 7] = 0;
+  out[offset + 8] = s;
+  out[offset + 9] = 0;
+  out[offset + 10] = c;
+  out[offset + 11] = 0;
+  out[offset + 12] = x;
+  out[offset + 13] = y;
+  out[offset + 14] = z;
+  out[offset + 15] = 1;
+}
+
+// ── HEIGHTMAP ──
+function heightmapJob(p, report) {
+  const { res, size, originX, originZ, record } = p;
+  const baseAt = record
+    ? (wx, wz) => sampleHeightmapRecord(record, wx, wz)
+    : (wx, wz) => terrainHeightAt(wx, wz, p.params);
+  const lakeLevel =
+    baseAt(p.params.lakeCenterX, p.params.lakeCenterZ) +
+    (p.params.waterHeightOffset ?? 2);
+  const rivers = buildRivers(riverDefsFromParams(p.params), baseAt, lakeLevel);
+  const heights = new Float32Array(res * res);
+  for (let y0 = 0; y0 < res; y0 += HEIGHTMAP_BAND_ROWS) {
+    const y1 = Math.min(res, y0 + HEIGHTMAP_BAND_ROWS);
+    for (let y = y0; y < y1; y++) {
+      const wz = originZ + (y / res - 0.5) * size;
+      for (let x = 0; x < res; x++) {
+        const wx = originX + (x / res - 0.5) * size;
+        let h = baseAt(wx, wz);
+        if (rivers.length > 0) h = carveRivers(h, wx, wz, rivers);
+        if (p.delta) h += sampleDeltaLayer(p.delta, wx, wz);
+        heights[y * res + x] = h;
+      }
+    }
+    report(y1 / res, { offset: y0 * res, data: heights.slice(y0 * res, y1 * res) });
+  }
+  if (!p.mesh) return { result: { heights }, transfer: [heights.buffer] };
+  const { vertexHeights, normals } = windowMesh(heights, res, size);
+  return {
+    result: { heights, vertexHeights, normals },
+    transfer: [heights.buffer, vertexHeights.buffer, normals.buffer],
+  };
+}
+
+// Vertex (ix, iy) of the window mesh sits at local (ix·seg − size/2, iy·seg − size/2), seg = size / (res − 1):
+// heights bilinear from the texels, normals by central differences (one-sided at the border).
+function windowMesh(heights, res, size) {
+  const seg = size / (res - 1);
+  const vertexHeights = new Float32Array(res * res);
+  for (let iy = 0; iy < res; iy++) {
+    const v = ((iy * seg) / size) * res;
+    const ty = Math.min(res - 2, Math.floor(v));
+    const fy = v - ty;
+    for (let ix = 0; ix < res; ix++) {
+      const u = ((ix * seg) / size) * res;
+      const tx = Math.min(res - 2, Math.floor(u));
+      const fx = u - tx;
+      const i = ty * res + tx;
+      vertexHeights[iy * res + ix] =
+        heights[i] * (1 - fx) * (1 - fy) +
+        heights[i + 1] * fx * (1 - fy) +
+        heights[i + res] * (1 - fx) * fy +
+        heights[i + res + 1] * fx * fy;
+    }
+  }
+  const normals = new Float32Array(res * res * 3);
+  const last = res - 1;
+  for (let iy = 0; iy < res; iy++)
+    for (let ix = 0; ix < res; ix++) {
+      const x0 = Math.max(0, ix - 1),
+        x1 = Math.min(last, ix + 1);
+      const y0 = Math.max(0, iy - 1),
+        y1 = Math.min(last, iy + 1);
+      const row = iy * res;
+      const nx =
+        (vertexHeights[row + x0] - vertexHeights[row + x1]) / ((x1 - x0) * seg);
+      const nz =
+        (vertexHeights[y0 * res + ix] - vertexHeights[y1 * res + ix]) /
+        ((y1 - y0) * seg);
+      const ny = 1;
+      const inv = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz);
+      const n = (iy * res + ix) * 3;
+      normals[n] = nx * inv;
+      normals[n + 1] = ny * inv;
+      normals[n + 2] = nz * inv;
+    }
+  return { vertexHeights, normals };
+}
+
+// ── PLACEMENT ──
+function placementJob(p, report) {
+  const { heights, res, size, originX, originZ } = p;
+  const heightAt = (wx, wz) => {
+    const u = Math.max(0, Math.min(res - 1, ((wx - originX) / size + 0.5) * res));
+    const v = Math.max(0, Math.min(res - 1, ((wz - originZ) / size + 0.5) * res));
+    const ix = Math.min(res - 2, Math.floor(u)),
+      iy = Math.min(res - 2, Math.floor(v));
+    const fx = u - ix,
+      fy = v - iy;
+    const i = iy * res + ix;
+    return (
+      heights[i] * (1 - fx) * (1 - fy) +
+      heights[i + 1] * fx * (1 - fy) +
+      heights[i + res] * (1 - fx) * fy +
+      heights[i + res + 1] * fx * fy
+    );
+  };
+  const rand = createRng(p.stream, p.worldSeed);
+  const matrices = new Float32Array(p.count * 16);
+  let placed = 0,
+    reported = 0;
+  for (let attempts = 0; placed < p.count && attempts < p.maxAttempts; attempts++) {
+    const tx = (rand() * 2 - 1) * p.halfExtent;
+    const tz = (rand() * 2 - 1) * p.halfExtent;
+    if (Math.sqrt(tx * tx + tz * tz) < p.innerRadius) continue;
+    const ty = heightAt(tx, tz);
+    const scale = p.scaleMin + rand() * p.scaleRange;
+    const rotY = rand() * Math.PI * 2;
+    composeInstanceMatrix(matrices, placed * 16, tx, ty, tz, rotY, scale);
+    placed++;
+    if (placed - reported >= PLACEMENT_BATCH) {
+      report(placed / p.count, {
+        offset: reported * 16,
+        data: matrices.slice(reported * 16, placed * 16),
+      });
+      reported = placed;
+    }
+  }
+  const out = matrices.slice(0, placed * 16);
+  return { result: { matrices: out, count: placed }, transfer: [out.buffer] };
+}
+
+const JOBS = { heightmap: heightmapJob, placement: placementJob };
+
+/**
+ * @param {"heightmap" | "placement"} type
+ * @param {object} payload
+ * @param {(fraction: number, partial?: { offset: number, data: Float32Array }) => void} report
+ * @returns {{ result: object, transfer: Transferable[] }}
+ */
+export function runGenerationJob(type, payload, report) {
+  const job = JOBS[type];
+  if (!job) throw new Error(`Unknown generation job "${type}"`);
+  return job(payload, report);
+}
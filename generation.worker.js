@@ -0,0 +1,20 @@
+/**
+ * Module worker for worker-pool.js: { id, type, payload } → progress messages (optionally carrying a partial
+ * result), then { type: "done", id, result } or { type: "error", id, message }. Jobs live in generation-jobs.js.
+ */
+import { runGenerationJob } from "./generation-jobs.js";
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+  try {
+    const { result, transfer } = runGenerationJob(type, payload, (value, partial) =>
+      self.postMessage(
+        { type: "progress", id, value, partial },
+        partial ? [partial.data.buffer] : [],
+      ),
+    );
+    self.postMessage({ type: "done", id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ type: "error", id, message: err?.message ?? String(err) });
+  }
+};
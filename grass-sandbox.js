@@ -46,6 +46,7 @@ import {
   rotateAxis_mat,
   rotateY_mat,
 } from "./tsl-utils.js";
+import { createRng } from "./rng.js";
 
 // ─── Constants (same as grass.js) ───
 export const GRASS_PATCH_SIZE = 10;
@@ -64,10 +65,10 @@ export function createGrassGeometry(
   segments,
   numGrass,
   patchSize,
-  setSeed,
-  randRange,
+  worldSeed,
 ) {
-  setSeed(0);
+  // Fresh stream per call: every LOD geometry gets the same blade offsets.
+  const rng = createRng("grass", worldSeed);
   const V = (segments + 1) * 2,
     T = V * 2,
     indices = [];
@@ -93,8 +94,8 @@ export function createGrassGeometry(
   for (let i = 0; i < numGrass; i++) {
     const col = i % numCellsX;
     const row = Math.floor(i / numCellsX);
-    off[i * 3] = -patchSize * 0.5 + col * cellW + randRange(0, cellW);
-    off[i * 3 + 1] = -patchSize * 0.5 + row * cellH + randRange(0, cellH);
+    off[i * 3] = -patchSize * 0.5 + col * cellW + rng.range(0, cellW);
+    off[i * 3 + 1] = -patchSize * 0.5 + row * cellH + rng.range(0, cellH);
     off[i * 3 + 2] = 0;
   }
   const geo = new THREE.InstancedBufferGeometry();
@@ -1,7 +1,8 @@
 /**
  * Grass blade geometry and TSL material — used by index.html.
- * Exports constants, createGrassGeometry(segments, numGrass, patchSize, setSeed, randRange),
+ * Exports constants, createGrassGeometry(segments, numGrass, patchSize, worldSeed),
  * and createGrassMaterial(segments, verts, useNpcInteraction, densityKey, ctx).
+ * Optional ctx.splatTex0 / splatTex1 / uSplatSize (terrain-splat.js): painted non-grass layers thin and tint blades.
  */
 import * as THREE from "three";
 import {
@@ -47,6 +48,8 @@ import {
   rotateAxis_mat,
   rotateY_mat,
 } from "./tsl-utils.js";
+import { createRng } from "./rng.js";
+import { sampleSplat } from "./terrain-splat.js";
 
 // ─── Constants (exported for index: patch grid, LOD, etc.) ───
 export const GRASS_PATCH_SIZE = 10;
@@ -61,10 +64,10 @@ export function createGrassGeometry(
   segments,
   numGrass,
   patchSize,
-  setSeed,
-  randRange,
+  worldSeed,
 ) {
-  setSeed(0);
+  // Fresh stream per call: every LOD geometry gets the same blade offsets.
+  const rng = createRng("grass", worldSeed);
   const V = (segments + 1) * 2,
     T = V * 2,
     indices = [];
@@ -90,8 +93,8 @@ export function createGrassGeometry(
   for (let i = 0; i < numGrass; i++) {
     const col = i % numCellsX;
     const row = Math.floor(i / numCellsX);
-    off[i * 3] = -patchSize * 0.5 + col * cellW + randRange(0, cellW);
-    off[i * 3 + 1] = -patchSize * 0.5 + row * cellH + randRange(0, cellH);
+    off[i * 3] = -patchSize * 0.5 + col * cellW + rng.range(0, cellW);
+    off[i * 3 + 1] = -patchSize * 0.5 + row * cellH + rng.range(0, cellH);
     off[i * 3 + 2] = 0;
   }
   const geo = new THREE.InstancedBufferGeometry();
@@ -119,6 +122,10 @@ export function createGrassMaterial(
     heightTex,
     trailTex,
     uTerrainSize,
+    uTerrainOrigin = vec2(0),
+    splatTex0 = null,
+    splatTex1 = null,
+    uSplatSize,
     uTrailCenter,
     uTrailSize,
     uTime,
@@ -196,7 +203,10 @@ export function createGrassMaterial(
     const grassOffset = vec3(offsetAttr.x, 0, offsetAttr.y);
     const bladeWorld = modelWorldMatrix.mul(vec4(grassOffset, 1)).xyz;
 
-    const terrainUV = add(div(bladeWorld.xz, uTerrainSize), vec2(0.5));
+    const terrainUV = add(
+      div(sub(bladeWorld.xz, uTerrainOrigin), uTerrainSize),
+      vec2(0.5),
+    );
     const terrainH = texture(heightTex, terrainUV).r;
 
     const trailUV = add(
@@ -211,6 +221,18 @@ export function createGrassMaterial(
     const trailRaw = texture(trailTex, clamp(trailUV, 0.01, 0.99)).r;
     const trailScale = mix(clamp(trailRaw, 0.45, 1.0), 1.0, trailEdgeFade);
 
+    // Splat map: dirt/rock/sand/snow/path clear grass; dirt+sand dry it, snow frosts it.
+    let splatKeep = float(1),
+      splatDry = float(0),
+      splatSnow = float(0);
+    if (splatTex0 && splatTex1) {
+      const [s0, s1] = sampleSplat(splatTex0, splatTex1, uSplatSize, bladeWorld.xz);
+      const cleared = clamp(add(s0.g, s0.b, s0.a, s1.r, s1.g), 0, 1);
+      splatKeep = sub(1, smoothstep(0.2, 0.7, cleared));
+      splatDry = clamp(add(s0.g, s0.a), 0, 1);
+      splatSnow = s1.r;
+    }
+
     const hv = hash42(bladeWorld.xz),
       hv2 = hash22(bladeWorld.xz);
     const distXZ = length(sub(cameraPosition.xz, bladeWorld.xz));
@@ -232,12 +254,13 @@ export function createGrassMaterial(
     const zSide = negate(sub(mul(floor(div(vertIdxAttr, NVERTS)), 2), 1));
     const xSide = mod(vertID, 2);
     const heightPct = div(sub(vertID, xSide), mul(SEGS, 2));
-    const totalHeight = mul(uGrassHeight, randomHeight, trailScale);
+    const totalHeight = mul(uGrassHeight, randomHeight, trailScale, splatKeep);
     const widthHigh = easeOut(sub(1, heightPct), 2),
       widthLow = sub(1, heightPct);
     const totalWidth = mul(
       uGrassWidth,
       mix(widthHigh, widthLow, highLODOut),
+      step(0.01, splatKeep),
     );
     let bladeVisible;
     if (densityKey === "near") {
@@ -533,6 +556,8 @@ export function createGrassMaterial(
       mul(smoothstep(0.7, 0.9, colorMix), uColorVariation, 0.3),
     );
     grassCol = mix(grassCol, uSeasonalDryColor, seasonFactor);
+    grassCol = mix(grassCol, uSeasonalDryColor, mul(splatDry, 0.6));
+    grassCol = mix(grassCol, vec3(0.85, 0.88, 0.9), mul(splatSnow, 0.7));
     grassCol = mix(
       grassCol,
       mul(grassCol, vec3(1.05, 1.02, 0.92)),
@@ -0,0 +1,238 @@
+/**
+ * Health HUD: heart containers in the top-left corner, and the game-over screen (DOM overlays).
+ * createHealthHud({ PARAMS }) → { update(health, dt), dispose }.
+ *   One heart per container, filled in quarters; the last heart throbs at low health and the row flashes red on
+ *   damage (orange while burning). Toggle with PARAMS.healthHud.
+ * createGameOverScreen({ PARAMS, input?, onContinue }) → { update(dead, dt), hide(), visible, dispose }.
+ *   Fades in respawnDelay seconds after death (the death animation plays first) and frees the mouse; the
+ *   Continue button, or jump / interact on input, calls onContinue (respawn) and hides it.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const HEART_PATH =
+  "M12 21.3 10.6 20C5.4 15.4 2 12.3 2 8.5 2 5.4 4.4 3 7.5 3c1.7 0 3.4.8 4.5 2.1C13.1 3.8 14.8 3 16.5 3 19.6 3 22 5.4 22 8.5c0 3.8-3.4 6.9-8.6 11.5L12 21.3z";
+const HEART_SIZE = 26;
+const HEARTS_PER_ROW = 10;
+const COLOR = "#e8413a";
+const COLOR_BURNING = "#ff9a2e";
+const COLOR_EMPTY = "rgba(0, 0, 0, 0.45)";
+const LOW_HEARTS = 1; // at or below: the last heart throbs
+const FLASH_TIME = 0.35;
+
+let clipIds = 0; // clipPath ids are document-wide
+
+/**
+ * @param {{ PARAMS: object }} opts
+ */
+export function createHealthHud({ PARAMS }) {
+  const root = document.createElement("div");
+  Object.assign(root.style, {
+    position: "fixed",
+    left: "16px",
+    top: "14px",
+    zIndex: "15",
+    pointerEvents: "none",
+    display: "grid",
+    gridTemplateColumns: `repeat(${HEARTS_PER_ROW}, ${HEART_SIZE}px)`,
+    gap: "2px",
+    filter: "drop-shadow(0 0 2px rgba(0, 0, 0, 0.6))",
+    transition: "filter 0.15s",
+  });
+  document.body.appendChild(root);
+
+  const hearts = [];
+
+  function addHeart() {
+    const id = `health-hud-clip-${clipIds++}`;
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("width", HEART_SIZE);
+    svg.setAttribute("height", HEART_SIZE);
+    svg.setAttribute("viewBox", "0 0 24 24");
+    const clip = document.createElementNS(SVG_NS, "clipPath");
+    clip.setAttribute("id", id);
+    const rect = document.createElementNS(SVG_NS, "rect");
+    rect.setAttribute("x", "0");
+    rect.setAttribute("y", "0");
+    rect.setAttribute("height", "24");
+    clip.appendChild(rect);
+    svg.appendChild(clip);
+    const make = (fill) => {
+      const p = document.createElementNS(SVG_NS, "path");
+      p.setAttribute("d", HEART_PATH);
+      p.setAttribute("fill", fill);
+      p.setAttribute("stroke", "rgba(255, 255, 255, 0.85)");
+      p.setAttribute("stroke-width", "1.2");
+      svg.appendChild(p);
+      return p;
+    };
+    make(COLOR_EMPTY);
+    const fill = make(COLOR);
+    fill.setAttribute("clip-path", `url(#${id})`);
+    fill.setAttribute("stroke", "none");
+    svg.style.transformOrigin = "50% 55%";
+    root.appendChild(svg);
+    hearts.push({ svg, rect, fill, shown: -1 });
+  }
+
+  let lastValue = null;
+  let flashT = 0;
+  let time = 0;
+
+  /**
+   * @param {ReturnType<import("./health.js").createHealth>} health
+   * @param {number} dt
+   */
+  function update(health, dt) {
+    if (!(PARAMS.healthHud ?? true)) {
+      root.style.display = "none";
+      return;
+    }
+    root.style.display = "grid";
+    time += dt;
+    if (lastValue != null && health.value < lastValue) flashT = FLASH_TIME;
+    lastValue = health.value;
+    flashT = Math.max(0, flashT - dt);
+
+    while (hearts.length < health.hearts) addHeart();
+    const perHeart = health.max / health.hearts;
+    // Whole quarters, rounded up: a scratch still shows
+    const quarters = Math.ceil((health.value / perHeart) * 4 - 1e-6);
+    const color = health.burning ? COLOR_BURNING : COLOR;
+    const low = !health.dead && quarters <= LOW_HEARTS * 4;
+    hearts.forEach((heart, i) => {
+      heart.svg.style.display = i < health.hearts ? "" : "none";
+      const q = Math.max(0, Math.min(4, quarters - i * 4));
+      if (q !== heart.shown) {
+        heart.rect.setAttribute("width", String((24 * q) / 4));
+        heart.shown = q;
+      }
+      heart.fill.setAttribute("fill", color);
+      const throb = low && i === Math.ceil(quarters / 4) - 1;
+      heart.svg.style.transform = throb
+        ? `scale(${1 + 0.12 * Math.abs(Math.sin(time * 5))})`
+        : "";
+    });
+    root.style.filter =
+      flashT > 0
+        ? `drop-shadow(0 0 ${6 * (flashT / FLASH_TIME)}px ${COLOR})`
+        : "drop-shadow(0 0 2px rgba(0, 0, 0, 0.6))";
+  }
+
+  function dispose() {
+    root.remove();
+  }
+
+  return { update, dispose };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {ReturnType<import("./input.js").createInput>} [opts.input] - Optional. jump / interact continue too.
+ * @param {() => void} opts.onContinue - respawn the player
+ */
+export function createGameOverScreen({ PARAMS, input, onContinue }) {
+  const root = document.createElement("div");
+  Object.assign(root.style, {
+    position: "fixed",
+    inset: "0",
+    zIndex: "40",
+    display: "none",
+    flexDirection: "column",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: "28px",
+    background:
+      "radial-gradient(ellipse at center, rgba(40, 0, 0, 0.55), rgba(0, 0, 0, 0.85))",
+    opacity: "0",
+    transition: "opacity 0.8s",
+    fontFamily: "Georgia, serif",
+    color: "#f3e6d0",
+    userSelect: "none",
+  });
+  const title = document.createElement("div");
+  title.textContent = "You Died";
+  Object.assign(title.style, {
+    fontSize: "56px",
+    letterSpacing: "0.12em",
+    color: "#d8473c",
+    textShadow: "0 0 18px rgba(0, 0, 0, 0.9)",
+  });
+  const button = document.createElement("button");
+  Object.assign(button.style, {
+    font: "20px Georgia, serif",
+    color: "inherit",
+    padding: "10px 34px",
+    background: "rgba(255, 200, 80, 0.12)",
+    border: "1px solid rgba(255, 200, 80, 0.5)",
+    borderRadius: "4px",
+    cursor: "pointer",
+  });
+  root.append(title, button);
+  document.body.appendChild(root);
+
+  let deadFor = 0;
+  let visible = false;
+
+  function show() {
+    visible = true;
+    const keys = input
+      ? ["jump", "interact"]
+          .flatMap((a) => input.getBindings(a).slice(0, 1))
+          .map(input.describeBinding)
+          .join(" / ")
+      : "";
+    button.textContent = keys ? `Continue (${keys})` : "Continue";
+    root.style.display = "flex";
+    requestAnimationFrame(() => (root.style.opacity = "1"));
+    if (document.pointerLockElement) document.exitPointerLock();
+  }
+
+  function hide() {
+    visible = false;
+    deadFor = 0;
+    root.style.opacity = "0";
+    root.style.display = "none";
+  }
+
+  function continueGame() {
+    if (!visible) return;
+    hide();
+    onContinue();
+  }
+  button.addEventListener("click", continueGame);
+
+  /**
+   * @param {boolean} dead - the player's health.dead
+   * @param {number} dt
+   */
+  function update(dead, dt) {
+    if (!dead) {
+      if (visible) hide();
+      deadFor = 0;
+      return;
+    }
+    deadFor += dt;
+    if (!visible && deadFor >= (PARAMS.respawnDelay ?? 2.5)) show();
+    if (
+      visible &&
+      input &&
+      (input.consume("jump") || input.consume("interact"))
+    )
+      continueGame();
+  }
+
+  function dispose() {
+    button.removeEventListener("click", continueGame);
+    root.remove();
+  }
+
+  return {
+    update,
+    hide,
+    get visible() {
+      return visible;
+    },
+    dispose,
+  };
+}
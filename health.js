@@ -0,0 +1,138 @@
+/**
+ * Player health: heart containers, damage with invulnerability frames, burning, death and revive.
+ * createHealth(PARAMS, opts?) → { update(dt), damage(amount, source) → boolean, heal(amount), ignite(), extinguish(),
+ *   revive(), get value, get max, get hearts, get dead, get invulnerable, get burning, addEventListener,
+ *   removeEventListener, saveState, loadState }.
+ * max = healthHearts × healthPerHeart hit points. Every hit that lands starts healthInvulnTime seconds of
+ * invulnerability frames, during which (and while dead) damage() is refused. healthEnabled false, or
+ * opts.invincible (a player with nowhere to respawn), = invincible.
+ * Sources: "enemy", "fall", "drown", "fire". ignite() sets the player burning for fireBurnTime seconds (fireDamage
+ * every fireTickInterval, i-frames or not); touching fire again rekindles it, extinguish() (water) puts it out.
+ * Events (THREE.EventDispatcher): "damage" { amount, source }, "death" { source }, "revive".
+ */
+import * as THREE from "three";
+
+/**
+ * @param {object} PARAMS
+ * @param {{ invincible?: boolean }} [opts]
+ */
+export function createHealth(PARAMS, opts = {}) {
+  const events = new THREE.EventDispatcher();
+  const enabled = () => !opts.invincible && (PARAMS.healthEnabled ?? true);
+  const maxValue = () =>
+    Math.max(1, PARAMS.healthHearts ?? 5) * (PARAMS.healthPerHeart ?? 20);
+
+  let value = maxValue();
+  let dead = false;
+  let invulnT = 0;
+  let burnT = 0;
+  let burnTickT = 0;
+
+  function apply(amount, source) {
+    value = Math.max(0, value - amount);
+    events.dispatchEvent({ type: "damage", amount, source });
+    if (value > 0) return;
+    dead = true;
+    burnT = 0;
+    events.dispatchEvent({ type: "death", source });
+  }
+
+  /**
+   * Take a hit.
+   * @param {number} amount - hit points
+   * @param {"enemy" | "fall" | "drown" | "fire"} source
+   * @returns {boolean} false when refused (i-frames, dead, disabled, nothing to take)
+   */
+  function damage(amount, source) {
+    if (dead || invulnT > 0 || amount <= 0 || !enabled()) return false;
+    invulnT = PARAMS.healthInvulnTime ?? 1.2;
+    apply(amount, source);
+    return true;
+  }
+
+  /** Restore hit points, up to the containers. */
+  function heal(amount) {
+    if (dead) return;
+    value = Math.min(maxValue(), value + amount);
+  }
+
+  /** Catch fire (or keep burning): fireBurnTime from now. */
+  function ignite() {
+    if (dead || !enabled()) return;
+    if (burnT <= 0) burnTickT = 0; // the first tick lands straight away
+    burnT = PARAMS.fireBurnTime ?? 3;
+  }
+
+  function extinguish() {
+    burnT = 0;
+  }
+
+  /** i-frames and burn ticks. Once per frame. */
+  function update(dt) {
+    const max = maxValue();
+    if (value > max) value = max;
+    if (!enabled()) {
+      burnT = 0;
+      if (!dead) value = max;
+    }
+    invulnT = Math.max(0, invulnT - dt);
+    if (dead || burnT <= 0) return;
+    burnT -= dt;
+    burnTickT -= dt;
+    if (burnTickT <= 0) {
+      burnTickT = PARAMS.fireTickInterval ?? 1;
+      apply(PARAMS.fireDamage ?? 10, "fire");
+    }
+  }
+
+  /** Back on full hearts (respawn). */
+  function revive() {
+    dead = false;
+    value = maxValue();
+    invulnT = PARAMS.healthInvulnTime ?? 1.2;
+    burnT = 0;
+    events.dispatchEvent({ type: "revive" });
+  }
+
+  // Save-game section: the hearts left (full again after a death)
+  const saveState = () => ({ value: dead ? maxValue() : value });
+
+  function loadState(data) {
+    dead = false;
+    value = Math.max(1, Math.min(maxValue(), data?.value ?? maxValue()));
+    invulnT = 0;
+    burnT = 0;
+  }
+
+  return {
+    update,
+    damage,
+    heal,
+    ignite,
+    extinguish,
+    revive,
+    get value() {
+      return value;
+    },
+    get max() {
+      return maxValue();
+    },
+    /** Heart containers. */
+    get hearts() {
+      return Math.max(1, PARAMS.healthHearts ?? 5);
+    },
+    get dead() {
+      return dead;
+    },
+    get invulnerable() {
+      return invulnT > 0;
+    },
+    get burning() {
+      return burnT > 0;
+    },
+    addEventListener: (type, fn) => events.addEventListener(type, fn),
+    removeEventListener: (type, fn) => events.removeEventListener(type, fn),
+    saveState,
+    loadState,
+  };
+}
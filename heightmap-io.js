@@ -0,0 +1,321 @@
+/**
+ * Heightmap file I/O: 16-bit grayscale PNG and little-endian 16-bit RAW (.r16 / .raw).
+ * Exports encodeHeightmap(record, format, opts?) → Promise<Blob>, decodeHeightmap(buffer, format, opts) → Promise<record>,
+ * downloadBlob(blob, filename), resampleHeights(src, sw, sh, dw, dh).
+ *
+ * A heightmap record is { width, height, heights: Float32Array, worldSize } — heights in metres, row-major,
+ * rows along +Z, texel (x, y) at world ((x / width - 0.5) * worldSize, (y / height - 0.5) * worldSize),
+ * i.e. the same layout as terrain.js heightTex. PNG exports embed { minHeight, maxHeight, worldSize } in a
+ * tEXt chunk so they re-import exactly; RAW files and foreign PNGs use opts.verticalScale / heightOffset / worldSize,
+ * and RAW exports are quantised with the same verticalScale / heightOffset, so they re-import with those settings.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const META_KEYWORD = "heightmap";
+
+// ── CRC32 (PNG chunk checksums) ──
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes, start, end) {
+  let c = 0xffffffff;
+  for (let i = start; i < end; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// ── zlib via Compression Streams (PNG IDAT is zlib = "deflate" format) ──
+async function zlibDeflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function zlibInflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ── Quantization ──
+function heightRange(heights) {
+  let min = Infinity,
+    max = -Infinity;
+  for (let i = 0; i < heights.length; i++) {
+    if (heights[i] < min) min = heights[i];
+    if (heights[i] > max) max = heights[i];
+  }
+  if (!(max > min)) max = min + 1;
+  return { min, max };
+}
+
+function quantize(heights, min, max) {
+  const out = new Uint16Array(heights.length);
+  const k = 65535 / (max - min);
+  for (let i = 0; i < heights.length; i++)
+    out[i] = Math.max(0, Math.min(65535, Math.round((heights[i] - min) * k)));
+  return out;
+}
+
+function dequantize(samples, min, max) {
+  const out = new Float32Array(samples.length);
+  const k = (max - min) / 65535;
+  for (let i = 0; i < samples.length; i++) out[i] = min + samples[i] * k;
+  return out;
+}
+
+// ── PNG ──
+function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  dv.setUint32(8 + data.length, crc32(out, 4, 8 + data.length));
+  return out;
+}
+
+async function encodePng16(samples, width, height, meta) {
+  const ihdr = new Uint8Array(13);
+  const hv = new DataView(ihdr.buffer);
+  hv.setUint32(0, width);
+  hv.setUint32(4, height);
+  ihdr[8] = 16; // bit depth
+  ihdr[9] = 0; // colour type: grayscale
+  // compression 0, filter 0, interlace 0
+
+  const stride = 1 + width * 2;
+  const raw = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * stride; // filter byte 0 (None)
+    for (let x = 0; x < width; x++) {
+      const v = samples[y * width + x];
+      raw[row + 1 + x * 2] = v >> 8;
+      raw[row + 2 + x * 2] = v & 0xff;
+    }
+  }
+  const text = new TextEncoder().encode(META_KEYWORD + "\0" + JSON.stringify(meta));
+  const parts = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk("IHDR", ihdr),
+    pngChunk("tEXt", text),
+    pngChunk("IDAT", await zlibDeflate(raw)),
+    pngChunk("IEND", new Uint8Array(0)),
+  ];
+  return new Blob(parts, { type: "image/png" });
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a),
+    pb = Math.abs(p - b),
+    pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/** Decode a non-interlaced PNG into its first channel as 16-bit samples (8-bit input is widened). */
+async function decodePng(buffer) {
+  const bytes = new Uint8Array(buffer);
+  for (let i = 0; i < 8; i++)
+    if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error("Not a PNG file");
+  const dv = new DataView(buffer);
+  let width = 0,
+    height = 0,
+    bitDepth = 0,
+    colorType = 0,
+    interlace = 0;
+  let meta = null;
+  const idat = [];
+  let off = 8;
+  while (off + 8 <= bytes.length) {
+    const len = dv.getUint32(off);
+    const type = String.fromCharCode(...bytes.subarray(off + 4, off + 8));
+    const data = bytes.subarray(off + 8, off + 8 + len);
+    if (type === "IHDR") {
+      width = dv.getUint32(off + 8);
+      height = dv.getUint32(off + 12);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === "tEXt") {
+      const sep = data.indexOf(0);
+      const key = new TextDecoder().decode(data.subarray(0, sep));
+      if (key === META_KEYWORD) {
+        try {
+          meta = JSON.parse(new TextDecoder().decode(data.subarray(sep + 1)));
+        } catch (e) {
+          console.warn("Ignoring malformed heightmap metadata in PNG", e);
+        }
+      }
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    off += 12 + len;
+  }
+  if (interlace) throw new Error("Interlaced PNGs are not supported");
+  if (bitDepth !== 8 && bitDepth !== 16)
+    throw new Error(`Unsupported PNG bit depth ${bitDepth} (need 8 or 16)`);
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}`);
+
+  const raw = await zlibInflate(new Uint8Array(await new Blob(idat).arrayBuffer()));
+  const bpp = channels * (bitDepth / 8);
+  const stride = width * bpp;
+  const cur = new Uint8Array(stride);
+  const prev = new Uint8Array(stride);
+  const samples = new Uint16Array(width * height);
+  let p = 0;
+  for (let y = 0; y < height; y++) {
+    const filter = raw[p++];
+    for (let i = 0; i < stride; i++) {
+      const x = raw[p++];
+      const a = i >= bpp ? cur[i - bpp] : 0;
+      const b = prev[i];
+      const c = i >= bpp ? prev[i - bpp] : 0;
+      let v;
+      if (filter === 0) v = x;
+      else if (filter === 1) v = x + a;
+      else if (filter === 2) v = x + b;
+      else if (filter === 3) v = x + ((a + b) >> 1);
+      else if (filter === 4) v = x + paeth(a, b, c);
+      else throw new Error(`Bad PNG filter type ${filter}`);
+      cur[i] = v & 0xff;
+    }
+    for (let xPix = 0; xPix < width; xPix++) {
+      const i = xPix * bpp;
+      samples[y * width + xPix] =
+        bitDepth === 16 ? (cur[i] << 8) | cur[i + 1] : cur[i] * 257;
+    }
+    prev.set(cur);
+  }
+  return { width, height, samples, meta };
+}
+
+// ── RAW (little-endian uint16, square unless width is given) ──
+function encodeRaw16(samples) {
+  const out = new DataView(new ArrayBuffer(samples.length * 2));
+  for (let i = 0; i < samples.length; i++) out.setUint16(i * 2, samples[i], true);
+  return new Blob([out.buffer], { type: "application/octet-stream" });
+}
+
+function decodeRaw16(buffer, width) {
+  const count = buffer.byteLength >> 1;
+  const w = width || Math.round(Math.sqrt(count));
+  const h = Math.floor(count / w);
+  if (!w || w * h !== count || buffer.byteLength % 2)
+    throw new Error(
+      `RAW heightmap is ${buffer.byteLength} bytes; not a ${width ? w + "-wide" : "square"} 16-bit grid`,
+    );
+  const dv = new DataView(buffer);
+  const samples = new Uint16Array(count);
+  for (let i = 0; i < count; i++) samples[i] = dv.getUint16(i * 2, true);
+  return { width: w, height: h, samples };
+}
+
+/**
+ * @param {{ width: number, height: number, heights: Float32Array, worldSize: number }} record
+ * @param {"png" | "raw"} format
+ * @param {{ verticalScale: number, heightOffset: number }} [opts] - RAW only (required): sample 0 = heightOffset,
+ *   65535 = heightOffset + verticalScale metres; heights outside that range are clipped
+ * @returns {Promise<Blob>}
+ */
+export async function encodeHeightmap(record, format, opts) {
+  if (format === "raw") {
+    if (!(opts?.verticalScale > 0))
+      throw new Error("RAW heightmap export needs a positive verticalScale");
+    const min = opts.heightOffset ?? 0;
+    const max = min + opts.verticalScale;
+    let clipped = 0;
+    for (const h of record.heights) if (h < min || h > max) clipped++;
+    if (clipped > 0)
+      console.warn(
+        `Heightmap RAW export: ${clipped} heights outside ${min}…${max} m clipped (raise the vertical scale / lower the offset)`,
+      );
+    return encodeRaw16(quantize(record.heights, min, max));
+  }
+  const { min, max } = heightRange(record.heights);
+  const samples = quantize(record.heights, min, max);
+  return encodePng16(samples, record.width, record.height, {
+    minHeight: min,
+    maxHeight: max,
+    worldSize: record.worldSize,
+  });
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @param {"png" | "raw"} format
+ * @param {{ verticalScale: number, heightOffset: number, worldSize: number, rawWidth?: number }} opts
+ *   full-range sample 65535 maps to heightOffset + verticalScale metres
+ * @returns {Promise<{ width: number, height: number, heights: Float32Array, worldSize: number }>}
+ */
+export async function decodeHeightmap(buffer, format, opts) {
+  const decoded =
+    format === "raw" ? decodeRaw16(buffer, opts.rawWidth) : await decodePng(buffer);
+  const meta = decoded.meta;
+  const min = meta ? meta.minHeight : opts.heightOffset;
+  const max = meta ? meta.maxHeight : opts.heightOffset + opts.verticalScale;
+  return {
+    width: decoded.width,
+    height: decoded.height,
+    heights: dequantize(decoded.samples, min, max),
+    worldSize: meta?.worldSize ?? opts.worldSize,
+  };
+}
+
+/** Bilinear resample of a row-major float grid (texel-corner layout, same as heightTex). */
+export function resampleHeights(src, sw, sh, dw, dh) {
+  if (sw === dw && sh === dh) return src;
+  const out = new Float32Array(dw * dh);
+  for (let y = 0; y < dh; y++) {
+    const v = Math.min(sh - 1, (y / dh) * sh);
+    const iy = Math.min(sh - 2, Math.floor(v));
+    const fy = v - iy;
+    for (let x = 0; x < dw; x++) {
+      const u = Math.min(sw - 1, (x / dw) * sw);
+      const ix = Math.min(sw - 2, Math.floor(u));
+      const fx = u - ix;
+      out[y * dw + x] =
+        src[iy * sw + ix] * (1 - fx) * (1 - fy) +
+        src[iy * sw + ix + 1] * fx * (1 - fy) +
+        src[(iy + 1) * sw + ix] * (1 - fx) * fy +
+        src[(iy + 1) * sw + ix + 1] * fx * fy;
+    }
+  }
+  return out;
+}
+
+/** Sample a heightmap record at a world position (bilinear, clamped to its edges). */
+export function sampleHeightmapRecord(record, wx, wz) {
+  const { width, height, heights, worldSize } = record;
+  const u = (wx / worldSize + 0.5) * width;
+  const v = (wz / worldSize + 0.5) * height;
+  const ix = Math.max(0, Math.min(width - 2, Math.floor(u)));
+  const iy = Math.max(0, Math.min(height - 2, Math.floor(v)));
+  const fx = Math.max(0, Math.min(1, u - ix)),
+    fy = Math.max(0, Math.min(1, v - iy));
+  return (
+    heights[iy * width + ix] * (1 - fx) * (1 - fy) +
+    heights[iy * width + ix + 1] * fx * (1 - fy) +
+    heights[(iy + 1) * width + ix] * (1 - fx) * fy +
+    heights[(iy + 1) * width + ix + 1] * fx * fy
+  );
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
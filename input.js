@@ -0,0 +1,281 @@
+/**
+ * Action-based input: keyboard, mouse and Gamepad API backends feeding named actions (folio Inputs shape).
+ * createInput({ element, storageKey? }) → { update, isDown, justPressed, consume, move, look, takeMouseDelta,
+ *   getBindings, rebind, captureBinding, resetBindings, describeBinding, dispose }; INPUT_ACTIONS.
+ * Bindings are strings: "Keyboard.<KeyboardEvent.code>", "Mouse.<button>", "Gamepad.<button name>"
+ * (standard mapping: cross, circle, square, triangle, l1, r1, l2, r2, select, start, l3, r3, up, down, left, right).
+ * Remapped bindings persist to localStorage. Call update() once per frame before reading actions:
+ * justPressed(action) is true for the frame after a press (taps shorter than a frame still count).
+ * Analog: move() = left stick + move keys, { x: right, y: forward } in −1…1; look() = right stick.
+ */
+
+/** Actions with their default bindings (order = remapping UI order). */
+export const INPUT_ACTIONS = [
+  { name: "moveForward", label: "move forward", bindings: ["Keyboard.KeyW", "Keyboard.ArrowUp"] },
+  { name: "moveBack", label: "move back", bindings: ["Keyboard.KeyS", "Keyboard.ArrowDown"] },
+  { name: "turnLeft", label: "turn left", bindings: ["Keyboard.KeyA", "Keyboard.ArrowLeft"] },
+  { name: "turnRight", label: "turn right", bindings: ["Keyboard.KeyD", "Keyboard.ArrowRight"] },
+  { name: "sprint", label: "sprint", bindings: ["Keyboard.ShiftLeft", "Keyboard.ShiftRight", "Gamepad.circle"] },
+  { name: "crouch", label: "crouch", bindings: ["Keyboard.ControlLeft", "Keyboard.ControlRight", "Gamepad.l3"] },
+  { name: "jump", label: "jump", bindings: ["Keyboard.Space", "Gamepad.cross"] },
+  { name: "glide", label: "glide (in air)", bindings: ["Keyboard.Space", "Gamepad.cross"] },
+  { name: "roll", label: "roll", bindings: ["Keyboard.KeyF", "Gamepad.l1"] },
+  { name: "attack", label: "attack", bindings: ["Mouse.2", "Gamepad.square"] },
+  { name: "heavyAttack", label: "heavy attack", bindings: ["Keyboard.KeyQ", "Gamepad.r2"] },
+  { name: "block", label: "block / parry", bindings: ["Keyboard.KeyR", "Gamepad.r1"] },
+  { name: "aim", label: "aim bow", bindings: ["Keyboard.KeyX", "Gamepad.up"] },
+  { name: "interact", label: "interact", bindings: ["Keyboard.KeyE", "Gamepad.triangle"] },
+  { name: "lockOn", label: "lock on / release", bindings: ["Keyboard.KeyZ", "Mouse.1", "Gamepad.l2"] },
+  { name: "lockSwitch", label: "switch target", bindings: ["Keyboard.Tab", "Gamepad.r3"] },
+];
+
+const GAMEPAD_BUTTONS = [
+  "cross", "circle", "square", "triangle", "l1", "r1", "l2", "r2",
+  "select", "start", "l3", "r3", "up", "down", "left", "right",
+];
+const BUTTON_PRESSED = 0.2;
+const STICK_DEAD_ZONE = 0.2;
+const MOUSE_NAMES = { 0: "Left mouse", 1: "Middle mouse", 2: "Right mouse" };
+
+/** Radial dead zone, rescaled so output still spans 0…1. */
+function stick(ax, ay) {
+  const r = Math.hypot(ax, ay);
+  if (r < STICK_DEAD_ZONE) return { x: 0, y: 0 };
+  const k = Math.min(1, (r - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE)) / r;
+  return { x: ax * k, y: ay * k };
+}
+
+function isTextField(target) {
+  const tag = target?.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || !!target?.isContentEditable;
+}
+
+/**
+ * @param {{ element?: HTMLElement, storageKey?: string }} [opts] - element receives mouse buttons (the canvas)
+ */
+export function createInput(opts = {}) {
+  const element = opts.element ?? document.body;
+  const storageKey = opts.storageKey ?? "zelda.inputBindings";
+
+  const bindings = new Map(INPUT_ACTIONS.map((a) => [a.name, [...a.bindings]]));
+  const held = new Set(); // binding strings currently down
+  const tapped = new Set(); // went down since the last update()
+  const actionState = new Map(
+    INPUT_ACTIONS.map((a) => [a.name, { down: false, pressed: false }]),
+  );
+  const mouseDelta = { x: 0, y: 0 };
+  let leftStick = { x: 0, y: 0 };
+  let rightStick = { x: 0, y: 0 };
+  let gamepadHeld = new Set();
+  let capture = null;
+
+  // ── PERSISTENCE ──
+  function load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(storageKey) || "null");
+    } catch (e) {
+      console.warn("Input: ignoring unreadable saved bindings", e);
+    }
+    if (!saved?.bindings) return;
+    for (const [name, list] of Object.entries(saved.bindings)) {
+      if (bindings.has(name) && Array.isArray(list)) bindings.set(name, list.filter((b) => typeof b === "string"));
+    }
+  }
+
+  function save() {
+    try {
+      localStorage.setItem(
+        storageKey,
+        JSON.stringify({ version: 1, bindings: Object.fromEntries(bindings) }),
+      );
+    } catch (e) {
+      console.warn("Input: could not save bindings", e);
+    }
+  }
+  load();
+
+  function isBound(binding) {
+    for (const list of bindings.values()) if (list.includes(binding)) return true;
+    return false;
+  }
+
+  function press(binding) {
+    if (capture) {
+      const resolve = capture;
+      capture = null;
+      resolve(binding);
+      return;
+    }
+    if (!held.has(binding)) tapped.add(binding);
+    held.add(binding);
+  }
+
+  // ── KEYBOARD / MOUSE ──
+  function onKeyDown(e) {
+    if (isTextField(e.target)) return;
+    if (capture && e.code === "Escape") {
+      const resolve = capture;
+      capture = null;
+      resolve(null);
+      e.preventDefault();
+      return;
+    }
+    const binding = `Keyboard.${e.code}`;
+    if (capture || isBound(binding)) e.preventDefault();
+    if (!e.repeat) press(binding);
+  }
+  function onKeyUp(e) {
+    held.delete(`Keyboard.${e.code}`);
+  }
+  function onMouseDown(e) {
+    press(`Mouse.${e.button}`);
+  }
+  function onMouseUp(e) {
+    held.delete(`Mouse.${e.button}`);
+  }
+  function onMouseMove(e) {
+    if (document.pointerLockElement !== element && !(e.buttons & 1)) return;
+    mouseDelta.x += e.movementX;
+    mouseDelta.y += e.movementY;
+  }
+  function onBlur() {
+    held.clear();
+  }
+  window.addEventListener("keydown", onKeyDown);
+  window.addEventListener("keyup", onKeyUp);
+  element.addEventListener("mousedown", onMouseDown);
+  window.addEventListener("mouseup", onMouseUp);
+  document.addEventListener("mousemove", onMouseMove);
+  window.addEventListener("blur", onBlur);
+
+  // ── GAMEPAD (polled in update) ──
+  function pollGamepad() {
+    const pads = globalThis.navigator?.getGamepads?.() ?? [];
+    const pad = [...pads].find((p) => p?.connected);
+    const now = new Set();
+    if (pad) {
+      GAMEPAD_BUTTONS.forEach((name, i) => {
+        if ((pad.buttons[i]?.value ?? 0) > BUTTON_PRESSED) now.add(`Gamepad.${name}`);
+      });
+      leftStick = stick(pad.axes[0] ?? 0, pad.axes[1] ?? 0);
+      rightStick = stick(pad.axes[2] ?? 0, pad.axes[3] ?? 0);
+    } else {
+      leftStick = { x: 0, y: 0 };
+      rightStick = { x: 0, y: 0 };
+    }
+    for (const b of now) if (!gamepadHeld.has(b)) press(b);
+    for (const b of gamepadHeld) if (!now.has(b)) held.delete(b);
+    gamepadHeld = now;
+  }
+
+  /** Poll the gamepad and refresh every action's down / justPressed state. Once per frame. */
+  function update() {
+    pollGamepad();
+    for (const [name, list] of bindings) {
+      const s = actionState.get(name);
+      const down = list.some((b) => held.has(b));
+      s.pressed = list.some((b) => tapped.has(b));
+      s.down = down || s.pressed;
+    }
+    tapped.clear();
+  }
+
+  const isDown = (name) => actionState.get(name)?.down ?? false;
+  const justPressed = (name) => actionState.get(name)?.pressed ?? false;
+
+  /** justPressed, then cleared so no other reader acts on the same press. */
+  function consume(name) {
+    const s = actionState.get(name);
+    if (!s?.pressed) return false;
+    s.pressed = false;
+    return true;
+  }
+
+  /** Left stick plus move keys: { x: right, y: forward }, length ≤ 1. */
+  function move() {
+    const x = leftStick.x;
+    let y = -leftStick.y;
+    if (isDown("moveForward")) y += 1;
+    if (isDown("moveBack")) y -= 1;
+    const len = Math.hypot(x, y);
+    return len > 1 ? { x: x / len, y: y / len } : { x, y };
+  }
+
+  /** Right stick: { x: right, y: down }, dead zone applied. */
+  const look = () => rightStick;
+
+  /** Mouse movement (pointer locked, or left-drag) since the last call, in pixels. */
+  function takeMouseDelta() {
+    const d = { x: mouseDelta.x, y: mouseDelta.y };
+    mouseDelta.x = mouseDelta.y = 0;
+    return d;
+  }
+
+  // ── REMAPPING ──
+  const getBindings = (name) => [...(bindings.get(name) ?? [])];
+
+  /**
+   * Bind `binding` to `name` in slot `slot` (index into getBindings(name)), leaving the other slots alone;
+   * a slot past the end appends. A binding already in another slot of the action moves here.
+   */
+  function rebind(name, binding, slot = Infinity) {
+    if (!bindings.has(name)) {
+      console.warn("Input: unknown action", name);
+      return;
+    }
+    const list = [...bindings.get(name)];
+    const i = Math.min(slot, list.length);
+    const prev = list.indexOf(binding);
+    list[i] = binding;
+    if (prev >= 0 && prev !== i) list.splice(prev, 1);
+    bindings.set(name, list);
+    save();
+  }
+
+  /** Resolve with the next key / mouse button / gamepad button pressed (null on Escape). */
+  function captureBinding() {
+    if (capture) capture(null);
+    return new Promise((resolve) => {
+      capture = resolve;
+    });
+  }
+
+  function resetBindings() {
+    for (const a of INPUT_ACTIONS) bindings.set(a.name, [...a.bindings]);
+    save();
+  }
+
+  /** Short human label: "Space", "Right mouse", "Pad cross". */
+  function describeBinding(binding) {
+    const [device, id] = binding.split(".");
+    if (device === "Mouse") return MOUSE_NAMES[id] ?? `Mouse ${id}`;
+    if (device === "Gamepad") return `Pad ${id}`;
+    return id.replace(/^Key/, "").replace(/^Digit/, "");
+  }
+
+  function dispose() {
+    window.removeEventListener("keydown", onKeyDown);
+    window.removeEventListener("keyup", onKeyUp);
+    element.removeEventListener("mousedown", onMouseDown);
+    window.removeEventListener("mouseup", onMouseUp);
+    document.removeEventListener("mousemove", onMouseMove);
+    window.removeEventListener("blur", onBlur);
+  }
+
+  return {
+    update,
+    isDown,
+    justPressed,
+    consume,
+    move,
+    look,
+    takeMouseDelta,
+    getBindings,
+    rebind,
+    captureBinding,
+    resetBindings,
+    describeBinding,
+    dispose,
+  };
+}
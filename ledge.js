@@ -0,0 +1,349 @@
+/**
+ * Ledge grab, shimmy, pull-up / drop, and vaulting over waist-high obstacles, on any collider (and the heightmap).
+ * createLedge(opts) → ledge = { active, mode, position, normal, topY, tryGrab(forward) → null | "hang" | "pullup",
+ *   tryVault(forward) → null | "vault" | "mantle", update(dt, controls) → event, cancel() }. Call update() every frame (it ticks the regrab cooldown).
+ * Detection: forward probes (from just under the lowest allowed top upward) find a face in front, a downward probe
+ * just past it finds the walkable top. Heights are measured from the feet: tops within ledgeGrabMinHeight…ledgeGrabMaxHeight can be
+ * grabbed (jump into them, or fall past them pushing forward); tops within ledgeVaultMinHeight…ledgeVaultMaxHeight
+ * are vaulted when the obstacle is at most ledgeVaultMaxDepth thick, else climbed onto (mantle).
+ * Modes: "reach" (moving onto the edge), "hang" (move.x shimmies along it), "pullup" (hang → standing on top; also
+ * the mantle), "vault" (an arc over the obstacle). Pull-ups and vaults only start where the capsule fits.
+ * Pulling up takes a jump press, or pushing forward again: forward held through the grab has to be let go first.
+ * update() returns null or an event: "pullup" | "top" (standing on the ledge) | "drop" (let go) | "land" (vault done).
+ * Shimmying drains stamina like climbing (stamina.js "climb"); running dry = drop.
+ * The caller owns the body: it copies ledge.position into the kinematic body each frame. fits() only checks the ends
+ * of the pull-up and vault arcs, so the caller sweeps those through its character controller and writes the
+ * reachable spot back into ledge.position.
+ */
+import * as THREE from "three";
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+const SKIN = 0.04;
+const HAND_REACH = 0.35; // hands above the head while hanging
+const REACH_TIME = 0.18;
+const REGRAB_COOLDOWN = 0.4;
+const DEPTH_STEP = 0.15;
+const FACE_STEP = 0.25;
+const IDENTITY_ROT = { x: 0, y: 0, z: 0, w: 1 };
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {THREE.Vector3} opts.charPos - capsule centre (read; the ledge writes its own copy in .position)
+ * @param {number} opts.capR
+ * @param {number} opts.capHalfH
+ * @param {ReturnType<import("./climbing.js").createClimbing>["probe"]} opts.probe - surface ray (heightmap + colliders)
+ * @param {object} [opts.RAPIER] - With physicsWorld: capsule clearance tests before pull-ups and vaults
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @param {() => import("@dimforge/rapier3d").Collider} [opts.getExcludeCollider] - the player's collider
+ * @param {ReturnType<import("./stamina.js").createStamina>} [opts.stamina]
+ */
+export function createLedge(opts) {
+  const { PARAMS, charPos, capR, capHalfH, probe, RAPIER, physicsWorld } = opts;
+  const getExclude = opts.getExcludeCollider ?? (() => undefined);
+  const stamina = opts.stamina;
+  const standH = capHalfH + capR;
+  const hangDrop = standH + HAND_REACH; // top of the ledge → capsule centre
+
+  const position = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const from = new THREE.Vector3();
+  const to = new THREE.Vector3();
+  const apex = new THREE.Vector3();
+  const _into = new THREE.Vector3();
+  const _right = new THREE.Vector3();
+  const _origin = new THREE.Vector3();
+  const _next = new THREE.Vector3();
+  const _n = new THREE.Vector3();
+
+  let mode = null; // null | "reach" | "hang" | "pullup" | "vault"
+  let t = 0;
+  let duration = 0;
+  let topY = 0;
+  let cooldown = 0;
+  let body = null;
+  let pushReady = false; // forward let go since the grab: pushing it again pulls up
+
+  const enabled = () => PARAMS.ledgeEnabled ?? true;
+  const isWalkable = (n) =>
+    n.y >= Math.cos(((PARAMS.climbSlideAngle ?? 50) * Math.PI) / 180);
+  const feetY = () => charPos.y - standH;
+
+  // Room for the standing capsule here (no physics = assume yes)
+  function fits(center) {
+    if (!RAPIER || !physicsWorld) return true;
+    body ??= new RAPIER.Capsule(capHalfH, capR - SKIN);
+    return !physicsWorld.intersectionWithShape(
+      center,
+      IDENTITY_ROT,
+      body,
+      RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+      undefined,
+      getExclude(),
+    );
+  }
+
+  /**
+   * Walkable top within [minH, maxH] above the feet, on a wall in front.
+   * @returns {{ top: number, point: THREE.Vector3, normal: THREE.Vector3 } | null} point = the face, at top height
+   */
+  function findLedge(forward, minH, maxH) {
+    const feet = feetY();
+    const reach = capR + (PARAMS.ledgeReach ?? 0.5);
+    // The face: lowest forward hit from just under minH up (a slab may float above the feet)
+    let face = null;
+    for (let h = minH - 0.05; h < maxH && !face; h += FACE_STEP) {
+      _origin.set(charPos.x, feet + h, charPos.z);
+      face = probe(_origin, forward, reach);
+    }
+    if (!face || isWalkable(face.normal) || face.normal.dot(forward) > -0.5)
+      return null;
+    // The top: straight down just past the face, no lower than where the face was hit
+    _origin.copy(face.point).addScaledVector(forward, 0.1);
+    _origin.y = feet + maxH + 0.05;
+    const down = probe(_origin, DOWN, _origin.y - face.point.y);
+    // distance 0: started inside something — the wall goes higher than maxH
+    if (!down || down.distance < 0.01 || !isWalkable(down.normal)) return null;
+    const top = down.point.y;
+    if (top - feet < minH) return null;
+    _n.copy(face.normal).setY(0).normalize();
+    return { top, point: face.point.setY(top), normal: _n };
+  }
+
+  function setFrame(n) {
+    normal.copy(n);
+    _into.copy(n).negate();
+    _right.copy(_into).cross(UP).normalize();
+  }
+
+  // Capsule centre hanging from a face point at the top of the ledge
+  function hangAt(point, out) {
+    return out
+      .copy(point)
+      .addScaledVector(normal, capR + SKIN)
+      .setY(topY - hangDrop);
+  }
+
+  // Standing on the top, a step in from the edge
+  function standAt(point, out) {
+    return out
+      .copy(point)
+      .addScaledVector(_into, capR + 0.25)
+      .setY(topY + standH + 0.02);
+  }
+
+  function start(next, target, time) {
+    mode = next;
+    from.copy(position);
+    to.copy(target);
+    t = 0;
+    duration = time;
+  }
+
+  /**
+   * Catch a ledge in front: jumping into it from the ground, or airborne pushing forward.
+   * @param {THREE.Vector3} forward - horizontal facing direction (unit)
+   * @returns {null | "hang" | "pullup"} "pullup" = too low to hang from (feet in the ground): straight up instead
+   */
+  function tryGrab(forward) {
+    if (mode || cooldown > 0 || !enabled() || stamina?.isExhausted())
+      return null;
+    const ledge = findLedge(
+      forward,
+      PARAMS.ledgeGrabMinHeight ?? 1.2,
+      PARAMS.ledgeGrabMaxHeight ?? 2.4,
+    );
+    if (!ledge) return null;
+    setFrame(ledge.normal);
+    topY = ledge.top;
+    position.copy(charPos);
+    if (fits(hangAt(ledge.point, _next))) {
+      start("reach", _next, REACH_TIME);
+      return "hang";
+    }
+    if (!fits(standAt(ledge.point, _next))) return null;
+    start("pullup", _next, PARAMS.ledgePullUpTime ?? 0.6);
+    return "pullup";
+  }
+
+  /**
+   * Running into a waist-high obstacle: vault over it when it's thin, else climb onto it.
+   * @param {THREE.Vector3} forward - horizontal facing direction (unit)
+   * @returns {null | "vault" | "mantle"}
+   */
+  function tryVault(forward) {
+    if (mode || cooldown > 0 || !enabled()) return null;
+    const ledge = findLedge(
+      forward,
+      PARAMS.ledgeVaultMinHeight ?? 0.45,
+      PARAMS.ledgeVaultMaxHeight ?? 1.1,
+    );
+    if (!ledge) return null;
+    setFrame(ledge.normal);
+    topY = ledge.top;
+    position.copy(charPos);
+    // Walk the top away from the face until it drops off (the far edge)
+    const maxDepth = PARAMS.ledgeVaultMaxDepth ?? 1.2;
+    let depth = null;
+    for (let d = DEPTH_STEP; d <= maxDepth + 1e-6; d += DEPTH_STEP) {
+      _origin.copy(ledge.point).addScaledVector(_into, d);
+      _origin.y = topY + 0.3;
+      const hit = probe(_origin, DOWN, 0.55);
+      if (!hit) {
+        depth = d;
+        break;
+      }
+    }
+    if (depth === null) {
+      standAt(ledge.point, _next);
+      if (!fits(_next)) return null;
+      start("pullup", _next, PARAMS.ledgeMantleTime ?? 0.35);
+      return "mantle";
+    }
+    // Over the top with the body low, down the far side to the start height (or the ground there)
+    apex
+      .copy(ledge.point)
+      .addScaledVector(_into, depth * 0.5)
+      .setY(topY + capR + 0.1);
+    _next.copy(ledge.point).addScaledVector(_into, depth + capR + 0.15);
+    _origin.copy(_next).setY(topY + 0.3);
+    const ground = probe(_origin, DOWN, topY + 0.3 - feetY() + 0.5);
+    _next.y = ground
+      ? Math.max(charPos.y, ground.point.y + standH + 0.02)
+      : charPos.y; // a drop beyond: land level and fall from there
+    if (!fits(_next) || !fits(_origin.copy(apex).setY(apex.y + capHalfH)))
+      return null;
+    start("vault", _next, PARAMS.ledgeVaultTime ?? 0.45);
+    return "vault";
+  }
+
+  function release() {
+    mode = null;
+    cooldown = REGRAB_COOLDOWN;
+  }
+
+  // Shimmy: the next spot needs both a face ahead and a walkable top about level with this one
+  function shimmy(dt, mx) {
+    _next
+      .copy(position)
+      .addScaledVector(_right, mx * (PARAMS.ledgeShimmySpeed ?? 1.2) * dt);
+    _origin.copy(_next).setY(topY - 0.08);
+    const face = probe(_origin, _into, capR + SKIN + 0.3);
+    if (!face || isWalkable(face.normal)) return false;
+    _origin
+      .copy(face.point)
+      .addScaledVector(_into, 0.15)
+      .setY(topY + 0.3);
+    const top = probe(_origin, DOWN, 0.6);
+    if (!top || !isWalkable(top.normal) || Math.abs(top.point.y - topY) > 0.25)
+      return false;
+    _n.copy(face.normal).setY(0).normalize();
+    setFrame(_n.lerp(normal, 0.65).normalize());
+    topY = top.point.y;
+    hangAt(face.point, position);
+    return true;
+  }
+
+  /**
+   * Advance one frame.
+   * @param {number} dt
+   * @param {{ move: { x: number, y: number }, jump: boolean, letGo: boolean }} controls - move.x right, move.y up;
+   *   jump and letGo are fresh presses
+   * @returns {null | "pullup" | "top" | "drop" | "land"}
+   */
+  function update(dt, controls) {
+    cooldown = Math.max(0, cooldown - dt);
+    if (!mode) return null;
+
+    if (mode === "reach") {
+      t += dt;
+      position.lerpVectors(from, to, Math.min(1, t / duration));
+      if (t >= duration) mode = "hang";
+      pushReady = false;
+      return null;
+    }
+
+    if (mode === "pullup") {
+      t += dt;
+      const k = Math.min(1, t / duration);
+      // Up first, then over: y leads, xz follows
+      const ky = Math.min(1, k * 1.6);
+      const kxz = Math.max(0, (k - 0.35) / 0.65);
+      position.set(
+        from.x + (to.x - from.x) * kxz,
+        from.y + (to.y - from.y) * ky,
+        from.z + (to.z - from.z) * kxz,
+      );
+      if (k < 1) return null;
+      mode = null;
+      return "top";
+    }
+
+    if (mode === "vault") {
+      t += dt;
+      const k = Math.min(1, t / duration);
+      // Quadratic Bézier start → apex → landing
+      const a = (1 - k) * (1 - k);
+      const b = 2 * (1 - k) * k;
+      const c = k * k;
+      position.set(
+        from.x * a + apex.x * b + to.x * c,
+        from.y * a + apex.y * b + to.y * c,
+        from.z * a + apex.z * b + to.z * c,
+      );
+      if (k < 1) return null;
+      release();
+      return "land";
+    }
+
+    // hang
+    const { move } = controls;
+    if (controls.letGo || move.y < -0.5) {
+      release();
+      return "drop";
+    }
+    if (move.y <= 0.5) pushReady = true;
+    if (controls.jump || (pushReady && move.y > 0.5)) {
+      _origin.copy(position).addScaledVector(_into, capR + SKIN);
+      standAt(_origin, _next);
+      if (fits(_next)) {
+        start("pullup", _next, PARAMS.ledgePullUpTime ?? 0.6);
+        return "pullup";
+      }
+    }
+    if (Math.abs(move.x) > 0.05) {
+      if (stamina && !stamina.drain("climb", dt)) {
+        release();
+        return "drop";
+      }
+      shimmy(dt, move.x);
+    }
+    return null;
+  }
+
+  /** Drop the ledge without an event (teleport, load). */
+  function cancel() {
+    mode = null;
+    cooldown = 0;
+  }
+
+  return {
+    get active() {
+      return mode !== null;
+    },
+    get mode() {
+      return mode;
+    },
+    /** Height of the ledge top being held / climbed onto (where the hands go). */
+    get topY() {
+      return topY;
+    },
+    position,
+    normal,
+    tryGrab,
+    tryVault,
+    update,
+    cancel,
+  };
+}
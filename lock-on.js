@@ -0,0 +1,192 @@
+/**
+ * Lock-on targeting (Z-targeting) for melee: focus one enemy, keep the camera on it, strafe around it.
+ * createLockOn({ camera, PARAMS, input, getTargets }) → { target, update(playerPos, camYaw), updateReticle(dt),
+ *   bearing(playerPos), framing(playerPos, outLook) → extra camera distance, release(), dispose }.
+ * A target is anything shaped like an enemy.js enemy: { pos: THREE.Vector3, isDead(): boolean }.
+ * input "lockOn" picks the best target in the view cone (lockOnConeAngle either side of the camera yaw, within
+ * lockOnRange; nearer and more central wins) and releases on the next press; "lockSwitch" cycles to the next
+ * target clockwise. Dead targets, ones past lockOnReleaseRange and ones getTargets() stops listing release automatically.
+ * While locked a reticle (screen-space DOM overlay) floats over the target: call updateReticle after the camera moved.
+ * player.js runs update() (opts.lockOn) and turns the camera, facing and movement toward the target.
+ */
+import * as THREE from "three";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const RETICLE_SIZE = 36;
+const RETICLE_COLOR = "#ffcf4a";
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+/**
+ * @param {object} opts
+ * @param {THREE.Camera} opts.camera
+ * @param {object} opts.PARAMS
+ * @param {ReturnType<import("./input.js").createInput>} opts.input
+ * @param {() => Array<{ pos: THREE.Vector3, isDead: () => boolean }>} opts.getTargets
+ */
+export function createLockOn({ camera, PARAMS, input, getTargets }) {
+  let target = null;
+
+  // ── RETICLE ──
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", RETICLE_SIZE);
+  svg.setAttribute("height", RETICLE_SIZE);
+  svg.setAttribute("viewBox", "-18 -18 36 36");
+  Object.assign(svg.style, {
+    position: "fixed",
+    left: "0",
+    top: "0",
+    zIndex: "15",
+    pointerEvents: "none",
+    display: "none",
+    filter: "drop-shadow(0 0 2px rgba(0, 0, 0, 0.7))",
+  });
+  // Four inward-pointing arrowheads, spun slowly while locked
+  const spin = document.createElementNS(SVG_NS, "g");
+  for (let i = 0; i < 4; i++) {
+    const arrow = document.createElementNS(SVG_NS, "path");
+    arrow.setAttribute("d", "M -5 -16 L 5 -16 L 0 -8 Z");
+    arrow.setAttribute("fill", RETICLE_COLOR);
+    arrow.setAttribute("transform", `rotate(${i * 90})`);
+    spin.appendChild(arrow);
+  }
+  svg.appendChild(spin);
+  document.body.appendChild(svg);
+
+  const projected = new THREE.Vector3();
+  let spinAngle = 0;
+
+  const range = () => PARAMS.lockOnRange ?? 15;
+  const alive = (t) => t && !t.isDead();
+
+  /** Yaw from the player to the current target (same convention as state.camYaw: forward = (sin, cos)). */
+  function bearing(playerPos, t = target) {
+    return Math.atan2(t.pos.x - playerPos.x, t.pos.z - playerPos.z);
+  }
+
+  function distance(playerPos, t) {
+    return Math.hypot(t.pos.x - playerPos.x, t.pos.z - playerPos.z);
+  }
+
+  // Nearest, most central living target inside the cone.
+  function pickBest(playerPos, camYaw) {
+    const cone = ((PARAMS.lockOnConeAngle ?? 45) * Math.PI) / 180;
+    let best = null;
+    let bestScore = Infinity;
+    for (const t of getTargets()) {
+      if (!alive(t)) continue;
+      const d = distance(playerPos, t);
+      if (d > range()) continue;
+      const off = Math.abs(wrapAngle(bearing(playerPos, t) - camYaw));
+      if (off > cone) continue;
+      const score = off / cone + d / range();
+      if (score < bestScore) {
+        bestScore = score;
+        best = t;
+      }
+    }
+    return best;
+  }
+
+  // Next living target in range, clockwise (to the right on screen) from the current one.
+  function pickNext(playerPos) {
+    const from = bearing(playerPos);
+    let best = null;
+    let bestDelta = Infinity;
+    for (const t of getTargets()) {
+      if (t === target || !alive(t) || distance(playerPos, t) > range()) continue;
+      // Clockwise seen from above = decreasing yaw; map to (0, 2π]
+      let delta = wrapAngle(from - bearing(playerPos, t));
+      if (delta <= 0) delta += Math.PI * 2;
+      if (delta < bestDelta) {
+        bestDelta = delta;
+        best = t;
+      }
+    }
+    return best ?? target;
+  }
+
+  function release() {
+    target = null;
+    svg.style.display = "none";
+  }
+
+  /**
+   * Read the lock buttons and drop invalid targets. Once per frame, before the player moves.
+   * @param {THREE.Vector3} playerPos
+   * @param {number} camYaw
+   */
+  function update(playerPos, camYaw) {
+    if (!(PARAMS.lockOnEnabled ?? true)) {
+      if (target) release();
+      return;
+    }
+    if (input.justPressed("lockOn")) {
+      if (target) release();
+      else target = pickBest(playerPos, camYaw);
+    } else if (target && input.justPressed("lockSwitch")) {
+      target = pickNext(playerPos);
+    }
+    if (
+      target &&
+      (!alive(target) ||
+        distance(playerPos, target) > (PARAMS.lockOnReleaseRange ?? 22) ||
+        !getTargets().includes(target))
+    )
+      release();
+  }
+
+  /** Place the reticle over the target (after the camera moved this frame). */
+  function updateReticle(dt) {
+    if (!target) {
+      svg.style.display = "none";
+      return;
+    }
+    camera.updateMatrixWorld();
+    projected.copy(target.pos);
+    projected.y += PARAMS.lockOnReticleHeight ?? 1.6;
+    projected.project(camera);
+    if (projected.z > 1) {
+      svg.style.display = "none";
+      return;
+    }
+    const x = (projected.x * 0.5 + 0.5) * innerWidth;
+    const y = (-projected.y * 0.5 + 0.5) * innerHeight;
+    spinAngle = (spinAngle + dt * 90) % 360;
+    spin.setAttribute("transform", `rotate(${spinAngle})`);
+    svg.style.transform = `translate(${x - RETICLE_SIZE / 2}px, ${y - RETICLE_SIZE / 2}px)`;
+    svg.style.display = "";
+  }
+
+  /**
+   * Camera framing while locked: look-at point pulled toward the target so both stay on screen.
+   * @param {THREE.Vector3} playerPos
+   * @param {THREE.Vector3} outLook - written: the point to look at
+   * @returns {number} extra camera distance for the player–target separation (0 when not locked)
+   */
+  function framing(playerPos, outLook) {
+    outLook.copy(playerPos);
+    if (!target) return 0;
+    const k = PARAMS.lockOnFraming ?? 0.4;
+    outLook.lerp(target.pos, k);
+    return distance(playerPos, target) * k * 0.5;
+  }
+
+  function dispose() {
+    svg.remove();
+  }
+
+  return {
+    get target() {
+      return target;
+    },
+    update,
+    updateReticle,
+    bearing,
+    framing,
+    release,
+    dispose,
+  };
+}
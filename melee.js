@@ -0,0 +1,322 @@
+/**
+ * Melee combat: 3-hit light combo, charged heavy attack, swept sword hitboxes, hit-stop and knockback.
+ * createMeleeCombat({ PARAMS, RAPIER, physicsWorld, input, resolveTarget? }) → { phase, step, charge, timeScale,
+ *   update(dt, canAttack) → null | "charge" | "swing" | "end", sweep(sword, attackerPos, excludeCollider), cancel() }.
+ * Attacks are data (LIGHT_COMBO, HEAVY_ATTACK): clip, playback speed, active window, combo point and end in clip
+ * seconds, damage, knockback and hit-stop. "attack" swings light; pressing again during a swing buffers the next
+ * step, which starts at comboFrom. "heavyAttack" charges while held (up to meleeHeavyChargeTime) and swings on release,
+ * damage / knockback / hit-stop scaling with the charge.
+ * sweep() runs after the pose is animated: inside the active window it casts balls along the blade (sword local +z)
+ * from last frame's positions to this frame's (Rapier shape casts), so fast swings don't tunnel.
+ * resolveTarget(collider) maps a collider to a hittable { takeDamage(n), knockback?(dirX, dirZ, strength), isDead?() };
+ * dynamic bodies without a target are knocked with an impulse. Each swing hits a target once.
+ * timeScale drops to meleeHitStopSlowdown for the hit-stop; the caller scales its animation dt with it.
+ */
+
+// Active windows from the sword tip speed in the clips: the strike is 0.34–0.54 s into both Sword_Attack clips.
+export const LIGHT_COMBO = [
+  {
+    clip: "Sword_Attack",
+    timeScale: 1.2,
+    active: [0.34, 0.54],
+    comboFrom: 0.54,
+    end: 0.95,
+    damage: 20,
+    knockback: 2,
+    hitStop: 0.06,
+  },
+  {
+    clip: "Sword_Attack_RM",
+    timeScale: 1.35,
+    active: [0.34, 0.54],
+    comboFrom: 0.54,
+    end: 0.95,
+    damage: 20,
+    knockback: 2.5,
+    hitStop: 0.06,
+  },
+  {
+    clip: "Sword_Attack",
+    timeScale: 1,
+    active: [0.32, 0.56],
+    comboFrom: Infinity, // finisher
+    end: 1.35,
+    damage: 34,
+    knockback: 6,
+    hitStop: 0.1,
+  },
+];
+
+// [uncharged, fully charged] pairs
+export const HEAVY_ATTACK = {
+  clip: "Sword_Attack_RM",
+  timeScale: 0.85,
+  active: [0.32, 0.58],
+  comboFrom: Infinity,
+  end: 1.35,
+  damage: [30, 70],
+  knockback: [4, 10],
+  hitStop: [0.08, 0.16],
+};
+
+const BLADE_POINTS = 4;
+const BLADE_START = 0.2; // local z where the blade leaves the guard
+const MAX_HITS_PER_CAST = 4;
+const IDENTITY_ROT = { x: 0, y: 0, z: 0, w: 1 };
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {typeof import("@dimforge/rapier3d")} [opts.RAPIER] - No hit detection without it (swings still play)
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @param {ReturnType<import("./input.js").createInput>} opts.input
+ * @param {(collider: import("@dimforge/rapier3d").Collider) => object | null} [opts.resolveTarget]
+ */
+export function createMeleeCombat({
+  PARAMS,
+  RAPIER,
+  physicsWorld,
+  input,
+  resolveTarget = () => null,
+}) {
+  let phase = null; // null | "charge" | "swing"
+  let step = null;
+  let comboIndex = -1;
+  let t = 0;
+  let buffered = false;
+  let heldT = 0;
+  let charge = 0;
+  let hitStop = 0;
+  const hitThisSwing = new Set();
+
+  // Blade sample points: previous / current world positions
+  const prev = Array.from({ length: BLADE_POINTS }, () => ({
+    x: 0,
+    y: 0,
+    z: 0,
+  }));
+  const cur = Array.from({ length: BLADE_POINTS }, () => ({
+    x: 0,
+    y: 0,
+    z: 0,
+  }));
+  let primed = false;
+  let ball = null;
+  let ballRadius = 0;
+
+  const timeScale = () =>
+    hitStop > 0 ? (PARAMS.meleeHitStopSlowdown ?? 0.05) : 1;
+
+  const byCharge = (v) =>
+    Array.isArray(v) ? v[0] + (v[1] - v[0]) * charge : v;
+
+  function begin(next, index) {
+    phase = "swing";
+    step = next;
+    comboIndex = index;
+    t = 0;
+    buffered = false;
+    primed = false;
+    hitThisSwing.clear();
+    return "swing";
+  }
+
+  function reset() {
+    phase = null;
+    step = null;
+    comboIndex = -1;
+    buffered = false;
+    charge = 0;
+    heldT = 0;
+  }
+
+  /**
+   * Read attack input and advance the current attack. Once per frame, before the player animates.
+   * @param {number} dt
+   * @param {boolean} canAttack - false while rolling, climbing, swimming…: no new attack starts
+   * @returns {null | "charge" | "swing" | "end"} "swing" = play step's clip from the start
+   */
+  function update(dt, canAttack) {
+    hitStop = Math.max(0, hitStop - dt);
+    if (!phase) {
+      if (!canAttack) return null;
+      if (input.justPressed("attack")) {
+        charge = 0;
+        return begin(LIGHT_COMBO[0], 0);
+      }
+      if (input.justPressed("heavyAttack")) {
+        phase = "charge";
+        heldT = 0;
+        charge = 0;
+        return "charge";
+      }
+      return null;
+    }
+    if (phase === "charge") {
+      heldT += dt;
+      charge = Math.min(
+        1,
+        heldT / Math.max(0.05, PARAMS.meleeHeavyChargeTime ?? 1),
+      );
+      return input.isDown("heavyAttack") ? null : begin(HEAVY_ATTACK, -1);
+    }
+    t += dt * step.timeScale * timeScale();
+    if (
+      comboIndex >= 0 &&
+      comboIndex < LIGHT_COMBO.length - 1 &&
+      input.justPressed("attack")
+    )
+      buffered = true;
+    if (buffered && t >= step.comboFrom)
+      return begin(LIGHT_COMBO[comboIndex + 1], comboIndex + 1);
+    if (t >= step.end) {
+      reset();
+      return "end";
+    }
+    return null;
+  }
+
+  function hit(target, collider, attackerPos, point) {
+    const dx = point.x - attackerPos.x;
+    const dz = point.z - attackerPos.z;
+    const len = Math.hypot(dx, dz) || 1;
+    const strength =
+      byCharge(step.knockback) * (PARAMS.meleeKnockbackScale ?? 1);
+    if (target) {
+      hitThisSwing.add(target);
+      target.takeDamage(byCharge(step.damage) * (PARAMS.meleeDamageScale ?? 1));
+      target.knockback?.(dx / len, dz / len, strength);
+    } else {
+      hitThisSwing.add(collider.handle);
+      const body = collider.parent();
+      const m = Math.min(body.mass(), 10) * 0.5;
+      body.applyImpulse(
+        {
+          x: (dx / len) * strength * m,
+          y: strength * m * 0.3,
+          z: (dz / len) * strength * m,
+        },
+        true,
+      );
+    }
+    hitStop = Math.max(
+      hitStop,
+      byCharge(step.hitStop) * (PARAMS.meleeHitStop ?? 1),
+    );
+  }
+
+  // Not yet hit this swing, and either a living target or a loose dynamic body (crates, barrels)
+  function hittable(collider) {
+    const target = resolveTarget(collider);
+    if (target) return !hitThisSwing.has(target) && !target.isDead?.();
+    return (
+      !hitThisSwing.has(collider.handle) && !!collider.parent()?.isDynamic()
+    );
+  }
+
+  /**
+   * Sweep the blade for this frame. Call every frame after the mixer update (the sword bone is posed).
+   * @param {import("three").Object3D | null} sword - blade along local +z, grip at the origin
+   * @param {import("three").Vector3} attackerPos - knockback pushes away from here
+   * @param {import("@dimforge/rapier3d").Collider} [excludeCollider] - the attacker's own collider
+   * @returns {number} targets / bodies hit this frame
+   */
+  function sweep(sword, attackerPos, excludeCollider) {
+    if (phase !== "swing" || !sword || !RAPIER || !physicsWorld) return 0;
+    const radius = PARAMS.meleeHitRadius ?? 0.14;
+    if (!ball || ballRadius !== radius) {
+      ball = new RAPIER.Ball(radius);
+      ballRadius = radius;
+    }
+    sword.updateWorldMatrix(true, false);
+    const e = sword.matrixWorld.elements;
+    const tip = PARAMS.meleeBladeLength ?? 1;
+    for (let i = 0; i < BLADE_POINTS; i++) {
+      const z = BLADE_START + ((tip - BLADE_START) * i) / (BLADE_POINTS - 1);
+      cur[i].x = e[8] * z + e[12];
+      cur[i].y = e[9] * z + e[13];
+      cur[i].z = e[10] * z + e[14];
+    }
+    let hits = 0;
+    if (primed && t >= step.active[0] && t <= step.active[1]) {
+      for (let i = 0; i < BLADE_POINTS; i++) {
+        const from = prev[i];
+        const vel = {
+          x: cur[i].x - from.x,
+          y: cur[i].y - from.y,
+          z: cur[i].z - from.z,
+        };
+        if (vel.x * vel.x + vel.y * vel.y + vel.z * vel.z < 1e-8) {
+          // Not moving (hit-stop): a plain overlap test
+          physicsWorld.intersectionsWithShape(
+            cur[i],
+            IDENTITY_ROT,
+            ball,
+            (collider) => {
+              if (hittable(collider)) {
+                hit(resolveTarget(collider), collider, attackerPos, cur[i]);
+                hits++;
+              }
+              return true;
+            },
+            undefined,
+            undefined,
+            excludeCollider,
+          );
+          continue;
+        }
+        // Each cast returns the first contact; repeat (skipping what was hit) to cut through several
+        for (let k = 0; k < MAX_HITS_PER_CAST; k++) {
+          const res = physicsWorld.castShape(
+            from,
+            IDENTITY_ROT,
+            vel,
+            ball,
+            0,
+            1,
+            true,
+            undefined,
+            undefined,
+            excludeCollider,
+            undefined,
+            hittable,
+          );
+          if (!res) break;
+          hit(resolveTarget(res.collider), res.collider, attackerPos, cur[i]);
+          hits++;
+        }
+      }
+    }
+    for (let i = 0; i < BLADE_POINTS; i++) {
+      prev[i].x = cur[i].x;
+      prev[i].y = cur[i].y;
+      prev[i].z = cur[i].z;
+    }
+    primed = true;
+    return hits;
+  }
+
+  /** Drop the current attack without an event (teleport, load, climbing…). */
+  function cancel() {
+    reset();
+    hitStop = 0;
+  }
+
+  return {
+    get phase() {
+      return phase;
+    },
+    get step() {
+      return step;
+    },
+    get charge() {
+      return charge;
+    },
+    get timeScale() {
+      return timeScale();
+    },
+    update,
+    sweep,
+    cancel,
+  };
+}
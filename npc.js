@@ -1,14 +1,14 @@
 /**
  * NPC: same GLB as player, walks on flat floor. Parkour-only.
- * Mirrors player pattern: capsule placeholder until model loads, compileAsync for WebGPU.
- * createNpc(opts) returns { group, capsule, update(dt) }.
+ * Mirrors player pattern: capsule placeholder until its clone of the shared character (character-assets.js) loads.
+ * createNpc(opts) returns { group, capsule, anim, update(dt) }.
+ * Walk / idle run through an anim-graph.js graph (its `walking` param); anim is null until the model loads.
+ * With opts.RAPIER + opts.physicsWorld, character-ik.js stands the feet on the colliders under them.
  */
 import * as THREE from "three";
-import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
-import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
-
-const CHAR_GLB = "models/AnimationLibrary_Godot_Standard-transformed.glb";
-const DRACO_URL = "https://www.gstatic.com/draco/versioned/decoders/1.5.6/";
+import { createAnimGraph } from "./anim-graph.js";
+import { createCharacterIK } from "./character-ik.js";
+import { loadCharacter, compileCharacters } from "./character-assets.js";
 
 /**
  * @param {object} opts
@@ -23,7 +23,9 @@ const DRACO_URL = "https://www.gstatic.com/draco/versioned/decoders/1.5.6/";
  * @param {{ pos: THREE.Vector3, yaw: number }} [opts.spawnInFrontOf] - Spawn in front of this position/facing
  * @param {number} [opts.spawnDistance] - Distance in front when using spawnInFrontOf
  * @param {THREE.Vector3} [opts.playerPos] - Player position for proximity checks (idle when near)
- * @returns {{ group: THREE.Group, capsule: THREE.Mesh, update: (dt: number) => void }}
+ * @param {typeof import("@dimforge/rapier3d")} [opts.RAPIER] - Optional. With physicsWorld: foot IK rays
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @returns {{ group: THREE.Group, capsule: THREE.Mesh, anim: ReturnType<typeof createAnimGraph> | null, update: (dt: number) => void }}
  */
 export function createNpc(opts) {
   const {
@@ -38,6 +40,8 @@ export function createNpc(opts) {
     spawnInFrontOf = null,
     spawnDistance = 4,
     playerPos = null,
+    RAPIER = null,
+    physicsWorld = null,
   } = opts;
 
   const capR = capsuleRadius;
@@ -59,9 +63,9 @@ export function createNpc(opts) {
   scene.add(group);
   group.visible = false;
 
-  let mixer = null;
-  let walkAction = null;
-  let idleAction = null;
+  let anim = null;
+  let ik = null; // character-ik.js, once the model loads
+  const animParams = { walking: true };
   let baseScale = 1;
   group.userData.modelBaseY = 0;
   group.userData.initialCharHeight = characterHeight;
@@ -86,31 +90,10 @@ export function createNpc(opts) {
   }
   let dir = new THREE.Vector3(1, 0, 0);
   let dirChangeTimer = 0;
-  let wasNearPlayer = false;
-
-  const draco = new DRACOLoader();
-  draco.setDecoderPath(DRACO_URL);
-  const loader = new GLTFLoader();
-  loader.setDRACOLoader(draco);
-  loader.load(
-    CHAR_GLB,
-    (gltf) => {
+
+  loadCharacter()
+    .then((gltf) => {
       const model = gltf.scene;
-      model.traverse((o) => {
-        if (o.isMesh) {
-          o.castShadow = true;
-          o.receiveShadow = true;
-          if (o.material && !o.material.isNodeMaterial) {
-            const m = o.material;
-            o.material = new THREE.MeshStandardNodeMaterial({
-              color: m.color?.getHex?.() ?? 0x888888,
-              roughness: m.roughness ?? 0.5,
-              metalness: m.metalness ?? 0,
-              map: m.map || null,
-            });
-          }
-        }
-      });
       const box = new THREE.Box3().setFromObject(model);
       const size = new THREE.Vector3();
       const center = new THREE.Vector3();
@@ -122,9 +105,9 @@ export function createNpc(opts) {
       model.position.sub(center);
       group.userData.modelBaseY = model.position.y;
       group.add(model);
+      ik = createCharacterIK({ model, RAPIER, physicsWorld });
 
       if (gltf.animations && gltf.animations.length) {
-        mixer = new THREE.AnimationMixer(model);
         const idleClip =
           gltf.animations.find((a) => a.name === "Idle_Loop") ||
           gltf.animations[0];
@@ -132,17 +115,25 @@ export function createNpc(opts) {
           gltf.animations.find((a) => a.name === "Walk_Loop") ||
           gltf.animations.find((a) => a.name === "Jog_Fwd_Loop") ||
           gltf.animations[0];
-        idleAction = mixer.clipAction(idleClip).setLoop(2201);
-        walkAction = mixer.clipAction(walkClip).setLoop(2201);
-        walkAction.play();
+        anim = createAnimGraph({
+          mixer: new THREE.AnimationMixer(model),
+          initial: "walk",
+          params: animParams,
+          states: {
+            idle: { clip: idleClip },
+            walk: { clip: walkClip, startTime: 0.1 },
+          },
+          transitions: [
+            { from: "walk", to: "idle", when: (p) => !p.walking, blend: 0.35 },
+            { from: "idle", to: "walk", when: (p) => p.walking, blend: 0.35 },
+          ],
+        });
       }
-      renderer
-        .compileAsync(scene, camera)
-        .catch((e) => console.warn("Recompile after NPC load:", e));
-    },
-    undefined,
-    (err) => console.error("NPC GLB load failed:", err),
-  );
+      compileCharacters(renderer, scene, camera, model).catch((e) =>
+        console.warn("Recompile after NPC load:", e),
+      );
+    })
+    .catch((err) => console.error("NPC GLB load failed:", err));
 
   const _toPlayer = new THREE.Vector3();
 
@@ -154,7 +145,7 @@ export function createNpc(opts) {
 
     if (!enabled) return;
 
-    if (mixer) mixer.update(dt);
+    anim?.update(dt);
 
     const idleWhenNear = !!npc.idleWhenNearPlayer && playerPos;
     const nearDist = npc.nearPlayerDistance ?? 4;
@@ -164,36 +155,13 @@ export function createNpc(opts) {
       isNearPlayer = _toPlayer.length() < nearDist;
     }
 
-    if (isNearPlayer) {
-      if (!wasNearPlayer) {
-        wasNearPlayer = true;
-        if (walkAction?.isRunning()) {
-          if (idleAction) {
-            idleAction.enabled = true;
-            idleAction.crossFadeFrom(walkAction, 0.35).play();
-          }
-        } else {
-          idleAction?.play();
-        }
-      }
-    } else {
+    animParams.walking = !isNearPlayer;
+
+    if (!isNearPlayer) {
       const speed = npc.speed ?? 2;
       const walkRadius = npc.walkRadius ?? 100;
       const interval = npc.directionChangeInterval ?? 3;
 
-      if (wasNearPlayer) {
-        wasNearPlayer = false;
-        if (walkAction) {
-          walkAction.enabled = true;
-          if (idleAction?.isRunning()) {
-            if (walkAction.time < 0.1) walkAction.time = 0.1;
-            walkAction.crossFadeFrom(idleAction, 0.35).play();
-          } else {
-            walkAction.play();
-          }
-        }
-      }
-
       dirChangeTimer -= dt;
       if (dirChangeTimer <= 0) {
         dirChangeTimer = interval;
@@ -248,7 +216,15 @@ export function createNpc(opts) {
     currentYaw += diff * turnAlpha;
     group.rotation.y = currentYaw;
     capsule.rotation.y = currentYaw;
+    ik?.update(dt, { grounded: true });
   }
 
-  return { group, capsule, update };
+  return {
+    group,
+    capsule,
+    get anim() {
+      return anim;
+    },
+    update,
+  };
 }
@@ -1,6 +1,8 @@
 /**
  * Single source of truth for Tweakpane / app params.
  * Export PARAMS; index.html imports and may mutate (e.g. PARAMS.terrainHeight) for createTerrain/regen.
+ * PARAM_DEFAULTS is an untouched copy and PARAM_RANGES the valid span of world-shaping numbers —
+ * world-config.js diffs and validates shared worlds against both.
  */
 export const PARAMS = {
   grassWidth: 0.08,
@@ -124,6 +126,8 @@ export const PARAMS = {
   skyCloudCoverage: 0.4,
   skyCloudDensity: 0.4,
   skyCloudElevation: 0.5,
+  // World seed for every rng.js stream (trees, scatter, grass, susuki, erosion)
+  worldSeed: 1337,
   terrainHeight: 76,
   mountainStrength: 0.65,
   fieldFlatten: 0.6,
@@ -131,8 +135,62 @@ export const PARAMS = {
   lakeCenterZ: -65,
   lakeRadius: 58,
   lakeDepth: 12,
+  // Erosion (terrain-erosion.js) on the zelda-terrain.js heights: hydraulic droplets, then thermal slumping.
+  // erosionSeed falls back to worldSeed.
+  erosionEnabled: false,
+  erosionInWorker: true,
+  erosionDroplets: 60000,
+  erosionStrength: 0.3,
+  erosionDeposition: 0.3,
+  erosionEvaporation: 0.01,
+  erosionRadius: 3,
+  thermalIterations: 20,
+  thermalTalusAngle: 35,
+  thermalStrength: 0.5,
   showWater: false,
   waterLevel: 12.0,
+  terrainStreaming: false,
+  terrainChunkRadius: 6,
+  // Heightmap import/export (heightmap-io.js). Scale/offset apply to RAW import and export and to foreign
+  // PNGs (size to both imports); PNGs exported from here carry their own range.
+  heightmapFormat: "png",
+  heightmapVerticalScale: 120,
+  heightmapOffset: -20,
+  heightmapWorldSize: 800,
+  // Terrain sculpting (terrain-sculpt.js)
+  sculptEnabled: false,
+  sculptBrush: "raise",
+  sculptRadius: 8,
+  sculptStrength: 4,
+  // Splat map (terrain-splat.js): layer painted by the sculpt "paint" brush + layer tints
+  splatLayer: "path",
+  splatRockColor: "#7b7b80",
+  splatSandColor: "#c9b68a",
+  splatSnowColor: "#eef2f7",
+  splatPathColor: "#9c8260",
+  // Rivers (rivers.js): points run downstream in world XZ and are carved into the terrain; water.js draws the
+  // surface. Off by default; the default river drains the eastern highlands into the lake. Per-river
+  // width/depth/bankWidth/flowSpeed override the river* defaults below.
+  riversEnabled: false,
+  rivers: [
+    {
+      points: [
+        [410, -125],
+        [330, -120],
+        [250, -115],
+        [195, -80],
+        [130, -62],
+        [65, -65],
+      ],
+    },
+  ],
+  riverWidth: 10,
+  riverDepth: 2.5,
+  riverBankWidth: 8,
+  riverFlowSpeed: 1.5,
+  riverFlowStrength: 1,
+  riverFlowCycle: 0.5,
+  riverUvScale: 0.08,
   waterUvScale: 2.7,
   waterNormalScale: 0.08,
   waterFresnelScale: 0.6,
@@ -169,6 +227,16 @@ export const PARAMS = {
   runSpeedMultiplier: 1.95,
   crouchSpeedMultiplier: 0.5,
   rollDashDistance: 8,
+  rootMotionRoll: true, // Roll_RM's root bone moves the roll (off: rollDashDistance dash)
+  rootMotionRollDistance: 0, // m the roll covers; 0 = as animated
+  rootMotionAttack: true, // Sword_Attack_RM steps forward with its root bone
+  rootMotionAttackDistance: 0, // m per swing; 0 = as animated
+  rootMotionClimb: true, // ClimbUp_1m_RM lifts the capsule onto the ledge (off: snap to the top when it ends)
+  footIkEnabled: true,
+  footIkMaxDrop: 0.45,
+  footIkMaxAngle: 30,
+  footIkSpeed: 12,
+  handIkEnabled: true,
   jumpSpeed: 5.5,
   gravity: 9.81,
   glideFallSpeed: 3,
@@ -176,12 +244,120 @@ export const PARAMS = {
   camHeight: 0.0,
   camPitchMin: -0.2,
   camPitchMax: 1.2,
+  camCollisionEnabled: true,
+  camCollisionRadius: 0.25,
+  camMinDist: 0.6,
+  camPullInSpeed: 25,
+  camEaseOutSpeed: 3,
+  camTerrainClearance: 1.5,
+  camCrouchHeight: -0.4,
+  camCrouchDist: -1,
+  camGlideHeight: 0.8,
+  camGlideDist: 2.5,
+  camOccludeFade: true,
+  camOccludeOpacity: 0.25,
+  camOccludeFadeSpeed: 8,
   mouseSensitivity: 0.002,
   keyTurnSpeed: 2.2,
+  gamepadLookSpeed: 2.5,
+  staminaEnabled: true,
+  staminaMax: 100,
+  staminaPerUpgrade: 20,
+  staminaSprintDrain: 18,
+  staminaGlideDrain: 10,
+  staminaClimbDrain: 12,
+  staminaSwimDrain: 8,
+  staminaRollCost: 20,
+  staminaClimbJumpCost: 20,
+  staminaRegenRate: 30,
+  staminaExhaustedRegenRate: 18,
+  staminaRegenDelay: 0.8,
+  staminaExhaustedSpeed: 0.55,
+  staminaHud: true,
+  staminaHudHideDelay: 1,
+  staminaHudOffsetX: 48,
+  staminaHudOffsetY: 0.8,
+  climbEnabled: true,
+  climbSlideAngle: 50,
+  climbSpeed: 1.6,
+  climbReach: 0.35,
+  climbJumpDistance: 2,
+  climbJumpTime: 0.35,
+  climbMantleTime: 0.45,
+  ledgeEnabled: true,
+  ledgeGrabMinHeight: 1.2,
+  ledgeGrabMaxHeight: 2.4,
+  ledgeReach: 0.5,
+  ledgeShimmySpeed: 1.2,
+  ledgePullUpTime: 0.6,
+  ledgeMantleTime: 0.35,
+  ledgeVaultMinHeight: 0.45,
+  ledgeVaultMaxHeight: 1.1,
+  ledgeVaultMaxDepth: 1.2,
+  ledgeVaultTime: 0.45,
+  swimEnabled: true,
+  swimDepth: 1.1,
+  swimSpeedMultiplier: 0.45,
+  swimFloatOffset: -0.55,
+  swimBuoyancy: 30,
+  swimBobAmount: 0.04,
+  swimSinkTime: 2,
+  swimSinkSpeed: 0.8,
+  swimClimbOutHeight: 1.2,
+  swimSplash: true,
+  lockOnEnabled: true,
+  lockOnRange: 15,
+  lockOnReleaseRange: 22,
+  lockOnConeAngle: 45,
+  lockOnTurnSpeed: 8,
+  lockOnFraming: 0.4,
+  lockOnReticleHeight: 1.6,
+  meleeHeavyChargeTime: 1,
+  meleeDamageScale: 1,
+  meleeKnockbackScale: 1,
+  meleeHitStop: 1,
+  meleeHitStopSlowdown: 0.05,
+  meleeHitRadius: 0.14,
+  meleeBladeLength: 1,
+  shieldEnabled: true,
+  shieldMoveSpeed: 0.4,
+  shieldParryWindow: 0.2,
+  shieldParryStagger: 1.5,
+  shieldBlockAngle: 70,
+  shieldGuardMax: 60,
+  shieldGuardRegen: 15,
+  shieldGuardRegenDelay: 1,
+  shieldGuardBreakTime: 1.2,
+  healthEnabled: true, // false = invincible
+  healthHearts: 5,
+  healthPerHeart: 20, // hp per heart (an enemy swing, attackDamage 15, is ¾ of one)
+  healthInvulnTime: 1.2, // s of flashing i-frames after each hit
+  healthHud: true,
+  fallDamageMinSpeed: 11, // m/s landing speed that starts hurting (≈ 6 m drop)
+  fallDamagePerSpeed: 12, // hp per m/s above it
+  drownDamage: 20, // hp each time the swimmer sinks (then the shore respawn)
+  fireDamage: 10, // hp per burn tick
+  fireTickInterval: 1,
+  fireBurnTime: 3, // s the player keeps burning after leaving the fire
+  respawnDelay: 2.5, // s of death animation before the game-over screen
+  bowEnabled: true,
+  bowDrawTime: 0.8,
+  bowMinSpeed: 18,
+  bowMaxSpeed: 45,
+  bowAimMoveSpeed: 0.5,
+  bowAimCamDist: 2.2,
+  bowShoulderOffset: 0.6,
+  bowShoulderHeight: 0.3,
+  arrowDamage: 25,
+  arrowKnockback: 1.5,
+  arrowGravityScale: 1,
+  arrowQuiverSize: 20,
+  arrowPickupRadius: 1.2,
   cameraMode: "thirdPerson",
   npcEnabled: false,
   deerEnabled: false,
   rapierDebug: false,
+  animDebug: false,
   showRuins: false,
   showChurch: false,
   churchX: 39,
@@ -332,3 +508,135 @@ export const PARAMS = {
   characterOffsetY: 0,
   capsuleRadius: 0.35,
 };
+
+export const PARAM_DEFAULTS = structuredClone(PARAMS);
+
+// Same limits as the Tweakpane sliders (tweakpane-ui.js); world links outside them are clamped on load.
+export const PARAM_RANGES = {
+  worldSeed: { min: 0, max: 4294967295 },
+  terrainHeight: { min: 10, max: 80 },
+  mountainStrength: { min: 0, max: 1 },
+  fieldFlatten: { min: 0, max: 0.8 },
+  lakeCenterX: { min: -350, max: 350 },
+  lakeCenterZ: { min: -350, max: 350 },
+  lakeRadius: { min: 20, max: 120 },
+  lakeDepth: { min: 5, max: 35 },
+  erosionDroplets: { min: 0, max: 300000 },
+  erosionStrength: { min: 0, max: 1 },
+  erosionDeposition: { min: 0, max: 1 },
+  erosionEvaporation: { min: 0, max: 0.1 },
+  erosionRadius: { min: 1, max: 8 },
+  thermalIterations: { min: 0, max: 100 },
+  thermalTalusAngle: { min: 5, max: 60 },
+  thermalStrength: { min: 0, max: 1 },
+  waterLevel: { min: -5, max: 15 },
+  waterHeightOffset: { min: -2, max: 2 },
+  lakeHalfSize: { min: 5, max: 80 },
+  terrainChunkRadius: { min: 2, max: 12 },
+  riverWidth: { min: 3, max: 30 },
+  riverDepth: { min: 0.5, max: 8 },
+  riverBankWidth: { min: 1, max: 30 },
+  riverFlowSpeed: { min: 0.1, max: 6 },
+  treeCount: { min: 100, max: 16000 },
+  treeScale: { min: 0.1, max: 50 },
+  scatterScaleVariation: { min: 0, max: 1 },
+  scatterInnerRadius: { min: 0, max: 80 },
+  octahedralForestTreeCount: { min: 200, max: 5000 },
+  csmCascades: { min: 1, max: 4 },
+  csmMapSize: { min: 512, max: 4096 },
+  staminaMax: { min: 20, max: 300 },
+  staminaPerUpgrade: { min: 0, max: 100 },
+  staminaSprintDrain: { min: 0, max: 60 },
+  staminaGlideDrain: { min: 0, max: 60 },
+  staminaClimbDrain: { min: 0, max: 60 },
+  staminaSwimDrain: { min: 0, max: 60 },
+  staminaRollCost: { min: 0, max: 100 },
+  staminaClimbJumpCost: { min: 0, max: 100 },
+  staminaRegenRate: { min: 1, max: 120 },
+  staminaExhaustedRegenRate: { min: 1, max: 120 },
+  staminaRegenDelay: { min: 0, max: 5 },
+  staminaExhaustedSpeed: { min: 0.1, max: 1 },
+  camCollisionRadius: { min: 0.05, max: 1 },
+  camMinDist: { min: 0, max: 3 },
+  rootMotionRollDistance: { min: 0, max: 10 },
+  rootMotionAttackDistance: { min: 0, max: 4 },
+  footIkMaxDrop: { min: 0, max: 1 },
+  footIkMaxAngle: { min: 0, max: 60 },
+  footIkSpeed: { min: 1, max: 40 },
+  camPullInSpeed: { min: 1, max: 60 },
+  camEaseOutSpeed: { min: 0.5, max: 20 },
+  camTerrainClearance: { min: 0, max: 5 },
+  camCrouchHeight: { min: -2, max: 1 },
+  camCrouchDist: { min: -4, max: 4 },
+  camGlideHeight: { min: -1, max: 4 },
+  camGlideDist: { min: -2, max: 10 },
+  camOccludeOpacity: { min: 0, max: 1 },
+  camOccludeFadeSpeed: { min: 1, max: 30 },
+  climbSlideAngle: { min: 20, max: 85 },
+  climbSpeed: { min: 0.3, max: 5 },
+  climbReach: { min: 0.1, max: 1 },
+  climbJumpDistance: { min: 0.5, max: 5 },
+  climbJumpTime: { min: 0.1, max: 1 },
+  climbMantleTime: { min: 0.1, max: 1.5 },
+  ledgeGrabMinHeight: { min: 0.5, max: 2.5 },
+  ledgeGrabMaxHeight: { min: 1, max: 4 },
+  ledgeReach: { min: 0.1, max: 1.5 },
+  ledgeShimmySpeed: { min: 0.2, max: 4 },
+  ledgePullUpTime: { min: 0.1, max: 2 },
+  ledgeMantleTime: { min: 0.1, max: 1.5 },
+  ledgeVaultMinHeight: { min: 0.2, max: 1 },
+  ledgeVaultMaxHeight: { min: 0.5, max: 1.6 },
+  ledgeVaultMaxDepth: { min: 0.2, max: 3 },
+  ledgeVaultTime: { min: 0.1, max: 1.5 },
+  swimDepth: { min: 0.5, max: 2 },
+  swimSpeedMultiplier: { min: 0.1, max: 1.5 },
+  swimFloatOffset: { min: -1.2, max: 0.2 },
+  swimBuoyancy: { min: 2, max: 100 },
+  swimBobAmount: { min: 0, max: 0.2 },
+  swimSinkTime: { min: 0.5, max: 6 },
+  swimSinkSpeed: { min: 0.1, max: 3 },
+  swimClimbOutHeight: { min: 0.3, max: 2 },
+  lockOnRange: { min: 3, max: 40 },
+  lockOnReleaseRange: { min: 5, max: 60 },
+  lockOnConeAngle: { min: 10, max: 90 },
+  lockOnTurnSpeed: { min: 1, max: 30 },
+  lockOnFraming: { min: 0, max: 0.8 },
+  lockOnReticleHeight: { min: 0, max: 4 },
+  meleeHeavyChargeTime: { min: 0.2, max: 3 },
+  meleeDamageScale: { min: 0, max: 5 },
+  meleeKnockbackScale: { min: 0, max: 5 },
+  meleeHitStop: { min: 0, max: 3 },
+  meleeHitStopSlowdown: { min: 0, max: 1 },
+  meleeHitRadius: { min: 0.05, max: 0.5 },
+  meleeBladeLength: { min: 0.3, max: 2 },
+  shieldMoveSpeed: { min: 0.1, max: 1 },
+  shieldParryWindow: { min: 0, max: 0.6 },
+  shieldParryStagger: { min: 0.2, max: 4 },
+  shieldBlockAngle: { min: 20, max: 180 },
+  shieldGuardMax: { min: 10, max: 300 },
+  shieldGuardRegen: { min: 0, max: 100 },
+  shieldGuardRegenDelay: { min: 0, max: 5 },
+  shieldGuardBreakTime: { min: 0.3, max: 4 },
+  healthHearts: { min: 1, max: 30 },
+  healthPerHeart: { min: 1, max: 100 },
+  healthInvulnTime: { min: 0, max: 5 },
+  fallDamageMinSpeed: { min: 0, max: 40 },
+  fallDamagePerSpeed: { min: 0, max: 100 },
+  drownDamage: { min: 0, max: 200 },
+  fireDamage: { min: 0, max: 100 },
+  fireTickInterval: { min: 0.1, max: 5 },
+  fireBurnTime: { min: 0, max: 10 },
+  respawnDelay: { min: 0, max: 10 },
+  bowDrawTime: { min: 0.1, max: 3 },
+  bowMinSpeed: { min: 5, max: 60 },
+  bowMaxSpeed: { min: 10, max: 120 },
+  bowAimMoveSpeed: { min: 0, max: 1 },
+  bowAimCamDist: { min: 1, max: 6 },
+  bowShoulderOffset: { min: 0, max: 1.5 },
+  bowShoulderHeight: { min: -0.5, max: 1 },
+  arrowDamage: { min: 0, max: 200 },
+  arrowKnockback: { min: 0, max: 10 },
+  arrowGravityScale: { min: 0, max: 3 },
+  arrowQuiverSize: { min: 1, max: 99 },
+  arrowPickupRadius: { min: 0.3, max: 4 },
+};
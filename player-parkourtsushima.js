@@ -3,6 +3,8 @@
  * Otherwise identical to player.js — capsule, camera, input, movement, animation logic unchanged.
  * createPlayer(opts) returns { characterGroup, capsule, keys, state, update(dt) }.
  * state = { camYaw, camPitch, characterVelY, moveDir } (mutable).
+ * Roll_RM and Sword_Attack_RM play in place; root-motion.js moves the capsule by their root bone. ClimbUp_1m_RM keeps
+ * its authored root: the climb ends by placing the capsule on the box top, where that root already is.
  */
 import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
@@ -10,6 +12,7 @@ import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
 import { KTX2Loader } from "three/addons/loaders/KTX2Loader.js";
 import { resolveKinematicOverlap } from "./physics.js";
 import { createFootstepAudio } from "./footsteps.js";
+import { createRootMotion } from "./root-motion.js";
 
 const CHAR_GLB = "models/UA1+UA2_compressed.glb";
 const DRACO_URL = "https://www.gstatic.com/draco/versioned/decoders/1.5.6/";
@@ -82,6 +85,11 @@ export function createPlayer(opts) {
   const characterGroup = new THREE.Group();
   scene.add(characterGroup);
   let characterMixer = null;
+  let rootMotion = null;
+  const _rootStep = new THREE.Vector3();
+  // ClimbUp_1m_RM carries the capsule itself (no landing snap) when its root motion was extracted and is on
+  const climbRootMotion = () =>
+    !!rootMotion?.distance("climb") && (PARAMS.rootMotionClimb ?? true);
 
   const charDraco = new DRACOLoader();
   charDraco.setDecoderPath(DRACO_URL);
@@ -297,6 +305,22 @@ export function createPlayer(opts) {
       try {
         if (gltf.animations && gltf.animations.length) {
           characterMixer = new THREE.AnimationMixer(model);
+          const rootBone = model.getObjectByName("root");
+          const rmActions = {
+            roll: "rollAction",
+            attack2: "attackAction2",
+            climb: "climbAction",
+          };
+          rootMotion = rootBone
+            ? createRootMotion({
+                root: rootBone,
+                getAction: (name) => characterGroup.userData[rmActions[name]],
+              })
+            : null;
+          const inPlace = (name, clip, opts) =>
+            rootMotion && clip.name.includes("_RM")
+              ? rootMotion.add(name, clip, opts)
+              : clip;
           // UA1+UA2_compressed: clip names use _Armature suffix (e.g. Idle_Loop_Armature)
           const idleClip =
             gltf.animations.find((a) => a.name === "Idle_Loop_Armature") ||
@@ -340,11 +364,15 @@ export function createPlayer(opts) {
             gltf.animations.find((a) => a.name === "Crouch_Fwd_Loop_Armature") ||
             gltf.animations.find((a) => a.name === "Crouch_Fwd_Loop") ||
             crouchClip;
-          const rollClip =
+          // Roll_RM only when its root motion is extracted; played as-is its baked travel stacks on the dash
+          const inPlaceRoll =
             gltf.animations.find((a) => a.name === "Roll_Armature") ||
+            gltf.animations.find((a) => a.name === "Roll");
+          const rmRoll =
             gltf.animations.find((a) => a.name === "Roll_RM_Armature") ||
-            gltf.animations.find((a) => a.name === "Roll") ||
-            gltf.animations.find((a) => a.name === "Roll_RM") ||
+            gltf.animations.find((a) => a.name === "Roll_RM");
+          const rollClip =
+            (rootMotion ? rmRoll || inPlaceRoll : inPlaceRoll || rmRoll) ||
             idleClip;
           const slideStartClip =
             gltf.animations.find((a) => a.name === "Slide_Start_Armature") ||
@@ -395,7 +423,14 @@ export function createPlayer(opts) {
             ? characterMixer.clipAction(attackClip).setLoop(2200)
             : null;
           const attackAction2 = attackClip2
-            ? characterMixer.clipAction(attackClip2).setLoop(2200)
+            ? characterMixer
+                .clipAction(
+                  inPlace("attack2", attackClip2, {
+                    enabled: () => PARAMS.rootMotionAttack ?? true,
+                    targetDistance: () => PARAMS.rootMotionAttackDistance ?? 0,
+                  }),
+                )
+                .setLoop(2200)
             : null;
           const crouchAction = characterMixer
             .clipAction(crouchClip)
@@ -403,7 +438,14 @@ export function createPlayer(opts) {
           const crouchWalkAction = characterMixer
             .clipAction(crouchWalkClip)
             .setLoop(2201);
-          const rollAction = characterMixer.clipAction(rollClip).setLoop(2200);
+          const rollAction = characterMixer
+            .clipAction(
+              inPlace("roll", rollClip, {
+                enabled: () => PARAMS.rootMotionRoll ?? true,
+                targetDistance: () => PARAMS.rootMotionRollDistance ?? 0,
+              }),
+            )
+            .setLoop(2200);
           if (attackAction?.clampWhenFinished !== undefined)
             attackAction.clampWhenFinished = true;
           if (attackAction2?.clampWhenFinished !== undefined)
@@ -423,8 +465,15 @@ export function createPlayer(opts) {
             slideStartAction.clampWhenFinished = true;
           if (slideExitAction?.clampWhenFinished !== undefined)
             slideExitAction.clampWhenFinished = true;
+          // Vertical root motion carries the capsule up and over; the rise is fitted to the ledge (climbRise)
           const climbAction = characterMixer
-            .clipAction(climbClip)
+            .clipAction(
+              inPlace("climb", climbClip, {
+                vertical: true,
+                enabled: () => PARAMS.rootMotionClimb ?? true,
+                targetHeight: () => characterGroup.userData.climbRise ?? 0,
+              }),
+            )
             .setLoop(2200);
           if (climbAction?.clampWhenFinished !== undefined)
             climbAction.clampWhenFinished = true;
@@ -647,7 +696,14 @@ export function createPlayer(opts) {
               if (e.action !== climbActionRef) return;
               const ud = characterGroup.userData;
               ud.isClimbing = false;
-              const land = ud.climbLandPosition;
+              // Root motion already put the feet on the ledge: just stand the crouched capsule up there
+              const land = climbRootMotion()
+                ? {
+                    x: charPos.x,
+                    y: charPos.y - _crouchHH_c + _normalHH_c,
+                    z: charPos.z,
+                  }
+                : ud.climbLandPosition;
               if (land && playerBody && charPos) {
                 if (RAPIER) {
                   physicsWorld.removeCollider(playerCollider);
@@ -1046,7 +1102,11 @@ export function createPlayer(opts) {
         if (facing < 0.3) continue;
         keys.r = false;
         ud.isClimbing = true;
+        ud.climbYaw = state.camYaw;
         const ledgeTopY = box.position.y + box.halfExtents.y;
+        ud.climbRise =
+          ledgeTopY -
+          (charPos.y - (_isCrouching ? _crouchHH_c : _normalHH_c) - _capR_c);
         ud.climbLandPosition = {
           x: box.position.x,
           y: ledgeTopY + _normalHH_c + _capR_c,
@@ -1174,7 +1234,20 @@ export function createPlayer(opts) {
       desiredDx = mx * PARAMS.playerSpeed * speedMult * dt;
       desiredDz = mz * PARAMS.playerSpeed * speedMult * dt;
     }
-    if (ud && ud.isRolling && ud.rollDuration > 0) {
+    // Root motion of Roll_RM / Sword_Attack_RM / ClimbUp_1m_RM, as far as they advanced last frame
+    if (rootMotion)
+      rootMotion.consume(
+        ud?.isRolling ? ud.rollYaw : ud?.isClimbing ? ud.climbYaw : state.camYaw,
+        _rootStep,
+      );
+    if (
+      ud?.isRolling &&
+      rootMotion?.distance("roll") &&
+      (PARAMS.rootMotionRoll ?? true)
+    ) {
+      desiredDx = _rootStep.x; // the roll's own travel, no WASD stacking
+      desiredDz = _rootStep.z;
+    } else if (ud && ud.isRolling && ud.rollDuration > 0) {
       const elapsed = (performance.now() - ud.rollStartTime) / 1000;
       const t = Math.min(1, elapsed / ud.rollDuration);
       const ease = Math.cos(t * Math.PI * 0.5); // 1→0 smooth ease-out
@@ -1184,6 +1257,9 @@ export function createPlayer(opts) {
       const cosY = Math.cos(ud.rollYaw ?? state.camYaw);
       desiredDx = sinY * rollSpeed * dt; // override WASD, no stacking
       desiredDz = cosY * rollSpeed * dt;
+    } else if (rootMotion) {
+      desiredDx += _rootStep.x;
+      desiredDz += _rootStep.z;
     }
     if (_isSliding && ud?.slideLoopAction) {
       const sinY = Math.sin(_slideYaw);
@@ -1203,9 +1279,10 @@ export function createPlayer(opts) {
         }
       }
     }
+    const climbingByRootMotion = !!ud?.isClimbing && climbRootMotion();
     if (ud?.isClimbing) {
-      desiredDx = 0;
-      desiredDz = 0;
+      desiredDx = climbingByRootMotion ? _rootStep.x : 0;
+      desiredDz = climbingByRootMotion ? _rootStep.z : 0;
     }
     const hb = TERRAIN_SIZE * 0.48;
     const nextX = Math.max(-hb, Math.min(hb, charPos.x + desiredDx));
@@ -1258,6 +1335,10 @@ export function createPlayer(opts) {
     if (hasSampleHeight) {
       desiredY += (_isCrouching || _isSliding || (ud && ud.isClimbing)) ? -_crouchShift : 0;
     }
+    if (climbingByRootMotion) {
+      state.characterVelY = 0;
+      desiredY = charPos.y + _rootStep.y;
+    }
 
     // Proactively detect kinematic platform via downward ray cast BEFORE computing
     // desired movement. MUST run every frame in parkour mode — when platform descends,
@@ -1,16 +1,95 @@
 /**
- * Player character: capsule placeholder, GLTF model, input, movement, animation.
- * createPlayer(opts) returns { characterGroup, capsule, keys, state, update(dt) }.
+ * Player character: capsule placeholder, GLTF model (a clone of the shared character, character-assets.js), input,
+ * movement, animation.
+ * createPlayer(opts) returns { characterGroup, capsule, input, stamina, health, climbing, swimming, melee, shield, bow, arrows, anim, state, update(dt), takeHit(hit), teleport(x, y, z), respawn(x, y, z), saveState, loadState }.
  * state = { camYaw, camPitch, characterVelY, moveDir } (mutable).
+ * saveState() / loadState(data) are the "player" save-game section: position + camera yaw/pitch.
+ * Sprint, glide and roll draw on stamina (stamina.js); exhausted slows the walk and refuses them.
+ * Walking or falling into a steep face starts free climbing (climbing.js): move = climb, jump = climb jump,
+ * crouch = let go; reaching the top edge mantles onto it. state.isClimbing is true meanwhile.
+ * Ledges on any collider (ledge.js): jumping or falling forward into a wall with a top in reach hangs from it
+ * (state.isHanging; move sideways = shimmy, up / jump = pull up, down / crouch = drop); running into a waist-high
+ * obstacle vaults it (thin) or climbs onto it (deep).
+ * Deep water from opts.waterSurfaceAt starts surface swimming (swimming.js; state.isSwimming): slower strokes,
+ * stamina drain, sinking + shore respawn when it runs out; swimming into a bank or low edge climbs out.
+ * With opts.lockOn (lock-on.js) a locked target steers the camera yaw, so the character faces it; the turn keys
+ * strafe instead and attacks snap toward it.
+ * Sword attacks come from melee.js (opts.melee, or one without targets): light combo, charged heavy, swept hitboxes;
+ * hit-stop slows the character's animation.
+ * Holding "block" raises the shield (shield.js) on the left hand: slow walk, no attacks. Enemy strikes go through
+ * takeHit(hit), which the shield resolves (parry / block / guard break / hit); unblocked hits flinch the character
+ * and a guard break staggers them.
+ * Hearts come from health.js (opts.health; without one the player can't be hurt): unblocked hits, hard landings (fallDamage*), sinking
+ * while swimming (drownDamage) and fire (opts.fireAt) cost health; each hit is followed by flashing i-frames.
+ * At zero the death clip plays and the player lies still (camera free) until respawn(x, y, z); the page picks the
+ * spot and shows the game-over screen (health-hud.js).
+ * Holding "aim" raises the bow (bow.js) in the left hand: slow walk, over-the-shoulder camera (page cameras use
+ * bow.framing), "attack" draws and releases. Arrows (opts.arrows, or ones hitting only the world) fly and are
+ * picked up again through arrows.js, updated here each frame.
+ * Animation runs through an anim-graph.js graph (characterGroup.userData.anim once the model loads): ground states
+ * follow its params (speed, sprinting, grounded, crouching); attacks, rolls, flinches and the block / aim stances are
+ * one-shots over them, swings from the waist up while moving. The *_RM clips (Roll_RM, Sword_Attack_RM) play in
+ * place and root-motion.js turns their root bone's travel into controller movement (rootMotionRoll / rootMotionAttack,
+ * optionally rescaled to rootMotionRollDistance / rootMotionAttackDistance).
+ * character-ik.js bends each new pose: on foot the feet stand on the ground under them (hips lowered, feet tilted
+ * to slopes; footIk* params), and the hands grip the edge while hanging from a ledge (handIkEnabled).
  */
 import * as THREE from "three";
-import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
-import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
 import { resolveKinematicOverlap } from "./physics.js";
 import { createFootstepAudio } from "./footsteps.js";
+import { createInput } from "./input.js";
+import { createStamina } from "./stamina.js";
+import { createHealth } from "./health.js";
+import { createClimbing } from "./climbing.js";
+import { createLedge } from "./ledge.js";
+import { createSwimming } from "./swimming.js";
+import { createMeleeCombat } from "./melee.js";
+import { createShield } from "./shield.js";
+import { createBow } from "./bow.js";
+import { createArrows } from "./arrows.js";
+import { createAnimGraph } from "./anim-graph.js";
+import { createRootMotion } from "./root-motion.js";
+import { createCharacterIK } from "./character-ik.js";
+import {
+  loadCharacter,
+  compileCharacters,
+  gltfLoader,
+} from "./character-assets.js";
 
-const CHAR_GLB = "models/AnimationLibrary_Godot_Standard-transformed.glb";
-const DRACO_URL = "https://www.gstatic.com/draco/versioned/decoders/1.5.6/";
+// Bones an upper-body one-shot takes over (Rigify names, sanitised by GLTFLoader): spine from the chest up
+const UPPER_BODY_BONES =
+  /^DEF-(spine00[23]|neck|head|shoulder|upper_arm|forearm|hand|f_|thumb)/;
+const MOVE_SKIP_T = 0.4; // ground loops start past their first frames
+const GROUND_STATES = ["idle", "walk", "run", "jump", "crouch", "crouch_walk"];
+const isMoving = (p) => p.speed > 0;
+const MOVE_TRANSITIONS = [
+  { from: GROUND_STATES, to: "jump", when: (p) => !p.grounded, blend: 0.15 },
+  {
+    from: GROUND_STATES,
+    to: "crouch_walk",
+    when: (p) => p.grounded && p.crouching && isMoving(p),
+  },
+  {
+    from: GROUND_STATES,
+    to: "crouch",
+    when: (p) => p.grounded && p.crouching && !isMoving(p),
+  },
+  {
+    from: GROUND_STATES,
+    to: "run",
+    when: (p) => p.grounded && !p.crouching && isMoving(p) && p.sprinting,
+  },
+  {
+    from: GROUND_STATES,
+    to: "walk",
+    when: (p) => p.grounded && !p.crouching && isMoving(p) && !p.sprinting,
+  },
+  {
+    from: GROUND_STATES,
+    to: "idle",
+    when: (p) => p.grounded && !p.crouching && !isMoving(p),
+  },
+];
 
 /**
  * @param {object} opts
@@ -28,7 +107,16 @@ const DRACO_URL = "https://www.gstatic.com/draco/versioned/decoders/1.5.6/";
  * @param {number} [opts.capHalfH] - Capsule half-height (required when sampleHeight provided)
  * @param {number} opts.TERRAIN_SIZE
  * @param {object} [opts.debugOut] - Optional. When provided, written each frame with platform debug info.
- * @returns {{ characterGroup: THREE.Group, capsule: THREE.Mesh, keys: object, state: { camYaw: number, camPitch: number, characterVelY: number, isGrounded: boolean, moveDir: THREE.Vector3 }, update: (dt: number) => void }}
+ * @param {ReturnType<typeof createInput>} [opts.input] - Optional. Shared action input; created on the canvas when absent.
+ * @param {ReturnType<typeof createStamina>} [opts.stamina] - Optional. Stamina for sprint / glide / roll; created from PARAMS when absent.
+ * @param {ReturnType<typeof createHealth>} [opts.health] - Optional. The player's hearts, for a page that can respawn them (game-over screen); an invincible one when absent.
+ * @param {(x: number, y: number, z: number) => boolean} [opts.fireAt] - Optional. True where fire burns the player (feet position). No fire damage when absent.
+ * @param {(x: number, z: number) => number | null} [opts.waterSurfaceAt] - Optional. Water height at a point (lake, rivers, pool), null when dry. No swimming when absent.
+ * @param {(x: number, z: number) => { x: number, z: number }} [opts.waterFlowAt] - Optional. Current that carries a swimmer (m/s).
+ * @param {ReturnType<import("./lock-on.js").createLockOn>} [opts.lockOn] - Optional. Target lock (updated here each frame).
+ * @param {ReturnType<typeof createMeleeCombat>} [opts.melee] - Optional. Sword combat with the page's targets; created (hitting only loose dynamic bodies) when absent.
+ * @param {ReturnType<typeof createArrows>} [opts.arrows] - Optional. Arrows with the page's targets; created (hitting only the world) when absent.
+ * @returns {{ characterGroup: THREE.Group, capsule: THREE.Mesh, input: ReturnType<typeof createInput>, stamina: ReturnType<typeof createStamina>, health: ReturnType<typeof createHealth>, climbing: ReturnType<typeof createClimbing>, ledge: ReturnType<typeof createLedge>, swimming: ReturnType<typeof createSwimming>, melee: ReturnType<typeof createMeleeCombat>, shield: ReturnType<typeof createShield>, bow: ReturnType<typeof createBow>, arrows: ReturnType<typeof createArrows>, anim: ReturnType<typeof createAnimGraph> | null, state: { camYaw: number, camPitch: number, characterVelY: number, isGrounded: boolean, isGliding: boolean, isCrouching: boolean, moveDir: THREE.Vector3 }, update: (dt: number) => void, takeHit: (hit: { attacker?: object, damage: number, dirX: number, dirZ: number }) => string, teleport: (x: number, y: number, z: number) => void, respawn: (x: number, y: number, z: number) => void, saveState: () => object, loadState: (data: object) => void }}
  */
 export function createPlayer(opts) {
   const {
@@ -48,6 +136,10 @@ export function createPlayer(opts) {
     footstepSoundsPath = null,
     TERRAIN_SIZE,
     debugOut = null,
+    waterSurfaceAt = null,
+    waterFlowAt = null,
+    lockOn = null,
+    fireAt = null,
   } = opts;
   // Reassignable so we can replace the capsule collider when crouching (Rapier collider swap).
   let playerCollider = initialPlayerCollider;
@@ -78,30 +170,20 @@ export function createPlayer(opts) {
   const characterGroup = new THREE.Group();
   scene.add(characterGroup);
   let characterMixer = null;
+  let anim = null; // anim-graph.js, once the model loads
+  let rootMotion = null; // root-motion.js over the *_RM clips in the graph
+  let ik = null; // character-ik.js feet / hands, once the model loads
+  const _rootStep = new THREE.Vector3();
+  const animParams = {
+    speed: 0,
+    sprinting: false,
+    grounded: true,
+    crouching: false,
+  };
 
-  const charDraco = new DRACOLoader();
-  charDraco.setDecoderPath(DRACO_URL);
-  const charLoader = new GLTFLoader();
-  charLoader.setDRACOLoader(charDraco);
-  charLoader.load(
-    CHAR_GLB,
-    (gltf) => {
+  loadCharacter()
+    .then((gltf) => {
       const model = gltf.scene;
-      model.traverse((o) => {
-        if (o.isMesh) {
-          o.castShadow = true;
-          o.receiveShadow = true;
-          if (o.material && !o.material.isNodeMaterial) {
-            const m = o.material;
-            o.material = new THREE.MeshStandardNodeMaterial({
-              color: m.color?.getHex?.() ?? 0x888888,
-              roughness: m.roughness ?? 0.5,
-              metalness: m.metalness ?? 0,
-              map: m.map || null,
-            });
-          }
-        }
-      });
       const box = new THREE.Box3().setFromObject(model);
       const size = new THREE.Vector3();
       const center = new THREE.Vector3();
@@ -155,14 +237,74 @@ export function createPlayer(opts) {
         swordGroup.rotation.set(-0.1, 0, 0.15);
         rightHand.add(swordGroup);
         characterGroup.userData.sword = swordGroup;
+        characterGroup.userData.swordBladeMat = bladeMat; // glows while a heavy attack charges
+      }
+
+      // Round shield on the left forearm (same bone-locate pattern as the sword)
+      const leftHand = characterGroup.userData.leftHandBone;
+      if (leftHand) {
+        const shieldGroup = new THREE.Group();
+        const faceGeo = new THREE.CylinderGeometry(0.26, 0.26, 0.03, 24);
+        const bossGeo = new THREE.SphereGeometry(0.06, 12, 8);
+        const faceMat = new THREE.MeshStandardNodeMaterial({
+          color: 0x6b4a2b,
+          roughness: 0.75,
+          metalness: 0.05,
+        });
+        const bossMat = new THREE.MeshStandardNodeMaterial({
+          color: 0xb0b6bc,
+          roughness: 0.35,
+          metalness: 0.8,
+        });
+        const face = new THREE.Mesh(faceGeo, faceMat);
+        const boss = new THREE.Mesh(bossGeo, bossMat);
+        face.castShadow = true;
+        boss.castShadow = true;
+        boss.position.y = 0.02;
+        boss.scale.y = 0.5;
+        shieldGroup.add(face);
+        shieldGroup.add(boss);
+        // Face out from the back of the hand; tweak these for your rig
+        shieldGroup.position.set(-0.05, 0.02, 0.02);
+        shieldGroup.rotation.set(0, 0, Math.PI / 2);
+        leftHand.add(shieldGroup);
+        characterGroup.userData.shield = shieldGroup;
+
+        // Bow in the same hand, shown while aiming: a bent stave and its string
+        const bowGroup = new THREE.Group();
+        const staveGeo = new THREE.TorusGeometry(0.5, 0.014, 6, 20, 1.6);
+        staveGeo.rotateZ(-0.8); // arc centred on +x, tips at ±y
+        const staveMat = new THREE.MeshStandardNodeMaterial({
+          color: 0x5a3a22,
+          roughness: 0.7,
+          metalness: 0.05,
+        });
+        const stave = new THREE.Mesh(staveGeo, staveMat);
+        stave.castShadow = true;
+        stave.position.x = -0.5; // grip (arc middle) at the origin
+        const tip = 0.5 * Math.sin(0.8);
+        const stringGeo = new THREE.BufferGeometry().setFromPoints([
+          new THREE.Vector3(0.5 * Math.cos(0.8) - 0.5, tip, 0),
+          new THREE.Vector3(0.5 * Math.cos(0.8) - 0.5, -tip, 0),
+        ]);
+        const string = new THREE.Line(
+          stringGeo,
+          new THREE.LineBasicNodeMaterial({ color: 0xdddddd }),
+        );
+        bowGroup.add(stave);
+        bowGroup.add(string);
+        // Stave upright, string toward the body; tweak these for your rig
+        bowGroup.position.set(0, 0.03, 0.02);
+        bowGroup.rotation.set(0, Math.PI / 2, 0);
+        bowGroup.visible = false;
+        leftHand.add(bowGroup);
+        characterGroup.userData.bow = bowGroup;
       }
 
       // Attach asian_conical_hat.glb to head bone (same bone-locate pattern as sword)
       const headBone = characterGroup.userData.headBone;
       if (headBone) {
-        const hatLoader = new GLTFLoader();
-        hatLoader.setDRACOLoader(charDraco);
-        hatLoader.load(
+        gltfLoader.load(
           "models/asian_conical_hat_compressed.glb",
           (hatGltf) => {
             const hatScene = hatGltf.scene;
@@ -243,12 +385,25 @@ export function createPlayer(opts) {
       });
       characterGroup.userData.footBoneL = _fbl;
       characterGroup.userData.footBoneR = _fbr;
+      ik = createCharacterIK({ model, PARAMS, probe: climbing.probe });
       if (_fbl) console.log("[footsteps] L bone:", _fbl.name);
       if (_fbr) console.log("[footsteps] R bone:", _fbr.name);
 
       try {
         if (gltf.animations && gltf.animations.length) {
           characterMixer = new THREE.AnimationMixer(model);
+          const rootBone = model.getObjectByName("root");
+          rootMotion = rootBone
+            ? createRootMotion({
+                root: rootBone,
+                getAction: (name) => anim?.action(name),
+              })
+            : null;
+          // *_RM clips play in place; their root bone moves the capsule instead (see update)
+          const inPlace = (name, clip, opts) =>
+            rootMotion && clip.name.endsWith("_RM")
+              ? rootMotion.add(name, clip, opts)
+              : clip;
           const idleClip =
             gltf.animations.find((a) => a.name === "Idle_Loop") ||
             gltf.animations[0];
@@ -268,195 +423,122 @@ export function createPlayer(opts) {
           const attackClip2 =
             gltf.animations.find((a) => a.name === "Sword_Attack_RM") ||
             attackClip;
+          const attackChargeClip =
+            gltf.animations.find((a) => a.name === "Sword_Idle") || idleClip;
+          // Guard raised: the fighting-stance entry holds the forearm up
+          const blockClip =
+            gltf.animations.find((a) => a.name === "Punch_Enter") || idleClip;
+          const hitClip =
+            gltf.animations.find((a) => a.name === "Hit_Chest") || idleClip;
+          const guardBreakClip =
+            gltf.animations.find((a) => a.name === "Hit_Head") || hitClip;
+          const deathClip =
+            gltf.animations.find((a) => a.name === "Death01") || hitClip;
+          // Bow held out at arm's length: the two-handed pistol aim pose
+          const aimClip =
+            gltf.animations.find((a) => a.name === "Pistol_Aim_Neutral") ||
+            gltf.animations.find((a) => a.name === "Pistol_Idle_Loop") ||
+            idleClip;
           const crouchClip =
             gltf.animations.find((a) => a.name === "Crouch_Idle_Loop") ||
             idleClip;
           const crouchWalkClip =
             gltf.animations.find((a) => a.name === "Crouch_Fwd_Loop") ||
             crouchClip;
+          // Roll_RM only when its root motion is extracted; played as-is its baked travel stacks on the dash
+          const inPlaceRoll = gltf.animations.find((a) => a.name === "Roll");
+          const rmRoll = gltf.animations.find((a) => a.name === "Roll_RM");
           const rollClip =
-            gltf.animations.find((a) => a.name === "Roll") ||
-            gltf.animations.find((a) => a.name === "Roll_RM") ||
+            (rootMotion ? rmRoll || inPlaceRoll : inPlaceRoll || rmRoll) ||
             idleClip;
-          const idleAction = characterMixer
-            .clipAction(idleClip)
-            .setLoop(2201)
-            .play();
-          const walkAction = characterMixer.clipAction(walkClip).setLoop(2201);
-          const runAction = characterMixer.clipAction(runClip).setLoop(2201);
-          const jumpAction = characterMixer.clipAction(jumpClip).setLoop(2201);
-          const attackAction = attackClip
-            ? characterMixer.clipAction(attackClip).setLoop(2200)
-            : null;
-          const attackAction2 = attackClip2
-            ? characterMixer.clipAction(attackClip2).setLoop(2200)
-            : null;
-          const crouchAction = characterMixer
-            .clipAction(crouchClip)
-            .setLoop(2201);
-          const crouchWalkAction = characterMixer
-            .clipAction(crouchWalkClip)
-            .setLoop(2201);
-          const rollAction = characterMixer.clipAction(rollClip).setLoop(2200);
-          if (attackAction?.clampWhenFinished !== undefined)
-            attackAction.clampWhenFinished = true;
-          if (attackAction2?.clampWhenFinished !== undefined)
-            attackAction2.clampWhenFinished = true;
-          if (rollAction && rollAction.clampWhenFinished !== undefined)
-            rollAction.clampWhenFinished = true;
-          characterGroup.userData.idleAction = idleAction;
-          characterGroup.userData.walkAction = walkAction;
-          characterGroup.userData.runAction = runAction;
-          characterGroup.userData.jumpAction = jumpAction;
-          characterGroup.userData.crouchAction = crouchAction;
-          characterGroup.userData.crouchWalkAction = crouchWalkAction;
-          characterGroup.userData.rollAction = rollAction;
-          characterGroup.userData.attackAction = attackAction;
-          characterGroup.userData.attackAction2 = attackAction2;
-          characterGroup.userData.lastMoveState = "idle";
+          // No climb clips in this library yet: Push_Loop (arms forward, stepping) reads as climbing
+          // when the model faces the wall; Jump_Land stands in for the mantle.
+          const climbClip =
+            gltf.animations.find((a) => a.name === "Climb_Loop") ||
+            gltf.animations.find((a) => a.name === "Push_Loop") ||
+            walkClip;
+          const climbUpClip =
+            gltf.animations.find((a) => a.name === "ClimbUp_1m_RM") ||
+            gltf.animations.find((a) => a.name === "Jump_Land") ||
+            idleClip;
+          const swimClip =
+            gltf.animations.find((a) => a.name === "Swim_Fwd_Loop") ||
+            walkClip;
+          const swimIdleClip =
+            gltf.animations.find((a) => a.name === "Swim_Idle_Loop") ||
+            idleClip;
+          anim = createAnimGraph({
+            mixer: characterMixer,
+            initial: "idle",
+            params: animParams,
+            upperBody: (bone) => UPPER_BODY_BONES.test(bone),
+            states: {
+              idle: { clip: idleClip, startTime: MOVE_SKIP_T },
+              walk: { clip: walkClip, startTime: MOVE_SKIP_T },
+              run: { clip: runClip, startTime: MOVE_SKIP_T },
+              jump: { clip: jumpClip, startTime: MOVE_SKIP_T },
+              crouch: { clip: crouchClip, startTime: MOVE_SKIP_T },
+              crouch_walk: { clip: crouchWalkClip, startTime: MOVE_SKIP_T },
+              climb: { clip: climbClip },
+              climb_up: { clip: climbUpClip, loop: false },
+              swim: { clip: swimClip },
+              swim_idle: { clip: swimIdleClip },
+            },
+            transitions: MOVE_TRANSITIONS,
+            // melee.js steps name their clip; stances are upper body so the legs keep walking
+            oneShots: {
+              Sword_Attack: { clip: attackClip, hold: true },
+              Sword_Attack_RM: {
+                clip: inPlace("Sword_Attack_RM", attackClip2, {
+                  enabled: () => PARAMS.rootMotionAttack ?? true,
+                  targetDistance: () => PARAMS.rootMotionAttackDistance ?? 0,
+                }),
+                hold: true,
+              },
+              charge: { clip: attackChargeClip, hold: true, loop: true },
+              block: { clip: blockClip, hold: true, mask: "upper" },
+              aim: { clip: aimClip, hold: true, mask: "upper" },
+              hit: { clip: hitClip, hold: true },
+              guard_break: { clip: guardBreakClip, hold: true },
+              death: { clip: deathClip, hold: true },
+              roll: {
+                clip: inPlace("roll", rollClip, {
+                  enabled: () => PARAMS.rootMotionRoll ?? true,
+                  targetDistance: () => PARAMS.rootMotionRollDistance ?? 0,
+                }),
+              },
+            },
+          });
+          characterGroup.userData.anim = anim;
           characterGroup.userData.isAttacking = false;
           characterGroup.userData.isRolling = false;
-          const makeAttackFinishedHandler = (action) => () => {
-            const ud = characterGroup.userData;
-            ud.isAttacking = false;
-            const from = ud.preAttackState || "idle";
-            // Don't disable attack immediately — let crossFade blend first to avoid T-pose flash
-            const disableAfterBlend = () => {
-              setTimeout(() => {
-                if (ud.isAttacking) return; // User started another attack — don't disable
-                action.enabled = false;
-              }, 250);
-            };
-            const toIdle = () => {
-              ud.idleAction.enabled = true;
-              ud.idleAction.crossFadeFrom(action, 0.25).play();
-              disableAfterBlend();
-            };
-            const toWalk = () => {
-              ud.walkAction.enabled = true;
-              ud.walkAction.crossFadeFrom(action, 0.25).play();
-              disableAfterBlend();
-            };
-            const toRun = () => {
-              ud.runAction.enabled = true;
-              ud.runAction.crossFadeFrom(action, 0.25).play();
-              disableAfterBlend();
-            };
-            const toCrouch = () => {
-              ud.crouchAction.enabled = true;
-              ud.crouchAction.crossFadeFrom(action, 0.25).play();
-              disableAfterBlend();
-            };
-            const toCrouchWalk = () => {
-              ud.crouchWalkAction.enabled = true;
-              ud.crouchWalkAction.crossFadeFrom(action, 0.25).play();
-              disableAfterBlend();
-            };
-            if (from === "walk") toWalk();
-            else if (from === "run") toRun();
-            else if (from === "crouch") toCrouch();
-            else if (from === "crouch_walk") toCrouchWalk();
-            else toIdle();
-            ud.lastMoveState = from;
-          };
-          if (attackAction) {
-            characterMixer.addEventListener("finished", (e) => {
-              if (e.action !== attackAction) return;
-              makeAttackFinishedHandler(attackAction)();
-            });
-          }
-          if (attackAction2 && attackAction2 !== attackAction) {
-            characterMixer.addEventListener("finished", (e) => {
-              if (e.action !== attackAction2) return;
-              makeAttackFinishedHandler(attackAction2)();
-            });
-          }
-          if (rollAction) {
-            characterMixer.addEventListener("finished", (e) => {
-              if (e.action !== rollAction) return;
-              const ud = characterGroup.userData;
-              ud.isRolling = false;
-              const moving = keys.w || keys.s;
-              const running = moving && keys.shift;
-              const crouching = keys.ctrl;
-              const targetState = crouching
-                ? moving
-                  ? "crouch_walk"
-                  : "crouch"
-                : moving
-                  ? running
-                    ? "run"
-                    : "walk"
-                  : "idle";
-              const toIdle = () => {
-                ud.idleAction.enabled = true;
-                ud.idleAction.crossFadeFrom(rollAction, 0.2).play();
-              };
-              const toWalk = () => {
-                ud.walkAction.enabled = true;
-                ud.walkAction.crossFadeFrom(rollAction, 0.2).play();
-              };
-              const toRun = () => {
-                ud.runAction.enabled = true;
-                ud.runAction.crossFadeFrom(rollAction, 0.2).play();
-              };
-              const toCrouch = () => {
-                ud.crouchAction.enabled = true;
-                ud.crouchAction.crossFadeFrom(rollAction, 0.2).play();
-              };
-              const toCrouchWalk = () => {
-                ud.crouchWalkAction.enabled = true;
-                ud.crouchWalkAction.crossFadeFrom(rollAction, 0.2).play();
-              };
-              if (targetState === "walk") toWalk();
-              else if (targetState === "run") toRun();
-              else if (targetState === "crouch") toCrouch();
-              else if (targetState === "crouch_walk") toCrouchWalk();
-              else toIdle();
-              ud.lastMoveState = targetState;
-              setTimeout(() => {
-                rollAction.enabled = false;
-              }, 220);
-            });
-          }
         }
       } catch (e) {
         console.warn("Character animations:", e);
       }
-      // Defer to next frame — calling compileAsync from the load callback can run
+      // Deferred to the next frame inside — compiling from the load callback can run
       // mid-render and trigger WebGPU errors (e.g. with WaterMesh reflector).
-      requestAnimationFrame(() => {
-        renderer
-          .compileAsync(scene, camera)
-          .catch((e) => console.warn("Recompile after character load:", e));
-      });
-    },
-    undefined,
-    (err) => {
-      console.error("Character GLB load failed:", err);
-    },
-  );
+      compileCharacters(renderer, scene, camera, model).catch((e) =>
+        console.warn("Recompile after character load:", e),
+      );
+    })
+    .catch((err) => console.error("Character GLB load failed:", err));
 
-  const keys = {
-    w: false,
-    a: false,
-    s: false,
-    d: false,
-    e: false,
-    f: false,
-    shift: false,
-    ctrl: false,
-    space: false,
-    spacePrev: false,
-    arrowLeft: false,
-    arrowRight: false,
-  };
+  // Action-based input (input.js): keyboard, mouse and gamepad, remappable
+  const input = opts.input ?? createInput({ element: renderer.domElement });
+  // Sprint, glide and roll cost stamina (stamina.js); exhausted = slow walk, no glider, no roll
+  const stamina = opts.stamina ?? createStamina(PARAMS);
+  const health = opts.health ?? createHealth(PARAMS, { invincible: true });
   const state = {
     camYaw: 0,
     camPitch: 0.3,
     characterVelY: 0,
     isGrounded: false,
     isGliding: false,
+    isCrouching: false,
+    isClimbing: false,
+    isHanging: false,
+    isSwimming: false,
     moveDir: new THREE.Vector3(),
   };
   // Grace counter: keeps isGrounded true for a few frames after contact loss.
@@ -481,7 +563,90 @@ export function createPlayer(opts) {
   /** @type {{ [handle: number]: { x: number, y: number, z: number } }} */
   const _lastPlatformPos = {}; // platform handle -> last position for velocity-from-delta
   let _didCrouchTransitionThisFrame = false;
-  let isPointerLocked = false;
+
+  // Free climbing: steep heightmap faces + colliders marked with markClimbable()
+  const climbing = createClimbing({
+    PARAMS,
+    charPos,
+    capR: _capR_c,
+    capHalfH: _normalHH_c,
+    sampleHeight,
+    RAPIER,
+    physicsWorld,
+    getExcludeCollider: () => playerCollider,
+    stamina,
+  });
+  const _climbForward = new THREE.Vector3();
+  // Ledge grab / vault on any collider, probing through climbing's surface ray
+  const ledge = createLedge({
+    PARAMS,
+    charPos,
+    capR: _capR_c,
+    capHalfH: _normalHH_c,
+    probe: climbing.probe,
+    RAPIER,
+    physicsWorld,
+    getExcludeCollider: () => playerCollider,
+    stamina,
+  });
+
+  // ── IK ──────────────────────────────────────────────────────────────────
+  const LEDGE_GRIP_HALF_WIDTH = 0.22; // m from the body's centre line to each hand on the edge
+  const _edge = new THREE.Vector3();
+  const _edgeRight = new THREE.Vector3();
+  const _grips = { left: new THREE.Vector3(), right: new THREE.Vector3() };
+
+  /**
+   * Advance the animation, then bend the new pose (character-ik.js): feet onto the ground when on foot, hands onto
+   * the edge while hanging.
+   * @param {number} dt
+   * @param {boolean} [grounded]
+   */
+  function animate(dt, grounded = false) {
+    anim?.update(dt);
+    if (!ik) return;
+    const gripping = ledge.mode === "hang" || ledge.mode === "reach";
+    if (gripping) {
+      // Wrists just under the top, a few cm off the face, either side of the body
+      _edge
+        .copy(ledge.position)
+        .addScaledVector(ledge.normal, 0.02 - _capR_c)
+        .setY(ledge.topY - 0.05);
+      _edgeRight.set(ledge.normal.z, 0, -ledge.normal.x);
+      _grips.left
+        .copy(_edge)
+        .addScaledVector(_edgeRight, -LEDGE_GRIP_HALF_WIDTH);
+      _grips.right
+        .copy(_edge)
+        .addScaledVector(_edgeRight, LEDGE_GRIP_HALF_WIDTH);
+    }
+    ik.update(dt, { grounded, hands: gripping ? _grips : null });
+  }
+
+  // Surface swimming wherever the page reports deep water (lake, rivers, pool)
+  const _waterRayDown = { x: 0, y: -1, z: 0 };
+  const swimming = createSwimming({
+    PARAMS,
+    capR: _capR_c,
+    capHalfH: _normalHH_c,
+    waterSurfaceAt: waterSurfaceAt ?? (() => null),
+    waterFlowAt,
+    // Bottom under the surface: heightmap, else the first collider below (pool floor)
+    groundAt: (x, y, z) => {
+      if (hasSampleHeight) return sampleHeight(x, z);
+      if (!RAPIER) return -Infinity;
+      const hit = physicsWorld.castRay(
+        new RAPIER.Ray({ x, y, z }, _waterRayDown),
+        50,
+        true,
+        undefined,
+        undefined,
+        playerCollider,
+      );
+      return hit ? y - (hit.timeOfImpact ?? hit.toi) : -Infinity;
+    },
+    stamina,
+  });
 
   // Foot bone Y tracking for footstep sync
   const _footPos = new THREE.Vector3();
@@ -493,120 +658,624 @@ export function createPlayer(opts) {
     _footCoolR = 0;
   let _footCoolGlobal = 0; // prevents L+R from double-firing when sprint plants are close together
   let _wasInAir = false; // landing detection
-
-  window.addEventListener("keydown", (e) => {
-    const k = e.key.toLowerCase();
-    if (keys[k] !== undefined) {
-      keys[k] = true;
-      e.preventDefault();
-    }
-    if (e.key === "Shift") keys.shift = true;
-    if (e.key === "Control") keys.ctrl = true;
-    if (e.key === "f" || e.key === "F") keys.f = true;
-    if (e.key === " " || e.code === "Space") {
-      keys.space = true;
-      e.preventDefault();
-    }
-    if (e.key === "ArrowUp") {
-      keys.w = true;
-      e.preventDefault();
-    }
-    if (e.key === "ArrowDown") {
-      keys.s = true;
-      e.preventDefault();
-    }
-    if (e.key === "ArrowLeft") {
-      keys.arrowLeft = true;
-      e.preventDefault();
-    }
-    if (e.key === "ArrowRight") {
-      keys.arrowRight = true;
-      e.preventDefault();
-    }
-  });
-  window.addEventListener("keyup", (e) => {
-    const k = e.key.toLowerCase();
-    if (keys[k] !== undefined) keys[k] = false;
-    if (e.key === "Shift") keys.shift = false;
-    if (e.key === "Control") keys.ctrl = false;
-    if (e.key === "f" || e.key === "F") keys.f = false;
-    if (e.key === " " || e.code === "Space") keys.space = false;
-    if (e.key === "ArrowUp") keys.w = false;
-    if (e.key === "ArrowDown") keys.s = false;
-    if (e.key === "ArrowLeft") keys.arrowLeft = false;
-    if (e.key === "ArrowRight") keys.arrowRight = false;
-  });
+  let _fallSpeed = 0; // m/s downward on the last airborne frame (fall damage on landing)
 
   renderer.domElement.addEventListener("click", () => {
     if (PARAMS.cameraMode === "thirdPerson")
       renderer.domElement.requestPointerLock();
   });
-  document.addEventListener("pointerlockchange", () => {
-    isPointerLocked = !!document.pointerLockElement;
-  });
   renderer.domElement.addEventListener("contextmenu", (e) =>
     e.preventDefault(),
   );
-  renderer.domElement.addEventListener("mousedown", (e) => {
-    if (e.button !== 2) return;
+  // Move input; while locked on the turn keys strafe instead (the camera follows the target).
+  function moveInput() {
+    const move = input.move();
+    if (!lockOn?.target) return move;
+    const x =
+      move.x +
+      (input.isDown("turnRight") ? 1 : 0) -
+      (input.isDown("turnLeft") ? 1 : 0);
+    const len = Math.hypot(x, move.y);
+    return len > 1 ? { x: x / len, y: move.y / len } : { x, y: move.y };
+  }
+
+  // ── MELEE ───────────────────────────────────────────────────────────────
+  // Combo, charge and hitboxes live in melee.js; here its events become animation.
+  const melee =
+    opts.melee ?? createMeleeCombat({ PARAMS, RAPIER, physicsWorld, input });
+
+  /** @param {"charge" | "swing" | "end"} event - from melee.update() */
+  function playAttack(event) {
     const ud = characterGroup.userData;
-    if (!ud.attackAction || ud.isAttacking || ud.isRolling) return;
+    if (event === "end") {
+      finishAttack();
+      return;
+    }
     ud.isAttacking = true;
-    ud.preAttackState = ud.lastMoveState || "idle";
-    ud.attackAction.stop();
-    ud.attackAction.time = 0;
-    ud.attackAction.enabled = true;
-    const from =
-      ud.preAttackState === "run"
-        ? ud.runAction
-        : ud.preAttackState === "walk"
-          ? ud.walkAction
-          : ud.preAttackState === "jump"
-            ? ud.jumpAction
-            : ud.preAttackState === "crouch"
-              ? ud.crouchAction
-              : ud.preAttackState === "crouch_walk"
-                ? ud.crouchWalkAction
-                : ud.idleAction;
-    ud.attackAction.crossFadeFrom(from, 0.1).play();
-  });
-  window.addEventListener("keydown", (e) => {
-    if (e.key.toLowerCase() !== "e" || e.repeat) return;
+    if (!anim) return; // model still loading: the attack runs without animation
+    if (event === "swing" && lockOn?.target)
+      state.camYaw = lockOn.bearing(charPos);
+    const shot = event === "charge" ? "charge" : melee.step.clip;
+    // Chains from the previous swing / charge pose; on the move only the arms swing
+    if (ud.attackShot && ud.attackShot !== shot) anim.stop(ud.attackShot, 0.1);
+    anim.fire(shot, {
+      blend: 0.1,
+      timeScale: event === "swing" ? melee.step.timeScale : 1,
+      mask: state.moveDir.lengthSq() > 0 ? "upper" : "full",
+    });
+    ud.attackShot = shot;
+  }
+
+  // ── SHIELD ──────────────────────────────────────────────────────────────
+  const shield = createShield({ PARAMS, input });
+  const FLINCH_TIME = 0.4;
+  let staggerT = 0;
+
+  /** Block stance on / off (shield.update() raise / lower). */
+  function setBlockStance(on) {
     const ud = characterGroup.userData;
-    if (!ud.attackAction2 || ud.isAttacking || ud.isRolling) return;
-    ud.isAttacking = true;
-    ud.preAttackState = ud.lastMoveState || "idle";
-    ud.attackAction2.stop();
-    ud.attackAction2.time = 0;
-    ud.attackAction2.enabled = true;
-    const from =
-      ud.preAttackState === "run"
-        ? ud.runAction
-        : ud.preAttackState === "walk"
-          ? ud.walkAction
-          : ud.preAttackState === "jump"
-            ? ud.jumpAction
-            : ud.preAttackState === "crouch"
-              ? ud.crouchAction
-              : ud.preAttackState === "crouch_walk"
-                ? ud.crouchWalkAction
-                : ud.idleAction;
-    ud.attackAction2.crossFadeFrom(from, 0.1).play();
-  });
-  document.addEventListener("mousemove", (e) => {
-    if (!isPointerLocked && !(e.buttons & 1)) return;
-    const sens = PARAMS.mouseSensitivity;
-    state.camYaw += e.movementX * sens;
-    state.camPitch -= e.movementY * sens;
+    if (!!ud.isBlocking === on) return;
+    ud.isBlocking = on;
+    if (on) anim?.fire("block", { blend: 0.12 });
+    else anim?.stop("block", 0.2);
+  }
+
+  /**
+   * Flinch or guard break: a one-shot stretched over `duration` that locks out moving, attacking and blocking.
+   * @param {"hit" | "guard_break"} shot
+   * @param {number} duration
+   */
+  function playStagger(shot, duration) {
+    const ud = characterGroup.userData;
+    if (ud.isRolling || state.isClimbing || ledge.active || state.isSwimming)
+      return;
+    melee.cancel();
+    shield.cancel();
+    bow.cancel();
+    if (ud.attackShot) anim?.stop(ud.attackShot, 0.08);
+    anim?.stop("block", 0.08);
+    anim?.stop("aim", 0.08);
+    ud.isAttacking = false;
+    ud.attackShot = null;
+    ud.isBlocking = false;
+    ud.isAiming = false;
+    if (ud.bow) ud.bow.visible = false;
+    if (ud.shield) ud.shield.visible = true;
+    ud.isStaggered = true;
+    staggerT = duration;
+    ud.staggerShot = shot;
+    anim?.fire(shot, { blend: 0.08, duration });
+  }
+
+  function endStagger() {
+    const ud = characterGroup.userData;
+    ud.isStaggered = false;
+    if (ud.staggerShot) anim?.stop(ud.staggerShot, 0.2);
+    ud.staggerShot = null;
+  }
+
+  shield.addEventListener("hit", () => playStagger("hit", FLINCH_TIME));
+  shield.addEventListener("guardbreak", () =>
+    playStagger("guard_break", PARAMS.shieldGuardBreakTime ?? 1.2),
+  );
+
+  /**
+   * An enemy strike reached the player; the shield resolves it (and fires its events), what gets through costs health.
+   * @param {{ attacker?: object, damage: number, dirX: number, dirZ: number }} hit - dir from the attacker toward the player
+   * @returns {"parry" | "block" | "guardbreak" | "hit" | "miss"} "miss" = i-frames or already down: nothing happened
+   */
+  function takeHit(hit) {
+    if (health.dead || health.invulnerable) return "miss";
+    const result = shield.receiveHit(hit, state.camYaw);
+    if (result === "hit") health.damage(hit.damage, "enemy");
+    return result;
+  }
+
+  // ── HEALTH ──────────────────────────────────────────────────────────────
+  // Hearts live in health.js; here damage sources feed it and its death becomes animation.
+  const FLASH_RATE = 14; // i-frame blinks per second
+  let _downed = false; // playing dead, until health revives
+
+  function die() {
+    lockOn?.release();
+    cancelActions();
+    const ud = characterGroup.userData;
+    if (ud.isStaggered) endStagger();
+    if (ud.isRolling) {
+      ud.isRolling = false;
+      anim?.stop("roll", 0.1);
+    }
+    state.isGliding = false;
+    if (ud.kite) ud.kite.visible = false;
+    anim?.fire("death", { blend: 0.2 });
+    _downed = true;
+  }
+
+  health.addEventListener("death", die);
+
+  /** Landing at speed (m/s down) hurts past fallDamageMinSpeed. */
+  function takeFallDamage(speed) {
+    const min = PARAMS.fallDamageMinSpeed ?? 11;
+    if (speed <= min) return;
+    const amount = (speed - min) * (PARAMS.fallDamagePerSpeed ?? 12);
+    if (health.damage(amount, "fall") && !health.dead)
+      playStagger("hit", FLINCH_TIME);
+  }
+
+  /** Down: no control, the body still falls and lands. Replaces the movement below for the frame. */
+  function updateDead(dt) {
+    state.moveDir.set(0, 0, 0);
+    state.characterVelY -= PARAMS.gravity * dt;
+    characterController.computeColliderMovement(playerCollider, {
+      x: 0,
+      y: state.characterVelY * dt,
+      z: 0,
+    });
+    state.isGrounded = characterController.computedGrounded();
+    const corrected = characterController.computedMovement();
+    const cur = playerBody.translation();
+    const nextPos = {
+      x: cur.x + corrected.x,
+      y: cur.y + corrected.y,
+      z: cur.z + corrected.z,
+    };
+    if (hasSampleHeight) {
+      const floorY = sampleHeight(nextPos.x, nextPos.z) + capHalfH + capR;
+      if (nextPos.y <= floorY) {
+        nextPos.y = floorY;
+        state.isGrounded = true;
+      }
+    }
+    if (state.isGrounded) state.characterVelY = 0;
+    playerBody.setNextKinematicTranslation(nextPos);
+    physicsWorld.step();
+    const playerT = playerBody.translation();
+    charPos.set(playerT.x, playerT.y, playerT.z);
+
+    characterGroup.position.copy(charPos);
+    capsule.position.copy(charPos);
+    characterGroup.rotation.y = state.camYaw;
+    const ud = characterGroup.userData;
+    if (ud.modelBaseY != null)
+      characterGroup.children[0].position.y =
+        ud.modelBaseY +
+        PARAMS.characterOffsetY +
+        _crouchVisualT * _crouchShift;
+    animate(dt, state.isGrounded);
+    stamina.update(dt);
+  }
+
+  // ── BOW ─────────────────────────────────────────────────────────────────
+  // Aim, draw and reticle live in bow.js, flight and pick-up in arrows.js; here the stance becomes animation.
+  const arrows =
+    opts.arrows ??
+    createArrows({ scene, PARAMS, RAPIER, physicsWorld, sampleHeight });
+  const bow = createBow({ PARAMS, input, camera, arrows });
+  const _bowOrigin = new THREE.Vector3();
+
+  // Arrows leave from above the right shoulder, a little ahead of the body
+  function bowOrigin() {
+    const sinY = Math.sin(state.camYaw);
+    const cosY = Math.cos(state.camYaw);
+    return _bowOrigin.set(
+      charPos.x + sinY * 0.4 - cosY * 0.15,
+      charPos.y + 0.45,
+      charPos.z + cosY * 0.4 + sinY * 0.15,
+    );
+  }
+
+  /** Aim stance on / off (bow.update() raise / lower): bow out, shield away. */
+  function setAimStance(on) {
+    const ud = characterGroup.userData;
+    if (!!ud.isAiming === on) return;
+    ud.isAiming = on;
+    if (ud.bow) ud.bow.visible = on;
+    if (ud.shield) ud.shield.visible = !on;
+    if (on) anim?.fire("aim", { blend: 0.15 });
+    else anim?.stop("aim", 0.2);
+  }
+
+  /** Blend the swing back out to whatever the legs are doing by now. */
+  function finishAttack() {
+    const ud = characterGroup.userData;
+    ud.isAttacking = false;
+    if (ud.attackShot) anim?.stop(ud.attackShot, 0.25);
+    ud.attackShot = null;
+  }
+
+  // ── CLIMBING ────────────────────────────────────────────────────────────
+  /** Cross-fade to a state the ground transitions don't lead into (climb, swim), or back out of one. */
+  function playMoveStateAnim(name) {
+    anim?.play(name, name === "climb_up" ? 0.1 : 0.2);
+  }
+
+  function startClimbing() {
+    lockOn?.release();
+    shield.cancel();
+    setBlockStance(false);
+    bow.cancel();
+    setAimStance(false);
+    state.isClimbing = true;
+    state.isGliding = false;
+    state.characterVelY = 0;
+    _fallSpeed = 0;
+    const ud = characterGroup.userData;
+    if (ud.kite) ud.kite.visible = false;
+    playMoveStateAnim("climb");
+  }
+
+  /**
+   * Scripted arcs (climb jumps, mantles, ledge pull-ups and vaults) go through the character controller so they stop at walls and
+   * ceilings instead of tunnelling. Steep faces aren't slopes to slide off here, so the slope limits are lifted
+   * for the query. Leaves the reachable position in charPos.
+   */
+  function sweepTo(target) {
+    const cur = playerBody.translation();
+    const climbAngle = characterController.maxSlopeClimbAngle();
+    const slideAngle = characterController.minSlopeSlideAngle();
+    characterController.setMaxSlopeClimbAngle(Math.PI / 2);
+    characterController.setMinSlopeSlideAngle(Math.PI / 2);
+    characterController.computeColliderMovement(playerCollider, {
+      x: target.x - cur.x,
+      y: target.y - cur.y,
+      z: target.z - cur.z,
+    });
+    characterController.setMaxSlopeClimbAngle(climbAngle);
+    characterController.setMinSlopeSlideAngle(slideAngle);
+    const corrected = characterController.computedMovement();
+    charPos.set(cur.x + corrected.x, cur.y + corrected.y, cur.z + corrected.z);
+  }
+
+  /** Climbing replaces the ground / air movement below for the frame. */
+  function updateClimbing(dt) {
+    const move = input.move();
+    const arc = climbing.mode === "jump" || climbing.mode === "mantle";
+    const event = climbing.update(dt, {
+      move,
+      jump: input.justPressed("jump"),
+      letGo: input.justPressed("crouch"),
+    });
+    if (arc) {
+      sweepTo(climbing.position);
+      // A blocked arc continues (and re-grips) from where the capsule stopped
+      climbing.position.copy(charPos);
+    } else {
+      charPos.copy(climbing.position);
+    }
+    if (event === "fall") {
+      // Push off the face so the capsule doesn't start the fall inside it
+      charPos.addScaledVector(climbing.normal, 0.1);
+    }
+    playerBody.setNextKinematicTranslation({
+      x: charPos.x,
+      y: charPos.y,
+      z: charPos.z,
+    });
+    physicsWorld.step();
+    characterGroup.position.copy(charPos);
+    capsule.position.copy(charPos);
+    if (event !== "fall" && event !== "top")
+      characterGroup.rotation.y = Math.atan2(-climbing.normal.x, -climbing.normal.z);
+
+    if (event === "mantle") playMoveStateAnim("climb_up");
+    if (climbing.mode !== "mantle")
+      anim?.setTimeScale(
+        "climb",
+        climbing.mode === "jump" ? 2 : Math.hypot(move.x, move.y) > 0.05 ? 1 : 0,
+      );
+    if (event === "fall" || event === "top") {
+      state.isClimbing = false;
+      state.characterVelY = 0;
+      state.isGrounded = event === "top";
+      anim?.setTimeScale("climb", 1);
+      playMoveStateAnim(event === "top" ? "idle" : "jump");
+    }
+    animate(dt);
+    stamina.update(dt);
+  }
+
+  // ── LEDGES ──────────────────────────────────────────────────────────────
+  /** @param {"hang" | "pullup" | "vault" | "mantle"} kind - from ledge.tryGrab / tryVault */
+  function startLedge(kind) {
+    lockOn?.release();
+    shield.cancel();
+    setBlockStance(false);
+    bow.cancel();
+    setAimStance(false);
+    state.isHanging = kind === "hang";
+    state.isGliding = false;
+    state.characterVelY = 0;
+    _fallSpeed = 0;
+    const ud = characterGroup.userData;
+    if (ud.kite) ud.kite.visible = false;
+    playMoveStateAnim(
+      kind === "hang" ? "climb" : kind === "vault" ? "jump" : "climb_up",
+    );
+  }
+
+  /** Hanging, pulling up or vaulting replaces the ground / air movement below for the frame. */
+  function updateLedge(dt) {
+    const move = input.move();
+    const arc = ledge.mode === "pullup" || ledge.mode === "vault";
+    const event = ledge.update(dt, {
+      move,
+      jump: input.justPressed("jump"),
+      letGo: input.justPressed("crouch"),
+    });
+    if (arc) {
+      sweepTo(ledge.position);
+      ledge.position.copy(charPos);
+    } else {
+      charPos.copy(ledge.position);
+    }
+    // Push off the face so the capsule doesn't start the fall inside it
+    if (event === "drop") charPos.addScaledVector(ledge.normal, 0.1);
+    playerBody.setNextKinematicTranslation({
+      x: charPos.x,
+      y: charPos.y,
+      z: charPos.z,
+    });
+    physicsWorld.step();
+    characterGroup.position.copy(charPos);
+    capsule.position.copy(charPos);
+    characterGroup.rotation.y = Math.atan2(-ledge.normal.x, -ledge.normal.z);
+
+    if (event === "pullup") {
+      state.isHanging = false;
+      playMoveStateAnim("climb_up");
+    }
+    if (ledge.mode === "hang")
+      anim?.setTimeScale("climb", Math.abs(move.x) > 0.05 ? 1 : 0);
+    if (event === "drop" || event === "top" || event === "land") {
+      state.isHanging = false;
+      state.characterVelY = 0;
+      state.isGrounded = event === "top";
+      anim?.setTimeScale("climb", 1);
+      playMoveStateAnim(event === "top" ? "idle" : "jump");
+    }
+    animate(dt);
+    stamina.update(dt);
+  }
+
+  // ── SWIMMING ────────────────────────────────────────────────────────────
+  const _swimMove = { x: 0, z: 0, amount: 0 };
+  const _bankTan = () =>
+    Math.tan(((PARAMS.climbSlideAngle ?? 50) * Math.PI) / 180);
+
+  function feetY() {
+    return charPos.y - (_isCrouching ? _crouchHH_c : _normalHH_c) - _capR_c;
+  }
+
+  // Crouch isn't a swim pose: restore the standing collider (buoyancy sets the height).
+  function standUpForWater() {
+    if (!_isCrouching) return;
+    if (RAPIER) {
+      physicsWorld.removeCollider(playerCollider);
+      playerCollider = physicsWorld.createCollider(
+        RAPIER.ColliderDesc.capsule(_normalHH_c, _capR_c),
+        playerBody,
+      );
+    } else {
+      playerCollider.setHalfHeight(_normalHH_c);
+    }
+    _isCrouching = false;
+    state.isCrouching = false;
+    _crouchVisualT = 0;
+  }
+
+  function startSwimming() {
+    lockOn?.release();
+    shield.cancel();
+    setBlockStance(false);
+    bow.cancel();
+    setAimStance(false);
+    standUpForWater();
+    state.isSwimming = true;
+    state.isGliding = false;
+    state.isGrounded = false;
+    state.characterVelY = 0;
+    _fallSpeed = 0;
+    health.extinguish();
+    const ud = characterGroup.userData;
+    if (ud.kite) ud.kite.visible = false;
+    playMoveStateAnim("swim_idle");
+  }
+
+  function stopSwimming(next) {
+    state.isSwimming = false;
+    state.characterVelY = 0;
+    anim?.setTimeScale("swim_idle", 1);
+    playMoveStateAnim(next);
+  }
+
+  /** Swimming replaces the ground / air movement below for the frame. */
+  function updateSwimming(dt) {
+    const move = moveInput();
+    const sinY = Math.sin(state.camYaw);
+    const cosY = Math.cos(state.camYaw);
+    // Same camera-relative mapping as walking: right = (-cos, sin), forward = (sin, cos)
+    const wx = -move.x * cosY + move.y * sinY;
+    const wz = move.x * sinY + move.y * cosY;
+    const len = Math.hypot(wx, wz);
+    _swimMove.x = len > 0 ? wx / len : 0;
+    _swimMove.z = len > 0 ? wz / len : 0;
+    _swimMove.amount = Math.min(1, len);
+    state.moveDir.set(move.x, 0, -move.y);
+
+    // Climb out: a climbable bank, or a low edge (pool coping, river lip) straight ahead
+    if (move.y > 0.3 && swimming.mode === "swim") {
+      _climbForward.set(sinY, 0, cosY);
+      if (
+        climbing.tryAttach(_climbForward) ||
+        climbing.tryLedgeMantle(_climbForward, PARAMS.swimClimbOutHeight ?? 1.2)
+      ) {
+        swimming.cancel();
+        stopSwimming("swim_idle");
+        startClimbing();
+        if (climbing.mode === "mantle") playMoveStateAnim("climb_up");
+        updateClimbing(dt);
+        return;
+      }
+    }
+
+    const res = swimming.update(dt, charPos, _swimMove);
+    const ud = characterGroup.userData;
+    if (res.event === "respawn" || res.event === "exit") {
+      stopSwimming("idle");
+      if (res.event === "respawn" && swimming.hasShore) {
+        const p = swimming.lastShore;
+        teleport(p.x, p.y + 0.05, p.z);
+      }
+      if (res.event === "respawn")
+        health.damage(PARAMS.drownDamage ?? 20, "drown");
+      animate(dt);
+      stamina.update(dt);
+      return;
+    }
+    if (res.event === "tired") anim?.setTimeScale("swim_idle", 0.4);
+
+    let dx = res.dx;
+    let dz = res.dz;
+    if (hasSampleHeight && (dx !== 0 || dz !== 0)) {
+      // Terrain banks steeper than the slide angle stop the swimmer (tryAttach above climbs them);
+      // gentler ones lift the capsule out via the heightmap clamp below until it can stand.
+      const here = sampleHeight(charPos.x, charPos.z);
+      const ahead = sampleHeight(charPos.x + dx, charPos.z + dz);
+      const run = Math.hypot(dx, dz);
+      const stand = ahead + capHalfH + capR;
+      if (stand > charPos.y && (ahead - here) / run > _bankTan()) {
+        dx = 0;
+        dz = 0;
+      }
+    }
+    characterController.computeColliderMovement(playerCollider, {
+      x: dx,
+      y: res.dy,
+      z: dz,
+    });
+    const corrected = characterController.computedMovement();
+    const cur = playerBody.translation();
+    const nextPos = {
+      x: cur.x + corrected.x,
+      y: cur.y + corrected.y,
+      z: cur.z + corrected.z,
+    };
+    if (hasSampleHeight)
+      nextPos.y = Math.max(
+        nextPos.y,
+        sampleHeight(nextPos.x, nextPos.z) + capHalfH + capR,
+      );
+    playerBody.setNextKinematicTranslation(nextPos);
+    physicsWorld.step();
+    const playerT = playerBody.translation();
+    charPos.set(playerT.x, playerT.y, playerT.z);
+
+    characterGroup.position.copy(charPos);
+    capsule.position.copy(charPos);
+    characterGroup.rotation.y = state.camYaw;
+    if (ud.modelBaseY != null)
+      characterGroup.children[0].position.y =
+        ud.modelBaseY + PARAMS.characterOffsetY;
+    if (swimming.mode === "swim")
+      playMoveStateAnim(_swimMove.amount > 0.05 ? "swim" : "swim_idle");
+    animate(dt);
+    stamina.update(dt);
+  }
+
+  function update(dt) {
+    input.update();
+    arrows.update(dt, charPos);
+    lockOn?.update(charPos, state.camYaw);
+    const locked = !!lockOn?.target;
+    if (!locked && input.isDown("turnLeft"))
+      state.camYaw += PARAMS.keyTurnSpeed * dt;
+    if (!locked && input.isDown("turnRight"))
+      state.camYaw -= PARAMS.keyTurnSpeed * dt;
+    // Camera: mouse (pointer lock or left-drag) + right stick; yaw swings to the target while locked
+    const mouse = input.takeMouseDelta();
+    const stick = input.look();
+    const lookSpeed = PARAMS.gamepadLookSpeed ?? 2.5;
+    if (locked) {
+      const diff = lockOn.bearing(charPos) - state.camYaw;
+      state.camYaw +=
+        Math.atan2(Math.sin(diff), Math.cos(diff)) *
+        Math.min(1, (PARAMS.lockOnTurnSpeed ?? 8) * dt);
+    } else {
+      state.camYaw +=
+        mouse.x * PARAMS.mouseSensitivity + stick.x * lookSpeed * dt;
+    }
+    state.camPitch -=
+      mouse.y * PARAMS.mouseSensitivity + stick.y * lookSpeed * dt;
     state.camPitch = Math.max(
       PARAMS.camPitchMin,
       Math.min(PARAMS.camPitchMax, state.camPitch),
     );
-  });
-
-  function update(dt) {
-    if (keys.arrowLeft || keys.a) state.camYaw += PARAMS.keyTurnSpeed * dt;
-    if (keys.arrowRight || keys.d) state.camYaw -= PARAMS.keyTurnSpeed * dt;
+    if (fireAt && !health.dead && fireAt(charPos.x, feetY(), charPos.z))
+      health.ignite();
+    health.update(dt);
+    if (_downed && !health.dead) {
+      _downed = false; // revived (respawn, a loaded save)
+      anim?.stop("death", 0.3);
+    }
+    // i-frames blink the model
+    characterGroup.visible =
+      health.dead ||
+      !health.invulnerable ||
+      Math.floor((performance.now() / 1000) * FLASH_RATE) % 2 === 0;
+    if (health.dead) {
+      updateDead(dt);
+      return;
+    }
+    if (climbing.active) {
+      updateClimbing(dt);
+      return;
+    }
+    climbing.update(dt, null); // regrab cooldown
+    if (ledge.active) {
+      updateLedge(dt);
+      return;
+    }
+    ledge.update(dt, null); // regrab cooldown
+    if (swimming.active) {
+      updateSwimming(dt);
+      return;
+    }
+    {
+      const ud = characterGroup.userData;
+      if (
+        !ud.isRolling &&
+        !ud.isAttacking &&
+        swimming.shouldEnter(charPos, feetY())
+      ) {
+        startSwimming();
+        updateSwimming(dt);
+        return;
+      }
+    }
+    {
+      const ud = characterGroup.userData;
+      const attackEvent = melee.update(
+        dt,
+        !ud.isRolling && !ud.isBlocking && !ud.isAiming && !ud.isStaggered,
+      );
+      if (attackEvent) playAttack(attackEvent);
+      const stance = shield.update(
+        dt,
+        !ud.isRolling && !ud.isAttacking && !ud.isAiming && !ud.isStaggered,
+      );
+      if (stance) setBlockStance(stance === "raise");
+      const aim = bow.update(
+        dt,
+        !ud.isRolling && !ud.isAttacking && !ud.isBlocking && !ud.isStaggered,
+        bowOrigin(),
+        playerCollider,
+      );
+      if (aim === "raise" || aim === "lower") setAimStance(aim === "raise");
+      if (ud.isStaggered) {
+        staggerT -= dt;
+        if (staggerT <= 0) endStagger();
+      }
+    }
 
     // ── CROUCH TRANSITION ──────────────────────────────────────────────────
     // Shrinks / restores the capsule collider half-height each time the player
@@ -618,7 +1287,7 @@ export function createPlayer(opts) {
       ? charPos.y <= sampleHeight(charPos.x, charPos.z) + capHalfH + capR + 0.6
       : state.isGrounded;
     {
-      const wantCrouch = keys.ctrl && onGroundForCrouch;
+      const wantCrouch = input.isDown("crouch") && onGroundForCrouch;
       if (wantCrouch && !_isCrouching) {
         const bottomY = charPos.y - _normalHH_c - _capR_c;
         if (RAPIER) {
@@ -631,6 +1300,7 @@ export function createPlayer(opts) {
           playerCollider.setHalfHeight(_crouchHH_c);
         }
         _isCrouching = true;
+        state.isCrouching = true;
         _didCrouchTransitionThisFrame = true;
         const newCenterY = bottomY + _crouchHH_c + _capR_c;
         playerBody.setTranslation(
@@ -676,6 +1346,7 @@ export function createPlayer(opts) {
             playerCollider.setHalfHeight(_normalHH_c);
           }
           _isCrouching = false;
+          state.isCrouching = false;
           _justStoodUp = true;
           _didCrouchTransitionThisFrame = true;
           const newCenterY = bottomY + _normalHH_c + _capR_c;
@@ -700,61 +1371,102 @@ export function createPlayer(opts) {
       ((_isCrouching ? 1 : 0) - _crouchVisualT) * Math.min(10 * dt, 1);
 
     state.moveDir.set(0, 0, 0);
+    let sprinting = false;
     let desiredDx = 0;
     let desiredDz = 0;
     const ud = characterGroup.userData;
+    // One roll per press: holding the key doesn't chain them
     if (
-      keys.f &&
-      ud &&
-      ud.rollAction &&
+      anim &&
       !ud.isRolling &&
       !ud.isAttacking &&
-      onGroundForCrouch
+      !ud.isBlocking &&
+      !ud.isAiming &&
+      !ud.isStaggered &&
+      onGroundForCrouch &&
+      input.consume("roll") &&
+      stamina.spend("roll")
     ) {
-      keys.f = false;
       ud.isRolling = true;
-      ud.preRollState = ud.lastMoveState || "idle";
       ud.rollStartTime = performance.now();
-      ud.rollDuration = ud.rollAction.getClip().duration || 1;
+      ud.rollDuration = anim.action("roll").getClip().duration || 1;
       ud.rollYaw = state.camYaw; // lock direction at roll start
-      const from =
-        ud.preRollState === "run"
-          ? ud.runAction
-          : ud.preRollState === "walk"
-            ? ud.walkAction
-            : ud.preRollState === "crouch"
-              ? ud.crouchAction
-              : ud.preRollState === "crouch_walk"
-                ? ud.crouchWalkAction
-                : ud.preRollState === "jump"
-                  ? ud.jumpAction
-                  : ud.idleAction;
-      ud.rollAction.stop();
-      ud.rollAction.time = 0;
-      ud.rollAction.enabled = true;
-      ud.rollAction.crossFadeFrom(from, 0.1).play();
+      anim.fire("roll", { blend: 0.1, onEnd: () => (ud.isRolling = false) });
+    }
+    // Analog: stick deflection scales speed; keys give full length
+    const move = moveInput();
+    // Walking / falling forward into a steep face grabs it
+    if (
+      move.y > 0.3 &&
+      !_isCrouching &&
+      !ud?.isRolling &&
+      !ud?.isAttacking &&
+      !ud?.isBlocking &&
+      !ud?.isAiming
+    ) {
+      _climbForward.set(Math.sin(state.camYaw), 0, Math.cos(state.camYaw));
+      if (climbing.tryAttach(_climbForward)) {
+        startClimbing();
+        updateClimbing(dt);
+        return;
+      }
+      // Any other wall: hang from its top (jumping, or airborne), vault it when waist-high
+      const airborne = !onGroundForCrouch;
+      const kind =
+        ((airborne || input.justPressed("jump")) &&
+          ledge.tryGrab(_climbForward)) ||
+        (!airborne && move.y > 0.5 && ledge.tryVault(_climbForward));
+      if (kind) {
+        startLedge(kind);
+        updateLedge(dt);
+        return;
+      }
     }
-    if (keys.w) state.moveDir.z -= 1;
-    if (keys.s) state.moveDir.z += 1;
+    state.moveDir.set(move.x, 0, -move.y);
     if (state.moveDir.length() > 0) {
-      state.moveDir.normalize();
       const sinY = Math.sin(state.camYaw);
       const cosY = Math.cos(state.camYaw);
       const forwardX = sinY;
       const forwardZ = cosY;
-      const rightX = cosY;
-      const rightZ = -sinY;
+      const rightX = -cosY;
+      const rightZ = sinY;
       const mx = state.moveDir.x * rightX - state.moveDir.z * forwardX;
       const mz = state.moveDir.x * rightZ - state.moveDir.z * forwardZ;
-      const speedMult = _isCrouching
-        ? (PARAMS.crouchSpeedMultiplier ?? 0.5)
-        : keys.shift
-          ? PARAMS.runSpeedMultiplier
-          : 1;
+      sprinting =
+        !_isCrouching &&
+        !ud.isBlocking &&
+        !ud.isAiming &&
+        input.isDown("sprint") &&
+        stamina.drain("sprint", dt);
+      const speedMult = ud.isStaggered
+        ? 0
+        : ud.isBlocking
+          ? (PARAMS.shieldMoveSpeed ?? 0.4)
+          : ud.isAiming
+            ? (PARAMS.bowAimMoveSpeed ?? 0.5)
+            : _isCrouching
+              ? (PARAMS.crouchSpeedMultiplier ?? 0.5)
+              : sprinting
+                ? PARAMS.runSpeedMultiplier
+                : stamina.speedMultiplier();
       desiredDx = mx * PARAMS.playerSpeed * speedMult * dt;
       desiredDz = mz * PARAMS.playerSpeed * speedMult * dt;
     }
-    if (ud && ud.isRolling && ud.rollDuration > 0) {
+    // Root motion of the *_RM one-shots playing (roll, swings), as far as they advanced last frame
+    const rootFacing = ud.isRolling ? ud.rollYaw : state.camYaw;
+    const rootTurn = rootMotion?.consume(rootFacing, _rootStep) ?? 0;
+    if (rootTurn) {
+      state.camYaw += rootTurn; // the clip turns the character, and the camera behind it
+      if (ud.isRolling) ud.rollYaw += rootTurn;
+    }
+    if (
+      ud.isRolling &&
+      rootMotion?.distance("roll") &&
+      (PARAMS.rootMotionRoll ?? true)
+    ) {
+      desiredDx = _rootStep.x; // the roll's own travel, no WASD stacking
+      desiredDz = _rootStep.z;
+    } else if (ud && ud.isRolling && ud.rollDuration > 0) {
       const elapsed = (performance.now() - ud.rollStartTime) / 1000;
       const t = Math.min(1, elapsed / ud.rollDuration);
       const ease = Math.cos(t * Math.PI * 0.5); // 1→0 smooth ease-out
@@ -764,8 +1476,12 @@ export function createPlayer(opts) {
       const cosY = Math.cos(ud.rollYaw ?? state.camYaw);
       desiredDx = sinY * rollSpeed * dt; // override WASD, no stacking
       desiredDz = cosY * rollSpeed * dt;
+    } else {
+      desiredDx += _rootStep.x;
+      desiredDz += _rootStep.z;
     }
-    const hb = TERRAIN_SIZE * 0.48;
+    // Streaming terrain has no world border.
+    const hb = PARAMS.terrainStreaming ? Infinity : TERRAIN_SIZE * 0.48;
     const nextX = Math.max(-hb, Math.min(hb, charPos.x + desiredDx));
     const nextZ = Math.max(-hb, Math.min(hb, charPos.z + desiredDz));
     const groundY = hasSampleHeight
@@ -779,7 +1495,7 @@ export function createPlayer(opts) {
       : state.isGrounded;
     let desiredY;
     if (onGround) {
-      if (keys.space && !_isCrouching) {
+      if (input.isDown("jump") && !_isCrouching) {
         // no jumping while crouched
         state.characterVelY = PARAMS.jumpSpeed;
         _justJumped = true;
@@ -797,15 +1513,18 @@ export function createPlayer(opts) {
             : charPos.y;
       }
     } else {
-      // Glider toggle: Space mid-air opens/closes (press again to close)
-      const spaceJustPressed = keys.space && !keys.spacePrev;
-      if (spaceJustPressed) state.isGliding = !state.isGliding;
+      // Glider toggle: glide (Space) mid-air opens/closes (press again to close).
+      // Can't open while exhausted; closes when stamina runs out.
+      if (input.justPressed("glide"))
+        state.isGliding = !state.isGliding && !stamina.isExhausted();
+      if (state.isGliding && !stamina.drain("glide", dt)) state.isGliding = false;
 
       state.characterVelY -= PARAMS.gravity * dt;
       if (state.isGliding) {
         const cap = -(PARAMS.glideFallSpeed ?? 3);
         state.characterVelY = Math.max(state.characterVelY, cap);
       }
+      _fallSpeed = Math.max(0, -state.characterVelY);
       desiredY = charPos.y + state.characterVelY * dt;
     }
     // Terrain mode only: apply crouch Y offset every frame so we follow heightmap at
@@ -1016,12 +1735,17 @@ export function createPlayer(opts) {
       _groundFrames++;
       _airFrames = 0;
     }
-    const lastWasJump = ud?.lastMoveState === "jump";
+    const lastWasJump = anim?.state === "jump";
     const inAir = onKinematicPlatform
       ? false
       : rawInAir
         ? _airFrames >= 2
         : lastWasJump && _groundFrames < 8;
+    // Last dry footing = where a swimmer who sinks comes back
+    if (waterSurfaceAt && !inAir && state.isGrounded) {
+      const surface = waterSurfaceAt(charPos.x, charPos.z);
+      if (surface == null || surface < feetY()) swimming.noteGround(charPos);
+    }
     if (debugOut && debugOut._result) {
       Object.assign(debugOut, {
         onKinematicPlatform,
@@ -1057,21 +1781,9 @@ export function createPlayer(opts) {
     capsule.visible = characterGroup.children.length === 0;
     if (ud?.kite) ud.kite.visible = state.isGliding;
     const moving = state.moveDir.length() > 0;
-    const running = moving && keys.shift;
-    const crouching = _isCrouching;
-    const moveState = inAir
-      ? "jump"
-      : crouching
-        ? moving
-          ? "crouch_walk"
-          : "crouch"
-        : moving
-          ? running
-            ? "run"
-            : "walk"
-          : "idle";
+    const running = moving && sprinting;
     // Early roll exit: if player holds a direction past 75% of the animation,
-    // skip waiting for 'finished' and snap to walk/run immediately.
+    // skip waiting for its end and blend into the walk / run already underneath.
     if (
       ud?.isRolling &&
       ud.rollStartTime &&
@@ -1083,159 +1795,23 @@ export function createPlayer(opts) {
         (performance.now() - ud.rollStartTime) / 1000 / ud.rollDuration;
       if (rollT >= 0.75) {
         ud.isRolling = false;
-        const target =
-          moveState === "run"
-            ? ud.runAction
-            : moveState === "crouch_walk"
-              ? ud.crouchWalkAction
-              : moveState === "crouch"
-                ? ud.crouchAction
-                : ud.walkAction;
-        if (target && ud.rollAction) {
-          target.enabled = true;
-          target.crossFadeFrom(ud.rollAction, 0.15).play();
-          setTimeout(() => {
-            if (ud.rollAction) ud.rollAction.enabled = false;
-          }, 150);
-        }
-        ud.lastMoveState = moveState; // prevent state machine double-transition
+        anim?.stop("roll", 0.15);
       }
     }
-    if (
-      ud &&
-      ud.idleAction &&
-      ud.walkAction &&
-      ud.runAction &&
-      ud.jumpAction &&
-      ud.crouchAction &&
-      ud.crouchWalkAction &&
-      !ud.isAttacking &&
-      !ud.isRolling
-    ) {
-      const skipT = 0.4;
-      const last = ud.lastMoveState;
-      if (moveState !== last) {
-        const toWalk = () => {
-          if (ud.walkAction.time < skipT) ud.walkAction.time = skipT;
-          ud.walkAction.enabled = true;
-          ud.walkAction.crossFadeFrom(ud.idleAction, 0.2).play();
-        };
-        const toRun = () => {
-          if (ud.runAction.time < skipT) ud.runAction.time = skipT;
-          ud.runAction.enabled = true;
-          ud.runAction.crossFadeFrom(ud.idleAction, 0.2).play();
-        };
-        const toIdle = (from) => {
-          if (ud.idleAction.time < skipT) ud.idleAction.time = skipT;
-          ud.idleAction.enabled = true;
-          ud.idleAction.crossFadeFrom(from, 0.2).play();
-        };
-        const toJump = (from) => {
-          if (ud.jumpAction.time < skipT) ud.jumpAction.time = skipT;
-          ud.jumpAction.enabled = true;
-          ud.jumpAction.crossFadeFrom(from, 0.15).play();
-        };
-        const toCrouch = (from) => {
-          if (ud.crouchAction.time < skipT) ud.crouchAction.time = skipT;
-          ud.crouchAction.enabled = true;
-          ud.crouchAction.crossFadeFrom(from, 0.2).play();
-        };
-        const toCrouchWalk = (from) => {
-          if (ud.crouchWalkAction.time < skipT)
-            ud.crouchWalkAction.time = skipT;
-          ud.crouchWalkAction.enabled = true;
-          ud.crouchWalkAction.crossFadeFrom(from, 0.2).play();
-        };
-        if (moveState === "jump") {
-          toJump(
-            last === "idle"
-              ? ud.idleAction
-              : last === "run"
-                ? ud.runAction
-                : last === "crouch"
-                  ? ud.crouchAction
-                  : last === "crouch_walk"
-                    ? ud.crouchWalkAction
-                    : ud.walkAction,
-          );
-        } else if (moveState === "crouch") {
-          if (last === "idle") toCrouch(ud.idleAction);
-          else if (last === "walk") toCrouch(ud.walkAction);
-          else if (last === "run") toCrouch(ud.runAction);
-          else if (last === "jump") toCrouch(ud.jumpAction);
-          else if (last === "crouch_walk") {
-            if (ud.crouchAction.time < skipT) ud.crouchAction.time = skipT;
-            ud.crouchAction.enabled = true;
-            ud.crouchAction.crossFadeFrom(ud.crouchWalkAction, 0.2).play();
-          }
-        } else if (moveState === "crouch_walk") {
-          if (last === "idle") toCrouchWalk(ud.idleAction);
-          else if (last === "walk") toCrouchWalk(ud.walkAction);
-          else if (last === "run") toCrouchWalk(ud.runAction);
-          else if (last === "jump") toCrouchWalk(ud.jumpAction);
-          else if (last === "crouch") {
-            if (ud.crouchWalkAction.time < skipT)
-              ud.crouchWalkAction.time = skipT;
-            ud.crouchWalkAction.enabled = true;
-            ud.crouchWalkAction.crossFadeFrom(ud.crouchAction, 0.2).play();
-          }
-        } else if (moveState === "walk") {
-          if (last === "idle") toWalk();
-          else if (last === "crouch") {
-            if (ud.walkAction.time < skipT) ud.walkAction.time = skipT;
-            ud.walkAction.enabled = true;
-            ud.walkAction.crossFadeFrom(ud.crouchAction, 0.2).play();
-          } else if (last === "crouch_walk") {
-            if (ud.walkAction.time < skipT) ud.walkAction.time = skipT;
-            ud.walkAction.enabled = true;
-            ud.walkAction.crossFadeFrom(ud.crouchWalkAction, 0.2).play();
-          } else if (last === "run") {
-            if (ud.walkAction.time < skipT) ud.walkAction.time = skipT;
-            ud.walkAction.enabled = true;
-            ud.walkAction.crossFadeFrom(ud.runAction, 0.2).play();
-          } else if (last === "jump") {
-            if (ud.walkAction.time < skipT) ud.walkAction.time = skipT;
-            ud.walkAction.enabled = true;
-            ud.walkAction.crossFadeFrom(ud.jumpAction, 0.2).play();
-          }
-        } else if (moveState === "run") {
-          if (last === "idle") toRun();
-          else if (last === "crouch") {
-            if (ud.runAction.time < skipT) ud.runAction.time = skipT;
-            ud.runAction.enabled = true;
-            ud.runAction.crossFadeFrom(ud.crouchAction, 0.2).play();
-          } else if (last === "crouch_walk") {
-            if (ud.runAction.time < skipT) ud.runAction.time = skipT;
-            ud.runAction.enabled = true;
-            ud.runAction.crossFadeFrom(ud.crouchWalkAction, 0.2).play();
-          } else if (last === "walk") {
-            if (ud.runAction.time < skipT) ud.runAction.time = skipT;
-            ud.runAction.enabled = true;
-            ud.runAction.crossFadeFrom(ud.walkAction, 0.2).play();
-          } else if (last === "jump") {
-            if (ud.runAction.time < skipT) ud.runAction.time = skipT;
-            ud.runAction.enabled = true;
-            ud.runAction.crossFadeFrom(ud.jumpAction, 0.2).play();
-          }
-        } else {
-          toIdle(
-            last === "jump"
-              ? ud.jumpAction
-              : last === "run"
-                ? ud.runAction
-                : last === "crouch"
-                  ? ud.crouchAction
-                  : last === "crouch_walk"
-                    ? ud.crouchWalkAction
-                    : ud.walkAction,
-          );
-        }
-        ud.lastMoveState = moveState;
-      }
+    // The graph's ground transitions pick idle / walk / run / jump / crouch from these
+    animParams.speed = state.moveDir.length();
+    animParams.sprinting = running;
+    animParams.grounded = !inAir;
+    animParams.crouching = _isCrouching;
+    // Hit-stop: the swing (and the rest of the pose) nearly freezes for a few frames
+    animate(dt * melee.timeScale, !inAir);
+    melee.sweep(ud?.sword, charPos, playerCollider);
+    if (ud?.swordBladeMat) {
+      const glow = melee.phase === "charge" ? melee.charge : 0;
+      ud.swordBladeMat.emissive.setRGB(0.9 * glow, 0.65 * glow, 0.25 * glow);
     }
-    if (characterMixer) characterMixer.update(dt);
 
-    keys.spacePrev = keys.space;
+    stamina.update(dt);
 
     // ── FOOTSTEP SYNC ─────────────────────────────────────────────────────
     // Track each foot bone's Y relative to character centre.
@@ -1297,57 +1873,97 @@ export function createPlayer(opts) {
     if (_wasInAir && !inAir && footstepAudio) {
       footstepAudio.playLanding();
     }
+    if (_wasInAir && !inAir) {
+      takeFallDamage(_fallSpeed);
+      _fallSpeed = 0;
+    }
     _wasInAir = inAir;
-    if (
-      ud &&
-      ud.isAttacking &&
-      ud.idleAction &&
-      ud.walkAction &&
-      ud.runAction
-    ) {
-      const currentAttack = ud.attackAction?.enabled
-        ? ud.attackAction
-        : ud.attackAction2?.enabled
-          ? ud.attackAction2
-          : null;
-      if (currentAttack) {
-        const clip = currentAttack.getClip();
-        const dur = clip && clip.duration != null ? clip.duration : 1;
-        if (currentAttack.time >= dur - 0.02) {
-          ud.isAttacking = false;
-          const from = ud.preAttackState || "idle";
-          if (from === "walk") {
-            ud.walkAction.enabled = true;
-            ud.walkAction.crossFadeFrom(currentAttack, 0.25).play();
-          } else if (from === "run") {
-            ud.runAction.enabled = true;
-            ud.runAction.crossFadeFrom(currentAttack, 0.25).play();
-          } else if (from === "crouch") {
-            ud.crouchAction.enabled = true;
-            ud.crouchAction.crossFadeFrom(currentAttack, 0.25).play();
-          } else if (from === "crouch_walk") {
-            ud.crouchWalkAction.enabled = true;
-            ud.crouchWalkAction.crossFadeFrom(currentAttack, 0.25).play();
-          } else {
-            ud.idleAction.enabled = true;
-            ud.idleAction.crossFadeFrom(currentAttack, 0.25).play();
-          }
-          ud.lastMoveState = from;
-          setTimeout(() => {
-            if (ud.isAttacking) return; // User started another attack — don't disable
-            currentAttack.enabled = false;
-            currentAttack.time = 0;
-          }, 250);
-        }
-      }
+  }
+
+  /** Let go of whatever the character is doing: climbing, hanging, swimming, swinging, blocking, aiming. */
+  function cancelActions() {
+    if (climbing.active) {
+      climbing.cancel();
+      state.isClimbing = false;
+      playMoveStateAnim("idle");
+    }
+    if (swimming.active) {
+      swimming.cancel();
+      stopSwimming("idle");
+    }
+    if (ledge.active) {
+      ledge.cancel();
+      state.isHanging = false;
+      playMoveStateAnim("idle");
     }
+    if (melee.phase) {
+      melee.cancel();
+      finishAttack();
+    }
+    shield.cancel();
+    setBlockStance(false);
+    bow.cancel();
+    setAimStance(false);
+  }
+
+  /** Move the character (and its kinematic body) to a point, e.g. a spawn or a loaded save. */
+  function teleport(x, y, z) {
+    if (hasSampleHeight) y = Math.max(y, sampleHeight(x, z) + capHalfH + capR);
+    charPos.set(x, y, z);
+    state.characterVelY = 0;
+    state.isGliding = false;
+    _fallSpeed = 0;
+    cancelActions();
+    ik?.reset();
+    playerBody.setNextKinematicTranslation({ x, y, z });
+    physicsWorld.step();
+    characterGroup.position.copy(charPos);
+    capsule.position.copy(charPos);
+  }
+
+  /** Back on full hearts at a point: the game-over screen's continue. */
+  function respawn(x, y, z) {
+    teleport(x, y, z);
+    health.revive();
+  }
+
+  // Save-game section (save-system.js)
+  function saveState() {
+    return {
+      pos: [charPos.x, charPos.y, charPos.z],
+      camYaw: state.camYaw,
+      camPitch: state.camPitch,
+    };
+  }
+
+  function loadState(data) {
+    teleport(data.pos[0], data.pos[1], data.pos[2]);
+    state.camYaw = data.camYaw;
+    state.camPitch = data.camPitch;
   }
 
   return {
     characterGroup,
     capsule,
-    keys,
+    input,
+    stamina,
+    health,
+    climbing,
+    ledge,
+    swimming,
+    melee,
+    shield,
+    bow,
+    arrows,
     state,
+    get anim() {
+      return anim;
+    },
     update,
+    takeHit,
+    teleport,
+    respawn,
+    saveState,
+    loadState,
   };
 }
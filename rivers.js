@@ -0,0 +1,296 @@
+/**
+ * Rivers: Catmull-Rom centrelines from PARAMS.rivers, a water surface that only ever falls downstream,
+ * channel + bank carving and a baked world-space flow map.
+ * Exports riverDefsFromParams(PARAMS), buildRivers(defs, baseHeightAt, lakeLevel) → rivers[],
+ * carveRivers(h, wx, wz, rivers), riverSurfaceAt(wx, wz, rivers), riverFlowAt(wx, wz, rivers),
+ * bakeRiverFlowMap(rivers, res) → { data, res, bounds } | null.
+ * A river def is { points: [[x, z], …], width?, depth?, bankWidth?, flowSpeed? } in world metres, listed
+ * downstream; typically one end sits in the lake and the other past the terrain edge.
+ * No three.js dependency (terrain.js and zelda-terrain.js carve on the CPU; water.js builds the surface).
+ */
+
+const SAMPLE_STEP = 2; // metres between centreline samples
+const GRID_CELL = 16; // metres per lookup-grid cell
+const BANK_LIP = 0.4; // banks stand this far above the water surface
+const SURFACE_CLEARANCE = 0.6; // water sits this far below the uncarved ground
+const SMOOTH_RADIUS = 4; // samples; box filter over the surface profile
+
+/** River defs from PARAMS (riversEnabled + rivers[]), with the global width/depth/bank defaults filled in. */
+export function riverDefsFromParams(PARAMS) {
+  if (!PARAMS.riversEnabled || !Array.isArray(PARAMS.rivers)) return [];
+  return PARAMS.rivers
+    .filter((r) => r && Array.isArray(r.points) && r.points.length >= 2)
+    .map((r) => ({
+      points: r.points,
+      width: r.width ?? PARAMS.riverWidth ?? 10,
+      depth: r.depth ?? PARAMS.riverDepth ?? 2.5,
+      bankWidth: r.bankWidth ?? PARAMS.riverBankWidth ?? 8,
+      flowSpeed: r.flowSpeed ?? PARAMS.riverFlowSpeed ?? 1.5,
+    }));
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t,
+    t3 = t2 * t;
+  return (
+    0.5 *
+    (2 * p1 +
+      (p2 - p0) * t +
+      (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+      (3 * p1 - p0 - 3 * p2 + p3) * t3)
+  );
+}
+
+/** Evenly-ish spaced samples along the spline through `points` (ends duplicated as phantom controls). */
+function sampleSpline(points) {
+  const xs = [],
+    zs = [];
+  const n = points.length;
+  const P = (i) => points[Math.max(0, Math.min(n - 1, i))];
+  for (let i = 0; i < n - 1; i++) {
+    const p0 = P(i - 1),
+      p1 = P(i),
+      p2 = P(i + 1),
+      p3 = P(i + 2);
+    const steps = Math.max(
+      1,
+      Math.ceil(Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) / SAMPLE_STEP),
+    );
+    for (let s = 0; s < steps; s++) {
+      const t = s / steps;
+      xs.push(catmullRom(p0[0], p1[0], p2[0], p3[0], t));
+      zs.push(catmullRom(p0[1], p1[1], p2[1], p3[1], t));
+    }
+  }
+  xs.push(points[n - 1][0]);
+  zs.push(points[n - 1][1]);
+  return { xs: Float32Array.from(xs), zs: Float32Array.from(zs) };
+}
+
+/**
+ * Sample every river and solve its surface profile against the uncarved terrain. The surface follows the
+ * ground down and never rises again, is held at lakeLevel where the centreline runs through the lake (an
+ * outflow starts there, an inflow ends there) and is then box-filtered (still monotonic). Only the stretch
+ * between leaving and entering the lake is carved.
+ * @param {ReturnType<typeof riverDefsFromParams>} defs
+ * @param {(wx: number, wz: number) => number} baseHeightAt - terrain height before carving
+ * @param {number} lakeLevel - water level of the lake the rivers drain into or out of
+ */
+export function buildRivers(defs, baseHeightAt, lakeLevel) {
+  return defs.map((def) => {
+    const { xs, zs } = sampleSpline(def.points);
+    const count = xs.length;
+    const raw = new Float32Array(count);
+    let level = Infinity;
+    let start = -1,
+      end = count - 1;
+    for (let i = 0; i < count; i++) {
+      const ground = baseHeightAt(xs[i], zs[i]);
+      const inLake = ground < lakeLevel;
+      if (start < 0 && !inLake) start = Math.max(0, i - 1);
+      else if (start >= 0 && inLake && end === count - 1) end = i;
+      level = Math.max(lakeLevel, Math.min(level, ground - SURFACE_CLEARANCE));
+      raw[i] = level;
+    }
+    if (start < 0) start = end;
+
+    const surface = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      let sum = 0,
+        n = 0;
+      for (let k = -SMOOTH_RADIUS; k <= SMOOTH_RADIUS; k++) {
+        const j = Math.max(0, Math.min(count - 1, i + k));
+        sum += raw[j];
+        n++;
+      }
+      surface[i] = sum / n;
+    }
+
+    // Unit tangents (downstream) and flow speed: faster where the surface drops.
+    const tx = new Float32Array(count),
+      tz = new Float32Array(count),
+      speed = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      const a = Math.max(0, i - 1),
+        b = Math.min(count - 1, i + 1);
+      const dx = xs[b] - xs[a],
+        dz = zs[b] - zs[a];
+      const len = Math.hypot(dx, dz) || 1;
+      tx[i] = dx / len;
+      tz[i] = dz / len;
+      const drop = Math.max(0, surface[a] - surface[b]) / len;
+      speed[i] = def.flowSpeed * (1 + Math.min(2, drop * 25));
+    }
+
+    const river = {
+      ...def,
+      count,
+      start,
+      end,
+      xs,
+      zs,
+      surface,
+      tx,
+      tz,
+      speed,
+      reach: def.width * 0.5 + def.bankWidth,
+    };
+    buildGrid(river);
+    return river;
+  });
+}
+
+/** Bucket the carved segments (start … end) into GRID_CELL cells, each padded by the river's reach. */
+function buildGrid(river) {
+  const { xs, zs, start, end, reach } = river;
+  let minX = Infinity,
+    minZ = Infinity,
+    maxX = -Infinity,
+    maxZ = -Infinity;
+  for (let i = start; i <= end; i++) {
+    minX = Math.min(minX, xs[i]);
+    maxX = Math.max(maxX, xs[i]);
+    minZ = Math.min(minZ, zs[i]);
+    maxZ = Math.max(maxZ, zs[i]);
+  }
+  minX -= reach;
+  minZ -= reach;
+  maxX += reach;
+  maxZ += reach;
+  const cols = Math.max(1, Math.ceil((maxX - minX) / GRID_CELL));
+  const rows = Math.max(1, Math.ceil((maxZ - minZ) / GRID_CELL));
+  const cells = Array.from({ length: cols * rows }, () => []);
+  for (let i = start; i < end; i++) {
+    const c0 = Math.max(0, Math.floor((Math.min(xs[i], xs[i + 1]) - reach - minX) / GRID_CELL));
+    const c1 = Math.min(cols - 1, Math.floor((Math.max(xs[i], xs[i + 1]) + reach - minX) / GRID_CELL));
+    const r0 = Math.max(0, Math.floor((Math.min(zs[i], zs[i + 1]) - reach - minZ) / GRID_CELL));
+    const r1 = Math.min(rows - 1, Math.floor((Math.max(zs[i], zs[i + 1]) + reach - minZ) / GRID_CELL));
+    for (let r = r0; r <= r1; r++) for (let c = c0; c <= c1; c++) cells[r * cols + c].push(i);
+  }
+  river.bounds = { minX, minZ, maxX, maxZ };
+  river.grid = { cols, rows, cells };
+}
+
+// Reused result of nearestOnRiver (callers read it immediately).
+const hit = { d: 0, surface: 0, tx: 0, tz: 0, speed: 0 };
+
+/** Closest carved centreline point within the river's reach, or null. Fills `hit`. */
+function nearestOnRiver(river, wx, wz) {
+  const { bounds, grid } = river;
+  if (wx < bounds.minX || wx > bounds.maxX || wz < bounds.minZ || wz > bounds.maxZ) return null;
+  const c = Math.min(grid.cols - 1, Math.floor((wx - bounds.minX) / GRID_CELL));
+  const r = Math.min(grid.rows - 1, Math.floor((wz - bounds.minZ) / GRID_CELL));
+  const segs = grid.cells[r * grid.cols + c];
+  if (segs.length === 0) return null;
+  const { xs, zs } = river;
+  let best = Infinity,
+    bi = -1,
+    bt = 0;
+  for (let k = 0; k < segs.length; k++) {
+    const i = segs[k];
+    const ax = xs[i],
+      az = zs[i];
+    const sx = xs[i + 1] - ax,
+      sz = zs[i + 1] - az;
+    const len2 = sx * sx + sz * sz || 1;
+    const t = Math.max(0, Math.min(1, ((wx - ax) * sx + (wz - az) * sz) / len2));
+    const dx = wx - (ax + sx * t),
+      dz = wz - (az + sz * t);
+    const d2 = dx * dx + dz * dz;
+    if (d2 < best) {
+      best = d2;
+      bi = i;
+      bt = t;
+    }
+  }
+  const d = Math.sqrt(best);
+  if (d > river.reach) return null;
+  const lerp = (arr) => arr[bi] + (arr[bi + 1] - arr[bi]) * bt;
+  hit.d = d;
+  hit.surface = lerp(river.surface);
+  hit.tx = lerp(river.tx);
+  hit.tz = lerp(river.tz);
+  hit.speed = lerp(river.speed);
+  return hit;
+}
+
+/**
+ * Carve every river into height `h` at (wx, wz): a parabolic bed `depth` below the surface across the
+ * channel, then banks that ease from just above the water back to the original ground over bankWidth.
+ * Only ever lowers terrain.
+ */
+export function carveRivers(h, wx, wz, rivers) {
+  for (let r = 0; r < rivers.length; r++) {
+    const river = rivers[r];
+    const q = nearestOnRiver(river, wx, wz);
+    if (!q) continue;
+    const halfW = river.width * 0.5;
+    if (q.d < halfW) {
+      const t = q.d / halfW;
+      const bed = q.surface + BANK_LIP - (river.depth + BANK_LIP) * (1 - t * t);
+      h = Math.min(h, bed);
+    } else {
+      const k = Math.min(1, (q.d - halfW) / river.bankWidth);
+      const blend = k * k * (3 - 2 * k);
+      const bank = Math.min(h, q.surface + BANK_LIP);
+      h = bank + (h - bank) * blend;
+    }
+  }
+  return h;
+}
+
+/** River water surface height at (wx, wz), or null when not inside a channel. */
+export function riverSurfaceAt(wx, wz, rivers) {
+  for (let r = 0; r < rivers.length; r++) {
+    const q = nearestOnRiver(rivers[r], wx, wz);
+    if (q && q.d < rivers[r].width * 0.5) return q.surface;
+  }
+  return null;
+}
+
+/** Downstream current at (wx, wz) as { x, z } in m/s (zero outside channels). Slower near the banks. */
+export function riverFlowAt(wx, wz, rivers) {
+  for (let r = 0; r < rivers.length; r++) {
+    const q = nearestOnRiver(rivers[r], wx, wz);
+    if (!q) continue;
+    const t = q.d / (rivers[r].width * 0.5);
+    if (t >= 1) continue;
+    const s = q.speed * (1 - t * t * 0.7);
+    return { x: q.tx * s, z: q.tz * s };
+  }
+  return { x: 0, z: 0 };
+}
+
+/**
+ * Bake riverFlowAt into an RGBA float grid covering every river's bounds (RG = flow m/s, B = 1 inside a
+ * channel). Texel (x, y) sits at world (bounds.x + (x + 0.5) / res · bounds.z, bounds.y + (y + 0.5) / res · bounds.w).
+ * @returns {{ data: Float32Array, res: number, bounds: { x: number, y: number, z: number, w: number } } | null}
+ */
+export function bakeRiverFlowMap(rivers, res = 256) {
+  if (rivers.length === 0) return null;
+  let minX = Infinity,
+    minZ = Infinity,
+    maxX = -Infinity,
+    maxZ = -Infinity;
+  for (const river of rivers) {
+    minX = Math.min(minX, river.bounds.minX);
+    minZ = Math.min(minZ, river.bounds.minZ);
+    maxX = Math.max(maxX, river.bounds.maxX);
+    maxZ = Math.max(maxZ, river.bounds.maxZ);
+  }
+  const bounds = { x: minX, y: minZ, z: maxX - minX, w: maxZ - minZ };
+  const data = new Float32Array(res * res * 4);
+  for (let y = 0; y < res; y++) {
+    const wz = bounds.y + ((y + 0.5) / res) * bounds.w;
+    for (let x = 0; x < res; x++) {
+      const wx = bounds.x + ((x + 0.5) / res) * bounds.z;
+      const f = riverFlowAt(wx, wz, rivers);
+      const i = (y * res + x) * 4;
+      data[i] = f.x;
+      data[i + 1] = f.z;
+      data[i + 2] = f.x !== 0 || f.z !== 0 ? 1 : 0;
+      data[i + 3] = 1;
+    }
+  }
+  return { data, res, bounds };
+}
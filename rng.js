@@ -1,17 +1,110 @@
 /**
- * Seeded RNG for deterministic procedural generation (terrain, trees, etc.).
+ * Seeded RNG streams for deterministic procedural generation (trees, scatter, grass, erosion, …).
+ * Exports createRng(name, worldSeed?) → rng, createCellRng(name, worldSeed, ix, iz) → rng,
+ * hashString(str), hashCoords(seed, ix, iz), DEFAULT_WORLD_SEED.
+ * Each named stream is its own xoshiro128** generator seeded from hash(name) and the world seed, so one
+ * subsystem drawing more (or fewer, or earlier) numbers never shifts another's output.
+ * createCellRng seeds from grid coordinates: content of a chunk / patch / cell depends only on where it is,
+ * not on which cells were generated before it.
+ * rng() → float in [0, 1); rng.range(lo, hi); rng.int(n) → 0 … n − 1; rng.fork(sub) → stream "name/sub".
+ * No three.js dependency (also used by generation workers).
  */
-let _seed = 0;
 
-export function setSeed(s) {
-  _seed = s;
+export const DEFAULT_WORLD_SEED = 1337;
+
+const INV_2_32 = 1 / 4294967296;
+
+/** 32-bit FNV-1a of a string. */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
 }
 
-export function seededRandom() {
-  const x = Math.sin(_seed++) * 10000;
-  return x - Math.floor(x);
+// murmur3 finalizer — full avalanche on 32 bits
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
 }
 
-export function randRange(lo, hi) {
-  return lo + seededRandom() * (hi - lo);
+function seedWord(worldSeed) {
+  return Math.floor(Number(worldSeed) || 0) >>> 0;
+}
+
+function streamSeed(name, worldSeed) {
+  return mix32(hashString(String(name)) ^ mix32(seedWord(worldSeed) + 0x9e3779b9));
+}
+
+/** Hash integer cell coordinates into a 32-bit seed. */
+export function hashCoords(seed, ix, iz) {
+  let h = mix32((seed >>> 0) ^ Math.imul(ix | 0, 0x27d4eb2d));
+  h = mix32(h ^ Math.imul(iz | 0, 0x165667b1));
+  return h;
+}
+
+// xoshiro128** with its 128-bit state expanded from one word by splitmix32
+function makeGenerator(seed, name, worldSeed) {
+  let sm = seed >>> 0;
+  const splitmix = () => {
+    sm = (sm + 0x9e3779b9) >>> 0;
+    let z = sm;
+    z = Math.imul(z ^ (z >>> 16), 0x21f0aaad);
+    z = Math.imul(z ^ (z >>> 15), 0x735a2d97);
+    return (z ^ (z >>> 15)) >>> 0;
+  };
+  let s0 = splitmix(),
+    s1 = splitmix(),
+    s2 = splitmix(),
+    s3 = splitmix();
+  if ((s0 | s1 | s2 | s3) === 0) s0 = 1;
+
+  function rng() {
+    const m = Math.imul(s1, 5);
+    const result = Math.imul((m << 7) | (m >>> 25), 9) >>> 0;
+    const t = s1 << 9;
+    s2 ^= s0;
+    s3 ^= s1;
+    s1 ^= s2;
+    s0 ^= s3;
+    s2 ^= t;
+    s3 = (s3 << 11) | (s3 >>> 21);
+    return result * INV_2_32;
+  }
+  rng.range = (lo, hi) => lo + rng() * (hi - lo);
+  rng.int = (n) => Math.floor(rng() * n);
+  rng.fork = (sub) => createRng(`${name}/${sub}`, worldSeed);
+  return rng;
+}
+
+/**
+ * Independent stream for one subsystem. Same (name, worldSeed) → same sequence, every time.
+ * @param {string} name - e.g. "trees", "scatter/rocks", "grass"
+ * @param {number} [worldSeed]
+ * @returns {(() => number) & { range: (lo: number, hi: number) => number, int: (n: number) => number, fork: (sub: string) => Function }}
+ */
+export function createRng(name, worldSeed = DEFAULT_WORLD_SEED) {
+  return makeGenerator(streamSeed(name, worldSeed), name, worldSeed);
+}
+
+/**
+ * Stream for the content of one grid cell (terrain chunk, grass / susuki patch, …).
+ * @param {string} name
+ * @param {number} worldSeed
+ * @param {number} ix - integer cell x
+ * @param {number} iz - integer cell z
+ */
+export function createCellRng(name, worldSeed, ix, iz) {
+  const cellName = `${name}@${ix | 0},${iz | 0}`;
+  return makeGenerator(
+    hashCoords(streamSeed(name, worldSeed), ix, iz),
+    cellName,
+    worldSeed,
+  );
 }
@@ -0,0 +1,151 @@
+/**
+ * Root motion: moves the character by what the root bone does in *_RM clips, so feet plant instead of sliding.
+ * createRootMotion({ root, getAction }) → { add(name, clip, opts?) → in-place clip, distance(name), consume(yaw, out) }.
+ * add() pulls the root bone's translation (and yaw about up) out of the clip and returns a copy without it, to be
+ * played in place; give that copy to the mixer / anim graph. consume() then turns how far each added clip's action
+ * advanced since the last call into a world-space step (out) and a yaw change (returned), weighted by the action's
+ * effective weight so cross-fades blend the motion too. The caller feeds the step to the character controller, so
+ * walls still stop it.
+ * opts: enabled() → boolean (false: the clip still plays in place but moves nothing), targetDistance() → metres
+ * (> 0 rescales the clip's horizontal travel to that), vertical (also extract height: climbs; otherwise it stays in
+ * the pose and gravity / ground snapping own it), targetHeight() → metres (> 0 rescales a vertical clip's rise).
+ * Clips without a root translation track are returned as they are and add no motion.
+ */
+import * as THREE from "three";
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _qb = new THREE.Quaternion();
+const _fwd = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+
+/**
+ * @param {object} opts
+ * @param {THREE.Object3D} opts.root - the root bone in the loaded model (its parent's world scale sizes the motion)
+ * @param {(name: string) => THREE.AnimationAction | null | undefined} opts.getAction - the action playing an added clip
+ */
+export function createRootMotion({ root, getAction }) {
+  const motions = new Map();
+
+  /**
+   * Extract a clip's root motion.
+   * @param {string} name - the action's name for getAction (state / one-shot name)
+   * @param {THREE.AnimationClip} clip
+   * @param {{ enabled?: () => boolean, targetDistance?: () => number, vertical?: boolean, targetHeight?: () => number }} [opts]
+   * @returns {THREE.AnimationClip} the in-place clip to play
+   */
+  function add(name, clip, opts = {}) {
+    const posName = `${root.name}.position`;
+    const rotName = `${root.name}.quaternion`;
+    const pos = clip.tracks.find((t) => t.name === posName);
+    if (!pos) return clip;
+    const rot = clip.tracks.find((t) => t.name === rotName);
+    const vertical = !!opts.vertical;
+
+    const inPlace = clip.clone();
+    inPlace.name = `${clip.name}:inPlace`;
+    for (const track of inPlace.tracks) {
+      if (track.name === posName) {
+        const v = track.values;
+        for (let i = 3; i < v.length; i += 3) {
+          v[i] = v[0];
+          if (vertical) v[i + 1] = v[1];
+          v[i + 2] = v[2];
+        }
+      } else if (track.name === rotName) {
+        // The root's rest rotation (a Z-up axis fix) stays; only its turn is taken out
+        for (let i = 4; i < track.values.length; i += 4)
+          for (let k = 0; k < 4; k++) track.values[i + k] = track.values[k];
+      }
+    }
+
+    const posAt = pos.createInterpolant();
+    const rotAt = rot?.createInterpolant() ?? null;
+    const q0inv = new THREE.Quaternion()
+      .fromArray(rot ? rot.values : [0, 0, 0, 1])
+      .invert();
+    const start = new THREE.Vector3().fromArray(pos.values, 0);
+    const end = new THREE.Vector3().fromArray(
+      pos.values,
+      pos.values.length - 3,
+    );
+
+    motions.set(name, {
+      duration: clip.duration,
+      vertical,
+      enabled: opts.enabled ?? (() => true),
+      targetDistance: opts.targetDistance ?? (() => 0),
+      targetHeight: opts.targetHeight ?? (() => 0),
+      distance: Math.hypot(end.x - start.x, end.z - start.z),
+      rise: end.y - start.y,
+      // Root offset (parent space) and yaw at clip time t, relative to the first frame
+      sample(t, out) {
+        out.fromArray(posAt.evaluate(t)).sub(start);
+        if (!rotAt) return 0;
+        _qb.fromArray(rotAt.evaluate(t)).multiply(q0inv);
+        _fwd.set(0, 0, 1).applyQuaternion(_qb);
+        return Math.atan2(_fwd.x, _fwd.z);
+      },
+      last: null, // action time at the previous consume()
+    });
+    return inPlace;
+  }
+
+  /** Authored horizontal travel of an added clip, in clip units (before the model's scale). */
+  const distance = (name) => motions.get(name)?.distance ?? 0;
+
+  // Root offset (into _a) and yaw change between clip times t0 → t1; a loop that wrapped adds the tail
+  function delta(m, t0, t1, loop) {
+    if (t1 < t0 && !loop) return m.sample(t1, _a); // fired again: from the first frame
+    let yaw = m.sample(t1, _a) - m.sample(t0, _b);
+    _a.sub(_b);
+    if (t1 < t0) {
+      yaw += m.sample(m.duration, _b);
+      _a.add(_b);
+    }
+    return yaw;
+  }
+
+  /**
+   * Motion of every playing root-motion clip since the last call. Call once per frame before moving the character.
+   * @param {number} yaw - character facing (forward = (sin, cos)) the clip's +Z is turned to
+   * @param {THREE.Vector3} out - world-space step, metres
+   * @returns {number} yaw change, radians
+   */
+  function consume(yaw, out) {
+    out.set(0, 0, 0);
+    let turn = 0;
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const s = root.parent ? root.parent.getWorldScale(_scale).x : 1;
+    for (const [name, m] of motions) {
+      const action = getAction(name);
+      const w = action?.enabled ? action.getEffectiveWeight() : 0;
+      if (!action || w <= 0) {
+        m.last = null;
+        continue;
+      }
+      const t = action.time;
+      const t0 = m.last ?? 0;
+      m.last = t;
+      if (!m.enabled() || t === t0) continue;
+      const dYaw = delta(m, t0, t, action.loop === THREE.LoopRepeat);
+      const target = m.targetDistance();
+      const fit =
+        target > 0 && m.distance > 1e-4 ? target / (m.distance * s) : 1;
+      const k = w * s * fit;
+      out.x += (_a.x * cos + _a.z * sin) * k;
+      out.z += (-_a.x * sin + _a.z * cos) * k;
+      if (m.vertical) {
+        const height = m.targetHeight();
+        const fitY =
+          height > 0 && m.rise > 1e-4 ? height / (m.rise * s) : 1;
+        out.y += _a.y * w * s * fitY;
+      }
+      turn += dYaw * w;
+    }
+    return turn;
+  }
+
+  return { add, distance, consume };
+}
@@ -0,0 +1,208 @@
+/**
+ * Save games: versioned JSON slots in IndexedDB, filled by sections that modules register.
+ * createSaveSystem({ dbName?, scene? }) → { register, save, load, list, remove, autosave, pauseAutosave }; SAVE_SLOTS.
+ * register(key, { version?, save: () => data, load: (data) => void, migrate?: (data, fromVersion) => data }).
+ * Sections load in registration order, so register the player before anything that moves it (castle).
+ *
+ * A slot record is { slot, format, savedAt, scene, reason, sections: { [key]: { version, data } } }.
+ * Two migration levels:
+ *  - format: FORMAT_MIGRATIONS[n] upgrades a whole record from format n to n + 1 (record layout changes);
+ *  - section: a section saved at an older version goes through its handler's migrate(data, fromVersion);
+ *    without migrate, or when saved by a newer build, the section is skipped with a warning.
+ * Saving keeps sections of the previous record that nobody registered on this page (e.g. another scene's).
+ * Without IndexedDB, slots live in memory for the session.
+ */
+
+export const SAVE_SLOTS = ["autosave", "slot1", "slot2", "slot3"];
+
+const SAVE_FORMAT = 1;
+const STORE = "slots";
+
+// format n → n + 1; empty while the record layout is still at its first version.
+const FORMAT_MIGRATIONS = {};
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDatabase(dbName) {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  const req = indexedDB.open(dbName, 1);
+  req.onupgradeneeded = () => {
+    if (!req.result.objectStoreNames.contains(STORE))
+      req.result.createObjectStore(STORE, { keyPath: "slot" });
+  };
+  return requestToPromise(req).catch((e) => {
+    console.warn("Save system: IndexedDB unavailable, saves last for this session only", e);
+    return null;
+  });
+}
+
+/**
+ * @param {{ dbName?: string, scene?: string }} [opts] - scene is recorded with each save ("overworld", …)
+ */
+export function createSaveSystem(opts = {}) {
+  const dbName = opts.dbName ?? "zelda-saves";
+  const scene = opts.scene ?? "overworld";
+  const sections = new Map();
+  const memory = new Map();
+  const dbReady = openDatabase(dbName);
+  let autosavePaused = false;
+
+  async function readRecord(slot) {
+    const db = await dbReady;
+    if (!db) return memory.get(slot) ?? null;
+    const tx = db.transaction(STORE, "readonly");
+    return (await requestToPromise(tx.objectStore(STORE).get(slot))) ?? null;
+  }
+
+  async function writeRecord(record) {
+    const db = await dbReady;
+    if (!db) {
+      memory.set(record.slot, record);
+      return;
+    }
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).put(record);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function upgradeFormat(record) {
+    let r = record;
+    while ((r.format ?? 0) < SAVE_FORMAT) {
+      const step = FORMAT_MIGRATIONS[r.format ?? 0];
+      if (!step) throw new Error(`No migration from save format ${r.format ?? 0}`);
+      r = { ...step(r), format: (r.format ?? 0) + 1 };
+    }
+    if (r.format > SAVE_FORMAT)
+      throw new Error(`Save format ${r.format} is newer than this build (${SAVE_FORMAT})`);
+    return r;
+  }
+
+  function sectionData(key, handler, stored) {
+    const version = handler.version ?? 1;
+    const from = stored.version ?? 1;
+    if (from === version) return stored.data;
+    if (from > version) {
+      console.warn(`Save system: "${key}" was saved by a newer build (v${from}); skipped`);
+      return undefined;
+    }
+    if (!handler.migrate) {
+      console.warn(`Save system: "${key}" v${from} has no migration to v${version}; skipped`);
+      return undefined;
+    }
+    return handler.migrate(structuredClone(stored.data), from);
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ version?: number, save: () => any, load: (data: any) => void, migrate?: (data: any, fromVersion: number) => any }} handler
+   */
+  function register(key, handler) {
+    if (sections.has(key)) console.warn(`Save system: section "${key}" registered twice; replacing`);
+    sections.set(key, handler);
+  }
+
+  /**
+   * Collect every registered section into `slot`.
+   * @returns {Promise<object>} the written record
+   */
+  async function save(slot, reason = "manual") {
+    let previous = null;
+    try {
+      previous = await readRecord(slot);
+      if (previous) previous = upgradeFormat(previous);
+    } catch (e) {
+      console.warn(`Save system: replacing unreadable slot "${slot}"`, e);
+      previous = null;
+    }
+    const out = { ...(previous?.sections ?? {}) };
+    for (const [key, handler] of sections) {
+      try {
+        out[key] = { version: handler.version ?? 1, data: handler.save() };
+      } catch (e) {
+        console.error(`Save system: section "${key}" failed to save`, e);
+      }
+    }
+    const record = {
+      slot,
+      format: SAVE_FORMAT,
+      savedAt: Date.now(),
+      scene,
+      reason,
+      sections: out,
+    };
+    await writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Apply `slot` to every registered section (registration order).
+   * @returns {Promise<object | null>} the record, or null when the slot is empty / unreadable
+   */
+  async function load(slot) {
+    let record;
+    try {
+      record = await readRecord(slot);
+      if (!record) return null;
+      record = upgradeFormat(record);
+    } catch (e) {
+      console.error(`Save system: could not read slot "${slot}"`, e);
+      return null;
+    }
+    for (const [key, handler] of sections) {
+      const stored = record.sections[key];
+      if (!stored) continue;
+      try {
+        const data = sectionData(key, handler, stored);
+        if (data !== undefined) handler.load(data);
+      } catch (e) {
+        console.error(`Save system: section "${key}" failed to load`, e);
+      }
+    }
+    return record;
+  }
+
+  /** Autosave (scene transitions, page hide). Errors are logged, never thrown. */
+  function autosave(reason) {
+    if (autosavePaused) return Promise.resolve(null);
+    return save("autosave", reason).catch((e) => {
+      console.warn("Save system: autosave failed", e);
+      return null;
+    });
+  }
+
+  /** @returns {Promise<{ slot: string, savedAt: number, scene: string, reason: string }[]>} filled slots */
+  async function list() {
+    const out = [];
+    for (const slot of SAVE_SLOTS) {
+      const r = await readRecord(slot).catch(() => null);
+      if (r) out.push({ slot, savedAt: r.savedAt, scene: r.scene, reason: r.reason });
+    }
+    return out;
+  }
+
+  async function remove(slot) {
+    const db = await dbReady;
+    if (!db) {
+      memory.delete(slot);
+      return;
+    }
+    const tx = db.transaction(STORE, "readwrite");
+    await requestToPromise(tx.objectStore(STORE).delete(slot));
+  }
+
+  /** Stop autosaving for the rest of this page (e.g. "new game": clear the autosave, then reload). */
+  function pauseAutosave() {
+    autosavePaused = true;
+  }
+
+  return { register, save, load, list, remove, autosave, pauseAutosave };
+}
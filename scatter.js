@@ -3,10 +3,15 @@
  * createScatter(scene, PARAMS, opts) → { scatterGroup, scatterMeshes, updateScatterPlacement, updateAllScatterLOD, reloadScatterSlot, MAX_SCATTER_PER_TYPE }.
  * PARAMS.scatterSlots: [{ key, label, url, scale, count, castShadow }, ...]
  * Use reloadScatterSlot(key, url) when user changes model (dropdown or file upload).
+ * With opts.pool + opts.getHeightSnapshot, updateScatterPlacement(key) runs in a worker (worker-pool.js):
+ * instances appear batch by batch, and a newer call for the same slot cancels the running one.
+ * Each slot draws from its own rng.js stream ("scatter/<key>", PARAMS.worldSeed).
  */
 import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
+import { isJobCancelled } from "./worker-pool.js";
+import { createRng } from "./rng.js";
 
 const MAX_SCATTER_PER_TYPE = 20000;
 const SCATTER_CULL_RADIUS = 1.5;
@@ -14,12 +19,12 @@ const SCATTER_CULL_RADIUS = 1.5;
 export function createScatter(scene, PARAMS, opts) {
   const {
     sampleHeight,
-    setSeed,
-    seededRandom,
     TERRAIN_SIZE,
     gltfLoader,
     renderer,
     camera,
+    pool,
+    getHeightSnapshot,
   } = opts;
 
   const scatterGroup = new THREE.Group();
@@ -29,14 +34,10 @@ export function createScatter(scene, PARAMS, opts) {
   const scatterMeshes = {};
   const scatterInstanceData = {};
   const scatterInstanceCount = {};
-  const scatterSeedOffset = {};
   const scatterLodPos = new THREE.Vector3();
   const scatterCullSphere = new THREE.Sphere();
 
   const slots = PARAMS.scatterSlots || [];
-  slots.forEach((slot, i) => {
-    scatterSeedOffset[slot.key] = 100 + i;
-  });
 
   function getSlot(key) {
     return slots.find((s) => s.key === key);
@@ -51,17 +52,52 @@ export function createScatter(scene, PARAMS, opts) {
     const baseScale = Math.max(0.001, slot.scale);
     const variation = Math.max(0, Math.min(1, PARAMS.scatterScaleVariation));
     const innerR = Math.max(0, PARAMS.scatterInnerRadius);
-    setSeed(scatterSeedOffset[key]);
+    if (pool && getHeightSnapshot) {
+      const payload = {
+        ...getHeightSnapshot(),
+        stream: `scatter/${key}`,
+        worldSeed: PARAMS.worldSeed,
+        count,
+        maxAttempts: count,
+        halfExtent: halfTerrainScatter,
+        innerRadius: innerR,
+        scaleMin: baseScale * (1 - variation * 0.5),
+        scaleRange: baseScale * variation,
+      };
+      // The slot may be reloaded (new GLB → new data array) while the job runs.
+      const apply = (matrices, offset) => {
+        if (scatterInstanceData[key] !== data) return;
+        const first = offset / 16;
+        const n = matrices.length / 16;
+        for (let i = 0; i < n; i++) data[first + i].fromArray(matrices, i * 16);
+        scatterInstanceCount[key] = first + n;
+        if (typeof camera !== "undefined") updateScatterLOD(key, camera, null);
+      };
+      pool
+        .run("placement", payload, {
+          key: `scatter:${key}`,
+          transfer: [payload.heights.buffer],
+          onPartial: ({ offset, data: batch }) => apply(batch, offset),
+        })
+        .promise.then(
+          ({ matrices }) => apply(matrices, 0),
+          (e) => {
+            if (!isJobCancelled(e)) console.warn("Scatter placement failed:", key, e);
+          },
+        );
+      return;
+    }
+    const rand = createRng(`scatter/${key}`, PARAMS.worldSeed);
     const mat4 = new THREE.Matrix4();
     let placed = 0;
     for (let i = 0; i < count && placed < count; i++) {
-      const tx = (seededRandom() * 2 - 1) * halfTerrainScatter;
-      const tz = (seededRandom() * 2 - 1) * halfTerrainScatter;
+      const tx = (rand() * 2 - 1) * halfTerrainScatter;
+      const tz = (rand() * 2 - 1) * halfTerrainScatter;
       if (Math.sqrt(tx * tx + tz * tz) < innerR) continue;
       const ty = sampleHeight(tx, tz);
-      const scaleMult = 1 - variation * 0.5 + seededRandom() * variation;
+      const scaleMult = 1 - variation * 0.5 + rand() * variation;
       const scale = baseScale * scaleMult;
-      const rotY = seededRandom() * Math.PI * 2;
+      const rotY = rand() * Math.PI * 2;
       mat4
         .identity()
         .makeRotationY(rotY)
@@ -0,0 +1,128 @@
+/**
+ * Shield: hold-to-block, perfect parry and guard break. Resolves every incoming hit on the player.
+ * createShield({ PARAMS, input }) → { raised, guard, guardMax, broken, update(dt, canBlock) → null | "raise" | "lower",
+ *   receiveHit(hit, facingYaw) → "parry" | "block" | "guardbreak" | "hit", cancel(), addEventListener, removeEventListener }.
+ * hit = { attacker, damage, dirX, dirZ } with dir pointing from the attacker toward the player.
+ * A hit from the front (within shieldBlockAngle of facingYaw) while the shield is raised is blocked: it costs guard
+ * equal to its damage. Raised less than shieldParryWindow seconds before the hit = perfect parry: no guard cost,
+ * attacker.stagger?.(shieldParryStagger). Guard at zero = guard break: the shield drops and can't be raised for
+ * shieldGuardBreakTime seconds, then guard refills. Guard regenerates shieldGuardRegen/s after shieldGuardRegenDelay.
+ * Events (THREE.EventDispatcher, event.hit = the hit): "block", "parry", "guardbreak", "guardrestore" (no hit), "hit".
+ */
+import * as THREE from "three";
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {ReturnType<import("./input.js").createInput>} opts.input
+ */
+export function createShield({ PARAMS, input }) {
+  const events = new THREE.EventDispatcher();
+  const guardMax = () => PARAMS.shieldGuardMax ?? 60;
+
+  let raised = false;
+  let raisedT = 0;
+  let guard = guardMax();
+  let sinceHit = Infinity;
+  let brokenT = 0;
+
+  function lower() {
+    raised = false;
+    return "lower";
+  }
+
+  /**
+   * Read the block button. Once per frame.
+   * @param {number} dt
+   * @param {boolean} canBlock - false while attacking, rolling, climbing…
+   * @returns {null | "raise" | "lower"} stance change this frame
+   */
+  function update(dt, canBlock) {
+    sinceHit += dt;
+    if (brokenT > 0) {
+      brokenT -= dt;
+      if (brokenT <= 0) {
+        guard = guardMax();
+        events.dispatchEvent({ type: "guardrestore" });
+      }
+    } else if (sinceHit >= (PARAMS.shieldGuardRegenDelay ?? 1)) {
+      guard = Math.min(
+        guardMax(),
+        guard + (PARAMS.shieldGuardRegen ?? 15) * dt,
+      );
+    }
+    if (raised) raisedT += dt;
+
+    const want =
+      (PARAMS.shieldEnabled ?? true) &&
+      canBlock &&
+      brokenT <= 0 &&
+      input.isDown("block");
+    if (want && !raised) {
+      raised = true;
+      raisedT = 0;
+      return "raise";
+    }
+    if (!want && raised) return lower();
+    return null;
+  }
+
+  /**
+   * Resolve an incoming hit against the stance.
+   * @param {{ attacker?: object, damage: number, dirX: number, dirZ: number }} hit
+   * @param {number} facingYaw - the player's facing (forward = (sin, cos))
+   * @returns {"parry" | "block" | "guardbreak" | "hit"} "hit" = not blocked: the damage goes through
+   */
+  function receiveHit(hit, facingYaw) {
+    sinceHit = 0;
+    // Facing the attacker = forward opposes the hit direction
+    const len = Math.hypot(hit.dirX, hit.dirZ) || 1;
+    const facing =
+      -(Math.sin(facingYaw) * hit.dirX + Math.cos(facingYaw) * hit.dirZ) / len;
+    const cone = Math.cos(((PARAMS.shieldBlockAngle ?? 70) * Math.PI) / 180);
+    let result = "hit";
+    if (raised && facing >= cone) {
+      if (raisedT <= (PARAMS.shieldParryWindow ?? 0.2)) {
+        result = "parry";
+        hit.attacker?.stagger?.(PARAMS.shieldParryStagger ?? 1.5);
+      } else {
+        guard -= hit.damage;
+        if (guard > 0) {
+          result = "block";
+        } else {
+          result = "guardbreak";
+          guard = 0;
+          brokenT = PARAMS.shieldGuardBreakTime ?? 1.2;
+          lower();
+        }
+      }
+    }
+    events.dispatchEvent({ type: result, hit });
+    return result;
+  }
+
+  /** Drop the shield without an event (teleport, climbing, swimming…). */
+  function cancel() {
+    raised = false;
+  }
+
+  return {
+    get raised() {
+      return raised;
+    },
+    get guard() {
+      return guard;
+    },
+    get guardMax() {
+      return guardMax();
+    },
+    get broken() {
+      return brokenT > 0;
+    },
+    update,
+    receiveHit,
+    cancel,
+    addEventListener: (type, fn) => events.addEventListener(type, fn),
+    removeEventListener: (type, fn) => events.removeEventListener(type, fn),
+  };
+}
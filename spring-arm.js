@@ -0,0 +1,316 @@
+/**
+ * Spring-arm third-person camera: keeps the camera out of walls and fades what still hides the player.
+ * createSpringArm({ PARAMS, camera, RAPIER?, physicsWorld?, sampleHeight?, excludeBody?, getOccluders? }) →
+ *   { distance, update(dt, pivot, camYaw, camPitch, camDist, stance), reset() }.
+ * update() places and aims the camera: it orbits pivot at camDist (PARAMS.camHeight above the orbit, like the plain
+ * camera) and looks at pivot + 0.5. A ball of camCollisionRadius is swept from the look point toward that spot
+ * (Rapier castShape, sensors and the player's own body skipped); when something is in the way the arm pulls in
+ * fast (camPullInSpeed) and eases back out (camEaseOutSpeed) once it clears. The camera also stays
+ * camTerrainClearance above sampleHeight when given.
+ * stance { crouch, glide } blends in camCrouchHeight / camCrouchDist or camGlideHeight / camGlideDist.
+ * Meshes under getOccluders() roots that still sit between the camera and the player are dithered out (alphaHash)
+ * to camOccludeOpacity and back. An InstancedMesh fades one instance at a time: a plain mesh stands in for the hit
+ * instance while it fades, and the instance itself is collapsed right before each draw (its owner may rewrite the
+ * buffer every frame, e.g. trees.js culling, so it is found again by its translation).
+ */
+import * as THREE from "three";
+
+const LOOK_HEIGHT = 0.5;
+const HIT_MARGIN = 0.05; // m kept between the camera ball and what it hit
+const STANCE_BLEND_SPEED = 6;
+const OCCLUDE_INTERVAL = 0.1; // s between occlusion raycasts
+const OCCLUDE_PLAYER_GAP = 0.4; // m in front of the player ignored (their own feet, what they stand on)
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {THREE.Camera} opts.camera
+ * @param {typeof import("@dimforge/rapier3d")} [opts.RAPIER]
+ * @param {import("@dimforge/rapier3d").World} [opts.physicsWorld]
+ * @param {(x: number, z: number) => number} [opts.sampleHeight]
+ * @param {import("@dimforge/rapier3d").RigidBody} [opts.excludeBody] - the player's body (its collider changes on crouch)
+ * @param {() => Array<THREE.Object3D | null>} [opts.getOccluders] - roots whose meshes may be faded
+ */
+export function createSpringArm({
+  PARAMS,
+  camera,
+  RAPIER,
+  physicsWorld,
+  sampleHeight,
+  excludeBody,
+  getOccluders,
+}) {
+  let distance = -1; // current arm length; < 0 until the first update
+  let crouchBlend = 0;
+  let glideBlend = 0;
+
+  // ── ARM ──
+  const _look = new THREE.Vector3();
+  const _want = new THREE.Vector3();
+  const _dir = new THREE.Vector3();
+  const _rot = { x: 0, y: 0, z: 0, w: 1 };
+  let ball = null;
+  let ballRadius = 0;
+
+  // Free length along _dir from _look before the camera ball touches a collider
+  function sweep(maxDist) {
+    if (!physicsWorld || !RAPIER || maxDist <= 0) return maxDist;
+    const r = Math.max(0.01, PARAMS.camCollisionRadius ?? 0.25);
+    if (!ball || ballRadius !== r) {
+      ball = new RAPIER.Ball(r);
+      ballRadius = r;
+    }
+    const hit = physicsWorld.castShape(
+      _look,
+      _rot,
+      _dir,
+      ball,
+      0,
+      maxDist,
+      false, // ignore what the ball starts inside (the player's cover, a crouch tunnel)
+      RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+      undefined,
+      undefined,
+      excludeBody,
+    );
+    if (!hit) return maxDist;
+    return Math.max(0, (hit.time_of_impact ?? hit.toi) - HIT_MARGIN);
+  }
+
+  // ── OCCLUSION FADE ──
+  const raycaster = new THREE.Raycaster();
+  const faded = new Map(); // mesh (or instance stand-in) → { original, material, alpha, hidden, source?, at?, matrix? }
+  const instanceFades = new Map(); // InstancedMesh → Set of its faded instance entries
+  const _instance = new THREE.Matrix4();
+  const _at = new THREE.Vector3();
+  let occludeTimer = 0;
+
+  function fadeMaterial(m) {
+    const f = m.clone();
+    f.alphaHash = true; // dither instead of blending: no sorting, keeps depth
+    f.userData.baseOpacity = m.opacity;
+    return f;
+  }
+
+  function findInstance(im, at) {
+    const a = im.instanceMatrix.array;
+    for (let i = 0, o = 0; i < im.count; i++, o += 16) {
+      if (
+        Math.abs(a[o + 12] - at.x) < 1e-4 &&
+        Math.abs(a[o + 13] - at.y) < 1e-4 &&
+        Math.abs(a[o + 14] - at.z) < 1e-4
+      )
+        return i;
+    }
+    return -1;
+  }
+
+  // onBeforeRender: the stand-ins draw the faded instances, so collapse those to a point
+  function hideInstances(im) {
+    const entries = instanceFades.get(im);
+    if (!entries?.size) return;
+    const a = im.instanceMatrix.array;
+    for (const entry of entries) {
+      const i = findInstance(im, entry.at);
+      if (i < 0) continue;
+      const o = i * 16;
+      if (a[o] === 0 && a[o + 5] === 0 && a[o + 10] === 0) continue;
+      a.fill(0, o, o + 11);
+      im.instanceMatrix.needsUpdate = true;
+    }
+  }
+
+  function fadeInstance(im, instanceId) {
+    im.getMatrixAt(instanceId, _instance);
+    _at.setFromMatrixPosition(_instance);
+    let entries = instanceFades.get(im);
+    if (!entries) {
+      entries = new Set();
+      instanceFades.set(im, entries);
+      const onBeforeRender = im.onBeforeRender;
+      im.onBeforeRender = function (...args) {
+        onBeforeRender.apply(this, args);
+        hideInstances(this);
+      };
+    }
+    for (const entry of entries)
+      if (entry.at.distanceToSquared(_at) < 1e-8) return entry;
+    const material = Array.isArray(im.material)
+      ? im.material.map(fadeMaterial)
+      : fadeMaterial(im.material);
+    const standIn = new THREE.Mesh(im.geometry, material);
+    standIn.matrixAutoUpdate = false;
+    standIn.matrix.copy(_instance);
+    standIn.castShadow = im.castShadow;
+    standIn.receiveShadow = im.receiveShadow;
+    im.add(standIn);
+    const entry = {
+      original: null,
+      material,
+      alpha: 1,
+      hidden: false,
+      source: im,
+      at: _at.clone(),
+      matrix: _instance.clone(),
+    };
+    standIn.userData.fadeEntry = entry;
+    entries.add(entry);
+    faded.set(standIn, entry);
+    return entry;
+  }
+
+  function unfade(mesh, entry) {
+    if (entry.source) {
+      instanceFades.get(entry.source).delete(entry);
+      const i = findInstance(entry.source, entry.at);
+      if (i >= 0) {
+        entry.matrix.toArray(entry.source.instanceMatrix.array, i * 16);
+        entry.source.instanceMatrix.needsUpdate = true;
+      }
+      entry.source.remove(mesh);
+    } else {
+      mesh.material = entry.original;
+    }
+    for (const m of [entry.material].flat()) m.dispose();
+  }
+
+  function markOccluders(eye) {
+    for (const entry of faded.values()) entry.hidden = false;
+    const roots = getOccluders?.().filter((o) => o?.visible);
+    if (!roots?.length) return;
+    _dir.subVectors(_look, eye);
+    const far = _dir.length() - OCCLUDE_PLAYER_GAP;
+    if (far <= 0) return;
+    raycaster.set(eye, _dir.normalize());
+    raycaster.far = far;
+    for (const { object, instanceId } of raycaster.intersectObjects(
+      roots,
+      true,
+    )) {
+      if (!object.isMesh || !object.visible) continue;
+      if (object.userData.fadeEntry) {
+        object.userData.fadeEntry.hidden = true;
+        continue;
+      }
+      if (object.isInstancedMesh) {
+        fadeInstance(object, instanceId).hidden = true;
+        continue;
+      }
+      let entry = faded.get(object);
+      if (!entry) {
+        const original = object.material;
+        entry = {
+          original,
+          material: Array.isArray(original)
+            ? original.map(fadeMaterial)
+            : fadeMaterial(original),
+          alpha: 1,
+          hidden: false,
+        };
+        faded.set(object, entry);
+        object.material = entry.material;
+      }
+      entry.hidden = true;
+    }
+  }
+
+  function updateFades(dt) {
+    const min = PARAMS.camOccludeOpacity ?? 0.25;
+    const k = Math.min(1, (PARAMS.camOccludeFadeSpeed ?? 8) * dt);
+    for (const [mesh, entry] of faded) {
+      entry.alpha += ((entry.hidden ? min : 1) - entry.alpha) * k;
+      if (!entry.hidden && entry.alpha > 0.99) {
+        unfade(mesh, entry);
+        faded.delete(mesh);
+        continue;
+      }
+      for (const m of [entry.material].flat())
+        m.opacity = m.userData.baseOpacity * entry.alpha;
+    }
+  }
+
+  /**
+   * Place and aim the camera for this frame.
+   * @param {number} dt
+   * @param {THREE.Vector3} pivot - what to orbit (the player, or bow.framing's shoulder pivot)
+   * @param {number} camYaw - forward = (sin, cos); the camera sits behind
+   * @param {number} camPitch
+   * @param {number} camDist - wanted arm length (camDist plus any framing offsets)
+   * @param {{ crouch?: boolean, glide?: boolean }} [stance]
+   */
+  function update(dt, pivot, camYaw, camPitch, camDist, stance) {
+    const k = Math.min(1, STANCE_BLEND_SPEED * dt);
+    crouchBlend += ((stance?.crouch ? 1 : 0) - crouchBlend) * k;
+    glideBlend += ((stance?.glide ? 1 : 0) - glideBlend) * k;
+    const lift =
+      (PARAMS.camCrouchHeight ?? -0.4) * crouchBlend +
+      (PARAMS.camGlideHeight ?? 0.8) * glideBlend;
+    const dist = Math.max(
+      0,
+      camDist +
+        (PARAMS.camCrouchDist ?? -1) * crouchBlend +
+        (PARAMS.camGlideDist ?? 2.5) * glideBlend,
+    );
+
+    _look.set(pivot.x, pivot.y + LOOK_HEIGHT + lift, pivot.z);
+    const flat = Math.cos(camPitch) * dist;
+    _want.set(
+      pivot.x - Math.sin(camYaw) * flat,
+      pivot.y + Math.sin(camPitch) * dist + (PARAMS.camHeight ?? 0) + lift,
+      pivot.z - Math.cos(camYaw) * flat,
+    );
+    _dir.subVectors(_want, _look);
+    const wantLen = _dir.length();
+    if (wantLen > 1e-4) _dir.divideScalar(wantLen);
+    else _dir.set(0, 1, 0);
+
+    let free = wantLen;
+    if (PARAMS.camCollisionEnabled ?? true) {
+      free = Math.max(
+        Math.min(wantLen, PARAMS.camMinDist ?? 0.6),
+        sweep(wantLen),
+      );
+    }
+    if (distance < 0) distance = free;
+    else if (free < distance)
+      distance +=
+        (free - distance) * Math.min(1, (PARAMS.camPullInSpeed ?? 25) * dt);
+    else
+      distance +=
+        (free - distance) * Math.min(1, (PARAMS.camEaseOutSpeed ?? 3) * dt);
+    // Smooth, but never let the spring lag more than half the ball into the wall
+    distance = Math.min(distance, free + ballRadius * 0.5, wantLen);
+
+    camera.position.copy(_look).addScaledVector(_dir, distance);
+    if (sampleHeight) {
+      const groundY =
+        sampleHeight(camera.position.x, camera.position.z) +
+        (PARAMS.camTerrainClearance ?? 1.5);
+      camera.position.y = Math.max(camera.position.y, groundY);
+    }
+    camera.lookAt(_look);
+
+    occludeTimer -= dt;
+    if (occludeTimer <= 0) {
+      occludeTimer = OCCLUDE_INTERVAL;
+      if (PARAMS.camOccludeFade ?? true) markOccluders(camera.position);
+      else for (const entry of faded.values()) entry.hidden = false;
+    }
+    updateFades(dt);
+  }
+
+  /** Snap the arm next frame instead of easing (teleport, camera mode switch); unfade everything. */
+  function reset() {
+    distance = -1;
+    for (const [mesh, entry] of faded) unfade(mesh, entry);
+    faded.clear();
+  }
+
+  return {
+    get distance() {
+      return distance;
+    },
+    update,
+    reset,
+  };
+}
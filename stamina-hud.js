@@ -0,0 +1,125 @@
+/**
+ * Radial stamina wheel drawn next to the character (SVG overlay, screen-space).
+ * createStaminaHud({ camera, PARAMS }) → { update(stamina, anchor, dt), dispose }.
+ * One ring per staminaMax worth of capacity (upgrades grow outer rings, up to 3); the wheel turns red while
+ * exhausted and fades out staminaHudHideDelay seconds after it is full again. Toggle with PARAMS.staminaHud.
+ */
+import * as THREE from "three";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const MAX_RINGS = 3;
+const RING_R = 14;
+const RING_GAP = 5;
+const SIZE = 2 * (RING_R + RING_GAP * (MAX_RINGS - 1)) + 8;
+const COLOR = "#8fe36b";
+const COLOR_LOW = "#f0d070";
+const COLOR_EXHAUSTED = "#e8553a";
+
+/**
+ * @param {{ camera: THREE.Camera, PARAMS: object }} opts
+ */
+export function createStaminaHud({ camera, PARAMS }) {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", SIZE);
+  svg.setAttribute("height", SIZE);
+  svg.setAttribute("viewBox", `${-SIZE / 2} ${-SIZE / 2} ${SIZE} ${SIZE}`);
+  Object.assign(svg.style, {
+    position: "fixed",
+    left: "0",
+    top: "0",
+    zIndex: "15",
+    pointerEvents: "none",
+    opacity: "0",
+    transition: "opacity 0.3s",
+    filter: "drop-shadow(0 0 2px rgba(0, 0, 0, 0.6))",
+  });
+
+  const rings = [];
+  for (let i = 0; i < MAX_RINGS; i++) {
+    const r = RING_R + i * RING_GAP;
+    const circumference = 2 * Math.PI * r;
+    const make = (stroke, width) => {
+      const c = document.createElementNS(SVG_NS, "circle");
+      c.setAttribute("r", r);
+      c.setAttribute("fill", "none");
+      c.setAttribute("stroke", stroke);
+      c.setAttribute("stroke-width", width);
+      c.setAttribute("transform", "rotate(-90)");
+      svg.appendChild(c);
+      return c;
+    };
+    rings.push({
+      circumference,
+      track: make("rgba(0, 0, 0, 0.45)", 4.5),
+      fill: make(COLOR, 3.5),
+    });
+  }
+  document.body.appendChild(svg);
+
+  const projected = new THREE.Vector3();
+  let fullFor = Infinity;
+  let visible = false;
+
+  function setVisible(v) {
+    if (v === visible) return;
+    visible = v;
+    svg.style.opacity = v ? "1" : "0";
+  }
+
+  /**
+   * @param {ReturnType<import("./stamina.js").createStamina>} stamina
+   * @param {THREE.Vector3} anchor - character position (world)
+   * @param {number} dt
+   */
+  function update(stamina, anchor, dt) {
+    const full = stamina.value >= stamina.max && !stamina.isExhausted();
+    fullFor = full ? fullFor + dt : 0;
+    const hideDelay = PARAMS.staminaHudHideDelay ?? 1;
+    if (!(PARAMS.staminaHud ?? true) || fullFor > hideDelay) {
+      setVisible(false);
+      return;
+    }
+
+    camera.updateMatrixWorld(); // camera was just moved this frame
+    projected.copy(anchor);
+    projected.y += PARAMS.staminaHudOffsetY ?? 0.8;
+    projected.project(camera);
+    if (projected.z > 1) {
+      setVisible(false);
+      return;
+    }
+    const x =
+      (projected.x * 0.5 + 0.5) * innerWidth + (PARAMS.staminaHudOffsetX ?? 48);
+    const y = (-projected.y * 0.5 + 0.5) * innerHeight;
+    svg.style.transform = `translate(${x - SIZE / 2}px, ${y - SIZE / 2}px)`;
+
+    const perRing = PARAMS.staminaMax ?? 100;
+    const color = stamina.isExhausted()
+      ? COLOR_EXHAUSTED
+      : stamina.value < perRing * 0.25
+        ? COLOR_LOW
+        : COLOR;
+    rings.forEach((ring, i) => {
+      const capacity = Math.min(1, Math.max(0, (stamina.max - i * perRing) / perRing));
+      const fill = Math.min(1, Math.max(0, (stamina.value - i * perRing) / perRing));
+      ring.track.style.display = capacity > 0 ? "" : "none";
+      ring.fill.style.display = capacity > 0 ? "" : "none";
+      ring.track.setAttribute(
+        "stroke-dasharray",
+        `${capacity * ring.circumference} ${ring.circumference}`,
+      );
+      ring.fill.setAttribute(
+        "stroke-dasharray",
+        `${fill * ring.circumference} ${ring.circumference}`,
+      );
+      ring.fill.setAttribute("stroke", color);
+    });
+    setVisible(true);
+  }
+
+  function dispose() {
+    svg.remove();
+  }
+
+  return { update, dispose };
+}
@@ -0,0 +1,145 @@
+/**
+ * Stamina: one resource shared by sprint, glide, climb, swim and roll, tuned from PARAMS.stamina*.
+ * createStamina(PARAMS) → { update(dt), drain(action, dt), spend(action), isExhausted, speedMultiplier,
+ *   get value, get max, get upgrades, upgrade(n?), resetUpgrades, saveState, loadState }.
+ * drain(): continuous actions (sprint, glide, climb, swim) — per-second rate from PARAMS; spend(): one-shot costs (roll, climbJump).
+ * Both return false while exhausted: the action is refused (walk slows, glider closes, climber lets go).
+ * Running dry sets exhausted until the wheel refills completely (slower regen meanwhile).
+ * Regen starts staminaRegenDelay seconds after the last use. Upgrades add staminaPerUpgrade each (save-game state).
+ * No three.js / DOM dependency.
+ */
+
+// action → [PARAMS key, default]
+const DRAIN_PARAMS = {
+  sprint: ["staminaSprintDrain", 18],
+  glide: ["staminaGlideDrain", 10],
+  climb: ["staminaClimbDrain", 12],
+  swim: ["staminaSwimDrain", 8],
+};
+const COST_PARAMS = {
+  roll: ["staminaRollCost", 20],
+  climbJump: ["staminaClimbJumpCost", 20],
+};
+
+/**
+ * @param {object} PARAMS
+ */
+export function createStamina(PARAMS) {
+  let upgrades = 0;
+  const maxValue = () =>
+    (PARAMS.staminaMax ?? 100) + upgrades * (PARAMS.staminaPerUpgrade ?? 20);
+  let value = maxValue();
+  let exhausted = false;
+  let sinceUse = Infinity;
+
+  const enabled = () => PARAMS.staminaEnabled ?? true;
+
+  function use(amount) {
+    sinceUse = 0;
+    value -= amount;
+    if (value <= 0) {
+      value = 0;
+      exhausted = true;
+    }
+  }
+
+  /**
+   * Continuous drain for this frame.
+   * @param {"sprint" | "glide" | "climb" | "swim"} action
+   * @returns {boolean} false when exhausted (action refused, nothing drained)
+   */
+  function drain(action, dt) {
+    if (!enabled()) return true;
+    if (exhausted) return false;
+    const entry = DRAIN_PARAMS[action];
+    if (!entry) {
+      console.warn("Stamina: unknown drain action", action);
+      return true;
+    }
+    use((PARAMS[entry[0]] ?? entry[1]) * dt);
+    return true;
+  }
+
+  /**
+   * One-shot cost. Allowed with any stamina left (may run the wheel dry).
+   * @param {"roll" | "climbJump"} action
+   * @returns {boolean} false when exhausted
+   */
+  function spend(action) {
+    if (!enabled()) return true;
+    if (exhausted) return false;
+    const entry = COST_PARAMS[action];
+    if (!entry) {
+      console.warn("Stamina: unknown cost action", action);
+      return true;
+    }
+    use(PARAMS[entry[0]] ?? entry[1]);
+    return true;
+  }
+
+  /** Regen after the delay; clears exhausted once full. Call once per frame after the actions. */
+  function update(dt) {
+    const max = maxValue();
+    if (!enabled()) {
+      value = max;
+      exhausted = false;
+      return;
+    }
+    sinceUse += dt;
+    if (sinceUse >= (PARAMS.staminaRegenDelay ?? 0.8)) {
+      const rate = exhausted
+        ? (PARAMS.staminaExhaustedRegenRate ?? 18)
+        : (PARAMS.staminaRegenRate ?? 30);
+      value = Math.min(max, value + rate * dt);
+    }
+    if (value > max) value = max;
+    if (exhausted && value >= max) exhausted = false;
+  }
+
+  /** Walk speed factor: staminaExhaustedSpeed while exhausted, else 1. */
+  const speedMultiplier = () =>
+    exhausted ? (PARAMS.staminaExhaustedSpeed ?? 0.55) : 1;
+
+  /** Add n upgrades; the new capacity starts full. */
+  function upgrade(n = 1) {
+    upgrades = Math.max(0, upgrades + n);
+    value = maxValue();
+    exhausted = false;
+  }
+
+  function resetUpgrades() {
+    upgrades = 0;
+    value = Math.min(value, maxValue());
+  }
+
+  // Save-game section: only upgrades persist — the wheel is full on load.
+  const saveState = () => ({ upgrades });
+
+  function loadState(data) {
+    upgrades = Math.max(0, Math.floor(data?.upgrades ?? 0));
+    value = maxValue();
+    exhausted = false;
+    sinceUse = Infinity;
+  }
+
+  return {
+    update,
+    drain,
+    spend,
+    isExhausted: () => exhausted,
+    speedMultiplier,
+    get value() {
+      return value;
+    },
+    get max() {
+      return maxValue();
+    },
+    get upgrades() {
+      return upgrades;
+    },
+    upgrade,
+    resetUpgrades,
+    saveState,
+    loadState,
+  };
+}
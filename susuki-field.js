@@ -5,7 +5,6 @@
  */
 import * as THREE from "three";
 import { uniform } from "three/tsl";
-import { setSeed, randRange } from "./rng.js";
 import {
   createSusukiStemGeometry,
   createSusukiBandGeometry,
@@ -63,6 +62,7 @@ export function buildSusukiCtx(opts) {
   return {
     heightTex,
     uTerrainSize: uniforms.uTerrainSize ?? uniform(800),
+    uTerrainOrigin: uniforms.uTerrainOrigin,
     uTime: uniforms.uTime ?? uniform(0),
     uStemHeight: uniforms.uSusukiStemHeight ?? uniform(params.stemHeight),
     uStemWidth: uniforms.uSusukiStemWidth ?? uniform(params.stemWidth),
@@ -121,51 +121,46 @@ const BAND_VERTS_HIGH = (SUSUKI_BAND_SEGMENTS_HIGH + 1) * 2 * 2;
 /**
  * Create all geometries and materials for the susuki field.
  * @param {object} susukiCtx - from buildSusukiCtx()
+ * @param {number} [worldSeed] - seeds the "susuki" placement stream (rng.js)
  * @returns {object} { stemGeoLow, stemGeoHigh, stemGeoNear, bandGeoLow, bandGeoHigh, bandGeoNear, stemMatLow, stemMatHigh, stemMatNear, bandMatLow, bandMatHigh, bandMatNear }
  */
-export function createSusukiFieldResources(susukiCtx) {
+export function createSusukiFieldResources(susukiCtx, worldSeed) {
   const stemGeoLow = createSusukiStemGeometry(
     SUSUKI_STEM_SEGMENTS_LOW,
     SUSUKI_PLANTS_PER_PATCH,
     SUSUKI_FIELD_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const stemGeoHigh = createSusukiStemGeometry(
     SUSUKI_STEM_SEGMENTS_HIGH,
     SUSUKI_PLANTS_PER_PATCH,
     SUSUKI_FIELD_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const stemGeoNear = createSusukiStemGeometry(
     SUSUKI_STEM_SEGMENTS_HIGH,
     SUSUKI_PLANTS_PER_PATCH,
     SUSUKI_NEAR_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
 
   const bandGeoLow = createSusukiBandGeometry(
     SUSUKI_BAND_SEGMENTS_LOW,
     SUSUKI_PLANTS_PER_PATCH,
     SUSUKI_FIELD_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const bandGeoHigh = createSusukiBandGeometry(
     SUSUKI_BAND_SEGMENTS_HIGH,
     SUSUKI_PLANTS_PER_PATCH,
     SUSUKI_FIELD_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const bandGeoNear = createSusukiBandGeometry(
     SUSUKI_BAND_SEGMENTS_HIGH,
     SUSUKI_PLANTS_PER_PATCH,
     SUSUKI_NEAR_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
 
   const stemMatLow = createSusukiStemMaterial(
@@ -5,7 +5,6 @@
  * Does not modify susuki-field.js.
  */
 import * as THREE from "three";
-import { setSeed, randRange } from "./rng.js";
 import {
   createSusukiStemGeometry,
   createSusukiBandGeometry,
@@ -47,22 +46,21 @@ const BAND_VERTS_LOW = (BAND_SEGMENTS_LOW + 1) * 2 * 2;
 /**
  * Create all geometries and materials for the single dense susuki field (high + low LOD).
  * @param {object} susukiCtx - from buildSusukiCtx()
+ * @param {number} [worldSeed] - seeds the "susuki" placement stream (rng.js)
  * @returns {object} { stemGeoHigh, bandGeoHigh, stemMatHigh, bandMatHigh, stemGeoLow, bandGeoLow, stemMatLow, bandMatLow }
  */
-export function createSusukiSingleFieldResources(susukiCtx) {
+export function createSusukiSingleFieldResources(susukiCtx, worldSeed) {
   const stemGeoHigh = createSusukiStemGeometry(
     STEM_SEGMENTS_HIGH,
     SUSUKI_SINGLE_PLANTS_HIGH,
     SUSUKI_SINGLE_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const bandGeoHigh = createSusukiBandGeometry(
     BAND_SEGMENTS_HIGH,
     SUSUKI_SINGLE_PLANTS_HIGH,
     SUSUKI_SINGLE_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const stemMatHigh = createSusukiStemMaterial(
     STEM_SEGMENTS_HIGH,
@@ -79,15 +77,13 @@ export function createSusukiSingleFieldResources(susukiCtx) {
     STEM_SEGMENTS_LOW,
     PLANTS_LOW,
     SUSUKI_SINGLE_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const bandGeoLow = createSusukiBandGeometry(
     BAND_SEGMENTS_LOW,
     PLANTS_LOW,
     SUSUKI_SINGLE_PATCH_SIZE,
-    setSeed,
-    randRange,
+    worldSeed,
   );
   const stemMatLow = createSusukiStemMaterial(
     STEM_SEGMENTS_LOW,
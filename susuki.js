@@ -46,6 +46,7 @@ import {
   rotateAxis_mat,
   rotateY_mat,
 } from "./tsl-utils.js";
+import { createRng } from "./rng.js";
 
 const PI = Math.PI;
 
@@ -79,10 +80,10 @@ export function createSusukiStemGeometry(
   segments,
   numPlants,
   patchSize,
-  setSeed,
-  randRange,
+  worldSeed,
 ) {
-  setSeed(42);
+  // Fresh stream per call: stems, bands and every LOD share the same plant offsets.
+  const rng = createRng("susuki", worldSeed);
   const { indices, pos, nrm, vid, T } = makeRibbonGeometry(segments);
   const off = new Float32Array(numPlants * 3);
   let numCellsX = Math.floor(Math.sqrt(numPlants));
@@ -93,8 +94,8 @@ export function createSusukiStemGeometry(
   for (let i = 0; i < numPlants; i++) {
     const col = i % numCellsX;
     const row = Math.floor(i / numCellsX);
-    off[i * 3] = -patchSize * 0.5 + col * cellW + randRange(0, cellW);
-    off[i * 3 + 1] = -patchSize * 0.5 + row * cellH + randRange(0, cellH);
+    off[i * 3] = -patchSize * 0.5 + col * cellW + rng.range(0, cellW);
+    off[i * 3 + 1] = -patchSize * 0.5 + row * cellH + rng.range(0, cellH);
     off[i * 3 + 2] = 0;
   }
   const geo = new THREE.InstancedBufferGeometry();
@@ -115,10 +116,9 @@ export function createSusukiBandGeometry(
   segments,
   numPlants,
   patchSize,
-  setSeed,
-  randRange,
+  worldSeed,
 ) {
-  setSeed(42);
+  const rng = createRng("susuki", worldSeed);
   const plantPositions = [];
   let numCellsX = Math.floor(Math.sqrt(numPlants));
   while (numPlants % numCellsX !== 0) numCellsX--;
@@ -129,8 +129,8 @@ export function createSusukiBandGeometry(
     const col = i % numCellsX;
     const row = Math.floor(i / numCellsX);
     plantPositions.push(
-      -patchSize * 0.5 + col * cellW + randRange(0, cellW),
-      -patchSize * 0.5 + row * cellH + randRange(0, cellH),
+      -patchSize * 0.5 + col * cellW + rng.range(0, cellW),
+      -patchSize * 0.5 + row * cellH + rng.range(0, cellH),
     );
   }
 
@@ -174,11 +174,12 @@ function getTerrainSampling(ctx) {
       return t;
     })();
   const uTerrainSize = ctx.uTerrainSize ?? float(1e6);
-  return { heightTex, uTerrainSize };
+  const uTerrainOrigin = ctx.uTerrainOrigin ?? vec2(0);
+  return { heightTex, uTerrainSize, uTerrainOrigin };
 }
 
 export function createSusukiStemMaterial(segments, verts, ctx) {
-  const { heightTex, uTerrainSize } = getTerrainSampling(ctx);
+  const { heightTex, uTerrainSize, uTerrainOrigin } = getTerrainSampling(ctx);
   const {
     uTime,
     uStemHeight,
@@ -231,7 +232,10 @@ export function createSusukiStemMaterial(segments, verts, ctx) {
     const plantOffset = vec3(offsetAttr.x, 0, offsetAttr.y);
     const bladeWorld = modelWorldMatrix.mul(vec4(plantOffset, 1)).xyz;
 
-    const terrainUV = add(div(bladeWorld.xz, uTerrainSize), vec2(0.5));
+    const terrainUV = add(
+      div(sub(bladeWorld.xz, uTerrainOrigin), uTerrainSize),
+      vec2(0.5),
+    );
     const terrainH = texture(heightTex, terrainUV).r;
 
     const hv = hash42(bladeWorld.xz),
@@ -440,7 +444,7 @@ export function createSusukiStemMaterial(segments, verts, ctx) {
 }
 
 export function createSusukiBandMaterial(segments, verts, ctx) {
-  const { heightTex, uTerrainSize } = getTerrainSampling(ctx);
+  const { heightTex, uTerrainSize, uTerrainOrigin } = getTerrainSampling(ctx);
   const {
     uTime,
     uStemHeight,
@@ -498,7 +502,10 @@ export function createSusukiBandMaterial(segments, verts, ctx) {
     const plantOffset = vec3(offsetAttr.x, 0, offsetAttr.y);
     const bladeWorld = modelWorldMatrix.mul(vec4(plantOffset, 1)).xyz;
 
-    const terrainUV = add(div(bladeWorld.xz, uTerrainSize), vec2(0.5));
+    const terrainUV = add(
+      div(sub(bladeWorld.xz, uTerrainOrigin), uTerrainSize),
+      vec2(0.5),
+    );
     const terrainH = texture(heightTex, terrainUV).r;
 
     const hv = hash42(bladeWorld.xz),
@@ -1,6 +1,9 @@
 /**
  * Swimming Pool — stylized water following aleksandargjoreski.dev/blog/stylized-water-shader
  * RNM blending, Fresnel, Beer-Lambert (fake depth), sun glints. No viewport refraction (WebGPU-safe).
+ * createSwimmingPool(options) → { poolGroup, waterMesh, basinMeshes, options, deckBounds, surfaceAt(x, z) };
+ * surfaceAt is the water height over the basin (null elsewhere) — pass it to createPlayer as waterSurfaceAt.
+ * poolSurfaceAt(x, z, halfW, halfL, y) builds the same lookup for pools not made by createSwimmingPool.
  */
 import * as THREE from "three";
 import { WaterMesh } from "three/addons/objects/Water2Mesh.js";
@@ -167,6 +170,12 @@ const DEFAULT_OPTIONS = {
   uvScale: 2.7,
 };
 
+/** Returns surfaceAt(wx, wz): water height y inside the rectangle centred on (x, z), null outside it. */
+export function poolSurfaceAt(x, z, halfW, halfL, y) {
+  return (wx, wz) =>
+    Math.abs(wx - x) <= halfW && Math.abs(wz - z) <= halfL ? y : null;
+}
+
 /** Returns deck outer bounds for floor hole: { halfW, halfL } */
 export function getPoolDeckBounds(opts) {
   const { width, length } = { ...DEFAULT_OPTIONS, ...opts };
@@ -416,12 +425,15 @@ export async function createSwimmingPool(options = {}) {
 
   if (scene) scene.add(poolGroup);
 
+  const surfaceAt = poolSurfaceAt(x, z, halfW, halfL, floorY + waterLevelOffset);
+
   return {
     poolGroup,
     waterMesh,
     basinMeshes,
     options: opts,
     deckBounds: { halfW: deckOuterW / 2, halfL: deckOuterL / 2 },
+    surfaceAt,
   };
 }
 
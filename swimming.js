@@ -0,0 +1,142 @@
+/**
+ * Surface swimming: buoyant float, slower strokes, current drift, tiring out, sinking and shore respawn.
+ * createSwimming(opts) → { active, mode, surfaceY, lastShore, shouldEnter(charPos, feetY), update(dt, charPos, move),
+ *   noteGround(charPos), cancel() }.
+ * Water comes from opts.waterSurfaceAt(x, z) → height | null (lake, rivers, pools — whatever the page has);
+ * opts.groundAt(x, y, z) gives the bottom so shallow water stays walkable.
+ * Swimming drains stamina ("swim"; a quarter rate while treading). Running dry = "sink": the player goes under
+ * for swimSinkTime seconds, then update() reports "respawn" and the caller moves them to lastShore.
+ * update() returns { dx, dy, dz, event } — a translation for the character controller plus
+ * null | "tired" | "respawn" | "exit" (water too shallow or gone: back to walking).
+ */
+import * as THREE from "three";
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {number} opts.capR
+ * @param {number} opts.capHalfH
+ * @param {(x: number, z: number) => number | null} opts.waterSurfaceAt
+ * @param {(x: number, z: number) => { x: number, z: number }} [opts.waterFlowAt] - current in m/s
+ * @param {(x: number, y: number, z: number) => number} opts.groundAt - ground height under a point
+ * @param {ReturnType<import("./stamina.js").createStamina>} [opts.stamina]
+ */
+export function createSwimming(opts) {
+  const { PARAMS, capR, capHalfH, waterSurfaceAt, groundAt } = opts;
+  const waterFlowAt = opts.waterFlowAt ?? null;
+  const stamina = opts.stamina;
+  const standH = capHalfH + capR;
+
+  let mode = null; // null | "swim" | "sink"
+  let surfaceY = 0;
+  let velY = 0;
+  let sinkT = 0;
+  let time = 0;
+  const lastShore = new THREE.Vector3();
+  let hasShore = false;
+
+  const swimDepth = () => PARAMS.swimDepth ?? 1.1;
+
+  /** Water deep enough to swim at the character's position? Starts swimming when it is. */
+  function shouldEnter(charPos, feetY) {
+    if (mode || !(PARAMS.swimEnabled ?? true)) return false;
+    const surface = waterSurfaceAt(charPos.x, charPos.z);
+    if (surface == null) return false;
+    if (surface - feetY < swimDepth()) return false;
+    if (surface - groundAt(charPos.x, surface, charPos.z) < swimDepth()) return false;
+    mode = "swim";
+    surfaceY = surface;
+    velY = 0;
+    return true;
+  }
+
+  /** Remember where the player last stood on dry ground (respawn point after sinking). */
+  function noteGround(charPos) {
+    lastShore.copy(charPos);
+    hasShore = true;
+  }
+
+  /**
+   * @param {number} dt
+   * @param {THREE.Vector3} charPos
+   * @param {{ x: number, z: number, amount: number }} move - world-space direction (unit) and input magnitude 0…1
+   */
+  function update(dt, charPos, move) {
+    const out = { dx: 0, dy: 0, dz: 0, event: null };
+    if (!mode) return out;
+    time += dt;
+
+    if (mode === "sink") {
+      sinkT += dt;
+      out.dy = -(PARAMS.swimSinkSpeed ?? 0.8) * dt;
+      if (sinkT >= (PARAMS.swimSinkTime ?? 2)) {
+        mode = null;
+        out.event = "respawn";
+      }
+      return out;
+    }
+
+    const surface = waterSurfaceAt(charPos.x, charPos.z);
+    const bottom = surface == null ? -Infinity : groundAt(charPos.x, surface, charPos.z);
+    // Shallow enough to stand (with a margin so the edge doesn't flicker) or out of the water entirely
+    if (surface == null || surface - bottom < swimDepth() * 0.8) {
+      mode = null;
+      out.event = "exit";
+      return out;
+    }
+    surfaceY = surface;
+
+    const moving = move.amount > 0.05;
+    if (stamina && !stamina.drain("swim", moving ? dt : dt * 0.25)) {
+      mode = "sink";
+      sinkT = 0;
+      out.event = "tired";
+      return out;
+    }
+
+    const speed =
+      (PARAMS.playerSpeed ?? 5) * (PARAMS.swimSpeedMultiplier ?? 0.45) * move.amount * dt;
+    out.dx = move.x * speed;
+    out.dz = move.z * speed;
+    if (waterFlowAt) {
+      const flow = waterFlowAt(charPos.x, charPos.z);
+      out.dx += flow.x * dt;
+      out.dz += flow.z * dt;
+    }
+
+    // Buoyancy: damped spring toward the float height, plus a gentle bob
+    const bob = Math.sin(time * 2.2) * (PARAMS.swimBobAmount ?? 0.04);
+    const targetY = surface + (PARAMS.swimFloatOffset ?? -0.55) + bob;
+    const k = PARAMS.swimBuoyancy ?? 30;
+    velY += ((targetY - charPos.y) * k - velY * 2 * Math.sqrt(k)) * dt;
+    out.dy = velY * dt;
+    return out;
+  }
+
+  /** Leave the water state without an event (teleport, load, climbing out). */
+  function cancel() {
+    mode = null;
+    velY = 0;
+  }
+
+  return {
+    get active() {
+      return mode !== null;
+    },
+    get mode() {
+      return mode;
+    },
+    get surfaceY() {
+      return surfaceY;
+    },
+    get hasShore() {
+      return hasShore;
+    },
+    lastShore,
+    standHeight: standH,
+    shouldEnter,
+    update,
+    noteGround,
+    cancel,
+  };
+}
@@ -0,0 +1,387 @@
+/**
+ * Streaming terrain chunks: generates, caches and evicts heightmap tiles around the player
+ * outside the central heightmap window, with ring-based LOD and edge stitching.
+ * createTerrainChunks(scene, PARAMS, opts) → { group, update(px, pz), sampleHeight, clear, invalidate, stats }.
+ * stats = { cached, visible, pending } (mutable, refreshed by update).
+ * With opts.requestHeights tile heights come from a worker (worker-pool.js) and appear a few frames later; until then
+ * sampleHeight falls back to opts.heightAt. Ground colliders are terrain.js's (the tiles around the player).
+ */
+import * as THREE from "three";
+import { isJobCancelled } from "./worker-pool.js";
+
+// Heightmap tiles kept in memory (LRU). Meshes are only built for tiles inside the view radius.
+const MAX_CACHED_CHUNKS = 400;
+// Tiles generated per update() call — spreads the CPU cost over frames when the player moves fast.
+const GEN_BUDGET_PER_FRAME = 2;
+// Tiles requested from the workers at once (opts.requestHeights), nearest first.
+const MAX_PENDING_TILES = 4;
+// Skirt depth hides cracks between tiles of different LOD and against the central window mesh.
+const SKIRT_DEPTH = 2.5;
+// Chebyshev ring distance (in tiles) → LOD. Step doubles per level.
+const LOD_RINGS = [1, 3, 5];
+
+function lodForRing(ring) {
+  for (let i = 0; i < LOD_RINGS.length; i++) if (ring <= LOD_RINGS[i]) return i;
+  return LOD_RINGS.length;
+}
+
+/**
+ * @param {THREE.Scene} scene
+ * @param {object} PARAMS - reads terrainStreaming, terrainChunkRadius
+ * @param {object} opts
+ * @param {THREE.Material} opts.material - terrain material (shared with the central mesh)
+ * @param {(wx: number, wz: number) => number} opts.heightAt - procedural height at a world position
+ * @param {number} opts.TERRAIN_SIZE - used for world-space UVs so texture tiling matches the central mesh
+ * @param {number} opts.CHUNK_SIZE - tile edge length in world units
+ * @param {number} opts.CHUNK_RES - vertices per tile edge at LOD 0 (2^n + 1)
+ * @param {() => { x: number, z: number, half: number }} opts.getWindow - central heightmap window (tiles inside it are not built)
+ * @param {(cx: number, cz: number) => Promise<Float32Array> | null} [opts.requestHeights] - Optional. A tile's R² heights
+ *   (row-major, same layout as heightAt over the tile) off the main thread; null = generate it here.
+ */
+export function createTerrainChunks(scene, PARAMS, opts) {
+  const { material, heightAt, TERRAIN_SIZE, CHUNK_SIZE, CHUNK_RES, getWindow } =
+    opts;
+  const R = CHUNK_RES;
+  const cell = CHUNK_SIZE / (R - 1);
+  const maxStep = (R - 1) >> 1;
+
+  const group = new THREE.Group();
+  group.name = "terrainChunks";
+  scene.add(group);
+
+  /** @type {Map<string, { cx: number, cz: number, heights: Float32Array, lastUsed: number, mesh: THREE.Mesh | null, meshKey: string }>} */
+  const cache = new Map();
+  // Tiles on their way from the workers: key → promise. clear() / invalidate() drop entries, orphaning the result.
+  const pending = new Map();
+  const stats = { cached: 0, visible: 0, pending: 0 };
+  let frame = 0;
+
+  const keyOf = (cx, cz) => cx + "," + cz;
+
+  function generateHeights(cx, cz) {
+    const heights = new Float32Array(R * R);
+    const x0 = cx * CHUNK_SIZE;
+    const z0 = cz * CHUNK_SIZE;
+    for (let j = 0; j < R; j++) {
+      for (let i = 0; i < R; i++) {
+        heights[j * R + i] = heightAt(x0 + i * cell, z0 + j * cell);
+      }
+    }
+    return heights;
+  }
+
+  function insideWindow(cx, cz) {
+    const w = getWindow();
+    const x0 = cx * CHUNK_SIZE;
+    const z0 = cz * CHUNK_SIZE;
+    return (
+      x0 >= w.x - w.half - 1e-3 &&
+      x0 + CHUNK_SIZE <= w.x + w.half + 1e-3 &&
+      z0 >= w.z - w.half - 1e-3 &&
+      z0 + CHUNK_SIZE <= w.z + w.half + 1e-3
+    );
+  }
+
+  function sampleHeight(wx, wz) {
+    const cx = Math.floor(wx / CHUNK_SIZE);
+    const cz = Math.floor(wz / CHUNK_SIZE);
+    const chunk = cache.get(keyOf(cx, cz));
+    if (!chunk) return heightAt(wx, wz);
+    const u = (wx - cx * CHUNK_SIZE) / cell;
+    const v = (wz - cz * CHUNK_SIZE) / cell;
+    const ix = Math.max(0, Math.min(R - 2, Math.floor(u)));
+    const iy = Math.max(0, Math.min(R - 2, Math.floor(v)));
+    const fx = u - ix,
+      fy = v - iy;
+    const h = chunk.heights;
+    const h00 = h[iy * R + ix];
+    const h10 = h[iy * R + ix + 1];
+    const h01 = h[(iy + 1) * R + ix];
+    const h11 = h[(iy + 1) * R + ix + 1];
+    return (
+      h00 * (1 - fx) * (1 - fy) +
+      h10 * fx * (1 - fy) +
+      h01 * (1 - fx) * fy +
+      h11 * fx * fy
+    );
+  }
+
+  /**
+   * Build a tile mesh at `step` (1, 2, 4 …). neighborSteps = [north(-z), east(+x), south(+z), west(-x)].
+   * Edge vertices that don't exist on a coarser neighbour are snapped onto its edge line (no T-junction cracks).
+   */
+  function buildGeometry(chunk, step, neighborSteps) {
+    const n = (R - 1) / step;
+    const V = n + 1;
+    const src = chunk.heights;
+    const hs = new Float32Array(V * V);
+    for (let j = 0; j < V; j++)
+      for (let i = 0; i < V; i++) hs[j * V + i] = src[j * step * R + i * step];
+
+    const stitch = (edge, getIdx) => {
+      const ratio = neighborSteps[edge] / step;
+      if (ratio <= 1) return;
+      for (let k = 0; k < V; k++) {
+        const r = k % ratio;
+        if (r === 0) continue;
+        const k0 = k - r;
+        const k1 = Math.min(V - 1, k0 + ratio);
+        const t = r / ratio;
+        hs[getIdx(k)] = hs[getIdx(k0)] * (1 - t) + hs[getIdx(k1)] * t;
+      }
+    };
+    stitch(0, (k) => k); // north row j = 0
+    stitch(1, (k) => k * V + (V - 1)); // east column i = V-1
+    stitch(2, (k) => (V - 1) * V + k); // south row j = V-1
+    stitch(3, (k) => k * V); // west column i = 0
+
+    const skirtCount = 4 * V;
+    const total = V * V + skirtCount;
+    const pos = new Float32Array(total * 3);
+    const nrm = new Float32Array(total * 3);
+    const uvs = new Float32Array(total * 2);
+    const x0 = chunk.cx * CHUNK_SIZE;
+    const z0 = chunk.cz * CHUNK_SIZE;
+    const d = cell * step;
+    const _n = new THREE.Vector3();
+
+    const writeVertex = (vi, i, j, y) => {
+      const lx = i * d;
+      const lz = j * d;
+      const wx = x0 + lx;
+      const wz = z0 + lz;
+      pos[vi * 3] = lx;
+      pos[vi * 3 + 1] = y;
+      pos[vi * 3 + 2] = lz;
+      // Central differences across tile borders come from the cache / procedural fallback.
+      _n.set(
+        sampleHeight(wx - d, wz) - sampleHeight(wx + d, wz),
+        2 * d,
+        sampleHeight(wx, wz - d) - sampleHeight(wx, wz + d),
+      ).normalize();
+      nrm[vi * 3] = _n.x;
+      nrm[vi * 3 + 1] = _n.y;
+      nrm[vi * 3 + 2] = _n.z;
+      // Same mapping as the rotated PlaneGeometry of the central mesh.
+      uvs[vi * 2] = wx / TERRAIN_SIZE + 0.5;
+      uvs[vi * 2 + 1] = 0.5 - wz / TERRAIN_SIZE;
+    };
+
+    for (let j = 0; j < V; j++)
+      for (let i = 0; i < V; i++) writeVertex(j * V + i, i, j, hs[j * V + i]);
+
+    const indices = [];
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        const a = j * V + i;
+        const b = (j + 1) * V + i;
+        const c = (j + 1) * V + i + 1;
+        const e = j * V + i + 1;
+        indices.push(a, b, e, b, c, e);
+      }
+    }
+
+    // Skirts: one ring of vertices per edge dropped by SKIRT_DEPTH, double-sided quads.
+    const edges = [
+      (k) => [k, 0],
+      (k) => [V - 1, k],
+      (k) => [k, V - 1],
+      (k) => [0, k],
+    ];
+    let vi = V * V;
+    for (const edge of edges) {
+      const base = vi;
+      for (let k = 0; k < V; k++) {
+        const [i, j] = edge(k);
+        writeVertex(vi++, i, j, hs[j * V + i] - SKIRT_DEPTH);
+      }
+      for (let k = 0; k < n; k++) {
+        const [i0, j0] = edge(k);
+        const [i1, j1] = edge(k + 1);
+        const t0 = j0 * V + i0;
+        const t1 = j1 * V + i1;
+        const b0 = base + k;
+        const b1 = base + k + 1;
+        indices.push(t0, b0, t1, t1, b0, b1);
+        indices.push(t0, t1, b0, t1, b1, b0);
+      }
+    }
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute("position", new THREE.BufferAttribute(pos, 3));
+    geo.setAttribute("normal", new THREE.BufferAttribute(nrm, 3));
+    geo.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+    geo.setIndex(indices);
+    geo.computeBoundingSphere();
+    return geo;
+  }
+
+  function removeMesh(chunk) {
+    if (!chunk.mesh) return;
+    group.remove(chunk.mesh);
+    chunk.mesh.geometry.dispose();
+    chunk.mesh = null;
+    chunk.meshKey = "";
+  }
+
+  function addChunk(cx, cz, heights) {
+    cache.set(keyOf(cx, cz), {
+      cx,
+      cz,
+      heights,
+      lastUsed: frame,
+      mesh: null,
+      meshKey: "",
+    });
+  }
+
+  function requestChunk(cx, cz) {
+    const key = keyOf(cx, cz);
+    const promise = opts.requestHeights?.(cx, cz);
+    if (!promise) return false;
+    pending.set(key, promise);
+    promise.then(
+      (heights) => {
+        if (pending.get(key) !== promise) return;
+        pending.delete(key);
+        addChunk(cx, cz, heights);
+      },
+      (e) => {
+        if (pending.get(key) === promise) pending.delete(key);
+        if (!isJobCancelled(e)) console.warn("Terrain tile generation failed:", e);
+      },
+    );
+    return true;
+  }
+
+  function evict() {
+    if (cache.size <= MAX_CACHED_CHUNKS) return;
+    const idle = [...cache.values()]
+      .filter((c) => !c.mesh)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const c of idle) {
+      if (cache.size <= MAX_CACHED_CHUNKS) break;
+      cache.delete(keyOf(c.cx, c.cz));
+    }
+  }
+
+  function update(px, pz) {
+    frame++;
+    group.visible = !!PARAMS.terrainStreaming;
+    if (!PARAMS.terrainStreaming) {
+      for (const c of cache.values()) removeMesh(c);
+      stats.visible = 0;
+      return;
+    }
+    const radius = Math.max(1, PARAMS.terrainChunkRadius | 0);
+    const pcx = Math.floor(px / CHUNK_SIZE);
+    const pcz = Math.floor(pz / CHUNK_SIZE);
+
+    /** @type {Map<string, { cx: number, cz: number, ring: number, lod: number }>} */
+    const wanted = new Map();
+    for (let dz = -radius; dz <= radius; dz++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const cx = pcx + dx;
+        const cz = pcz + dz;
+        if (insideWindow(cx, cz)) continue;
+        const ring = Math.max(Math.abs(dx), Math.abs(dz));
+        wanted.set(keyOf(cx, cz), { cx, cz, ring, lod: lodForRing(ring) });
+      }
+    }
+
+    // Request / generate missing heights, nearest first, within the per-frame budget.
+    const missing = [...wanted.values()]
+      .filter((w) => {
+        const key = keyOf(w.cx, w.cz);
+        return !cache.has(key) && !pending.has(key);
+      })
+      .sort((a, b) => a.ring - b.ring);
+    let generated = 0;
+    for (const { cx, cz } of missing) {
+      if (pending.size < MAX_PENDING_TILES && requestChunk(cx, cz)) continue;
+      if (pending.size >= MAX_PENDING_TILES || generated >= GEN_BUDGET_PER_FRAME)
+        break;
+      addChunk(cx, cz, generateHeights(cx, cz));
+      generated++;
+    }
+
+    const stepOf = (cx, cz, fallback) => {
+      if (insideWindow(cx, cz)) return 1;
+      const w = wanted.get(keyOf(cx, cz));
+      return w ? Math.min(maxStep, 1 << w.lod) : fallback;
+    };
+
+    let visible = 0;
+    for (const chunk of cache.values()) {
+      const w = wanted.get(keyOf(chunk.cx, chunk.cz));
+      if (!w) {
+        removeMesh(chunk);
+        continue;
+      }
+      chunk.lastUsed = frame;
+      const step = Math.min(maxStep, 1 << w.lod);
+      const neighborSteps = [
+        stepOf(chunk.cx, chunk.cz - 1, step),
+        stepOf(chunk.cx + 1, chunk.cz, step),
+        stepOf(chunk.cx, chunk.cz + 1, step),
+        stepOf(chunk.cx - 1, chunk.cz, step),
+      ];
+      const meshKey = step + "|" + neighborSteps.join(",");
+      if (chunk.meshKey !== meshKey) {
+        const geo = buildGeometry(chunk, step, neighborSteps);
+        if (chunk.mesh) {
+          chunk.mesh.geometry.dispose();
+          chunk.mesh.geometry = geo;
+        } else {
+          chunk.mesh = new THREE.Mesh(geo, material);
+          chunk.mesh.receiveShadow = true;
+          chunk.mesh.position.set(
+            chunk.cx * CHUNK_SIZE,
+            0,
+            chunk.cz * CHUNK_SIZE,
+          );
+          group.add(chunk.mesh);
+        }
+        chunk.meshKey = meshKey;
+      }
+      visible++;
+    }
+    evict();
+    stats.cached = cache.size;
+    stats.visible = visible;
+    stats.pending = pending.size;
+  }
+
+  /** Drop every cached tile (e.g. after terrain params change); tiles still in the workers are discarded. */
+  function clear() {
+    for (const c of cache.values()) removeMesh(c);
+    cache.clear();
+    pending.clear();
+    stats.cached = stats.visible = stats.pending = 0;
+  }
+
+  /** Drop cached tiles overlapping a world-space rect (heights changed there); they regenerate on demand. */
+  function invalidate(minX, minZ, maxX, maxZ) {
+    const overlaps = (cx, cz) => {
+      const x0 = cx * CHUNK_SIZE;
+      const z0 = cz * CHUNK_SIZE;
+      return !(
+        x0 > maxX ||
+        x0 + CHUNK_SIZE < minX ||
+        z0 > maxZ ||
+        z0 + CHUNK_SIZE < minZ
+      );
+    };
+    for (const [key, c] of cache) {
+      if (!overlaps(c.cx, c.cz)) continue;
+      removeMesh(c);
+      cache.delete(key);
+    }
+    for (const key of [...pending.keys()]) {
+      const [cx, cz] = key.split(",").map(Number);
+      if (overlaps(cx, cz)) pending.delete(key);
+    }
+  }
+
+  return { group, update, sampleHeight, clear, invalidate, stats };
+}
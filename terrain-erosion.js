@@ -0,0 +1,232 @@
+/**
+ * Terrain erosion: particle-based hydraulic erosion + thermal slumping on a square Float32Array heightmap.
+ * Exports erodeHeightmap(data, res, cellSize, opts, onProgress) (in place, sync),
+ * erodeHeightmapInWorker(data, res, cellSize, opts, onProgress) → { promise, cancel },
+ * erosionOptionsFromParams(PARAMS).
+ * Deterministic for a given opts.seed — the worker runs the same code, so both paths give identical output.
+ * No three.js dependency (also loaded by terrain-erosion.worker.js).
+ */
+import { createRng } from "./rng.js";
+
+/**
+ * Read erosion options from PARAMS (zelda-terrain.js keys; defaults keep erosion off).
+ * erosionEnabled, erosionSeed (defaults to worldSeed), erosionDroplets, erosionStrength, erosionDeposition,
+ * erosionEvaporation, erosionRadius, thermalIterations, thermalTalusAngle (degrees), thermalStrength.
+ */
+export function erosionOptionsFromParams(PARAMS) {
+  return {
+    seed: PARAMS.erosionSeed ?? PARAMS.worldSeed,
+    droplets: PARAMS.erosionDroplets ?? 60000,
+    erodeSpeed: PARAMS.erosionStrength ?? 0.3,
+    depositSpeed: PARAMS.erosionDeposition ?? 0.3,
+    evaporateSpeed: PARAMS.erosionEvaporation ?? 0.01,
+    radius: PARAMS.erosionRadius ?? 3,
+    thermalIterations: PARAMS.thermalIterations ?? 20,
+    talusAngle: PARAMS.thermalTalusAngle ?? 35,
+    thermalStrength: PARAMS.thermalStrength ?? 0.5,
+  };
+}
+
+/** Precomputed erosion brush: offsets + normalized weights within `radius` cells. */
+function buildBrush(radius) {
+  const offsets = [];
+  const weights = [];
+  let sum = 0;
+  for (let y = -radius; y <= radius; y++) {
+    for (let x = -radius; x <= radius; x++) {
+      const d = Math.sqrt(x * x + y * y);
+      if (d > radius) continue;
+      const w = 1 - d / radius;
+      offsets.push([x, y]);
+      weights.push(w);
+      sum += w;
+    }
+  }
+  return { offsets, weights: weights.map((w) => w / sum) };
+}
+
+// Height + gradient at a fractional position (bilinear in the containing cell).
+function heightAndGradient(map, res, px, py) {
+  const cx = px | 0,
+    cy = py | 0;
+  const fx = px - cx,
+    fy = py - cy;
+  const i = cy * res + cx;
+  const nw = map[i],
+    ne = map[i + 1],
+    sw = map[i + res],
+    se = map[i + res + 1];
+  return {
+    h: nw * (1 - fx) * (1 - fy) + ne * fx * (1 - fy) + sw * (1 - fx) * fy + se * fx * fy,
+    gx: (ne - nw) * (1 - fy) + (se - sw) * fy,
+    gy: (sw - nw) * (1 - fx) + (se - ne) * fx,
+  };
+}
+
+function hydraulic(map, res, opts, onProgress) {
+  const rand = createRng("erosion", opts.seed);
+  const brush = buildBrush(Math.max(1, opts.radius | 0));
+  const inertia = 0.05;
+  const capacityFactor = 4;
+  const minCapacity = 0.01;
+  const gravity = 4;
+  const maxLifetime = 30;
+  const reportEvery = Math.max(1, (opts.droplets / 50) | 0);
+
+  for (let n = 0; n < opts.droplets; n++) {
+    let px = rand() * (res - 1);
+    let py = rand() * (res - 1);
+    let dx = 0,
+      dy = 0,
+      speed = 1,
+      water = 1,
+      sediment = 0;
+
+    for (let life = 0; life < maxLifetime; life++) {
+      const cx = px | 0,
+        cy = py | 0;
+      const fx = px - cx,
+        fy = py - cy;
+      const { h, gx, gy } = heightAndGradient(map, res, px, py);
+
+      dx = dx * inertia - gx * (1 - inertia);
+      dy = dy * inertia - gy * (1 - inertia);
+      const len = Math.sqrt(dx * dx + dy * dy);
+      if (len < 1e-9) break;
+      dx /= len;
+      dy /= len;
+      px += dx;
+      py += dy;
+      if (px < 0 || px >= res - 1 || py < 0 || py >= res - 1) break;
+
+      const dh = heightAndGradient(map, res, px, py).h - h;
+      const capacity = Math.max(-dh * speed * water * capacityFactor, minCapacity);
+
+      if (sediment > capacity || dh > 0) {
+        // Deposit on the four corners of the old cell (fill the pit when moving uphill).
+        const amount =
+          dh > 0 ? Math.min(dh, sediment) : (sediment - capacity) * opts.depositSpeed;
+        sediment -= amount;
+        const i = cy * res + cx;
+        map[i] += amount * (1 - fx) * (1 - fy);
+        map[i + 1] += amount * fx * (1 - fy);
+        map[i + res] += amount * (1 - fx) * fy;
+        map[i + res + 1] += amount * fx * fy;
+      } else {
+        // Erode with the brush, never digging deeper than the height difference.
+        const amount = Math.min((capacity - sediment) * opts.erodeSpeed, -dh);
+        for (let b = 0; b < brush.offsets.length; b++) {
+          const bx = cx + brush.offsets[b][0];
+          const by = cy + brush.offsets[b][1];
+          if (bx < 0 || by < 0 || bx >= res || by >= res) continue;
+          const j = by * res + bx;
+          const take = Math.min(map[j], amount * brush.weights[b]);
+          map[j] -= take;
+          sediment += take;
+        }
+      }
+      speed = Math.sqrt(Math.max(0, speed * speed + dh * gravity));
+      water *= 1 - opts.evaporateSpeed;
+    }
+    if (onProgress && n % reportEvery === 0) onProgress((n / opts.droplets) * 0.8);
+  }
+}
+
+function thermal(map, res, cellSize, scale, opts, onProgress) {
+  // Talus threshold as a per-cell height difference in normalized units.
+  const talus = (Math.tan((opts.talusAngle * Math.PI) / 180) * cellSize) / scale;
+  const k = Math.max(0, Math.min(1, opts.thermalStrength)) * 0.5;
+  const delta = new Float32Array(map.length);
+  const nbrs = [-1, 1, -res, res];
+  for (let it = 0; it < opts.thermalIterations; it++) {
+    delta.fill(0);
+    for (let y = 1; y < res - 1; y++) {
+      for (let x = 1; x < res - 1; x++) {
+        const i = y * res + x;
+        const h = map[i];
+        let maxDiff = 0,
+          total = 0;
+        for (const o of nbrs) {
+          const d = h - map[i + o];
+          if (d > talus) {
+            total += d - talus;
+            if (d > maxDiff) maxDiff = d;
+          }
+        }
+        if (total <= 0) continue;
+        const move = k * (maxDiff - talus);
+        for (const o of nbrs) {
+          const d = h - map[i + o];
+          if (d > talus) {
+            const share = (move * (d - talus)) / total;
+            delta[i] -= share;
+            delta[i + o] += share;
+          }
+        }
+      }
+    }
+    for (let i = 0; i < map.length; i++) map[i] += delta[i];
+    if (onProgress) onProgress(0.8 + ((it + 1) / opts.thermalIterations) * 0.2);
+  }
+}
+
+/**
+ * Erode `data` in place. Heights are normalized internally, so strength settings behave the same
+ * regardless of terrainHeight.
+ * @param {Float32Array} data - res×res heights, row-major
+ * @param {number} res
+ * @param {number} cellSize - world units per texel (for the talus angle)
+ * @param {ReturnType<typeof erosionOptionsFromParams>} opts
+ * @param {(fraction: number) => void} [onProgress]
+ */
+export function erodeHeightmap(data, res, cellSize, opts, onProgress) {
+  let min = Infinity,
+    max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+  const scale = max - min || 1;
+  for (let i = 0; i < data.length; i++) data[i] = (data[i] - min) / scale;
+  if (opts.droplets > 0) hydraulic(data, res, opts, onProgress);
+  if (opts.thermalIterations > 0) thermal(data, res, cellSize, scale, opts, onProgress);
+  for (let i = 0; i < data.length; i++) data[i] = min + data[i] * scale;
+  if (onProgress) onProgress(1);
+  return data;
+}
+
+/**
+ * Run erodeHeightmap in a module worker. `data` is copied (the caller's array stays usable).
+ * @returns {{ promise: Promise<Float32Array>, cancel: () => void }}
+ */
+export function erodeHeightmapInWorker(data, res, cellSize, opts, onProgress) {
+  const worker = new Worker(new URL("./terrain-erosion.worker.js", import.meta.url), {
+    type: "module",
+  });
+  let settle = null;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") {
+        if (onProgress) onProgress(msg.value);
+      } else if (msg.type === "done") {
+        worker.terminate();
+        resolve(msg.data);
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(e);
+    };
+  });
+  const copy = data.slice();
+  worker.postMessage({ data: copy, res, cellSize, opts }, [copy.buffer]);
+  return {
+    promise,
+    cancel() {
+      worker.terminate();
+      settle.reject(new Error("Erosion cancelled"));
+    },
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * Module worker for terrain-erosion.js: { data, res, cellSize, opts } → progress messages, then { type: "done", data }.
+ */
+import { erodeHeightmap } from "./terrain-erosion.js";
+
+self.onmessage = (e) => {
+  const { data, res, cellSize, opts } = e.data;
+  erodeHeightmap(data, res, cellSize, opts, (value) =>
+    self.postMessage({ type: "progress", value }),
+  );
+  self.postMessage({ type: "done", data }, [data.buffer]);
+};
@@ -0,0 +1,118 @@
+/**
+ * Procedural terrain height: value-noise fBm + ridged mountains with a lake bowl.
+ * Exports terrainHeightAt(wx, wz, PARAMS) and sampleDeltaLayer(layer, wx, wz) (the sculpt delta layer, terrain.js
+ * getSculptLayer). No three.js dependency, so generation.worker.js can import it; terrain.js re-exports terrainHeightAt.
+ */
+
+function cpuHash(x, y) {
+  const n = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
+  return n - Math.floor(n);
+}
+
+function cpuNoise(x, y) {
+  const ix = Math.floor(x),
+    iy = Math.floor(y),
+    fx = x - ix,
+    fy = y - iy;
+  const ux = fx * fx * (3 - 2 * fx),
+    uy = fy * fy * (3 - 2 * fy);
+  const a = cpuHash(ix, iy),
+    b = cpuHash(ix + 1, iy),
+    c = cpuHash(ix, iy + 1),
+    d = cpuHash(ix + 1, iy + 1);
+  return a + (b - a) * ux + (c - a) * uy + (a - b - c + d) * ux * uy;
+}
+
+function fbmNoise(x, y, octaves) {
+  let val = 0,
+    amp = 1,
+    freq = 1,
+    total = 0;
+  for (let i = 0; i < octaves; i++) {
+    val += cpuNoise(x * freq, y * freq) * amp;
+    total += amp;
+    amp *= 0.5;
+    freq *= 2;
+  }
+  return val / total;
+}
+
+function ridgedFbm(x, y, octaves) {
+  let val = 0,
+    amp = 1,
+    freq = 1,
+    total = 0;
+  for (let i = 0; i < octaves; i++) {
+    let n = cpuNoise(x * freq, y * freq);
+    n = 1 - Math.abs(n);
+    n = n * n;
+    val += n * amp;
+    total += amp;
+    amp *= 0.5;
+    freq *= 2;
+  }
+  return val / total;
+}
+
+/**
+ * Procedural height at a world position. Pure function of (wx, wz, PARAMS), so the
+ * heightmap window and streamed chunks agree exactly wherever they overlap.
+ * @param {number} wx
+ * @param {number} wz
+ * @param {object} PARAMS
+ * @returns {number}
+ */
+export function terrainHeightAt(wx, wz, PARAMS) {
+  const mx = PARAMS.mountainStrength;
+  const flat = PARAMS.fieldFlatten;
+  const nx = wx * 0.008,
+    nz = wz * 0.008;
+  const nxL = wx * 0.002,
+    nzL = wz * 0.002;
+  const roll = fbmNoise(nx, nz, 6);
+  const ridge = ridgedFbm(nx * 0.9, nz * 0.9, 5);
+  const mountainMask = Math.max(0, fbmNoise(nxL, nzL, 4) - 0.35);
+  const mountainMaskSmooth =
+    mountainMask * mountainMask * (3 - 2 * mountainMask);
+  let h =
+    roll * (1 - mountainMaskSmooth * mx) +
+    (roll * 0.25 + ridge * 1.1) * mountainMaskSmooth * mx;
+  if (flat > 0 && mountainMaskSmooth < 0.5) {
+    const f = 1 - flat * (1 - mountainMaskSmooth * 2);
+    h *= 0.3 + 0.7 * f;
+  }
+  h *= PARAMS.terrainHeight;
+  const dx = wx - PARAMS.lakeCenterX,
+    dz = wz - PARAMS.lakeCenterZ;
+  const dist = Math.sqrt(dx * dx + dz * dz);
+  const lakeFalloff = Math.max(0, 1 - dist / PARAMS.lakeRadius);
+  const lakeSmooth = lakeFalloff * lakeFalloff * (3 - 2 * lakeFalloff);
+  h -= PARAMS.lakeDepth * lakeSmooth;
+  return h;
+}
+
+/**
+ * Bilinear sample of a sculpt delta layer ({ data, res, size }: texel (x, y) at world ((x/res − 0.5)·size,
+ * (y/res − 0.5)·size)). Zero outside its extent.
+ * @param {{ data: Float32Array, res: number, size: number }} layer
+ * @param {number} wx
+ * @param {number} wz
+ * @returns {number}
+ */
+export function sampleDeltaLayer(layer, wx, wz) {
+  const { data, res, size } = layer;
+  const u = (wx / size + 0.5) * res;
+  const v = (wz / size + 0.5) * res;
+  if (u < 0 || v < 0 || u > res - 1 || v > res - 1) return 0;
+  const ix = Math.min(res - 2, Math.floor(u));
+  const iy = Math.min(res - 2, Math.floor(v));
+  const fx = u - ix,
+    fy = v - iy;
+  const i = iy * res + ix;
+  return (
+    data[i] * (1 - fx) * (1 - fy) +
+    data[i + 1] * fx * (1 - fy) +
+    data[i + res] * (1 - fx) * fy +
+    data[i + res + 1] * fx * fy
+  );
+}
@@ -0,0 +1,483 @@
+/**
+ * Terrain sculpting: editor-mode brushes (raise / lower / smooth / flatten / ramp) that paint into the
+ * terrain.js sculpt delta layer, with undo/redo and localStorage persistence of the delta.
+ * The "paint" brush writes PARAMS.splatLayer into the terrain-splat.js map instead (opts.splat; shares undo/redo).
+ * createTerrainSculpt(opts) → { update(dt), undo(), redo(), clear(), clearSplat(), cursor }.
+ * Reads PARAMS.sculptEnabled, sculptBrush, sculptRadius, sculptStrength. While enabled, left mouse on the
+ * canvas paints (camera drag / pointer lock are suppressed); Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo / redo.
+ */
+import * as THREE from "three";
+import { SPLAT_LAYERS } from "./terrain-splat.js";
+
+const STORAGE_KEY = "zelda.terrainSculpt";
+const MAX_UNDO = 50;
+const CURSOR_SEGMENTS = 64;
+const SPLAT_LAYER_INDEX = Object.fromEntries(SPLAT_LAYERS.map((name, i) => [name, i]));
+
+function smoothFalloff(d, r) {
+  const t = Math.max(0, 1 - d / r);
+  return t * t * (3 - 2 * t);
+}
+
+function floatsToBase64(arr) {
+  const bytes = new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToFloats(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.PARAMS
+ * @param {THREE.Scene} opts.scene
+ * @param {THREE.Camera} opts.camera
+ * @param {HTMLElement} opts.domElement - renderer canvas
+ * @param {(wx: number, wz: number) => number} opts.sampleHeight
+ * @param {{ getSculptLayer: () => { data: Float32Array, res: number, size: number }, refreshRegion: (minX: number, minZ: number, maxX: number, maxZ: number) => void, commitEdits: () => void }} opts.terrain
+ * @param {ReturnType<typeof import("./terrain-splat.js").createTerrainSplat>} [opts.splat]
+ */
+export function createTerrainSculpt(opts) {
+  const { PARAMS, scene, camera, domElement, sampleHeight, terrain, splat = null } = opts;
+  const layer = terrain.getSculptLayer();
+  const { data, res, size } = layer;
+  const texel = size / res;
+
+  const texelToWorld = (t) => (t / res - 0.5) * size;
+  const worldToTexel = (w) => (w / size + 0.5) * res;
+
+  // ── CURSOR ──
+  const cursorGeo = new THREE.BufferGeometry();
+  cursorGeo.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array(CURSOR_SEGMENTS * 3), 3),
+  );
+  const cursor = new THREE.LineLoop(
+    cursorGeo,
+    new THREE.LineBasicMaterial({ color: 0xffe066, depthTest: false }),
+  );
+  cursor.renderOrder = 999;
+  cursor.frustumCulled = false;
+  cursor.visible = false;
+  scene.add(cursor);
+
+  // ── POINTER ──
+  const ndc = new THREE.Vector2();
+  const raycaster = new THREE.Raycaster();
+  let pointerInside = false;
+  let painting = false;
+  let hit = null; // { x, z, h }
+  let strokeStart = null;
+  let strokeBefore = null;
+  let strokeRect = null; // texel rect touched by the stroke
+  let splatRect = null; // splat texel rect touched by a paint stroke
+  let splatBefore = null; // [rect, snapshot] per dab, replayed in reverse to recover the pre-stroke state
+
+  /** March the pointer ray against sampleHeight, then bisect. */
+  function pickTerrain() {
+    raycaster.setFromCamera(ndc, camera);
+    const { origin, direction } = raycaster.ray;
+    const step = 2;
+    let prevT = 0;
+    for (let t = step; t < 1500; t += step) {
+      const x = origin.x + direction.x * t;
+      const y = origin.y + direction.y * t;
+      const z = origin.z + direction.z * t;
+      if (y <= sampleHeight(x, z)) {
+        let lo = prevT,
+          hi = t;
+        for (let i = 0; i < 16; i++) {
+          const mid = (lo + hi) * 0.5;
+          const mx = origin.x + direction.x * mid;
+          const mz = origin.z + direction.z * mid;
+          if (origin.y + direction.y * mid <= sampleHeight(mx, mz)) hi = mid;
+          else lo = mid;
+        }
+        const hx = origin.x + direction.x * hi;
+        const hz = origin.z + direction.z * hi;
+        return { x: hx, z: hz, h: sampleHeight(hx, hz) };
+      }
+      prevT = t;
+    }
+    return null;
+  }
+
+  const fromCanvas = (e) => e.target === domElement;
+  const swallow = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+  };
+
+  // Capture phase on window so painting wins over OrbitControls / player camera drag / pointer lock.
+  window.addEventListener(
+    "pointermove",
+    (e) => {
+      const rect = domElement.getBoundingClientRect();
+      ndc.set(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1,
+      );
+      pointerInside = fromCanvas(e);
+      if (PARAMS.sculptEnabled && painting) swallow(e);
+    },
+    true,
+  );
+  window.addEventListener(
+    "pointerdown",
+    (e) => {
+      if (!PARAMS.sculptEnabled || !fromCanvas(e) || e.button !== 0) return;
+      if (document.pointerLockElement) document.exitPointerLock();
+      swallow(e);
+      beginStroke();
+    },
+    true,
+  );
+  window.addEventListener(
+    "pointerup",
+    (e) => {
+      if (!painting) return;
+      swallow(e);
+      endStroke();
+    },
+    true,
+  );
+  for (const type of ["mousedown", "mousemove", "click"]) {
+    window.addEventListener(
+      type,
+      (e) => {
+        if (!PARAMS.sculptEnabled) return;
+        if (type === "mousemove" ? painting : fromCanvas(e)) e.stopPropagation();
+      },
+      true,
+    );
+  }
+  window.addEventListener("keydown", (e) => {
+    if (!PARAMS.sculptEnabled || !(e.ctrlKey || e.metaKey)) return;
+    const k = e.key.toLowerCase();
+    if (k === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (k === "y" || (k === "z" && e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  // ── STROKES ──
+  function touch(tx0, ty0, tx1, ty1) {
+    if (!strokeRect) strokeRect = { x0: tx0, y0: ty0, x1: tx1, y1: ty1 };
+    else {
+      strokeRect.x0 = Math.min(strokeRect.x0, tx0);
+      strokeRect.y0 = Math.min(strokeRect.y0, ty0);
+      strokeRect.x1 = Math.max(strokeRect.x1, tx1);
+      strokeRect.y1 = Math.max(strokeRect.y1, ty1);
+    }
+  }
+
+  function refreshTexelRect(tx0, ty0, tx1, ty1) {
+    terrain.refreshRegion(
+      texelToWorld(tx0),
+      texelToWorld(ty0),
+      texelToWorld(tx1),
+      texelToWorld(ty1),
+    );
+  }
+
+  function beginStroke() {
+    hit = pickTerrain();
+    if (!hit) return;
+    painting = true;
+    strokeStart = { ...hit };
+    strokeBefore = data.slice();
+    strokeRect = null;
+    splatRect = null;
+    splatBefore = splat ? [] : null;
+  }
+
+  function paintSplat(dt) {
+    const layerName = PARAMS.splatLayer ?? "path";
+    const layer = layerName === "erase" ? -1 : SPLAT_LAYER_INDEX[layerName];
+    if (layer === undefined) return;
+    const r = PARAMS.sculptRadius ?? 8;
+    const k = Math.min(1, (PARAMS.sculptStrength ?? 4) * 0.5 * dt);
+    const rect = splat.circleRect(hit.x, hit.z, r);
+    if (!rect) return;
+    splatBefore.push([rect, splat.snapshot(rect)]);
+    splat.paintCircle(hit.x, hit.z, r, layer, k);
+    splatRect = splatRect
+      ? {
+          x0: Math.min(splatRect.x0, rect.x0),
+          y0: Math.min(splatRect.y0, rect.y0),
+          x1: Math.max(splatRect.x1, rect.x1),
+          y1: Math.max(splatRect.y1, rect.y1),
+        }
+      : rect;
+  }
+
+  /** Visit delta texels inside a world rect; fn(index, wx, wz) returns the delta change. */
+  function paintRect(minX, minZ, maxX, maxZ, fn) {
+    const tx0 = Math.max(0, Math.floor(worldToTexel(minX)));
+    const tx1 = Math.min(res - 1, Math.ceil(worldToTexel(maxX)));
+    const ty0 = Math.max(0, Math.floor(worldToTexel(minZ)));
+    const ty1 = Math.min(res - 1, Math.ceil(worldToTexel(maxZ)));
+    if (tx0 > tx1 || ty0 > ty1) return;
+    const changes = [];
+    for (let ty = ty0; ty <= ty1; ty++)
+      for (let tx = tx0; tx <= tx1; tx++) {
+        const d = fn(texelToWorld(tx), texelToWorld(ty));
+        if (d) changes.push(ty * res + tx, d);
+      }
+    // Apply after sampling so smooth / flatten read a consistent surface.
+    for (let i = 0; i < changes.length; i += 2) data[changes[i]] += changes[i + 1];
+    touch(tx0, ty0, tx1, ty1);
+    refreshTexelRect(tx0, ty0, tx1, ty1);
+  }
+
+  function applyBrush(dt) {
+    const r = PARAMS.sculptRadius ?? 8;
+    const strength = PARAMS.sculptStrength ?? 4;
+    const brush = PARAMS.sculptBrush ?? "raise";
+    if (brush === "ramp") return; // applied on release
+    if (brush === "paint") {
+      if (splat) paintSplat(dt);
+      return;
+    }
+    const blend = Math.min(1, strength * 0.25 * dt);
+    paintRect(hit.x - r, hit.z - r, hit.x + r, hit.z + r, (wx, wz) => {
+      const f = smoothFalloff(Math.hypot(wx - hit.x, wz - hit.z), r);
+      if (f <= 0) return 0;
+      if (brush === "raise") return strength * dt * f;
+      if (brush === "lower") return -strength * dt * f;
+      const h = sampleHeight(wx, wz);
+      if (brush === "flatten") return (strokeStart.h - h) * blend * f;
+      // smooth: pull towards the 4-neighbour average
+      const avg =
+        (sampleHeight(wx - texel, wz) +
+          sampleHeight(wx + texel, wz) +
+          sampleHeight(wx, wz - texel) +
+          sampleHeight(wx, wz + texel)) *
+        0.25;
+      return (avg - h) * Math.min(1, blend * 4) * f;
+    });
+  }
+
+  function applyRamp(a, b) {
+    const r = PARAMS.sculptRadius ?? 8;
+    const abx = b.x - a.x,
+      abz = b.z - a.z;
+    const len2 = abx * abx + abz * abz;
+    if (len2 < 1e-6) return;
+    paintRect(
+      Math.min(a.x, b.x) - r,
+      Math.min(a.z, b.z) - r,
+      Math.max(a.x, b.x) + r,
+      Math.max(a.z, b.z) + r,
+      (wx, wz) => {
+        const t = Math.max(
+          0,
+          Math.min(1, ((wx - a.x) * abx + (wz - a.z) * abz) / len2),
+        );
+        const d = Math.hypot(wx - (a.x + abx * t), wz - (a.z + abz * t));
+        const f = smoothFalloff(d, r);
+        if (f <= 0) return 0;
+        return (a.h + (b.h - a.h) * t - sampleHeight(wx, wz)) * f;
+      },
+    );
+  }
+
+  const undoStack = [];
+  const redoStack = [];
+
+  function sliceRect(src, rect) {
+    const w = rect.x1 - rect.x0 + 1;
+    const out = new Float32Array(w * (rect.y1 - rect.y0 + 1));
+    for (let y = rect.y0; y <= rect.y1; y++)
+      out.set(src.subarray(y * res + rect.x0, y * res + rect.x1 + 1), (y - rect.y0) * w);
+    return out;
+  }
+
+  function applyEntry(entry, which) {
+    if (entry.kind === "splat") splat.restore(entry.rect, entry[which]);
+    else pasteRect(entry.rect, entry[which]);
+  }
+
+  function pasteRect(rect, values) {
+    const w = rect.x1 - rect.x0 + 1;
+    for (let y = rect.y0; y <= rect.y1; y++)
+      data.set(values.subarray((y - rect.y0) * w, (y - rect.y0 + 1) * w), y * res + rect.x0);
+    refreshTexelRect(rect.x0, rect.y0, rect.x1, rect.y1);
+    terrain.commitEdits();
+    scheduleSave();
+  }
+
+  function endStroke() {
+    painting = false;
+    if ((PARAMS.sculptBrush ?? "raise") === "ramp" && strokeStart) {
+      const end = pickTerrain();
+      if (end) applyRamp(strokeStart, end);
+    }
+    if (splatRect) {
+      // Rebuild the pre-stroke state of the whole rect: current texels, overwritten by each dab's
+      // first snapshot in reverse order (earliest wins).
+      const after = splat.snapshot(splatRect);
+      for (let i = splatBefore.length - 1; i >= 0; i--)
+        splat.restore(splatBefore[i][0], splatBefore[i][1]);
+      const before = splat.snapshot(splatRect);
+      splat.restore(splatRect, after);
+      undoStack.push({ kind: "splat", rect: splatRect, before, after });
+      if (undoStack.length > MAX_UNDO) undoStack.shift();
+      redoStack.length = 0;
+    }
+    if (strokeRect) {
+      undoStack.push({
+        kind: "height",
+        rect: strokeRect,
+        before: sliceRect(strokeBefore, strokeRect),
+        after: sliceRect(data, strokeRect),
+      });
+      if (undoStack.length > MAX_UNDO) undoStack.shift();
+      redoStack.length = 0;
+      terrain.commitEdits();
+      scheduleSave();
+    }
+    strokeStart = null;
+    strokeBefore = null;
+    strokeRect = null;
+    splatRect = null;
+    splatBefore = null;
+  }
+
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    redoStack.push(entry);
+    applyEntry(entry, "before");
+  }
+
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    undoStack.push(entry);
+    applyEntry(entry, "after");
+  }
+
+  /** Reset the delta layer to the procedural base (undoable). */
+  function clear() {
+    const rect = { x0: 0, y0: 0, x1: res - 1, y1: res - 1 };
+    undoStack.push({
+      kind: "height",
+      rect,
+      before: data.slice(),
+      after: new Float32Array(data.length),
+    });
+    if (undoStack.length > MAX_UNDO) undoStack.shift();
+    redoStack.length = 0;
+    pasteRect(rect, new Float32Array(data.length));
+  }
+
+  /** Wipe the splat map back to the procedural look (undoable). */
+  function clearSplat() {
+    if (!splat) return;
+    const rect = { x0: 0, y0: 0, x1: splat.res - 1, y1: splat.res - 1 };
+    const before = splat.snapshot(rect);
+    splat.clear();
+    undoStack.push({ kind: "splat", rect, before, after: splat.snapshot(rect) });
+    if (undoStack.length > MAX_UNDO) undoStack.shift();
+    redoStack.length = 0;
+  }
+
+  // ── PERSISTENCE ──
+  // Only the bounding rect of non-zero texels is stored.
+  let saveTimer = null;
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, 500);
+  }
+
+  function save() {
+    let x0 = res,
+      y0 = res,
+      x1 = -1,
+      y1 = -1;
+    for (let y = 0; y < res; y++)
+      for (let x = 0; x < res; x++)
+        if (data[y * res + x] !== 0) {
+          if (x < x0) x0 = x;
+          if (x > x1) x1 = x;
+          if (y < y0) y0 = y;
+          if (y > y1) y1 = y;
+        }
+    try {
+      if (x1 < 0) {
+        localStorage.removeItem(STORAGE_KEY);
+        return;
+      }
+      const rect = { x0, y0, x1, y1 };
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ version: 1, res, size, rect, data: floatsToBase64(sliceRect(data, rect)) }),
+      );
+    } catch (e) {
+      console.warn("Terrain sculpt: could not save delta layer", e);
+    }
+  }
+
+  function load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    } catch (e) {
+      console.warn("Terrain sculpt: ignoring unreadable saved delta layer", e);
+    }
+    if (!saved) return;
+    if (saved.version !== 1 || saved.res !== res || saved.size !== size) {
+      console.warn("Terrain sculpt: saved delta layer does not match this terrain; ignored");
+      return;
+    }
+    const { rect } = saved;
+    const w = rect.x1 - rect.x0 + 1;
+    const values = base64ToFloats(saved.data);
+    for (let y = rect.y0; y <= rect.y1; y++)
+      data.set(values.subarray((y - rect.y0) * w, (y - rect.y0 + 1) * w), y * res + rect.x0);
+    refreshTexelRect(rect.x0, rect.y0, rect.x1, rect.y1);
+    terrain.commitEdits();
+  }
+  load();
+
+  // ── FRAME ──
+  function updateCursor(center) {
+    const r = PARAMS.sculptRadius ?? 8;
+    const pa = cursorGeo.attributes.position.array;
+    for (let i = 0; i < CURSOR_SEGMENTS; i++) {
+      const a = (i / CURSOR_SEGMENTS) * Math.PI * 2;
+      const x = center.x + Math.cos(a) * r;
+      const z = center.z + Math.sin(a) * r;
+      pa[i * 3] = x;
+      pa[i * 3 + 1] = sampleHeight(x, z) + 0.15;
+      pa[i * 3 + 2] = z;
+    }
+    cursorGeo.attributes.position.needsUpdate = true;
+  }
+
+  function update(dt) {
+    if (!PARAMS.sculptEnabled) {
+      cursor.visible = false;
+      if (painting) endStroke();
+      return;
+    }
+    hit = pointerInside || painting ? pickTerrain() : null;
+    cursor.visible = !!hit;
+    if (!hit) return;
+    updateCursor(hit);
+    if (painting) applyBrush(dt);
+  }
+
+  return { update, undo, redo, clear, clearSplat, cursor };
+}
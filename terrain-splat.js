@@ -0,0 +1,226 @@
+/**
+ * Terrain splat map: 8 weight channels in two RGBA8 DataTextures covering TERRAIN_SIZE around world (0, 0).
+ * Channel order is SPLAT_LAYERS (grass, dirt, rock, sand, snow, path, spare, spare). All-zero texels mean
+ * "procedural look" — painted weights blend over it in terrain.js and thin out grass in grass.js.
+ * createTerrainSplat({ TERRAIN_SIZE, res }) → { splatTex0, splatTex1, uSplatSize, res, circleRect, paintCircle, snapshot, restore, clear }.
+ * sampleSplat(splatTex0, splatTex1, uSplatSize, xz) → [w0, w1] reads the weights in TSL; they are zero outside the map,
+ * so a terrain window that has streamed past it falls back to the procedural look.
+ * Persists to localStorage (bounding rect of painted texels).
+ */
+import * as THREE from "three";
+import { uniform, texture, div, mul, max, abs, step, clamp } from "three/tsl";
+
+export const SPLAT_LAYERS = ["grass", "dirt", "rock", "sand", "snow", "path"];
+export const SPLAT_CHANNELS = 8;
+
+const STORAGE_KEY = "zelda.terrainSplat";
+
+function makeTexture(data, res) {
+  const tex = new THREE.DataTexture(
+    data,
+    res,
+    res,
+    THREE.RGBAFormat,
+    THREE.UnsignedByteType,
+  );
+  tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.magFilter = THREE.LinearFilter;
+  tex.minFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+/**
+ * TSL: both weight texels at world `xz` (vec2 node), masked to zero outside the map — clamped UVs alone would
+ * smear the border texels across everything beyond it.
+ * @returns {[object, object]} splat weights for channels 0–3 and 4–7
+ */
+export function sampleSplat(splatTex0, splatTex1, uSplatSize, xz) {
+  const rel = div(xz, uSplatSize);
+  const inside = step(max(abs(rel.x), abs(rel.y)), 0.5);
+  const splatUV = clamp(rel.add(0.5), 0, 1);
+  return [
+    mul(texture(splatTex0, splatUV), inside),
+    mul(texture(splatTex1, splatUV), inside),
+  ];
+}
+
+/**
+ * @param {{ TERRAIN_SIZE: number, res?: number }} opts
+ */
+export function createTerrainSplat(opts) {
+  const { TERRAIN_SIZE } = opts;
+  const res = opts.res ?? 512;
+  const data0 = new Uint8Array(res * res * 4);
+  const data1 = new Uint8Array(res * res * 4);
+  const splatTex0 = makeTexture(data0, res);
+  const splatTex1 = makeTexture(data1, res);
+  const uSplatSize = uniform(TERRAIN_SIZE);
+
+  const channelArray = (c) => (c < 4 ? data0 : data1);
+  const texelToWorld = (t) => ((t + 0.5) / res - 0.5) * TERRAIN_SIZE;
+  const worldToTexel = (w) => (w / TERRAIN_SIZE + 0.5) * res - 0.5;
+
+  /** Texel rect covered by a circle (clamped), or null when it misses the map. */
+  function circleRect(wx, wz, radius) {
+    const x0 = Math.max(0, Math.floor(worldToTexel(wx - radius)));
+    const x1 = Math.min(res - 1, Math.ceil(worldToTexel(wx + radius)));
+    const y0 = Math.max(0, Math.floor(worldToTexel(wz - radius)));
+    const y1 = Math.min(res - 1, Math.ceil(worldToTexel(wz + radius)));
+    return x0 > x1 || y0 > y1 ? null : { x0, y0, x1, y1 };
+  }
+
+  /**
+   * Paint `layer` (index into SPLAT_LAYERS, or -1 to erase back to procedural) in a soft circle.
+   * Other channels are scaled down so weights never sum past 1.
+   * @returns {{ x0: number, y0: number, x1: number, y1: number } | null} touched texel rect
+   */
+  function paintCircle(wx, wz, radius, layer, amount) {
+    const rect = circleRect(wx, wz, radius);
+    if (!rect) return null;
+    const { x0, y0, x1, y1 } = rect;
+    const w = new Float32Array(SPLAT_CHANNELS);
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const d = Math.hypot(texelToWorld(x) - wx, texelToWorld(y) - wz);
+        const t = Math.max(0, 1 - d / radius);
+        const f = t * t * (3 - 2 * t) * amount;
+        if (f <= 0) continue;
+        const i = (y * res + x) * 4;
+        for (let c = 0; c < SPLAT_CHANNELS; c++)
+          w[c] = channelArray(c)[i + (c & 3)] / 255;
+        if (layer < 0) {
+          for (let c = 0; c < SPLAT_CHANNELS; c++) w[c] *= 1 - f;
+        } else {
+          w[layer] = Math.min(1, w[layer] + f);
+          let others = 0;
+          for (let c = 0; c < SPLAT_CHANNELS; c++) if (c !== layer) others += w[c];
+          const room = 1 - w[layer];
+          if (others > room) {
+            const k = others > 0 ? room / others : 0;
+            for (let c = 0; c < SPLAT_CHANNELS; c++) if (c !== layer) w[c] *= k;
+          }
+        }
+        for (let c = 0; c < SPLAT_CHANNELS; c++)
+          channelArray(c)[i + (c & 3)] = Math.round(w[c] * 255);
+      }
+    }
+    splatTex0.needsUpdate = true;
+    splatTex1.needsUpdate = true;
+    scheduleSave();
+    return rect;
+  }
+
+  /** Copy both textures' texels inside rect (for undo). */
+  function snapshot(rect) {
+    const w = rect.x1 - rect.x0 + 1;
+    const out = new Uint8Array(w * (rect.y1 - rect.y0 + 1) * 8);
+    let o = 0;
+    for (let y = rect.y0; y <= rect.y1; y++) {
+      const a = (y * res + rect.x0) * 4;
+      const b = a + w * 4;
+      out.set(data0.subarray(a, b), o);
+      out.set(data1.subarray(a, b), o + w * 4);
+      o += w * 8;
+    }
+    return out;
+  }
+
+  function restore(rect, values) {
+    const w = rect.x1 - rect.x0 + 1;
+    let o = 0;
+    for (let y = rect.y0; y <= rect.y1; y++) {
+      const a = (y * res + rect.x0) * 4;
+      data0.set(values.subarray(o, o + w * 4), a);
+      data1.set(values.subarray(o + w * 4, o + w * 8), a);
+      o += w * 8;
+    }
+    splatTex0.needsUpdate = true;
+    splatTex1.needsUpdate = true;
+    scheduleSave();
+  }
+
+  function clear() {
+    data0.fill(0);
+    data1.fill(0);
+    splatTex0.needsUpdate = true;
+    splatTex1.needsUpdate = true;
+    scheduleSave();
+  }
+
+  // ── PERSISTENCE ──
+  let saveTimer = null;
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, 500);
+  }
+
+  function save() {
+    let x0 = res,
+      y0 = res,
+      x1 = -1,
+      y1 = -1;
+    for (let y = 0; y < res; y++)
+      for (let x = 0; x < res; x++) {
+        const i = (y * res + x) * 4;
+        if (
+          data0[i] | data0[i + 1] | data0[i + 2] | data0[i + 3] |
+          data1[i] | data1[i + 1] | data1[i + 2] | data1[i + 3]
+        ) {
+          if (x < x0) x0 = x;
+          if (x > x1) x1 = x;
+          if (y < y0) y0 = y;
+          if (y > y1) y1 = y;
+        }
+      }
+    try {
+      if (x1 < 0) {
+        localStorage.removeItem(STORAGE_KEY);
+        return;
+      }
+      const rect = { x0, y0, x1, y1 };
+      const bytes = snapshot(rect);
+      let bin = "";
+      for (let i = 0; i < bytes.length; i += 0x8000)
+        bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ version: 1, res, size: TERRAIN_SIZE, rect, data: btoa(bin) }),
+      );
+    } catch (e) {
+      console.warn("Terrain splat: could not save splat map", e);
+    }
+  }
+
+  function load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    } catch (e) {
+      console.warn("Terrain splat: ignoring unreadable saved splat map", e);
+    }
+    if (!saved) return;
+    if (saved.version !== 1 || saved.res !== res || saved.size !== TERRAIN_SIZE) {
+      console.warn("Terrain splat: saved splat map does not match this terrain; ignored");
+      return;
+    }
+    const bin = atob(saved.data);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    restore(saved.rect, bytes);
+    clearTimeout(saveTimer);
+  }
+  load();
+
+  return {
+    splatTex0,
+    splatTex1,
+    uSplatSize,
+    res,
+    circleRect,
+    paintCircle,
+    snapshot,
+    restore,
+    clear,
+  };
+}
@@ -1,6 +1,19 @@
 /**
  * Terrain: heightmap, trail texture, terrain mesh + TSL material.
- * Exports createTerrain(scene, PARAMS, options) → { terrain, heightTex, trailTex, sampleHeight, updateTrail, regenTerrain, syncTerrainUniforms }.
+ * Exports createTerrain(scene, PARAMS, options) → { terrain, heightTex, trailTex, sampleHeight, updateTrail, regenTerrain, syncTerrainUniforms, updateStreaming, attachPhysics, uTerrainOrigin, chunks, setHeightmap, getHeightmap,
+ *   getSculptLayer, refreshRegion, commitEdits, getRivers, getHeightSnapshot }.
+ * Also exports terrainHeightAt(wx, wz, PARAMS) — the procedural height used by the heightmap and streamed chunks.
+ * heightTex covers a TERRAIN_SIZE window centred on uTerrainOrigin; with PARAMS.terrainStreaming the window
+ * recentres on the player and terrain-chunks.js fills the world beyond it.
+ * Rapier ground (attachPhysics): heightfield colliders for the CHUNK_SIZE tiles around the player only, sampled from
+ * sampleHeight; they are anchored to the world, so recentring the window leaves them alone.
+ * setHeightmap(record) replaces the procedural source with an imported heightmap (see heightmap-io.js).
+ * A sculpt delta layer (TERRAIN_RES² metres, centred on world 0,0) is added on top of either source;
+ * terrain-sculpt.js edits it, then calls refreshRegion (heightTex + mesh rows) and commitEdits (normals + Rapier).
+ * options.splat (terrain-splat.js) adds painted grass/dirt/rock/sand/snow/path layers over the procedural colour.
+ * PARAMS.rivers (rivers.js) are carved into either source before the sculpt delta; getRivers() feeds the river water.
+ * options.pool (worker-pool.js) moves regenTerrain(), window recentres and streamed tiles off the main thread (a
+ * recentre swaps the window in once its job is done); the first build stays synchronous.
  */
 import * as THREE from "three";
 import {
@@ -23,8 +36,20 @@ import {
   modelWorldMatrix,
   cameraPosition,
   normalLocal,
+  positionWorld,
+  clamp,
+  dot,
+  div,
 } from "three/tsl";
 import { noise12 } from "./tsl-utils.js";
+import { createTerrainChunks } from "./terrain-chunks.js";
+import { sampleHeightmapRecord } from "./heightmap-io.js";
+import { terrainHeightAt, sampleDeltaLayer } from "./terrain-height.js";
+import { riverDefsFromParams, buildRivers, carveRivers } from "./rivers.js";
+import { isJobCancelled } from "./worker-pool.js";
+import { sampleSplat } from "./terrain-splat.js";
+
+export { terrainHeightAt };
 
 const PI = Math.PI;
 
@@ -34,60 +59,10 @@ function srgbToLinear(hex) {
   return c;
 }
 
-function cpuHash(x, y) {
-  const n = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
-  return n - Math.floor(n);
-}
-
-function cpuNoise(x, y) {
-  const ix = Math.floor(x),
-    iy = Math.floor(y),
-    fx = x - ix,
-    fy = y - iy;
-  const ux = fx * fx * (3 - 2 * fx),
-    uy = fy * fy * (3 - 2 * fy);
-  const a = cpuHash(ix, iy),
-    b = cpuHash(ix + 1, iy),
-    c = cpuHash(ix, iy + 1),
-    d = cpuHash(ix + 1, iy + 1);
-  return a + (b - a) * ux + (c - a) * uy + (a - b - c + d) * ux * uy;
-}
-
-function fbmNoise(x, y, octaves) {
-  let val = 0,
-    amp = 1,
-    freq = 1,
-    total = 0;
-  for (let i = 0; i < octaves; i++) {
-    val += cpuNoise(x * freq, y * freq) * amp;
-    total += amp;
-    amp *= 0.5;
-    freq *= 2;
-  }
-  return val / total;
-}
-
-function ridgedFbm(x, y, octaves) {
-  let val = 0,
-    amp = 1,
-    freq = 1,
-    total = 0;
-  for (let i = 0; i < octaves; i++) {
-    let n = cpuNoise(x * freq, y * freq);
-    n = 1 - Math.abs(n);
-    n = n * n;
-    val += n * amp;
-    total += amp;
-    amp *= 0.5;
-    freq *= 2;
-  }
-  return val / total;
-}
-
 /**
  * @param {THREE.Scene} scene
  * @param {object} PARAMS
- * @param {{ TERRAIN_SIZE: number, TERRAIN_RES: number, TERRAIN_HEIGHT: number, TRAIL_RES: number, TRAIL_SIZE: number }} options
+ * @param {{ TERRAIN_SIZE: number, TERRAIN_RES: number, TERRAIN_HEIGHT: number, TRAIL_RES: number, TRAIL_SIZE: number, CHUNK_SIZE?: number, CHUNK_RES?: number, uTerrainOrigin?: object, splat?: { splatTex0: THREE.Texture, splatTex1: THREE.Texture, uSplatSize: object }, pool?: object, onRegenProgress?: (fraction: number) => void }} options
  */
 export function createTerrain(scene, PARAMS, options) {
   const {
@@ -96,7 +71,12 @@ export function createTerrain(scene, PARAMS, options) {
     TERRAIN_HEIGHT,
     TRAIL_RES,
     TRAIL_SIZE,
+    CHUNK_SIZE = 100,
+    CHUNK_RES = 65,
   } = options;
+  // World XZ of the heightmap window centre (vec2: x → X, y → Z). Shaders sampling heightTex subtract it.
+  const uTerrainOrigin = options.uTerrainOrigin ?? uniform(new THREE.Vector2());
+  const halfSize = TERRAIN_SIZE * 0.5;
 
   const heightData = new Float32Array(TERRAIN_RES * TERRAIN_RES * 4);
   const heightTex = new THREE.DataTexture(
@@ -110,42 +90,46 @@ export function createTerrain(scene, PARAMS, options) {
   heightTex.magFilter = THREE.LinearFilter;
   heightTex.minFilter = THREE.LinearFilter;
 
+  // Imported heightmap record ({ width, height, heights, worldSize }) or null for procedural terrain.
+  let importedHeightmap = null;
+  // Sculpt delta layer, same texel layout as heightTex at origin (0, 0). Zero outside its extent.
+  const sculptLayer = {
+    data: new Float32Array(TERRAIN_RES * TERRAIN_RES),
+    res: TERRAIN_RES,
+    size: TERRAIN_SIZE,
+  };
+  const sampleSculptDelta = (wx, wz) => sampleDeltaLayer(sculptLayer, wx, wz);
+  function baseHeightAt(wx, wz) {
+    return importedHeightmap
+      ? sampleHeightmapRecord(importedHeightmap, wx, wz)
+      : terrainHeightAt(wx, wz, PARAMS);
+  }
+
+  // ── RIVERS ──
+  // Rebuilt from PARAMS on every regen; the lake level matches the stylized water (lake floor + offset).
+  let rivers = [];
+  function rebuildRivers() {
+    const lakeLevel =
+      baseHeightAt(PARAMS.lakeCenterX, PARAMS.lakeCenterZ) +
+      (PARAMS.waterHeightOffset ?? 2);
+    rivers = buildRivers(riverDefsFromParams(PARAMS), baseHeightAt, lakeLevel);
+  }
+  rebuildRivers();
+
+  function sourceHeightAt(wx, wz) {
+    let h = baseHeightAt(wx, wz);
+    if (rivers.length > 0) h = carveRivers(h, wx, wz, rivers);
+    return h + sampleSculptDelta(wx, wz);
+  }
+
   function generateHeightmap() {
-    const mx = PARAMS.mountainStrength;
-    const flat = PARAMS.fieldFlatten;
-    const lx = PARAMS.lakeCenterX;
-    const lz = PARAMS.lakeCenterZ;
-    const lr = PARAMS.lakeRadius;
-    const ld = PARAMS.lakeDepth;
-    const H = PARAMS.terrainHeight;
+    const ox = uTerrainOrigin.value.x;
+    const oz = uTerrainOrigin.value.y;
     for (let y = 0; y < TERRAIN_RES; y++) {
       for (let x = 0; x < TERRAIN_RES; x++) {
-        const wx = (x / TERRAIN_RES - 0.5) * TERRAIN_SIZE;
-        const wz = (y / TERRAIN_RES - 0.5) * TERRAIN_SIZE;
-        const nx = wx * 0.008,
-          nz = wz * 0.008;
-        const nxL = wx * 0.002,
-          nzL = wz * 0.002;
-        const roll = fbmNoise(nx, nz, 6);
-        const ridge = ridgedFbm(nx * 0.9, nz * 0.9, 5);
-        const mountainMask = Math.max(0, fbmNoise(nxL, nzL, 4) - 0.35);
-        const mountainMaskSmooth =
-          mountainMask * mountainMask * (3 - 2 * mountainMask);
-        let h =
-          roll * (1 - mountainMaskSmooth * mx) +
-          (roll * 0.25 + ridge * 1.1) * mountainMaskSmooth * mx;
-        if (flat > 0 && mountainMaskSmooth < 0.5) {
-          const f = 1 - flat * (1 - mountainMaskSmooth * 2);
-          h *= 0.3 + 0.7 * f;
-        }
-        h *= H;
-        const dx = wx - lx,
-          dz = wz - lz;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-        const lakeFalloff = Math.max(0, 1 - dist / lr);
-        const lakeSmooth =
-          lakeFalloff * lakeFalloff * (3 - 2 * lakeFalloff);
-        h -= ld * lakeSmooth;
+        const wx = ox + (x / TERRAIN_RES - 0.5) * TERRAIN_SIZE;
+        const wz = oz + (y / TERRAIN_RES - 0.5) * TERRAIN_SIZE;
+        const h = sourceHeightAt(wx, wz);
         const idx = (y * TERRAIN_RES + x) * 4;
         heightData[idx] = h;
         heightData[idx + 1] = h;
@@ -158,8 +142,15 @@ export function createTerrain(scene, PARAMS, options) {
   generateHeightmap();
 
   function sampleHeight(wx, wz) {
-    const u = (wx / TERRAIN_SIZE + 0.5) * TERRAIN_RES;
-    const v = (wz / TERRAIN_SIZE + 0.5) * TERRAIN_RES;
+    const lx = wx - uTerrainOrigin.value.x;
+    const lz = wz - uTerrainOrigin.value.y;
+    if (
+      PARAMS.terrainStreaming &&
+      (Math.abs(lx) > halfSize || Math.abs(lz) > halfSize)
+    )
+      return chunks.sampleHeight(wx, wz);
+    const u = (lx / TERRAIN_SIZE + 0.5) * TERRAIN_RES;
+    const v = (lz / TERRAIN_SIZE + 0.5) * TERRAIN_RES;
     const ix = Math.max(0, Math.min(TERRAIN_RES - 2, Math.floor(u)));
     const iy = Math.max(0, Math.min(TERRAIN_RES - 2, Math.floor(v)));
     const fx = u - ix,
@@ -299,6 +290,28 @@ export function createTerrain(scene, PARAMS, options) {
   const uGrassSlopeMin = uniform(PARAMS.grassSlopeMin);
   const uGrassSlopeMax = uniform(PARAMS.grassSlopeMax);
   const uGrassAmount = uniform(PARAMS.grassAmount);
+  const uSplatRock = uniform(srgbToLinear(PARAMS.splatRockColor ?? "#7b7b80"));
+  const uSplatSand = uniform(srgbToLinear(PARAMS.splatSandColor ?? "#c9b68a"));
+  const uSplatSnow = uniform(srgbToLinear(PARAMS.splatSnowColor ?? "#eef2f7"));
+  const uSplatPath = uniform(srgbToLinear(PARAMS.splatPathColor ?? "#9c8260"));
+
+  // Splat weights (world-space, fixed around 0,0; zero where the window has moved past the map).
+  // splatTotal = how much painting overrides the procedural look.
+  const splat = options.splat ?? null;
+  let splatW0 = null,
+    splatW1 = null,
+    splatSum = null,
+    splatTotal = null;
+  if (splat) {
+    [splatW0, splatW1] = sampleSplat(
+      splat.splatTex0,
+      splat.splatTex1,
+      splat.uSplatSize,
+      positionWorld.xz,
+    );
+    splatSum = add(splatW0.r, splatW0.g, splatW0.b, splatW0.a, splatW1.r, splatW1.g);
+    splatTotal = clamp(splatSum, 0, 1);
+  }
 
   const terrainGeo = new THREE.PlaneGeometry(
     TERRAIN_SIZE,
@@ -307,13 +320,27 @@ export function createTerrain(scene, PARAMS, options) {
     TERRAIN_RES - 1,
   );
   terrainGeo.rotateX(-PI / 2);
-  const posArr = terrainGeo.attributes.position.array;
-  for (let i = 0; i < posArr.length; i += 3) {
-    const wx = posArr[i],
-      wz = posArr[i + 2];
-    posArr[i + 1] = sampleHeight(wx, wz);
+
+  // Vertex XZ stays local to the mesh (mesh.position = origin); heights and UVs follow world space
+  // so texture tiling stays continuous across recentres and with the streamed chunks.
+  function rebuildTerrainGeometry() {
+    const ox = uTerrainOrigin.value.x;
+    const oz = uTerrainOrigin.value.y;
+    const pa = terrainGeo.attributes.position.array;
+    const ua = terrainGeo.attributes.uv.array;
+    for (let i = 0, j = 0; i < pa.length; i += 3, j += 2) {
+      const wx = pa[i] + ox,
+        wz = pa[i + 2] + oz;
+      pa[i + 1] = sampleHeight(wx, wz);
+      ua[j] = wx / TERRAIN_SIZE + 0.5;
+      ua[j + 1] = 0.5 - wz / TERRAIN_SIZE;
+    }
+    terrainGeo.attributes.position.needsUpdate = true;
+    terrainGeo.attributes.uv.needsUpdate = true;
+    terrainGeo.computeVertexNormals();
+    terrainGeo.computeBoundingSphere();
   }
-  terrainGeo.computeVertexNormals();
+  rebuildTerrainGeometry();
 
   const terrainMat = new THREE.MeshStandardNodeMaterial({
     roughness: 1,
@@ -353,7 +380,18 @@ export function createTerrain(scene, PARAMS, options) {
     const farPatchLight = add(0.7, mul(macro1, 0.15));
     const farPatchTint = mix(farGrassBase, vec3(0.12, 0.3, 0.1), mul(macro2, 0.12));
     const farColor = mul(farPatchTint, farPatchLight);
-    return mix(nearColor, farColor, farMix);
+    const proceduralColor = mix(nearColor, farColor, farMix);
+    if (!splat) return proceduralColor;
+    const groundLum = dot(groundCol, vec3(0.299, 0.587, 0.114)).mul(2.0);
+    const painted = add(
+      mul(mix(mul(grassCol, macroLightness), farColor, farMix), splatW0.r),
+      mul(mix(groundCol, uGroundDirt, 0.5), splatW0.g),
+      mul(uSplatRock, groundLum, splatW0.b),
+      mul(uSplatSand, groundLum, splatW0.a),
+      mul(uSplatSnow, splatW1.r),
+      mul(uSplatPath, groundLum, splatW1.g),
+    );
+    return mix(proceduralColor, div(painted, max(splatSum, 1e-4)), splatTotal);
   })();
   const grassNorm = texture(grassNormalTex, tiledUV);
   const groundNorm = texture(groundNormalTex, tiledUV);
@@ -361,10 +399,16 @@ export function createTerrain(scene, PARAMS, options) {
   const groundRough = texture(groundRoughTex, tiledUV).r;
   const grassAO = texture(grassAOTex, tiledUV);
   const groundAO = texture(groundAOTex, tiledUV);
-  const terrainGrassFactor = mul(
+  let terrainGrassFactor = mul(
     smoothstep(uGrassSlopeMin, uGrassSlopeMax, normalLocal.y),
     uGrassAmount,
   );
+  if (splat)
+    terrainGrassFactor = clamp(
+      add(mul(terrainGrassFactor, sub(1, splatTotal)), splatW0.r),
+      0,
+      1,
+    );
   terrainMat.normalNode = normalMap(
     mix(groundNorm, grassNorm, terrainGrassFactor),
   );
@@ -381,15 +425,398 @@ export function createTerrain(scene, PARAMS, options) {
 
   const terrain = new THREE.Mesh(terrainGeo, terrainMat);
   terrain.receiveShadow = true;
+  terrain.position.set(uTerrainOrigin.value.x, 0, uTerrainOrigin.value.y);
   scene.add(terrain);
 
-  function regenTerrain() {
-    generateHeightmap();
+  // ── STREAMING ──
+  // Tile heights for the procedural source come from the pool (an imported record is too big to post per tile).
+  const chunkCell = CHUNK_SIZE / (CHUNK_RES - 1);
+  function requestChunkHeights(cx, cz) {
+    if (!options.pool || importedHeightmap) return null;
+    const size = CHUNK_RES * chunkCell;
+    const x0 = cx * CHUNK_SIZE;
+    const z0 = cz * CHUNK_SIZE;
+    const sculpted =
+      Math.abs(x0 + CHUNK_SIZE / 2) < halfSize + CHUNK_SIZE / 2 &&
+      Math.abs(z0 + CHUNK_SIZE / 2) < halfSize + CHUNK_SIZE / 2;
+    return options.pool
+      .run("heightmap", {
+        params: PARAMS,
+        record: null,
+        res: CHUNK_RES,
+        size,
+        originX: x0 + size / 2,
+        originZ: z0 + size / 2,
+        delta: sculpted ? sculptLayer : null,
+      })
+      .promise.then((r) => r.heights);
+  }
+
+  const chunks = createTerrainChunks(scene, PARAMS, {
+    material: terrainMat,
+    heightAt: sourceHeightAt,
+    TERRAIN_SIZE,
+    CHUNK_SIZE,
+    CHUNK_RES,
+    getWindow: () => ({
+      x: uTerrainOrigin.value.x,
+      z: uTerrainOrigin.value.y,
+      half: halfSize,
+    }),
+    requestHeights: requestChunkHeights,
+  });
+
+  // Off-thread recentre target (null when none is running); the window stays where it is until it lands.
+  let recenterTo = null;
+  function recenter(x, z) {
+    if (!options.pool) {
+      uTerrainOrigin.value.set(x, z);
+      terrain.position.set(x, 0, z);
+      generateHeightmap();
+      rebuildTerrainGeometry();
+      return;
+    }
+    if (recenterTo && recenterTo.x === x && recenterTo.z === z) return;
+    recenterTo = { x, z };
+    // Shares regenTerrain()'s key: the newest window build wins, and it already uses current PARAMS.
+    buildWindow(x, z, false);
+  }
+
+  /** Per-frame: recentre the heightmap window when the player strays from it; stream chunks and ground tiles around them. */
+  function updateStreaming(px, pz) {
+    const o = recenterTo ?? {
+      x: uTerrainOrigin.value.x,
+      z: uTerrainOrigin.value.y,
+    };
+    if (PARAMS.terrainStreaming) {
+      // Snap to the chunk grid so the window edges line up with chunk edges.
+      if (
+        Math.abs(px - o.x) > TERRAIN_SIZE * 0.25 ||
+        Math.abs(pz - o.z) > TERRAIN_SIZE * 0.25
+      )
+        recenter(
+          Math.round(px / CHUNK_SIZE) * CHUNK_SIZE,
+          Math.round(pz / CHUNK_SIZE) * CHUNK_SIZE,
+        );
+    } else if (o.x !== 0 || o.z !== 0) {
+      recenter(0, 0);
+    }
+    chunks.update(px, pz);
+    updateGroundColliders(px, pz);
+  }
+
+  // ── PHYSICS ──
+  // Heightfield colliders for the tiles within GROUND_RING of the player's tile (CHUNK_SIZE grid, CHUNK_RES samples
+  // per edge — texel-exact inside the window, whose origin sits on the same grid). Everything else is out of reach.
+  const GROUND_RING = 1;
+  let physicsRapier = null;
+  let physicsWorldRef = null;
+  const groundTiles = new Map(); // "cx,cz" → rigid body
+  let groundCentre = null; // player's tile at the last update, null = rebuild
+
+  function addGroundTile(cx, cz) {
+    const R = CHUNK_RES;
+    const x0 = cx * CHUNK_SIZE;
+    const z0 = cz * CHUNK_SIZE;
+    // Rapier heightfields are column-major (rows along Z, columns along X) and centred on the body.
+    const colMajor = new Float32Array(R * R);
+    for (let col = 0; col < R; col++)
+      for (let row = 0; row < R; row++)
+        colMajor[row + col * R] = sampleHeight(
+          x0 + col * chunkCell,
+          z0 + row * chunkCell,
+        );
+    const body = physicsWorldRef.createRigidBody(
+      physicsRapier.RigidBodyDesc.fixed().setTranslation(
+        x0 + CHUNK_SIZE / 2,
+        0,
+        z0 + CHUNK_SIZE / 2,
+      ),
+    );
+    physicsWorldRef.createCollider(
+      physicsRapier.ColliderDesc.heightfield(R - 1, R - 1, colMajor, {
+        x: CHUNK_SIZE,
+        y: 1,
+        z: CHUNK_SIZE,
+      }),
+      body,
+    );
+    groundTiles.set(`${cx},${cz}`, body);
+  }
+
+  function updateGroundColliders(px, pz) {
+    if (!physicsWorldRef) return;
+    const pcx = Math.floor(px / CHUNK_SIZE);
+    const pcz = Math.floor(pz / CHUNK_SIZE);
+    if (groundCentre && groundCentre.x === pcx && groundCentre.z === pcz)
+      return;
+    groundCentre = { x: pcx, z: pcz };
+    for (const [key, body] of groundTiles) {
+      const [cx, cz] = key.split(",").map(Number);
+      if (Math.max(Math.abs(cx - pcx), Math.abs(cz - pcz)) <= GROUND_RING)
+        continue;
+      physicsWorldRef.removeRigidBody(body);
+      groundTiles.delete(key);
+    }
+    for (let dz = -GROUND_RING; dz <= GROUND_RING; dz++)
+      for (let dx = -GROUND_RING; dx <= GROUND_RING; dx++)
+        if (!groundTiles.has(`${pcx + dx},${pcz + dz}`))
+          addGroundTile(pcx + dx, pcz + dz);
+  }
+
+  /** Heights changed: rebuild the ground colliders in place. */
+  function rebuildGroundColliders() {
+    if (!physicsWorldRef) return;
+    for (const body of groundTiles.values())
+      physicsWorldRef.removeRigidBody(body);
+    groundTiles.clear();
+    const centre = groundCentre ?? {
+      x: Math.floor(uTerrainOrigin.value.x / CHUNK_SIZE),
+      z: Math.floor(uTerrainOrigin.value.y / CHUNK_SIZE),
+    };
+    groundCentre = null;
+    updateGroundColliders(
+      (centre.x + 0.5) * CHUNK_SIZE,
+      (centre.z + 0.5) * CHUNK_SIZE,
+    );
+  }
+
+  function attachPhysics(RAPIER, physicsWorld) {
+    physicsRapier = RAPIER;
+    physicsWorldRef = physicsWorld;
+    rebuildGroundColliders();
+  }
+
+  // ── REGEN ──
+  // With options.pool (worker-pool.js) the window is built off the main thread, sculpt layer, mesh heights and
+  // normals included. A regen in place fills heightTex in band by band; a recentre swaps everything in at the end.
+  // A newer build cancels the running one.
+  let windowJob = null;
+  let groundStale = false; // heights changed since the ground colliders were built
+  function writeHeightBand(offset, band) {
+    for (let i = 0; i < band.length; i++) {
+      const n = (offset + i) * 4;
+      heightData[n] = heightData[n + 1] = heightData[n + 2] = band[i];
+    }
+    heightTex.needsUpdate = true;
+  }
+
+  // The finished window at (ox, oz): heights, then mesh heights, world UVs and normals as computed in the worker.
+  function applyWindow(ox, oz, { heights, vertexHeights, normals }) {
+    uTerrainOrigin.value.set(ox, oz);
+    terrain.position.set(ox, 0, oz);
+    writeHeightBand(0, heights);
     const pa = terrainGeo.attributes.position.array;
-    for (let i = 0; i < pa.length; i += 3)
-      pa[i + 1] = sampleHeight(pa[i], pa[i + 2]);
-    terrainGeo.attributes.position.needsUpdate = true;
+    const ua = terrainGeo.attributes.uv.array;
+    for (let v = 0; v < vertexHeights.length; v++) {
+      const wx = pa[v * 3] + ox,
+        wz = pa[v * 3 + 2] + oz;
+      pa[v * 3 + 1] = vertexHeights[v];
+      ua[v * 2] = wx / TERRAIN_SIZE + 0.5;
+      ua[v * 2 + 1] = 0.5 - wz / TERRAIN_SIZE;
+    }
+    terrainGeo.attributes.normal.array.set(normals);
+    for (const name of ["position", "uv", "normal"]) {
+      const attr = terrainGeo.attributes[name];
+      attr.clearUpdateRanges();
+      attr.needsUpdate = true;
+    }
+    terrainGeo.computeBoundingSphere();
+  }
+
+  function buildWindow(ox, oz, inPlace) {
+    const job = options.pool.run(
+      "heightmap",
+      {
+        params: PARAMS,
+        record: importedHeightmap,
+        res: TERRAIN_RES,
+        size: TERRAIN_SIZE,
+        originX: ox,
+        originZ: oz,
+        delta: sculptLayer,
+        mesh: true,
+      },
+      {
+        key: "terrain-heightmap",
+        onProgress: inPlace ? options.onRegenProgress : undefined,
+        onPartial: ({ offset, data }) => {
+          if (inPlace && windowJob === job) writeHeightBand(offset, data);
+        },
+      },
+    );
+    windowJob = job;
+    job.promise.then(
+      (result) => {
+        if (windowJob !== job) return;
+        windowJob = null;
+        recenterTo = null;
+        applyWindow(ox, oz, result);
+        if (groundStale) {
+          groundStale = false;
+          rebuildGroundColliders();
+        }
+      },
+      (e) => {
+        if (windowJob === job) {
+          windowJob = null;
+          recenterTo = null;
+        }
+        if (!isJobCancelled(e)) console.warn("Terrain regen failed:", e);
+      },
+    );
+  }
+
+  function regenTerrain() {
+    chunks.clear();
+    rebuildRivers();
+    if (!options.pool) {
+      generateHeightmap();
+      rebuildTerrainGeometry();
+      rebuildGroundColliders();
+      return;
+    }
+    // A recentre on its way becomes this regen (same window, new heights); otherwise it is rebuilt in place.
+    groundStale = true;
+    if (recenterTo) buildWindow(recenterTo.x, recenterTo.z, false);
+    else buildWindow(uTerrainOrigin.value.x, uTerrainOrigin.value.y, true);
+  }
+
+  // ── SCULPT ──
+  /** Delta layer edited by terrain-sculpt.js: { data, res, size } (texel (x, y) at world ((x/res - 0.5)·size, (y/res - 0.5)·size)). */
+  function getSculptLayer() {
+    return sculptLayer;
+  }
+
+  /**
+   * Re-evaluate heights inside a world-space rect after delta edits: heightTex texels, terrain mesh rows
+   * (partial attribute upload) and streamed chunks. Normals are finite differences; commitEdits() tidies up.
+   */
+  function refreshRegion(minX, minZ, maxX, maxZ) {
+    const ox = uTerrainOrigin.value.x;
+    const oz = uTerrainOrigin.value.y;
+    const R = TERRAIN_RES;
+    const toTexel = (w, o) => (w - o) / TERRAIN_SIZE * R + R * 0.5;
+    const tx0 = Math.max(0, Math.floor(toTexel(minX, ox)) - 1);
+    const tx1 = Math.min(R - 1, Math.ceil(toTexel(maxX, ox)) + 1);
+    const ty0 = Math.max(0, Math.floor(toTexel(minZ, oz)) - 1);
+    const ty1 = Math.min(R - 1, Math.ceil(toTexel(maxZ, oz)) + 1);
+    if (tx0 > tx1 || ty0 > ty1) return;
+    for (let y = ty0; y <= ty1; y++) {
+      for (let x = tx0; x <= tx1; x++) {
+        const h = sourceHeightAt(
+          ox + (x / R - 0.5) * TERRAIN_SIZE,
+          oz + (y / R - 0.5) * TERRAIN_SIZE,
+        );
+        const idx = (y * R + x) * 4;
+        heightData[idx] = heightData[idx + 1] = heightData[idx + 2] = h;
+      }
+    }
+    heightTex.needsUpdate = true;
+
+    // Mesh vertex (ix, iy) sits at local (ix·seg − half, iy·seg − half).
+    const seg = TERRAIN_SIZE / (R - 1);
+    const toVert = (w, o) => (w - o + halfSize) / seg;
+    const vx0 = Math.max(0, Math.floor(toVert(minX, ox)) - 1);
+    const vx1 = Math.min(R - 1, Math.ceil(toVert(maxX, ox)) + 1);
+    const vy0 = Math.max(0, Math.floor(toVert(minZ, oz)) - 1);
+    const vy1 = Math.min(R - 1, Math.ceil(toVert(maxZ, oz)) + 1);
+    const posAttr = terrainGeo.attributes.position;
+    const nrmAttr = terrainGeo.attributes.normal;
+    const pa = posAttr.array;
+    const na = nrmAttr.array;
+    for (let iy = vy0; iy <= vy1; iy++)
+      for (let ix = vx0; ix <= vx1; ix++) {
+        const i = (iy * R + ix) * 3;
+        pa[i + 1] = sampleHeight(pa[i] + ox, pa[i + 2] + oz);
+      }
+    const hAt = (ix, iy) =>
+      pa[(Math.max(0, Math.min(R - 1, iy)) * R + Math.max(0, Math.min(R - 1, ix))) * 3 + 1];
+    for (let iy = vy0; iy <= vy1; iy++)
+      for (let ix = vx0; ix <= vx1; ix++) {
+        const nx = hAt(ix - 1, iy) - hAt(ix + 1, iy);
+        const nz = hAt(ix, iy - 1) - hAt(ix, iy + 1);
+        const ny = 2 * seg;
+        const inv = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz);
+        const i = (iy * R + ix) * 3;
+        na[i] = nx * inv;
+        na[i + 1] = ny * inv;
+        na[i + 2] = nz * inv;
+      }
+    const start = vy0 * R * 3;
+    const count = (vy1 - vy0 + 1) * R * 3;
+    for (const attr of [posAttr, nrmAttr]) {
+      attr.clearUpdateRanges();
+      attr.addUpdateRange(start, count);
+      attr.needsUpdate = true;
+    }
+    chunks.invalidate(minX, minZ, maxX, maxZ);
+  }
+
+  /** After a sculpt stroke: full normals + bounds and fresh Rapier ground tiles. */
+  function commitEdits() {
+    const posAttr = terrainGeo.attributes.position;
+    const nrmAttr = terrainGeo.attributes.normal;
+    posAttr.clearUpdateRanges();
+    nrmAttr.clearUpdateRanges();
     terrainGeo.computeVertexNormals();
+    terrainGeo.computeBoundingSphere();
+    rebuildGroundColliders();
+    // A recentre on its way was built from the delta layer before this stroke
+    if (recenterTo) buildWindow(recenterTo.x, recenterTo.z, false);
+  }
+
+  /** Use an imported heightmap record (null → back to procedural). Feeds heightTex, sampleHeight and chunks. */
+  function setHeightmap(record) {
+    importedHeightmap = record;
+    regenTerrain();
+  }
+
+  function copyWindowHeights() {
+    const heights = new Float32Array(TERRAIN_RES * TERRAIN_RES);
+    for (let i = 0; i < heights.length; i++) heights[i] = heightData[i * 4];
+    return heights;
+  }
+
+  /**
+   * The TERRAIN_SIZE square centred on world (0, 0) as a record ({ width, height, heights, worldSize }) for export —
+   * where setHeightmap() puts it back. A window recentred elsewhere is re-sampled from the source.
+   */
+  function getHeightmap() {
+    const o = uTerrainOrigin.value;
+    let heights;
+    if (o.x === 0 && o.y === 0) heights = copyWindowHeights();
+    else {
+      heights = new Float32Array(TERRAIN_RES * TERRAIN_RES);
+      for (let y = 0; y < TERRAIN_RES; y++)
+        for (let x = 0; x < TERRAIN_RES; x++)
+          heights[y * TERRAIN_RES + x] = sourceHeightAt(
+            (x / TERRAIN_RES - 0.5) * TERRAIN_SIZE,
+            (y / TERRAIN_RES - 0.5) * TERRAIN_SIZE,
+          );
+    }
+    return {
+      width: TERRAIN_RES,
+      height: TERRAIN_RES,
+      heights,
+      worldSize: TERRAIN_SIZE,
+    };
+  }
+
+  /** Copy of the heightmap window for worker jobs (generation-jobs.js "placement"). */
+  function getHeightSnapshot() {
+    return {
+      heights: copyWindowHeights(),
+      res: TERRAIN_RES,
+      size: TERRAIN_SIZE,
+      originX: uTerrainOrigin.value.x,
+      originZ: uTerrainOrigin.value.y,
+    };
+  }
+
+  /** Current river set (rivers.js); a new array after every regen, so callers can compare by identity. */
+  function getRivers() {
+    return rivers;
   }
 
   function syncTerrainUniforms(PARAMS) {
@@ -400,6 +827,10 @@ export function createTerrain(scene, PARAMS, options) {
     uGrassSlopeMin.value = PARAMS.grassSlopeMin;
     uGrassSlopeMax.value = PARAMS.grassSlopeMax;
     uGrassAmount.value = PARAMS.grassAmount;
+    uSplatRock.value.copy(srgbToLinear(PARAMS.splatRockColor ?? "#7b7b80"));
+    uSplatSand.value.copy(srgbToLinear(PARAMS.splatSandColor ?? "#c9b68a"));
+    uSplatSnow.value.copy(srgbToLinear(PARAMS.splatSnowColor ?? "#eef2f7"));
+    uSplatPath.value.copy(srgbToLinear(PARAMS.splatPathColor ?? "#9c8260"));
   }
 
   return {
@@ -410,5 +841,16 @@ export function createTerrain(scene, PARAMS, options) {
     updateTrail,
     regenTerrain,
     syncTerrainUniforms,
+    updateStreaming,
+    attachPhysics,
+    uTerrainOrigin,
+    chunks,
+    setHeightmap,
+    getHeightmap,
+    getSculptLayer,
+    refreshRegion,
+    commitEdits,
+    getRivers,
+    getHeightSnapshot,
   };
 }
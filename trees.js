@@ -2,20 +2,24 @@
  * Trees: instanced pine from GLB, CPU frustum culling, respawn.
  * createTrees(scene, PARAMS, opts) → Promise<{ treesGroup, treeInstancedMeshes, state, respawnTrees, MAX_TREES, updateTreesCulling }>.
  * state = { treeCountActual }. index uses state.treeCountActual and treeInstancedMeshes[0].count for stats.
+ * With opts.pool + opts.getHeightSnapshot, respawnTrees() places off the main thread (worker-pool.js): trees
+ * appear batch by batch and a newer respawn cancels the running one.
  */
 import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
 import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
+import { isJobCancelled } from "./worker-pool.js";
+import { createRng } from "./rng.js";
 
 export function createTrees(scene, PARAMS, opts) {
   const {
     sampleHeight,
-    setSeed,
-    seededRandom,
     TERRAIN_SIZE,
     renderer,
     camera,
+    pool,
+    getHeightSnapshot,
   } = opts;
 
   const treesGroup = new THREE.Group();
@@ -41,19 +45,19 @@ export function createTrees(scene, PARAMS, opts) {
   function placeTrees(trunkMesh, leafMesh) {
     treeInstanceMatrices = new Float32Array(MAX_TREES * 16);
     treeCompactMatrices = new Float32Array(MAX_TREES * 16);
-    setSeed(42);
+    const rand = createRng("trees", PARAMS.worldSeed);
     let placed = 0;
     for (
       let attempts = 0;
       placed < MAX_TREES && attempts < MAX_TREES * 4;
       attempts++
     ) {
-      const tx = (seededRandom() * 2 - 1) * halfTerrain;
-      const tz = (seededRandom() * 2 - 1) * halfTerrain;
+      const tx = (rand() * 2 - 1) * halfTerrain;
+      const tz = (rand() * 2 - 1) * halfTerrain;
       if (Math.sqrt(tx * tx + tz * tz) < 20) continue;
       const ty = sampleHeight(tx, tz);
-      const scale = (0.85 + seededRandom() * 0.3) * PARAMS.treeScale;
-      const rotY = seededRandom() * Math.PI * 2;
+      const scale = (0.85 + rand() * 0.3) * PARAMS.treeScale;
+      const rotY = rand() * Math.PI * 2;
       treeMatrix
         .identity()
         .makeRotationY(rotY)
@@ -74,42 +78,80 @@ export function createTrees(scene, PARAMS, opts) {
     }
   }
 
+  function applyTreeCount(count) {
+    state.treeCountActual = count;
+    treeCompactMatrices.set(
+      treeInstanceMatrices.subarray(0, state.treeCountActual * 16),
+    );
+    for (const im of treeInstancedMeshes) {
+      im.instanceMatrix.array.set(
+        treeCompactMatrices.subarray(0, state.treeCountActual * 16),
+      );
+      im.count = state.treeCountActual;
+      im.instanceMatrix.needsUpdate = true;
+    }
+  }
+
   function respawnTrees() {
     if (!treeInstanceMatrices || treeInstancedMeshes.length === 0) return;
     const newCount = Math.min(
       Math.max(100, PARAMS.treeCount | 0),
       MAX_TREES,
     );
-    setSeed(42);
+    if (pool && getHeightSnapshot) {
+      const payload = {
+        ...getHeightSnapshot(),
+        stream: "trees",
+        worldSeed: PARAMS.worldSeed,
+        count: newCount,
+        maxAttempts: newCount * 4,
+        halfExtent: halfTerrain,
+        innerRadius: 20,
+        scaleMin: 0.85 * PARAMS.treeScale,
+        scaleRange: 0.3 * PARAMS.treeScale,
+      };
+      pool
+        .run("placement", payload, {
+          key: "trees",
+          transfer: [payload.heights.buffer],
+          onPartial: ({ offset, data }) => {
+            treeInstanceMatrices.set(data, offset);
+            applyTreeCount((offset + data.length) / 16);
+          },
+        })
+        .promise.then(
+          ({ matrices, count }) => {
+            treeInstanceMatrices.set(matrices);
+            applyTreeCount(count);
+          },
+          (e) => {
+            if (!isJobCancelled(e)) console.warn("Tree placement failed:", e);
+          },
+        );
+      return;
+    }
+    const rand = createRng("trees", PARAMS.worldSeed);
     let placed = 0;
     for (
       let attempts = 0;
       placed < newCount && attempts < newCount * 4;
       attempts++
     ) {
-      const tx = (seededRandom() * 2 - 1) * halfTerrain;
-      const tz = (seededRandom() * 2 - 1) * halfTerrain;
+      const tx = (rand() * 2 - 1) * halfTerrain;
+      const tz = (rand() * 2 - 1) * halfTerrain;
       if (Math.sqrt(tx * tx + tz * tz) < 20) continue;
       const ty = sampleHeight(tx, tz);
-      const scale = (0.85 + seededRandom() * 0.3) * PARAMS.treeScale;
-      const rotY = seededRandom() * Math.PI * 2;
+      const scale = (0.85 + rand() * 0.3) * PARAMS.treeScale;
+      const rotY = rand() * Math.PI * 2;
       treeMatrix
         .identity()
         .makeRotationY(rotY)
         .scale(new THREE.Vector3(scale, scale, scale))
         .setPosition(tx, ty, tz);
       treeMatrix.toArray(treeInstanceMatrices, placed * 16);
-      for (const im of treeInstancedMeshes) im.setMatrixAt(placed, treeMatrix);
       placed++;
     }
-    state.treeCountActual = placed;
-    treeCompactMatrices.set(
-      treeInstanceMatrices.subarray(0, state.treeCountActual * 16),
-    );
-    for (const im of treeInstancedMeshes) {
-      im.count = state.treeCountActual;
-      im.instanceMatrix.needsUpdate = true;
-    }
+    applyTreeCount(placed);
   }
 
   function updateTreesCulling(charPos, frustum) {
@@ -1,12 +1,183 @@
 /**
  * Tweakpane UI for Grass v8 — builds the full pane from PARAMS and ctx callbacks/refs.
- * Export: setupTweakpaneUI(pane, PARAMS, ctx) → { bNear, bLod1, bLod2 } (for refresh in animation).
+ * Export: setupTweakpaneUI(pane, PARAMS, ctx) → { bNear, bLod1, bLod2 } (for refresh in animation);
+ * addHeightmapBindings(folder, PARAMS, terrain), addSaveGameBindings(pane, saveSystem) and
+ * addHealthBindings(folder, PARAMS, health) for pages with their own pane.
  */
+import { encodeHeightmap, decodeHeightmap, downloadBlob } from "./heightmap-io.js";
+import {
+  captureWorldConfig,
+  applyWorldConfig,
+  decodeWorldConfig,
+  worldConfigUrl,
+  worldConfigToJSON,
+} from "./world-config.js";
+import { SAVE_SLOTS } from "./save-system.js";
+import { INPUT_ACTIONS } from "./input.js";
+
+/**
+ * "Save game" folder for a save-system.js instance: slot picker, filled-slot list, save / load / delete, new game.
+ * @param {object} pane - Tweakpane pane (refreshed after a load)
+ * @param {ReturnType<typeof import("./save-system.js").createSaveSystem>} saveSystem
+ */
+export function addSaveGameBindings(pane, saveSystem) {
+  const fSave = pane.addFolder({ title: "Save game", expanded: false });
+  const saveUi = { slot: "slot1", slots: "" };
+  const refreshSlots = async () => {
+    const filled = await saveSystem.list();
+    saveUi.slots =
+      SAVE_SLOTS.map((slot) => {
+        const r = filled.find((f) => f.slot === slot);
+        return `${slot}: ${r ? new Date(r.savedAt).toLocaleString() : "empty"}`;
+      }).join("\n");
+    slotsMonitor.refresh();
+  };
+  fSave.addBinding(saveUi, "slot", {
+    options: Object.fromEntries(SAVE_SLOTS.map((s) => [s, s])),
+    label: "slot",
+  });
+  const slotsMonitor = fSave.addBinding(saveUi, "slots", {
+    readonly: true,
+    multiline: true,
+    rows: SAVE_SLOTS.length,
+    label: "slots",
+  });
+  fSave.addButton({ title: "Save" }).on("click", async () => {
+    try {
+      await saveSystem.save(saveUi.slot);
+    } catch (e) {
+      console.error("Save failed:", e);
+    }
+    refreshSlots();
+  });
+  fSave.addButton({ title: "Load" }).on("click", async () => {
+    if (await saveSystem.load(saveUi.slot)) pane.refresh();
+    else console.warn("Save game: slot is empty:", saveUi.slot);
+  });
+  fSave.addButton({ title: "Delete slot" }).on("click", async () => {
+    await saveSystem.remove(saveUi.slot);
+    refreshSlots();
+  });
+  fSave.addButton({ title: "New game (clear autosave)" }).on("click", async () => {
+    saveSystem.pauseAutosave();
+    await saveSystem.remove("autosave");
+    location.reload();
+  });
+  refreshSlots();
+}
+
+/**
+ * Health controls (health.js): hearts, i-frames, fall / drown / fire damage, game-over delay; with a health
+ * instance also Heal and a test hit.
+ * @param {object} folder - Tweakpane folder to add them to
+ * @param {object} PARAMS
+ * @param {ReturnType<typeof import("./health.js").createHealth>} [health]
+ */
+export function addHealthBindings(folder, PARAMS, health) {
+  folder.addBinding(PARAMS, "healthEnabled", { label: "enabled" });
+  folder.addBinding(PARAMS, "healthHud", { label: "hearts HUD" });
+  for (const [key, label, min, max, step] of [
+    ["healthHearts", "hearts", 1, 30, 1],
+    ["healthPerHeart", "hp per heart", 1, 100, 1],
+    ["healthInvulnTime", "i-frames (s)", 0, 5, 0.1],
+    ["fallDamageMinSpeed", "fall damage from m/s", 0, 40, 0.5],
+    ["fallDamagePerSpeed", "fall damage per m/s", 0, 100, 1],
+    ["drownDamage", "drown damage", 0, 200, 1],
+    ["fireDamage", "fire damage / tick", 0, 100, 1],
+    ["fireTickInterval", "fire tick (s)", 0.1, 5, 0.1],
+    ["fireBurnTime", "burn time (s)", 0, 10, 0.1],
+    ["respawnDelay", "game over after (s)", 0, 10, 0.1],
+  ])
+    folder.addBinding(PARAMS, key, { min, max, step, label });
+  if (health) {
+    folder.addButton({ title: "Heal" }).on("click", () => health.heal(health.max));
+    folder.addButton({ title: "Take a hit (test)" }).on("click", () =>
+      health.damage(PARAMS.healthPerHeart ?? 20, "enemy"),
+    );
+  }
+}
+
+/**
+ * Heightmap import/export controls (heightmap-io.js) for any terrain with getHeightmap / setHeightmap
+ * (terrain.js, zelda-terrain.js): format, RAW scale / offset, import world size, export, import, back to procedural.
+ * @param {object} folder - Tweakpane folder to add them to
+ * @param {object} PARAMS
+ * @param {{ getHeightmap: () => object, setHeightmap: (record: object | null) => void }} terrain
+ */
+export function addHeightmapBindings(
+  folder,
+  PARAMS,
+  { getHeightmap, setHeightmap },
+) {
+  folder.addBinding(PARAMS, "heightmapFormat", {
+    options: { "PNG 16-bit": "png", "RAW 16-bit (LE)": "raw" },
+    label: "heightmap format",
+  });
+  folder.addBinding(PARAMS, "heightmapVerticalScale", {
+    min: 1,
+    max: 1000,
+    step: 1,
+    label: "RAW vertical scale",
+  });
+  folder.addBinding(PARAMS, "heightmapOffset", {
+    min: -200,
+    max: 200,
+    step: 1,
+    label: "RAW height offset",
+  });
+  folder.addBinding(PARAMS, "heightmapWorldSize", {
+    min: 100,
+    max: 4000,
+    step: 50,
+    label: "import world size",
+  });
+  folder.addButton({ title: "Export heightmap" }).on("click", async () => {
+    const format = PARAMS.heightmapFormat;
+    try {
+      const blob = await encodeHeightmap(getHeightmap(), format, {
+        verticalScale: PARAMS.heightmapVerticalScale,
+        heightOffset: PARAMS.heightmapOffset,
+      });
+      downloadBlob(blob, format === "raw" ? "heightmap.r16" : "heightmap.png");
+    } catch (e) {
+      console.error("Heightmap export failed:", e);
+    }
+  });
+  const heightmapFileInput = document.createElement("input");
+  heightmapFileInput.type = "file";
+  heightmapFileInput.accept = ".png,.raw,.r16";
+  heightmapFileInput.style.display = "none";
+  document.body.appendChild(heightmapFileInput);
+  heightmapFileInput.addEventListener("change", async () => {
+    const file = heightmapFileInput.files?.[0];
+    heightmapFileInput.value = "";
+    if (!file) return;
+    const format = /\.png$/i.test(file.name) ? "png" : "raw";
+    try {
+      const record = await decodeHeightmap(await file.arrayBuffer(), format, {
+        verticalScale: PARAMS.heightmapVerticalScale,
+        heightOffset: PARAMS.heightmapOffset,
+        worldSize: PARAMS.heightmapWorldSize,
+      });
+      setHeightmap(record);
+    } catch (e) {
+      console.error("Heightmap import failed:", e);
+    }
+  });
+  folder
+    .addButton({ title: "Import heightmap…" })
+    .on("click", () => heightmapFileInput.click());
+  folder
+    .addButton({ title: "Back to procedural" })
+    .on("click", () => setHeightmap(null));
+}
+
 export function setupTweakpaneUI(pane, PARAMS, ctx) {
   const {
     setNpcVisibility,
     setDeerVisibility,
     water,
+    river,
     bakeEnvMap,
     scatterMeshes,
     updateScatterPlacement,
@@ -20,6 +191,15 @@ export function setupTweakpaneUI(pane, PARAMS, ctx) {
     MAX_TREES,
     applyVolumetricHaze = () => {},
     hazeUniforms = {},
+    getHeightmap,
+    setHeightmap,
+    sculpt,
+    splat,
+    syncTerrainUniforms,
+    saveSystem,
+    input,
+    stamina,
+    health,
   } = ctx;
 
   const fShape = pane.addFolder({
@@ -307,6 +487,45 @@ export function setupTweakpaneUI(pane, PARAMS, ctx) {
     step: 0.5,
     label: "roll dash",
   });
+  fPlayer.addBinding(PARAMS, "rootMotionRoll", { label: "roll root motion" });
+  fPlayer.addBinding(PARAMS, "rootMotionRollDistance", {
+    min: 0,
+    max: 10,
+    step: 0.5,
+    label: "roll distance (0 = clip)",
+  });
+  fPlayer.addBinding(PARAMS, "rootMotionAttack", {
+    label: "swing root motion",
+  });
+  fPlayer.addBinding(PARAMS, "rootMotionAttackDistance", {
+    min: 0,
+    max: 4,
+    step: 0.1,
+    label: "swing step (0 = clip)",
+  });
+  fPlayer.addBinding(PARAMS, "rootMotionClimb", {
+    label: "climb-up root motion",
+  });
+  fPlayer.addBinding(PARAMS, "footIkEnabled", { label: "foot IK" });
+  fPlayer.addBinding(PARAMS, "footIkMaxDrop", {
+    min: 0,
+    max: 1,
+    step: 0.05,
+    label: "foot IK hip drop",
+  });
+  fPlayer.addBinding(PARAMS, "footIkMaxAngle", {
+    min: 0,
+    max: 60,
+    step: 1,
+    label: "foot IK tilt °",
+  });
+  fPlayer.addBinding(PARAMS, "footIkSpeed", {
+    min: 1,
+    max: 40,
+    step: 1,
+    label: "foot IK speed",
+  });
+  fPlayer.addBinding(PARAMS, "handIkEnabled", { label: "ledge hand IK" });
   fPlayer.addBinding(PARAMS, "jumpSpeed", {
     min: 3,
     max: 12,
@@ -326,6 +545,76 @@ export function setupTweakpaneUI(pane, PARAMS, ctx) {
     step: 0.25,
     label: "camHeight",
   });
+  fPlayer.addBinding(PARAMS, "animDebug", { label: "anim graph debug" });
+  const fCamera = fPlayer.addFolder({ title: "Camera", expanded: false });
+  fCamera.addBinding(PARAMS, "camCollisionEnabled", { label: "collision" });
+  fCamera.addBinding(PARAMS, "camCollisionRadius", {
+    min: 0.05,
+    max: 1,
+    step: 0.05,
+    label: "probe radius",
+  });
+  fCamera.addBinding(PARAMS, "camMinDist", {
+    min: 0,
+    max: 3,
+    step: 0.1,
+    label: "min distance",
+  });
+  fCamera.addBinding(PARAMS, "camPullInSpeed", {
+    min: 1,
+    max: 60,
+    step: 1,
+    label: "pull-in speed",
+  });
+  fCamera.addBinding(PARAMS, "camEaseOutSpeed", {
+    min: 0.5,
+    max: 20,
+    step: 0.5,
+    label: "ease-out speed",
+  });
+  fCamera.addBinding(PARAMS, "camTerrainClearance", {
+    min: 0,
+    max: 5,
+    step: 0.1,
+    label: "terrain clearance",
+  });
+  fCamera.addBinding(PARAMS, "camCrouchHeight", {
+    min: -2,
+    max: 1,
+    step: 0.05,
+    label: "crouch height",
+  });
+  fCamera.addBinding(PARAMS, "camCrouchDist", {
+    min: -4,
+    max: 4,
+    step: 0.25,
+    label: "crouch distance",
+  });
+  fCamera.addBinding(PARAMS, "camGlideHeight", {
+    min: -1,
+    max: 4,
+    step: 0.1,
+    label: "glide height",
+  });
+  fCamera.addBinding(PARAMS, "camGlideDist", {
+    min: -2,
+    max: 10,
+    step: 0.25,
+    label: "glide distance",
+  });
+  fCamera.addBinding(PARAMS, "camOccludeFade", { label: "fade occluders" });
+  fCamera.addBinding(PARAMS, "camOccludeOpacity", {
+    min: 0,
+    max: 1,
+    step: 0.05,
+    label: "occluder opacity",
+  });
+  fCamera.addBinding(PARAMS, "camOccludeFadeSpeed", {
+    min: 1,
+    max: 30,
+    step: 1,
+    label: "occluder fade speed",
+  });
   fPlayer.addBinding(PARAMS, "mouseSensitivity", {
     min: 0.0005,
     max: 0.01,
@@ -341,6 +630,100 @@ export function setupTweakpaneUI(pane, PARAMS, ctx) {
   fPlayer.addBinding(PARAMS, "cameraMode", {
     options: { thirdPerson: "thirdPerson", orbit: "orbit" },
   });
+
+  if (input) {
+    const fControls = pane.addFolder({ title: "Controls", expanded: false });
+    fControls.addBinding(PARAMS, "gamepadLookSpeed", {
+      min: 0.5,
+      max: 6,
+      step: 0.1,
+      label: "stick look speed",
+    });
+    // One button per binding slot (the most any default has); an empty slot adds a binding.
+    const slotCount = Math.max(...INPUT_ACTIONS.map((a) => a.bindings.length));
+    const describe = (name, slot) => {
+      const binding = input.getBindings(name)[slot];
+      return binding ? input.describeBinding(binding) : "(empty)";
+    };
+    const refreshSlots = () => {
+      for (const { action, slot, btn } of slotButtons) btn.title = describe(action.name, slot);
+    };
+    // Click, then press a key / mouse button / pad button (Escape cancels). Replaces only that slot.
+    const slotButtons = INPUT_ACTIONS.flatMap((action) =>
+      Array.from({ length: slotCount }, (_, slot) => {
+        const btn = fControls.addButton({
+          label: slot === 0 ? action.label : "",
+          title: describe(action.name, slot),
+        });
+        btn.on("click", async () => {
+          btn.title = "press a key… (Esc cancels)";
+          const binding = await input.captureBinding();
+          if (binding) input.rebind(action.name, binding, slot);
+          refreshSlots();
+        });
+        return { action, slot, btn };
+      }),
+    );
+    fControls.addButton({ title: "Reset to defaults" }).on("click", () => {
+      input.resetBindings();
+      refreshSlots();
+    });
+  }
+
+  const fStamina = pane.addFolder({ title: "Stamina", expanded: false });
+  fStamina.addBinding(PARAMS, "staminaEnabled", { label: "enabled" });
+  fStamina.addBinding(PARAMS, "staminaHud", { label: "wheel HUD" });
+  for (const [key, label, min, max, step] of [
+    ["staminaMax", "max (one wheel)", 20, 300, 5],
+    ["staminaPerUpgrade", "per upgrade", 0, 100, 5],
+    ["staminaSprintDrain", "sprint drain /s", 0, 60, 1],
+    ["staminaGlideDrain", "glide drain /s", 0, 60, 1],
+    ["staminaClimbDrain", "climb drain /s", 0, 60, 1],
+    ["staminaSwimDrain", "swim drain /s", 0, 60, 1],
+    ["staminaRollCost", "roll cost", 0, 100, 1],
+    ["staminaClimbJumpCost", "climb jump cost", 0, 100, 1],
+    ["staminaRegenRate", "regen /s", 1, 120, 1],
+    ["staminaExhaustedRegenRate", "exhausted regen /s", 1, 120, 1],
+    ["staminaRegenDelay", "regen delay (s)", 0, 5, 0.1],
+    ["staminaExhaustedSpeed", "exhausted walk speed", 0.1, 1, 0.05],
+  ])
+    fStamina.addBinding(PARAMS, key, { min, max, step, label });
+  if (stamina) {
+    fStamina.addButton({ title: "Stamina upgrade (+1)" }).on("click", () => stamina.upgrade());
+    fStamina.addButton({ title: "Reset upgrades" }).on("click", () => stamina.resetUpgrades());
+  }
+
+  addHealthBindings(
+    pane.addFolder({ title: "Health", expanded: false }),
+    PARAMS,
+    health,
+  );
+
+  const fClimb = pane.addFolder({ title: "Climbing", expanded: false });
+  fClimb.addBinding(PARAMS, "climbEnabled", { label: "enabled" });
+  for (const [key, label, min, max, step] of [
+    ["climbSlideAngle", "climbable above (deg)", 20, 85, 1],
+    ["climbSpeed", "climb speed", 0.3, 5, 0.1],
+    ["climbReach", "grab reach", 0.1, 1, 0.05],
+    ["climbJumpDistance", "climb jump distance", 0.5, 5, 0.1],
+    ["climbJumpTime", "climb jump time (s)", 0.1, 1, 0.05],
+    ["climbMantleTime", "mantle time (s)", 0.1, 1.5, 0.05],
+  ])
+    fClimb.addBinding(PARAMS, key, { min, max, step, label });
+  const fSwim = pane.addFolder({ title: "Swimming", expanded: false });
+  fSwim.addBinding(PARAMS, "swimEnabled", { label: "enabled" });
+  fSwim.addBinding(PARAMS, "swimSplash", { label: "splash + foam" });
+  for (const [key, label, min, max, step] of [
+    ["swimDepth", "swim depth (m)", 0.5, 2, 0.05],
+    ["swimSpeedMultiplier", "swim speed", 0.1, 1.5, 0.05],
+    ["swimFloatOffset", "float height", -1.2, 0.2, 0.01],
+    ["swimBuoyancy", "buoyancy", 2, 100, 1],
+    ["swimBobAmount", "bob", 0, 0.2, 0.01],
+    ["swimSinkTime", "sink time (s)", 0.5, 6, 0.1],
+    ["swimSinkSpeed", "sink speed", 0.1, 3, 0.05],
+    ["swimClimbOutHeight", "climb-out height", 0.3, 2, 0.05],
+  ])
+    fSwim.addBinding(PARAMS, key, { min, max, step, label });
   const fNpc = pane.addFolder({ title: "NPCs", expanded: false });
   fNpc
     .addBinding(PARAMS, "npcEnabled", { label: "enabled" })
@@ -563,6 +946,157 @@ export function setupTweakpaneUI(pane, PARAMS, ctx) {
     step: 0.5,
     label: "water level",
   });
+  fTerrain.addBinding(PARAMS, "terrainStreaming", {
+    label: "streaming (chunks)",
+  });
+  fTerrain.addBinding(PARAMS, "terrainChunkRadius", {
+    min: 2,
+    max: 12,
+    step: 1,
+    label: "chunk view radius",
+  });
+  if (getHeightmap && setHeightmap)
+    addHeightmapBindings(fTerrain, PARAMS, { getHeightmap, setHeightmap });
+  if (sculpt) {
+    const fSculpt = fTerrain.addFolder({ title: "Sculpt", expanded: false });
+    fSculpt.addBinding(PARAMS, "sculptEnabled", {
+      label: "editor mode (LMB paints)",
+    });
+    fSculpt.addBinding(PARAMS, "sculptBrush", {
+      options: {
+        raise: "raise",
+        lower: "lower",
+        smooth: "smooth",
+        flatten: "flatten",
+        "ramp (drag A→B)": "ramp",
+        ...(splat ? { "paint splat layer": "paint" } : {}),
+      },
+      label: "brush",
+    });
+    fSculpt.addBinding(PARAMS, "sculptRadius", {
+      min: 1,
+      max: 40,
+      step: 0.5,
+      label: "radius",
+    });
+    fSculpt.addBinding(PARAMS, "sculptStrength", {
+      min: 0.5,
+      max: 20,
+      step: 0.5,
+      label: "strength",
+    });
+    fSculpt.addButton({ title: "Undo (Ctrl+Z)" }).on("click", () => sculpt.undo());
+    fSculpt.addButton({ title: "Redo (Ctrl+Y)" }).on("click", () => sculpt.redo());
+    fSculpt
+      .addButton({ title: "Clear sculpt layer" })
+      .on("click", () => sculpt.clear());
+  }
+  if (splat) {
+    const fSplat = fTerrain.addFolder({ title: "Splat layers", expanded: false });
+    fSplat.addBinding(PARAMS, "splatLayer", {
+      options: {
+        grass: "grass",
+        dirt: "dirt",
+        rock: "rock",
+        sand: "sand",
+        snow: "snow",
+        path: "path",
+        "erase (procedural)": "erase",
+      },
+      label: "paint layer",
+    });
+    for (const [key, label] of [
+      ["splatRockColor", "rock tint"],
+      ["splatSandColor", "sand tint"],
+      ["splatSnowColor", "snow tint"],
+      ["splatPathColor", "path tint"],
+    ]) {
+      fSplat
+        .addBinding(PARAMS, key, { view: "color", label })
+        .on("change", () => syncTerrainUniforms?.(PARAMS));
+    }
+    fSplat
+      .addButton({ title: "Clear splat map" })
+      .on("click", () => (sculpt ? sculpt.clearSplat() : splat.clear()));
+  }
+
+  // Enabled/width/depth/banks/flow speed/points are picked up by the terrain regen check in uniforms.js,
+  // which re-carves the terrain and rebuilds the river water.
+  const fRivers = fTerrain.addFolder({ title: "Rivers", expanded: false });
+  fRivers.addBinding(PARAMS, "riversEnabled", { label: "enabled" });
+  fRivers.addBinding(PARAMS, "riverWidth", {
+    min: 3,
+    max: 30,
+    step: 0.5,
+    label: "width",
+  });
+  fRivers.addBinding(PARAMS, "riverDepth", {
+    min: 0.5,
+    max: 8,
+    step: 0.25,
+    label: "depth",
+  });
+  fRivers.addBinding(PARAMS, "riverBankWidth", {
+    min: 1,
+    max: 30,
+    step: 0.5,
+    label: "bank width",
+  });
+  fRivers.addBinding(PARAMS, "riverFlowSpeed", {
+    min: 0.1,
+    max: 6,
+    step: 0.1,
+    label: "flow speed",
+  });
+  // Centrelines as JSON ([{ points: [[x, z], …] }, …], downstream); invalid text is ignored.
+  const riversUi = { points: JSON.stringify(PARAMS.rivers.map((r) => r.points)) };
+  fRivers.addBinding(riversUi, "points", { label: "points [[x, z], …]" }).on("change", (ev) => {
+    let lines;
+    try {
+      lines = JSON.parse(ev.value);
+    } catch (e) {
+      console.warn("Rivers: points are not valid JSON", e);
+      return;
+    }
+    const valid =
+      Array.isArray(lines) &&
+      lines.every(
+        (pts) =>
+          Array.isArray(pts) &&
+          pts.every((p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite)),
+      );
+    if (!valid) {
+      console.warn("Rivers: expected [[[x, z], …], …]");
+      return;
+    }
+    PARAMS.rivers = lines.map((points, i) => ({ ...PARAMS.rivers[i], points }));
+  });
+  if (river) {
+    fRivers
+      .addBinding(PARAMS, "riverFlowStrength", {
+        min: 0,
+        max: 3,
+        step: 0.05,
+        label: "flow strength",
+      })
+      .on("change", () => (river.uRiverFlowStrength.value = PARAMS.riverFlowStrength));
+    fRivers
+      .addBinding(PARAMS, "riverFlowCycle", {
+        min: 0.1,
+        max: 2,
+        step: 0.05,
+        label: "flow cycles / s",
+      })
+      .on("change", () => (river.uRiverFlowCycle.value = PARAMS.riverFlowCycle));
+    fRivers
+      .addBinding(PARAMS, "riverUvScale", {
+        min: 0.01,
+        max: 0.5,
+        step: 0.01,
+        label: "ripple scale",
+      })
+      .on("change", () => (river.uRiverUvScale.value = PARAMS.riverUvScale));
+  }
 
   const fWater = pane.addFolder({ title: "Water (stylized)", expanded: false });
   const syncWater = (w) => {
@@ -1073,6 +1607,53 @@ export function setupTweakpaneUI(pane, PARAMS, ctx) {
       location.search = usp.toString();
     });
 
+  // World config (world-config.js): seed + non-default PARAMS as a #world=… link or a JSON file
+  fScene.addBlade({ view: "separator" });
+  fScene.addBinding(PARAMS, "worldSeed", {
+    min: 0,
+    max: 4294967295,
+    step: 1,
+    label: "world seed (on reload)",
+  });
+  fScene.addButton({ title: "Copy world link" }).on("click", async () => {
+    try {
+      const url = await worldConfigUrl(captureWorldConfig(PARAMS));
+      history.replaceState(null, "", url);
+      await navigator.clipboard.writeText(url);
+    } catch (e) {
+      console.warn("World link: could not copy (the address bar has it)", e);
+    }
+  });
+  fScene.addButton({ title: "Download world JSON" }).on("click", () => {
+    const json = worldConfigToJSON(captureWorldConfig(PARAMS));
+    downloadBlob(new Blob([json], { type: "application/json" }), "world.json");
+  });
+  const worldFileInput = document.createElement("input");
+  worldFileInput.type = "file";
+  worldFileInput.accept = ".json,application/json";
+  worldFileInput.style.display = "none";
+  document.body.appendChild(worldFileInput);
+  worldFileInput.addEventListener("change", async () => {
+    const file = worldFileInput.files?.[0];
+    worldFileInput.value = "";
+    if (!file) return;
+    try {
+      const config = await decodeWorldConfig(await file.text());
+      // Validate now so problems show up before the reload; the hash is re-applied on load.
+      applyWorldConfig({ ...PARAMS }, config);
+      const hash = new URL(await worldConfigUrl(config)).hash;
+      if (location.hash === hash) location.reload();
+      else location.hash = hash;
+    } catch (e) {
+      console.error("World config import failed:", e);
+    }
+  });
+  fScene
+    .addButton({ title: "Load world JSON…" })
+    .on("click", () => worldFileInput.click());
+
+  if (saveSystem) addSaveGameBindings(pane, saveSystem);
+
   const fScatter = pane.addFolder({
     title: "Scatter (rocks / flowers)",
     expanded: false,
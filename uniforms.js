@@ -119,6 +119,8 @@ export function createUniforms(PARAMS, TERRAIN_SIZE, NPC_COUNT) {
   const uSunIntensity = uniform(PARAMS.sunIntensity);
   const uSunScreenPos = uniform(new THREE.Vector2(0.5, 0.5));
   const uTerrainSize = uniform(TERRAIN_SIZE);
+  // Heightmap window centre (moves when terrain streaming recentres it)
+  const uTerrainOrigin = uniform(new THREE.Vector2());
   const uTrailCenter = uniform(new THREE.Vector2());
   const uTrailSize = uniform(60);
   // Susuki (pampas grass) — wind shared with grass via uWind* above
@@ -199,6 +201,7 @@ export function createUniforms(PARAMS, TERRAIN_SIZE, NPC_COUNT) {
     uSunIntensity,
     uSunScreenPos,
     uTerrainSize,
+    uTerrainOrigin,
     uTrailCenter,
     uTrailSize,
     uSusukiStemHeight,
@@ -215,7 +218,8 @@ export function createUniforms(PARAMS, TERRAIN_SIZE, NPC_COUNT) {
 /**
  * @param {object} u - result of createUniforms()
  * @param {object} deps - { PARAMS, camera, dirLight, hemiLight, renderer, bloomPass, uDofEnabled, uDofFocusDistance, uDofBlurStart, uDofBlurEnd, uDofBlurSize, uDofBlurSpread, flareThreshold, flareGhostAttenuation, flareGhostSpacing, uFlareAmount, uGodRaysEnabled, uGodRaysStrength, uGodRaysDecay, uGodRaysDensity, uGodRaysSamples, syncTerrainUniforms, updateSkyParams, regenTerrain, waterMesh, charPos, birds, bp }
- * @param {object} lastState - mutable { lastTerrainH, lastMountain, lastFieldFlat, lastLakeX, lastLakeZ, lastLakeR, lastLakeD }
+ * @param {object} lastState - mutable { lastTerrainH, lastMountain, lastFieldFlat, lastLakeX, lastLakeZ, lastLakeR, lastLakeD,
+ *   lastRiversEnabled, lastRiverWidth, lastRiverDepth, lastRiverBank, lastRiverFlowSpeed, lastRivers (JSON of PARAMS.rivers) }
  * @returns {() => void} syncUniforms
  */
 export function createSyncUniforms(u, deps, lastState) {
@@ -429,7 +433,13 @@ export function createSyncUniforms(u, deps, lastState) {
       PARAMS.lakeCenterX !== lastState.lastLakeX ||
       PARAMS.lakeCenterZ !== lastState.lastLakeZ ||
       PARAMS.lakeRadius !== lastState.lastLakeR ||
-      PARAMS.lakeDepth !== lastState.lastLakeD
+      PARAMS.lakeDepth !== lastState.lastLakeD ||
+      PARAMS.riversEnabled !== lastState.lastRiversEnabled ||
+      PARAMS.riverWidth !== lastState.lastRiverWidth ||
+      PARAMS.riverDepth !== lastState.lastRiverDepth ||
+      PARAMS.riverBankWidth !== lastState.lastRiverBank ||
+      PARAMS.riverFlowSpeed !== lastState.lastRiverFlowSpeed ||
+      JSON.stringify(PARAMS.rivers) !== lastState.lastRivers
     ) {
       lastState.lastTerrainH = PARAMS.terrainHeight;
       lastState.lastMountain = PARAMS.mountainStrength;
@@ -438,6 +448,12 @@ export function createSyncUniforms(u, deps, lastState) {
       lastState.lastLakeZ = PARAMS.lakeCenterZ;
       lastState.lastLakeR = PARAMS.lakeRadius;
       lastState.lastLakeD = PARAMS.lakeDepth;
+      lastState.lastRiversEnabled = PARAMS.riversEnabled;
+      lastState.lastRiverWidth = PARAMS.riverWidth;
+      lastState.lastRiverDepth = PARAMS.riverDepth;
+      lastState.lastRiverBank = PARAMS.riverBankWidth;
+      lastState.lastRiverFlowSpeed = PARAMS.riverFlowSpeed;
+      lastState.lastRivers = JSON.stringify(PARAMS.rivers);
       regenTerrain();
     }
     if (waterMesh) {
@@ -0,0 +1,137 @@
+/**
+ * Swimmer water effects: droplet bursts (entering the water, strokes, going under) and the uSwimmer
+ * uniform that water shaders feed to swimmerFoam (water.js) for foam rings around the swimmer.
+ * createWaterSplash({ scene, PARAMS }) → { uSwimmer, burst(pos, strength), update(dt, swimming, charPos, moving), dispose }.
+ * update() reads the player's swimming.js state: a burst on entry, small ones while stroking, foam fades out on exit.
+ * Toggle with PARAMS.swimSplash.
+ */
+import * as THREE from "three";
+import { uniform } from "three/tsl";
+
+const MAX_DROPS = 64;
+const DROP_LIFE = 0.7;
+const GRAVITY = 9.8;
+const STROKE_INTERVAL = 0.35;
+
+/**
+ * @param {{ scene: THREE.Scene, PARAMS: object }} opts
+ */
+export function createWaterSplash({ scene, PARAMS }) {
+  const uSwimmer = uniform(new THREE.Vector4(0, 0, 0, 0));
+
+  const material = new THREE.MeshBasicMaterial({
+    color: 0xf2f8ff,
+    transparent: true,
+    opacity: 0.85,
+    depthWrite: false,
+  });
+  const mesh = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(0.05, 6, 4),
+    material,
+    MAX_DROPS,
+  );
+  mesh.frustumCulled = false;
+  mesh.renderOrder = 101; // after the water surfaces (100)
+  scene.add(mesh);
+
+  // Flat storage: pos / vel xyz per drop, life < 0 = free
+  const pos = new Float32Array(MAX_DROPS * 3);
+  const vel = new Float32Array(MAX_DROPS * 3);
+  const life = new Float32Array(MAX_DROPS).fill(-1);
+  const _m = new THREE.Matrix4();
+  const _hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+  let next = 0;
+  let strokeT = 0;
+  let wasSwimming = false;
+  let strength = 0;
+  for (let i = 0; i < MAX_DROPS; i++) mesh.setMatrixAt(i, _hidden);
+
+  /**
+   * Throw droplets up and out from a point on the surface.
+   * @param {THREE.Vector3} p
+   * @param {number} amount - 0…1 (1 = jumping in)
+   */
+  function burst(p, amount) {
+    if (!(PARAMS.swimSplash ?? true)) return;
+    const n = Math.max(2, Math.round(amount * 24));
+    for (let k = 0; k < n; k++) {
+      const i = next;
+      next = (next + 1) % MAX_DROPS;
+      const a = Math.random() * Math.PI * 2;
+      const r = 0.3 + Math.random() * 0.4;
+      const out = (0.8 + Math.random() * 1.6) * (0.5 + amount);
+      pos[i * 3] = p.x + Math.cos(a) * r;
+      pos[i * 3 + 1] = p.y;
+      pos[i * 3 + 2] = p.z + Math.sin(a) * r;
+      vel[i * 3] = Math.cos(a) * out;
+      vel[i * 3 + 1] = (1.5 + Math.random() * 2.5) * (0.4 + amount);
+      vel[i * 3 + 2] = Math.sin(a) * out;
+      life[i] = DROP_LIFE * (0.6 + Math.random() * 0.4);
+    }
+  }
+
+  const _surface = new THREE.Vector3();
+
+  /**
+   * @param {number} dt
+   * @param {ReturnType<import("./swimming.js").createSwimming>} swimming
+   * @param {THREE.Vector3} charPos
+   * @param {boolean} moving - stroking (drives the small splashes and a stronger wake)
+   */
+  function update(dt, swimming, charPos, moving) {
+    const swimmingNow = swimming.active;
+    _surface.set(charPos.x, swimming.surfaceY, charPos.z);
+    if (swimmingNow && !wasSwimming) burst(_surface, 1);
+    if (swimmingNow && swimming.mode === "swim" && moving) {
+      strokeT += dt;
+      if (strokeT >= STROKE_INTERVAL) {
+        strokeT = 0;
+        burst(_surface, 0.15);
+      }
+    } else {
+      strokeT = 0;
+    }
+    if (!swimmingNow && wasSwimming && swimming.mode === null) burst(_surface, 0.4);
+    wasSwimming = swimmingNow;
+
+    // Foam follows the swimmer and fades out after they leave the water
+    const target = !(PARAMS.swimSplash ?? true)
+      ? 0
+      : swimmingNow
+        ? moving
+          ? 1
+          : 0.5
+        : 0;
+    strength += (target - strength) * Math.min(1, dt * 3);
+    if (swimmingNow) uSwimmer.value.set(charPos.x, swimming.surfaceY, charPos.z, strength);
+    else uSwimmer.value.w = strength;
+
+    let any = false;
+    for (let i = 0; i < MAX_DROPS; i++) {
+      if (life[i] < 0) continue;
+      life[i] -= dt;
+      if (life[i] < 0) {
+        mesh.setMatrixAt(i, _hidden);
+        any = true;
+        continue;
+      }
+      vel[i * 3 + 1] -= GRAVITY * dt;
+      pos[i * 3] += vel[i * 3] * dt;
+      pos[i * 3 + 1] += vel[i * 3 + 1] * dt;
+      pos[i * 3 + 2] += vel[i * 3 + 2] * dt;
+      const s = Math.min(1, life[i] / (DROP_LIFE * 0.4));
+      _m.makeScale(s, s, s).setPosition(pos[i * 3], pos[i * 3 + 1], pos[i * 3 + 2]);
+      mesh.setMatrixAt(i, _m);
+      any = true;
+    }
+    if (any) mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  function dispose() {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    material.dispose();
+  }
+
+  return { uSwimmer, burst, update, dispose };
+}
@@ -2,6 +2,12 @@
  * Water: Fresnel shader, animated normals, sun glints.
  * createWater(scene, PARAMS, { uTime, uSunDir, texLoader }) → { waterMesh, waterUniforms }.
  * waterUniforms is the object for ctx.water (Tweakpane). Index updates waterMesh position/scale/visible from PARAMS.
+ * createRiverWater(scene, PARAMS, { uTime, uSunDir, texLoader, getRivers }) → { riverMesh, riverUniforms, update }:
+ * ribbon surfaces along rivers.js centrelines, same lighting, normals advected by the baked flow map
+ * (two-phase flow-map blend). update() rebuilds when getRivers() returns a new set.
+ * Pass options.uSwimmer (see swimmerFoam) to ring the river foam around a swimmer.
+ * swimmerFoam(uSwimmer, uTime) → foam amount (0–1) node for any water colour shader: expanding rings
+ * plus a wake patch around uSwimmer = vec4(world xyz, strength); strength 0 turns it off.
  */
 import * as THREE from "three";
 import {
@@ -22,35 +28,124 @@ import {
   pow,
   length,
   max,
+  abs,
+  fract,
+  sin,
+  exp,
   varying,
 } from "three/tsl";
+import { bakeRiverFlowMap } from "./rivers.js";
 
 const PI = Math.PI;
 
-export function createWater(scene, PARAMS, { uTime, uSunDir, texLoader }) {
-  const waterGeo = new THREE.CircleGeometry(1, 128);
-  waterGeo.rotateX(-PI / 2);
+/**
+ * Foam rings + wake around a swimmer (water-splash.js drives the uniform). Only on water near the
+ * swimmer's height, so a river above or below doesn't pick it up.
+ * @param {object} uSwimmer - uniform vec4: xyz = world position, w = strength (0 = off)
+ * @param {object} uTime - seconds uniform
+ */
+export const swimmerFoam = Fn(([uSwimmer, uTime]) => {
+  const d = length(positionWorld.xz.sub(uSwimmer.xz));
+  const rings = smoothstep(
+    float(0.75),
+    float(1),
+    sin(d.mul(6).sub(uTime.mul(5))).mul(0.5).add(0.5),
+  ).mul(exp(d.mul(-0.6)));
+  const wake = smoothstep(float(1.2), float(0.3), d).mul(0.6);
+  const level = smoothstep(float(1.5), float(0.5), abs(positionWorld.y.sub(uSwimmer.y)));
+  return max(rings, wake).mul(level).mul(uSwimmer.w).clamp();
+});
+
+const blendRNM = Fn(([n1, n2]) => {
+  const t = n1.add(vec3(0, 0, 1));
+  const u = n2.mul(vec3(-1, -1, 1));
+  return t.mul(dot(t, u)).sub(u.mul(t.z)).normalize();
+});
 
-  const uWaterUvScale = uniform(PARAMS.waterUvScale);
-  const uWaterNormalScale = uniform(PARAMS.waterNormalScale);
-  const uWaterFresnelScale = uniform(PARAMS.waterFresnelScale);
-  const uWaterSpeed = uniform(PARAMS.waterSpeed);
-  const uWaterShininess = uniform(PARAMS.waterShininess);
-  const uWaterSunColor = uniform(
-    new THREE.Color(PARAMS.waterSunColor).convertSRGBToLinear(),
+/** Look uniforms shared by the lake and river shaders (PARAMS.water* keys). */
+function createWaterUniforms(PARAMS) {
+  return {
+    uWaterUvScale: uniform(PARAMS.waterUvScale),
+    uWaterNormalScale: uniform(PARAMS.waterNormalScale),
+    uWaterFresnelScale: uniform(PARAMS.waterFresnelScale),
+    uWaterSpeed: uniform(PARAMS.waterSpeed),
+    uWaterShininess: uniform(PARAMS.waterShininess),
+    uWaterSunColor: uniform(
+      new THREE.Color(PARAMS.waterSunColor).convertSRGBToLinear(),
+    ),
+    uWaterHighlightsGlow: uniform(PARAMS.waterHighlightsGlow),
+    uWaterHighlightFresnelInfluence: uniform(
+      PARAMS.waterHighlightFresnelInfluence,
+    ),
+    uWaterHighlightsSpread: uniform(PARAMS.waterHighlightsSpread),
+    uWaterDeepColor: uniform(
+      new THREE.Color(PARAMS.waterDeepColor).convertSRGBToLinear(),
+    ),
+    uWaterShallowColor: uniform(
+      new THREE.Color(0x4a90a4).convertSRGBToLinear(),
+    ),
+    uWaterMinOpacity: uniform(PARAMS.waterMinOpacity),
+  };
+}
+
+/**
+ * Fresnel sky reflection over the base colour plus a sun glint (call inside a colorNode Fn).
+ * `toWorld` maps a tangent-space normal to world space; `tsn` is the unscaled blended tangent normal.
+ */
+function shadeWater(u, uSunDir, tsn, toWorld, waterBaseColor) {
+  const normal = toWorld(
+    vec3(tsn.xy.mul(u.uWaterNormalScale), tsn.z).normalize(),
   );
-  const uWaterHighlightsGlow = uniform(PARAMS.waterHighlightsGlow);
-  const uWaterHighlightFresnelInfluence = uniform(
-    PARAMS.waterHighlightFresnelInfluence,
+
+  const viewDir = normalize(cameraPosition.sub(positionWorld));
+  const cosTheta = dot(normal, viewDir).clamp();
+  const F0 = float(0.02);
+  const grazingAngle = float(1.0).sub(cosTheta);
+  const grazingAnglePow5 = grazingAngle
+    .mul(grazingAngle)
+    .mul(grazingAngle)
+    .mul(grazingAngle)
+    .mul(grazingAngle);
+  const fresnelSchlick = F0.add(float(1).sub(F0).mul(grazingAnglePow5));
+  const fresnelWeight = fresnelSchlick.mul(u.uWaterFresnelScale).clamp();
+
+  const reflectVector = reflect(viewDir.negate(), normal);
+  const skyGradient = reflectVector.y.mul(0.5).add(0.5).clamp();
+  const horizonColor = vec3(0.7, 0.82, 0.95);
+  const zenithColor = vec3(0.4, 0.6, 0.9);
+  const reflectedColor = mix(horizonColor, zenithColor, skyGradient);
+
+  const normalHighlights = toWorld(
+    vec3(tsn.xy.mul(u.uWaterHighlightsSpread), tsn.z).normalize(),
   );
-  const uWaterHighlightsSpread = uniform(PARAMS.waterHighlightsSpread);
-  const uWaterDeepColor = uniform(
-    new THREE.Color(PARAMS.waterDeepColor).convertSRGBToLinear(),
+  const reflectedLight = reflect(uSunDir, normalHighlights);
+  const align = max(dot(reflectedLight, viewDir), 0);
+  const spec = pow(align, u.uWaterShininess);
+  const fresnelSpecBoost = mix(
+    float(1),
+    fresnelSchlick,
+    u.uWaterHighlightFresnelInfluence,
   );
-  const uWaterShallowColor = uniform(
-    new THREE.Color(0x4a90a4).convertSRGBToLinear(),
+  const sunGlint = u.uWaterSunColor.mul(
+    spec.mul(u.uWaterHighlightsGlow).mul(fresnelSpecBoost),
   );
-  const uWaterMinOpacity = uniform(PARAMS.waterMinOpacity);
+
+  const shadedWater = mix(waterBaseColor, reflectedColor, fresnelWeight);
+  return shadedWater.add(sunGlint);
+}
+
+export function createWater(scene, PARAMS, { uTime, uSunDir, texLoader }) {
+  const waterGeo = new THREE.CircleGeometry(1, 128);
+  waterGeo.rotateX(-PI / 2);
+
+  const waterUniforms = createWaterUniforms(PARAMS);
+  const {
+    uWaterUvScale,
+    uWaterSpeed,
+    uWaterDeepColor,
+    uWaterShallowColor,
+    uWaterMinOpacity,
+  } = waterUniforms;
   const uWaterNoiseScrollDir = uniform(new THREE.Vector2(0.1, 0));
 
   const uWaterTworld = uniform(new THREE.Vector3(1, 0, 0));
@@ -62,12 +157,6 @@ export function createWater(scene, PARAMS, { uTime, uSunDir, texLoader }) {
 
   const vWaterLocalPos = varying(vec3(0), "v_wlp");
 
-  const blendRNM = Fn(([n1, n2]) => {
-    const t = n1.add(vec3(0, 0, 1));
-    const u = n2.mul(vec3(-1, -1, 1));
-    return t.mul(dot(t, u)).sub(u.mul(t.z)).normalize();
-  });
-
   const waterMat = new THREE.MeshBasicNodeMaterial({
     transparent: true,
     depthWrite: true,
@@ -89,35 +178,6 @@ export function createWater(scene, PARAMS, { uTime, uSunDir, texLoader }) {
     const tex2 = texture(waterNormalTex, nUV2);
     const tsn2 = tex2.rgb.mul(2).sub(1).normalize();
     const blendedTsn = blendRNM(tsn1, tsn2);
-    const tsn = vec3(
-      blendedTsn.xy.mul(uWaterNormalScale),
-      blendedTsn.z,
-    ).normalize();
-
-    const normal = uWaterTworld
-      .mul(tsn.x)
-      .add(uWaterBworld.mul(tsn.y))
-      .add(uWaterNworld.mul(tsn.z))
-      .normalize();
-
-    const viewDir = normalize(cameraPosition.sub(positionWorld));
-    const cosTheta = dot(normal, viewDir).clamp();
-    const F0 = float(0.02);
-    const grazingAngle = float(1.0).sub(cosTheta);
-    const grazingAnglePow5 = grazingAngle
-      .mul(grazingAngle)
-      .mul(grazingAngle)
-      .mul(grazingAngle)
-      .mul(grazingAngle);
-    const fresnelSchlick = F0.add(float(1).sub(F0).mul(grazingAnglePow5));
-    const fresnelWeight = fresnelSchlick.mul(uWaterFresnelScale).clamp();
-
-    const reflectVector = reflect(viewDir.negate(), normal);
-    const skyGradient = reflectVector.y.mul(0.5).add(0.5).clamp();
-    const horizonColor = vec3(0.7, 0.82, 0.95);
-    const zenithColor = vec3(0.4, 0.6, 0.9);
-    const reflectedColor = mix(horizonColor, zenithColor, skyGradient);
-
     const distToCenter = length(vWaterLocalPos.xz);
     const depthFactor = smoothstep(float(0.3), float(0.9), distToCenter);
     const waterBaseColor = mix(
@@ -126,33 +186,13 @@ export function createWater(scene, PARAMS, { uTime, uSunDir, texLoader }) {
       depthFactor,
     );
 
-    const tsnHighlights = vec3(
-      blendedTsn.xy.mul(uWaterHighlightsSpread),
-      blendedTsn.z,
-    ).normalize();
-    const normalHighlights = uWaterTworld
-      .mul(tsnHighlights.x)
-      .add(uWaterBworld.mul(tsnHighlights.y))
-      .add(uWaterNworld.mul(tsnHighlights.z))
-      .normalize();
-    const reflectedLight = reflect(uSunDir, normalHighlights);
-    const align = max(dot(reflectedLight, viewDir), 0);
-    const spec = pow(align, uWaterShininess);
-    const fresnelSpecBoost = mix(
-      float(1),
-      fresnelSchlick,
-      uWaterHighlightFresnelInfluence,
-    );
-    const sunGlint = uWaterSunColor.mul(
-      spec.mul(uWaterHighlightsGlow).mul(fresnelSpecBoost),
-    );
-
-    const shadedWater = mix(
-      waterBaseColor,
-      reflectedColor,
-      fresnelWeight,
-    );
-    return shadedWater.add(sunGlint);
+    const toWorld = (n) =>
+      uWaterTworld
+        .mul(n.x)
+        .add(uWaterBworld.mul(n.y))
+        .add(uWaterNworld.mul(n.z))
+        .normalize();
+    return shadeWater(waterUniforms, uSunDir, blendedTsn, toWorld, waterBaseColor);
   })();
 
   waterMat.opacityNode = Fn(() => {
@@ -198,20 +238,184 @@ export function createWater(scene, PARAMS, { uTime, uSunDir, texLoader }) {
 
   scene.add(waterMesh);
 
-  const waterUniforms = {
-    uWaterSpeed,
-    uWaterNormalScale,
-    uWaterUvScale,
-    uWaterShininess,
-    uWaterHighlightsGlow,
-    uWaterHighlightFresnelInfluence,
-    uWaterSunColor,
-    uWaterHighlightsSpread,
-    uWaterDeepColor,
-    uWaterShallowColor,
-    uWaterFresnelScale,
-    uWaterMinOpacity,
+  return { waterMesh, waterUniforms };
+}
+
+/**
+ * River surfaces for the rivers from getRivers() (rivers.js). One ribbon mesh in world space: uv.x runs
+ * across the channel (0 → 1), uv.y along it in metres. Normal-map UVs are pushed downstream by the baked
+ * flow map in two phases half a cycle apart, cross-faded so neither reset is visible.
+ * @param {THREE.Scene} scene
+ * @param {object} PARAMS
+ * @param {{ uTime: object, uSunDir: object, texLoader: THREE.TextureLoader, getRivers: () => object[], uSwimmer?: object }} options
+ */
+export function createRiverWater(
+  scene,
+  PARAMS,
+  { uTime, uSunDir, texLoader, getRivers, uSwimmer = null },
+) {
+  const riverUniforms = createWaterUniforms(PARAMS);
+  const { uWaterDeepColor, uWaterShallowColor, uWaterMinOpacity } =
+    riverUniforms;
+  riverUniforms.uRiverUvScale = uniform(PARAMS.riverUvScale ?? 0.08);
+  riverUniforms.uRiverFlowCycle = uniform(PARAMS.riverFlowCycle ?? 0.5);
+  riverUniforms.uRiverFlowStrength = uniform(PARAMS.riverFlowStrength ?? 1);
+  const { uRiverUvScale, uRiverFlowCycle, uRiverFlowStrength } = riverUniforms;
+  // Flow map placement in world XZ: (minX, minZ, sizeX, sizeZ).
+  const uFlowBounds = uniform(new THREE.Vector4(0, 0, 1, 1));
+
+  const waterNormalTex = texLoader.load("textures/waterNormal.webp");
+  waterNormalTex.wrapS = waterNormalTex.wrapT = THREE.RepeatWrapping;
+
+  const makeFlowTexture = (data, res) => {
+    const tex = new THREE.DataTexture(
+      data,
+      res,
+      res,
+      THREE.RGBAFormat,
+      THREE.FloatType,
+    );
+    tex.wrapS = tex.wrapT = THREE.ClampToEdgeWrapping;
+    tex.magFilter = THREE.LinearFilter;
+    tex.minFilter = THREE.LinearFilter;
+    tex.needsUpdate = true;
+    return tex;
   };
+  let flowTex = makeFlowTexture(new Float32Array(4), 1);
+  const flowUV = positionWorld.xz.sub(uFlowBounds.xy).div(uFlowBounds.zw);
+  const flowSample = texture(flowTex, flowUV);
 
-  return { waterMesh, waterUniforms };
+  const riverMat = new THREE.MeshBasicNodeMaterial({
+    transparent: true,
+    depthWrite: true,
+    side: THREE.DoubleSide,
+  });
+
+  // Tangent basis of a flat, world-aligned surface: u → +X, v → +Z, up → +Y.
+  const toWorld = (n) => vec3(n.x, n.z, n.y).normalize();
+
+  riverMat.colorNode = Fn(() => {
+    const flow = flowSample.rg.mul(uRiverFlowStrength);
+    const cycle = uTime.mul(uRiverFlowCycle);
+    const phase0 = fract(cycle);
+    const phase1 = fract(cycle.add(0.5));
+    const blend = abs(phase0.sub(0.5).mul(2));
+    const baseUV = positionWorld.xz.mul(uRiverUvScale);
+    // Phase (0–1) → seconds of advection → metres → normal-map UVs.
+    const offset0 = flow.mul(phase0.div(uRiverFlowCycle)).mul(uRiverUvScale);
+    const offset1 = flow.mul(phase1.div(uRiverFlowCycle)).mul(uRiverUvScale);
+    const sampleTsn = (uvNode) =>
+      texture(waterNormalTex, uvNode).rgb.mul(2).sub(1).normalize();
+    const coarse = mix(
+      sampleTsn(baseUV.sub(offset0)),
+      sampleTsn(baseUV.sub(offset1).add(0.5)),
+      blend,
+    ).normalize();
+    const fine = mix(
+      sampleTsn(baseUV.mul(2.3).sub(offset0.mul(2.3))),
+      sampleTsn(baseUV.mul(2.3).sub(offset1.mul(2.3)).add(0.25)),
+      blend,
+    ).normalize();
+    const blendedTsn = blendRNM(coarse, fine);
+
+    const across = abs(uv().x.mul(2).sub(1));
+    const waterBaseColor = mix(
+      uWaterDeepColor,
+      uWaterShallowColor,
+      smoothstep(float(0.2), float(0.9), across),
+    );
+    const shaded = shadeWater(
+      riverUniforms,
+      uSunDir,
+      blendedTsn,
+      toWorld,
+      waterBaseColor,
+    );
+    // White water along the banks and where the current is fast.
+    const speed = length(flow);
+    const foam = max(
+      smoothstep(float(0.8), float(1), across).mul(0.35),
+      smoothstep(float(2.5), float(4.5), speed).mul(0.4),
+    ).mul(blendedTsn.x.mul(0.5).add(0.75));
+    const wake = uSwimmer ? swimmerFoam(uSwimmer, uTime) : float(0);
+    return mix(shaded, vec3(1), max(foam, wake).clamp());
+  })();
+
+  riverMat.opacityNode = Fn(() => {
+    const across = abs(uv().x.mul(2).sub(1));
+    const edgeFade = smoothstep(float(1.0), float(0.85), across);
+    const viewDir = normalize(cameraPosition.sub(positionWorld));
+    const NdotV = max(viewDir.y, float(0));
+    const fresnelOpacity = float(1)
+      .sub(pow(NdotV, float(2.5)))
+      .mul(0.4)
+      .add(0.6);
+    return edgeFade
+      .mul(fresnelOpacity)
+      .mul(uWaterMinOpacity.add(0.5))
+      .clamp();
+  })();
+
+  const riverMesh = new THREE.Mesh(new THREE.BufferGeometry(), riverMat);
+  riverMesh.renderOrder = 100;
+  riverMesh.layers.set(1);
+  riverMesh.visible = false;
+  scene.add(riverMesh);
+
+  /** Ribbon over each river's carved stretch, a little wider than the channel so the banks hide its edge. */
+  function buildGeometry(rivers) {
+    const positions = [];
+    const uvs = [];
+    const indices = [];
+    for (const river of rivers) {
+      const { xs, zs, tx, tz, surface, start, end } = river;
+      if (end - start < 1) continue;
+      const halfW = river.width * 0.5 + 1;
+      let along = 0;
+      for (let i = start; i <= end; i++) {
+        if (i > start) along += Math.hypot(xs[i] - xs[i - 1], zs[i] - zs[i - 1]);
+        const y = surface[i] + 0.02;
+        // Left bank is the tangent rotated +90° about Y.
+        positions.push(xs[i] + tz[i] * halfW, y, zs[i] - tx[i] * halfW);
+        positions.push(xs[i] - tz[i] * halfW, y, zs[i] + tx[i] * halfW);
+        uvs.push(0, along, 1, along);
+        if (i < end) {
+          const v = positions.length / 3 - 2;
+          indices.push(v, v + 1, v + 2, v + 1, v + 3, v + 2);
+        }
+      }
+    }
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+    geo.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+    geo.setIndex(indices);
+    geo.computeBoundingSphere();
+    return geo;
+  }
+
+  let builtFor = null;
+  function rebuild(rivers) {
+    builtFor = rivers;
+    riverMesh.geometry.dispose();
+    riverMesh.geometry = buildGeometry(rivers);
+    const flowMap = bakeRiverFlowMap(rivers);
+    if (flowMap) {
+      const next = makeFlowTexture(flowMap.data, flowMap.res);
+      flowSample.value = next;
+      flowTex.dispose();
+      flowTex = next;
+      const b = flowMap.bounds;
+      uFlowBounds.value.set(b.x, b.y, b.z, b.w);
+    }
+  }
+
+  /** Per frame: rebuild after a terrain regen replaced the river set; visibility from PARAMS.riversEnabled. */
+  function update() {
+    const rivers = getRivers();
+    if (rivers !== builtFor) rebuild(rivers);
+    riverMesh.visible = !!PARAMS.riversEnabled && rivers.length > 0;
+  }
+  update();
+
+  return { riverMesh, riverUniforms, update };
 }
@@ -0,0 +1,170 @@
+/**
+ * Worker pool for generation jobs (generation.worker.js / generation-jobs.js): terrain heightmaps plus tree
+ * and scatter placement off the main thread.
+ * createWorkerPool({ size?, url? }) → { run, terminate }; isJobCancelled(err).
+ * run(type, payload, { key?, transfer?, onProgress?, onPartial? }) → { promise, cancel }.
+ * A new job with the same key cancels the previous one: queued jobs are dropped, a running job's worker is
+ * terminated and replaced. So dragging a Tweakpane slider only ever finishes the latest request.
+ * Cancelled promises reject with an AbortError. Without Worker support jobs run inline on a later task.
+ */
+import { runGenerationJob } from "./generation-jobs.js";
+
+function abortError() {
+  const err = new Error("Generation job cancelled");
+  err.name = "AbortError";
+  return err;
+}
+
+/** True for the rejection of a cancelled (superseded) job — callers ignore those. */
+export function isJobCancelled(err) {
+  return err?.name === "AbortError";
+}
+
+/**
+ * @param {{ size?: number, url?: URL | string }} [options]
+ */
+export function createWorkerPool(options = {}) {
+  const url = options.url ?? new URL("./generation.worker.js", import.meta.url);
+  const size =
+    options.size ??
+    Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+  const supported = typeof Worker !== "undefined";
+  const slots = [];
+  const queue = [];
+  const byKey = new Map();
+  let nextId = 1;
+
+  function createSlot() {
+    const slot = { worker: null, job: null };
+    startWorker(slot);
+    return slot;
+  }
+
+  function startWorker(slot) {
+    slot.worker = new Worker(url, { type: "module" });
+    slot.worker.onmessage = (e) => onMessage(slot, e.data);
+    slot.worker.onerror = (e) => {
+      const job = slot.job;
+      slot.worker.terminate();
+      slot.job = null;
+      startWorker(slot);
+      if (job) settle(job, "reject", new Error(e.message || "Generation worker failed"));
+      pump();
+    };
+  }
+
+  function onMessage(slot, msg) {
+    const job = slot.job;
+    if (!job || msg.id !== job.id) return;
+    if (msg.type === "progress") {
+      job.onProgress?.(msg.value);
+      if (msg.partial) job.onPartial?.(msg.partial);
+      return;
+    }
+    slot.job = null;
+    if (msg.type === "done") settle(job, "resolve", msg.result);
+    else settle(job, "reject", new Error(msg.message));
+    pump();
+  }
+
+  function settle(job, how, value) {
+    if (job.done) return;
+    job.done = true;
+    if (job.key != null && byKey.get(job.key) === job) byKey.delete(job.key);
+    job[how](value);
+  }
+
+  function pump() {
+    while (queue.length > 0) {
+      let slot = slots.find((s) => !s.job);
+      if (!slot && slots.length < size) {
+        slot = createSlot();
+        slots.push(slot);
+      }
+      if (!slot) return;
+      const job = queue.shift();
+      slot.job = job;
+      slot.worker.postMessage(
+        { id: job.id, type: job.type, payload: job.payload },
+        job.transfer,
+      );
+    }
+  }
+
+  function runInline(job) {
+    setTimeout(() => {
+      if (job.done) return;
+      try {
+        const { result } = runGenerationJob(job.type, job.payload, (value, partial) => {
+          job.onProgress?.(value);
+          if (partial) job.onPartial?.(partial);
+        });
+        settle(job, "resolve", result);
+      } catch (err) {
+        settle(job, "reject", err);
+      }
+    }, 0);
+  }
+
+  function cancel(job) {
+    if (job.done) return;
+    const q = queue.indexOf(job);
+    if (q >= 0) queue.splice(q, 1);
+    const slot = slots.find((s) => s.job === job);
+    if (slot) {
+      slot.worker.terminate();
+      slot.job = null;
+      startWorker(slot);
+    }
+    settle(job, "reject", abortError());
+    if (supported) pump();
+  }
+
+  /**
+   * @param {"heightmap" | "placement"} type
+   * @param {object} payload - structured-cloned into the worker
+   * @param {{ key?: string, transfer?: Transferable[], onProgress?: (fraction: number) => void, onPartial?: (partial: { offset: number, data: Float32Array }) => void }} [opts]
+   * @returns {{ promise: Promise<object>, cancel: () => void }}
+   */
+  function run(type, payload, opts = {}) {
+    if (opts.key != null) {
+      const previous = byKey.get(opts.key);
+      if (previous) cancel(previous);
+    }
+    const job = {
+      id: nextId++,
+      type,
+      payload,
+      key: opts.key ?? null,
+      transfer: opts.transfer ?? [],
+      onProgress: opts.onProgress,
+      onPartial: opts.onPartial,
+      done: false,
+      resolve: null,
+      reject: null,
+    };
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    if (job.key != null) byKey.set(job.key, job);
+    if (supported) {
+      queue.push(job);
+      pump();
+    } else {
+      runInline(job);
+    }
+    return { promise, cancel: () => cancel(job) };
+  }
+
+  function terminate() {
+    for (const job of [...queue]) cancel(job);
+    for (const slot of slots) {
+      if (slot.job) settle(slot.job, "reject", abortError());
+      slot.worker.terminate();
+    }
+    slots.length = 0;
+  }
+
+  return { run, terminate };
+}
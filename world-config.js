@@ -0,0 +1,174 @@
+/**
+ * World config: the world seed plus every non-default PARAMS value — "this exact world" as a link or a file.
+ * Exports captureWorldConfig(PARAMS) → config, applyWorldConfig(PARAMS, config) → warnings,
+ * encodeWorldConfig(config) → Promise<string>, decodeWorldConfig(text) → Promise<config>,
+ * readWorldConfigFromHash(hash?) → Promise<config | null>, worldConfigUrl(config) → Promise<string>,
+ * worldConfigToJSON(config), WORLD_CONFIG_VERSION.
+ * config = { version, worldSeed, params } — params only holds keys that differ from PARAM_DEFAULTS (params.js).
+ * URL form: #world=<z|j><base64url> — z = deflate-raw JSON (CompressionStream), j = plain JSON.
+ * Loading checks every key against the current params schema: unknown keys and type mismatches are dropped,
+ * values outside PARAM_RANGES are clamped; each case is returned as a warning and logged.
+ * Only PARAMS travel — sculpt deltas and splat paint stay in localStorage.
+ */
+import { PARAM_DEFAULTS, PARAM_RANGES } from "./params.js";
+
+export const WORLD_CONFIG_VERSION = 1;
+
+const HASH_KEY = "world";
+
+// Written by the app at runtime (stats readouts, editor mode) — not part of a world.
+const TRANSIENT_KEYS = new Set([
+  "sculptEnabled",
+  "octahedralForestNearCount",
+  "octahedralForestLod1Count",
+  "octahedralForestLod2Count",
+]);
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function kindOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  return typeof v;
+}
+
+/**
+ * Snapshot the world seed and every PARAMS key that differs from its default.
+ * @param {object} PARAMS
+ */
+export function captureWorldConfig(PARAMS) {
+  const params = {};
+  for (const key of Object.keys(PARAM_DEFAULTS)) {
+    if (key === "worldSeed" || TRANSIENT_KEYS.has(key)) continue;
+    if (!sameValue(PARAMS[key], PARAM_DEFAULTS[key]))
+      params[key] = structuredClone(PARAMS[key]);
+  }
+  return {
+    version: WORLD_CONFIG_VERSION,
+    worldSeed: PARAMS.worldSeed ?? PARAM_DEFAULTS.worldSeed,
+    params,
+  };
+}
+
+function checkValue(key, value, warnings) {
+  const expected = kindOf(PARAM_DEFAULTS[key]);
+  const actual = kindOf(value);
+  if (actual !== expected || (actual === "number" && !Number.isFinite(value))) {
+    warnings.push(`"${key}" should be ${expected}, got ${actual}; ignored`);
+    return undefined;
+  }
+  const range = PARAM_RANGES[key];
+  if (range && (value < range.min || value > range.max)) {
+    const clamped = Math.min(range.max, Math.max(range.min, value));
+    warnings.push(`"${key}" = ${value} is outside ${range.min}…${range.max}; clamped to ${clamped}`);
+    return clamped;
+  }
+  return value;
+}
+
+/**
+ * Reset PARAMS to defaults, then apply a config (from a hash or a JSON file). Keys missing from the config
+ * stay at their defaults, so the result matches the world that was captured.
+ * @param {object} PARAMS - mutated in place
+ * @param {{ version?: number, worldSeed?: number, params?: object }} config
+ * @returns {string[]} warnings (also logged)
+ */
+export function applyWorldConfig(PARAMS, config) {
+  const warnings = [];
+  if (!config || typeof config !== "object") {
+    warnings.push("not a world config object; ignored");
+  } else {
+    if ((config.version ?? 0) > WORLD_CONFIG_VERSION)
+      warnings.push(
+        `config version ${config.version} is newer than this build (${WORLD_CONFIG_VERSION}); loading what matches`,
+      );
+    for (const key of Object.keys(PARAM_DEFAULTS)) {
+      if (!TRANSIENT_KEYS.has(key)) PARAMS[key] = structuredClone(PARAM_DEFAULTS[key]);
+    }
+    const entries = Object.entries(config.params ?? {});
+    if (config.worldSeed !== undefined) entries.push(["worldSeed", config.worldSeed]);
+    for (const [key, raw] of entries) {
+      if (!(key in PARAM_DEFAULTS)) {
+        warnings.push(`unknown key "${key}"; ignored`);
+        continue;
+      }
+      if (TRANSIENT_KEYS.has(key)) continue;
+      const value = checkValue(key, raw, warnings);
+      if (value !== undefined) PARAMS[key] = structuredClone(value);
+    }
+  }
+  for (const w of warnings) console.warn("World config:", w);
+  return warnings;
+}
+
+// ── ENCODING ──
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+/** Compact string for a URL hash: "z" + base64url(deflate-raw(JSON)), or "j" + base64url(JSON) without CompressionStream. */
+export async function encodeWorldConfig(config) {
+  const json = new TextEncoder().encode(JSON.stringify(config));
+  if (typeof CompressionStream === "undefined") return "j" + toBase64Url(json);
+  return "z" + toBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")));
+}
+
+/** Inverse of encodeWorldConfig. Also accepts a raw JSON document (a downloaded world file). */
+export async function decodeWorldConfig(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{")) return JSON.parse(trimmed);
+  let bytes = fromBase64Url(trimmed.slice(1));
+  if (trimmed[0] === "z") {
+    if (typeof DecompressionStream === "undefined")
+      throw new Error("This browser cannot decompress world links (no DecompressionStream)");
+    bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  } else if (trimmed[0] !== "j") {
+    throw new Error(`Unknown world config encoding "${trimmed[0]}"`);
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Config from a "#world=…" hash (default: the current location), or null when there is none.
+ * Unreadable hashes are logged and treated as absent.
+ */
+export async function readWorldConfigFromHash(hash = location.hash) {
+  const value = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_KEY);
+  if (!value) return null;
+  try {
+    return await decodeWorldConfig(value);
+  } catch (e) {
+    console.warn("World config: could not read the URL hash", e);
+    return null;
+  }
+}
+
+/** Shareable link to the current page with the config in its hash (query string kept). */
+export async function worldConfigUrl(config) {
+  const url = new URL(location.href);
+  url.hash = `${HASH_KEY}=${await encodeWorldConfig(config)}`;
+  return url.toString();
+}
+
+/** Pretty-printed JSON document for a config (the "download world" file). */
+export function worldConfigToJSON(config) {
+  return JSON.stringify(config, null, 2);
+}
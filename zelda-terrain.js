@@ -1,6 +1,10 @@
 /**
  * Zelda BOTW-style terrain: height curve (TTG), ridged peaks (BOTW),
  * mountain band, explicit peaks. Showcase + game.
+ * setHeightmap(record) swaps the generator for an imported heightmap (see heightmap-io.js).
+ * Optional erosion (terrain-erosion.js) runs on the generated heights before upload: inline, or in a
+ * worker when PARAMS.erosionInWorker is set (the mesh updates when it finishes; options.onErosionProgress reports 0–1).
+ * PARAMS.rivers (rivers.js) are carved in before erosion; getRivers() returns the current set.
  */
 import * as THREE from "three";
 import {
@@ -25,6 +29,13 @@ import {
   normalLocal,
 } from "three/tsl";
 import { noise12 } from "./tsl-utils.js";
+import { sampleHeightmapRecord } from "./heightmap-io.js";
+import {
+  erodeHeightmap,
+  erodeHeightmapInWorker,
+  erosionOptionsFromParams,
+} from "./terrain-erosion.js";
+import { riverDefsFromParams, buildRivers, carveRivers } from "./rivers.js";
 
 const PI = Math.PI;
 
@@ -232,8 +243,8 @@ function sampleHeightFromData(heightData, wx, wz, terrainSize, terrainRes) {
  * Create Zelda BOTW-style terrain and add to scene.
  * @param {THREE.Scene} scene
  * @param {object} PARAMS - all terrain + material params (see zelda-terrain-showcase.html)
- * @param {{ TERRAIN_SIZE?: number, TERRAIN_RES?: number }} options - override size/res from PARAMS
- * @returns {{ terrain: THREE.Mesh, sampleHeight: (wx: number, wz: number) => number, regenTerrain: () => void, syncTerrainUniforms: () => void }}
+ * @param {{ TERRAIN_SIZE?: number, TERRAIN_RES?: number, onErosionProgress?: (fraction: number) => void }} options - override size/res from PARAMS
+ * @returns {{ terrain: THREE.Mesh, sampleHeight: (wx: number, wz: number) => number, regenTerrain: () => void, syncTerrainUniforms: () => void, setHeightmap: (record: object | null) => void, getHeightmap: () => object, whenEroded: () => Promise<void> }}
  */
 export function createTerrain(scene, PARAMS, options = {}) {
   const terrainSize = options.TERRAIN_SIZE ?? PARAMS.terrainSize ?? 800;
@@ -292,7 +303,58 @@ export function createTerrain(scene, PARAMS, options = {}) {
   const uGrassSlopeMax = uniform(PARAMS.grassSlopeMax ?? 0.92);
   const uGrassAmount = uniform(PARAMS.grassAmount ?? 1.0);
 
-  let heightData = generateHeightmap(PARAMS, terrainSize, terrainRes);
+  // Imported heightmap record ({ width, height, heights, worldSize }) or null for the generator.
+  let importedHeightmap = null;
+  let erosionJob = null;
+  let erosionDone = Promise.resolve();
+  // Rivers (rivers.js) carved into the generated/imported heights, before erosion so it can soften the banks.
+  let rivers = [];
+  function carveRiversInto(data, size, res) {
+    const defs = riverDefsFromParams(PARAMS);
+    if (defs.length === 0) {
+      rivers = [];
+      return;
+    }
+    const base = data.slice();
+    const baseAt = (wx, wz) => sampleHeightFromData(base, wx, wz, size, res);
+    const lakeLevel =
+      baseAt(PARAMS.lakeCenterX ?? -60, PARAMS.lakeCenterZ ?? 50) +
+      (PARAMS.waterHeightOffset ?? 2);
+    rivers = buildRivers(defs, baseAt, lakeLevel);
+    for (let y = 0; y < res; y++)
+      for (let x = 0; x < res; x++) {
+        const i = y * res + x;
+        data[i] = carveRivers(data[i], (x / res - 0.5) * size, (y / res - 0.5) * size, rivers);
+      }
+  }
+
+  function buildHeightData(size, res) {
+    if (!importedHeightmap) {
+      const data = generateHeightmap(PARAMS, size, res);
+      carveRiversInto(data, size, res);
+      if (PARAMS.erosionEnabled && !PARAMS.erosionInWorker)
+        erodeHeightmap(
+          data,
+          res,
+          size / res,
+          erosionOptionsFromParams(PARAMS),
+          options.onErosionProgress,
+        );
+      return data;
+    }
+    const data = new Float32Array(res * res);
+    for (let y = 0; y < res; y++)
+      for (let x = 0; x < res; x++)
+        data[y * res + x] = sampleHeightmapRecord(
+          importedHeightmap,
+          (x / res - 0.5) * size,
+          (y / res - 0.5) * size,
+        );
+    carveRiversInto(data, size, res);
+    return data;
+  }
+
+  let heightData = buildHeightData(terrainSize, terrainRes);
   let terrainGeo = new THREE.PlaneGeometry(
     terrainSize,
     terrainSize,
@@ -389,6 +451,7 @@ export function createTerrain(scene, PARAMS, options = {}) {
   const terrain = new THREE.Mesh(terrainGeo, terrainMat);
   terrain.receiveShadow = true;
   scene.add(terrain);
+  startWorkerErosion(terrainSize, terrainRes);
 
   function sampleHeight(wx, wz) {
     const size = PARAMS.terrainSize ?? 800;
@@ -396,10 +459,43 @@ export function createTerrain(scene, PARAMS, options = {}) {
     return sampleHeightFromData(heightData, wx, wz, size, res);
   }
 
+  /** Kick off worker erosion of the current heights; stale jobs are cancelled by the next regen. */
+  function startWorkerErosion(size, res) {
+    if (erosionJob) erosionJob.cancel();
+    if (importedHeightmap || !PARAMS.erosionEnabled || !PARAMS.erosionInWorker) {
+      erosionJob = null;
+      erosionDone = Promise.resolve();
+      return;
+    }
+    const job = erodeHeightmapInWorker(
+      heightData,
+      res,
+      size / res,
+      erosionOptionsFromParams(PARAMS),
+      options.onErosionProgress,
+    );
+    erosionJob = job;
+    erosionDone = job.promise.then(
+      (eroded) => {
+        if (erosionJob !== job) return;
+        erosionJob = null;
+        heightData = eroded;
+        const arr = terrainGeo.attributes.position.array;
+        for (let i = 0; i < arr.length; i += 3)
+          arr[i + 1] = sampleHeightFromData(heightData, arr[i], arr[i + 2], size, res);
+        terrainGeo.attributes.position.needsUpdate = true;
+        terrainGeo.computeVertexNormals();
+      },
+      (e) => {
+        if (erosionJob === job) console.warn("Terrain erosion failed:", e);
+      },
+    );
+  }
+
   function regenTerrain() {
     const size = PARAMS.terrainSize ?? 800;
     const res = PARAMS.terrainRes ?? 384;
-    heightData = generateHeightmap(PARAMS, size, res);
+    heightData = buildHeightData(size, res);
     if (terrainGeo) terrainGeo.dispose();
     terrainGeo = new THREE.PlaneGeometry(size, size, res - 1, res - 1);
     terrainGeo.rotateX(-PI / 2);
@@ -411,6 +507,7 @@ export function createTerrain(scene, PARAMS, options = {}) {
     }
     terrainGeo.computeVertexNormals();
     terrain.geometry = terrainGeo;
+    startWorkerErosion(size, res);
   }
 
   function syncTerrainUniforms() {
@@ -422,6 +519,23 @@ export function createTerrain(scene, PARAMS, options = {}) {
     uGrassAmount.value = PARAMS.grassAmount ?? 1.0;
   }
 
+  /** Use an imported heightmap record (null → back to the generator) and rebuild the mesh. */
+  function setHeightmap(record) {
+    importedHeightmap = record;
+    regenTerrain();
+  }
+
+  /** Current heights as a record ({ width, height, heights, worldSize }) for export. */
+  function getHeightmap() {
+    const res = PARAMS.terrainRes ?? 384;
+    return {
+      width: res,
+      height: res,
+      heights: heightData.slice(),
+      worldSize: PARAMS.terrainSize ?? 800,
+    };
+  }
+
   /** Returns heights in column-major for Rapier. Use colliderRes <= 256 to avoid WASM limits. */
   function getHeightDataForCollider(colliderRes = 128) {
     const size = PARAMS.terrainSize ?? 800;
@@ -453,6 +567,11 @@ export function createTerrain(scene, PARAMS, options = {}) {
     regenTerrain,
     syncTerrainUniforms,
     getHeightDataForCollider,
+    setHeightmap,
+    getHeightmap,
+    getRivers: () => rivers,
+    /** Resolves once the latest worker erosion pass has been applied (immediately when erosion is inline/off). */
+    whenEroded: () => erosionDone,
     /** Resolves when terrain textures have finished loading. Spawn character after this. */
     whenReady: terrainReadyPromise,
   };